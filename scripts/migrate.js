@@ -0,0 +1,29 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Property = require('../src/models/Property');
+const { rebuildSearchIndexes } = require('../src/search');
+
+// Migrasi data satu kali (npm run migrate); aman dijalankan ulang karena hanya memproses data yang belum dimigrasikan
+const migrate = async () => {
+    await connectDB();
+
+    // Pindahkan koordinat properti format lama ke GeoJSON sebelum pencarian lokasi dipakai
+    const coordinates = await Property.migrateLegacyCoordinates();
+    console.log(`Koordinat ${coordinates.migrated} properti dimigrasikan ke GeoJSON`);
+    if (coordinates.skipped > 0) {
+        console.warn(`${coordinates.skipped} properti memiliki koordinat tidak valid dan tidak dimigrasikan`);
+    }
+
+    // Bangun index pencarian untuk data yang dibuat sebelum index teks tersedia
+    const indexed = await rebuildSearchIndexes();
+    console.log('Index pencarian dibangun ulang:', indexed);
+};
+
+migrate()
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`Migrasi gagal: ${error.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,48 @@
+// Bagan akun standar untuk ledger per properti.
+// asset/expense bersaldo normal debit; liability/revenue bersaldo normal kredit.
+const ACCOUNTS = {
+    '1100': { name: 'Kas dan Bank', type: 'asset' },
+    '1200': { name: 'Piutang Penghuni', type: 'asset' },
+    '2100': { name: 'Deposit Jaminan Penghuni', type: 'liability' },
+    '4100': { name: 'Pendapatan Sewa', type: 'revenue' },
+    '4200': { name: 'Pendapatan Service Charge', type: 'revenue' },
+    '4300': { name: 'Pendapatan Utilitas', type: 'revenue' },
+    '4400': { name: 'Pendapatan Denda Keterlambatan', type: 'revenue' },
+    '4500': { name: 'Pendapatan Pemeliharaan', type: 'revenue' },
+    '4600': { name: 'Pendapatan Potongan Deposit', type: 'revenue' },
+    '4900': { name: 'Pendapatan Lain-lain', type: 'revenue' },
+    '5100': { name: 'Beban Pemeliharaan', type: 'expense' }
+};
+
+const CASH = '1100';
+const RECEIVABLE = '1200';
+const SECURITY_DEPOSITS = '2100';
+const DEPOSIT_DEDUCTIONS = '4600';
+const MAINTENANCE_EXPENSE = '5100';
+
+// Akun kredit untuk setiap tipe line item tagihan
+const LINE_ITEM_ACCOUNTS = {
+    rent: '4100',
+    service_charge: '4200',
+    utility: '4300',
+    penalty: '4400',
+    deposit: SECURITY_DEPOSITS,
+    maintenance: '4500',
+    other: '4900'
+};
+
+const isDebitNormal = (code) => ['asset', 'expense'].includes(ACCOUNTS[code].type);
+
+const accountsOfType = (type) => Object.keys(ACCOUNTS).filter(code => ACCOUNTS[code].type === type);
+
+module.exports = {
+    ACCOUNTS,
+    CASH,
+    RECEIVABLE,
+    SECURITY_DEPOSITS,
+    DEPOSIT_DEDUCTIONS,
+    MAINTENANCE_EXPENSE,
+    LINE_ITEM_ACCOUNTS,
+    isDebitNormal,
+    accountsOfType
+};
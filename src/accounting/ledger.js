@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const ExchangeRate = require('../models/ExchangeRate');
+const { toMinor, isSnapshotStale } = require('./money');
+const {
+    CASH,
+    RECEIVABLE,
+    SECURITY_DEPOSITS,
+    DEPOSIT_DEDUCTIONS,
+    MAINTENANCE_EXPENSE,
+    LINE_ITEM_ACCOUNTS
+} = require('./chartOfAccounts');
+
+// Referensi bisa berupa ObjectId atau dokumen hasil populate
+const refId = (value) => (value && value._id ? value._id : value);
+
+// Total yang sudah diposting per sumber, dikelompokkan per kind dan item
+const getPostedAmounts = async (sourceField, sourceId) => {
+    const rows = await LedgerEntry.aggregate([
+        { $match: { [`source.${sourceField}`]: sourceId } },
+        {
+            $group: {
+                _id: { kind: '$source.kind', item: '$source.item' },
+                amount: { $sum: '$amount' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    return new Map(rows.map(row => [`${row._id.kind}:${row._id.item}`, row]));
+};
+
+// Posting selisih antara nilai target (nominal mata uang sumber) dan nilai yang sudah diposting
+// untuk satu item sumber. Selisih negatif diposting sebagai jurnal pembalikan (debit dan kredit ditukar).
+const postDelta = async (posted, { kind, item, target, debit, credit, date, ...entry }) => {
+    const current = posted.get(`${kind}:${item}`) || { amount: 0, count: 0 };
+    const delta = toMinor(target, entry.currency) - current.amount;
+    if (delta === 0) {
+        return null;
+    }
+
+    const amount = Math.abs(delta);
+    const [debitAccount, creditAccount] = delta > 0 ? [debit, credit] : [credit, debit];
+    const entryDate = current.count === 0 && date ? date : new Date();
+
+    const ledgerEntry = new LedgerEntry({
+        ...entry,
+        date: entryDate,
+        source: { ...entry.source, kind, item },
+        amount: delta,
+        lines: [
+            { account: debitAccount, debit: amount },
+            { account: creditAccount, credit: amount }
+        ],
+        postingKey: `${kind}:${item}:${current.count}`
+    });
+    ledgerEntry.applyExchangeRate(await ExchangeRate.snapshot(entry.tenant, entry.currency, entryDate));
+
+    try {
+        return await ledgerEntry.save();
+    } catch (error) {
+        // Posting yang sama sudah dibuat oleh proses lain
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Posting tagihan: line item ke piutang, transaksi ke kas, serta pembalikan saat dibatalkan atau di-refund
+const syncPaymentEntries = async (payment) => {
+    const posted = await getPostedAmounts('payment', payment._id);
+    const isReversed = ['cancelled', 'refunded'].includes(payment.status);
+    const base = {
+        tenant: refId(payment.tenant),
+        property: refId(payment.property),
+        unit: refId(payment.unit),
+        resident: refId(payment.resident),
+        currency: payment.currency,
+        source: { payment: payment._id }
+    };
+
+    for (const item of payment.lineItems) {
+        await postDelta(posted, {
+            ...base,
+            kind: item.type === 'penalty' ? 'late_fee' : 'invoice',
+            item: item._id,
+            target: isReversed ? 0 : item.amount,
+            debit: RECEIVABLE,
+            credit: LINE_ITEM_ACCOUNTS[item.type],
+            date: payment.createdAt,
+            description: `${isReversed ? 'Pembalikan ' : ''}${payment.invoiceNumber} - ${item.description || item.type}`
+        });
+    }
+
+    // Transaksi negatif adalah refund: dana dikembalikan ke resident dan piutang dibuka kembali
+    for (const trx of payment.transactions) {
+        const isRefund = trx.amount < 0;
+        await postDelta(posted, {
+            ...base,
+            kind: isRefund ? 'refund' : 'payment',
+            item: trx._id,
+            target: Math.abs(trx.amount),
+            debit: isRefund ? RECEIVABLE : CASH,
+            credit: isRefund ? CASH : RECEIVABLE,
+            date: trx.paidAt,
+            description: `${isRefund ? 'Refund' : 'Pembayaran'} ${payment.invoiceNumber}${trx.reference ? ` (${trx.reference})` : ''}`
+        });
+    }
+
+    // Tagihan lama yang di-refund tanpa transaksi negatif: seluruh dana yang diterima dikembalikan
+    if (payment.status === 'refunded') {
+        await postDelta(posted, {
+            ...base,
+            kind: 'refund',
+            item: payment._id,
+            target: payment.amountPaid,
+            debit: RECEIVABLE,
+            credit: CASH,
+            description: `Refund ${payment.invoiceNumber}`
+        });
+    }
+};
+
+// Posting biaya aktual pemeliharaan yang sudah selesai sebagai beban
+const syncMaintenanceEntries = async (maintenance) => {
+    const posted = await getPostedAmounts('maintenance', maintenance._id);
+
+    await postDelta(posted, {
+        tenant: refId(maintenance.tenant),
+        property: refId(maintenance.property),
+        unit: refId(maintenance.unit),
+        currency: (maintenance.cost && maintenance.cost.currency) || 'IDR',
+        source: { maintenance: maintenance._id },
+        kind: 'maintenance',
+        item: maintenance._id,
+        target: maintenance.status === 'completed' ? (maintenance.cost && maintenance.cost.actual) || 0 : 0,
+        debit: MAINTENANCE_EXPENSE,
+        credit: CASH,
+        date: maintenance.completedAt,
+        description: `Biaya pemeliharaan - ${maintenance.title}`
+    });
+};
+
+// Posting settlement deposit: potongan diakui sebagai pendapatan dan pengembalian mengurangi kas
+const syncDepositEntries = async (deposit) => {
+    if (deposit.status !== 'settled') {
+        return;
+    }
+
+    const posted = await getPostedAmounts('deposit', deposit._id);
+    const { settlement } = deposit;
+    const base = {
+        tenant: refId(deposit.tenant),
+        property: refId(deposit.property),
+        unit: refId(deposit.unit),
+        resident: refId(deposit.resident),
+        currency: deposit.currency,
+        source: { deposit: deposit._id }
+    };
+
+    await postDelta(posted, {
+        ...base,
+        kind: 'deposit_settlement',
+        item: deposit._id,
+        target: deposit.amountHeld - settlement.refundAmount,
+        debit: SECURITY_DEPOSITS,
+        credit: DEPOSIT_DEDUCTIONS,
+        date: settlement.settledAt,
+        description: `Potongan deposit ${settlement.documentNumber || ''}`.trim()
+    });
+
+    if (settlement.refund && settlement.refund.status === 'refunded') {
+        await postDelta(posted, {
+            ...base,
+            kind: 'deposit_refund',
+            item: deposit._id,
+            target: settlement.refundAmount,
+            debit: SECURITY_DEPOSITS,
+            credit: CASH,
+            date: settlement.refund.refundedAt,
+            description: `Pengembalian deposit ${settlement.documentNumber || ''}`.trim()
+        });
+    }
+};
+
+// Isi ulang kurs jurnal yang belum memiliki kurs atau dibuat sebelum mata uang pelaporan diganti
+const refreshEntryRates = async (tenantId) => {
+    const reportingCurrency = await ExchangeRate.getReportingCurrency(tenantId);
+    let revalued = 0;
+
+    for await (const entry of LedgerEntry.find({ tenant: tenantId })) {
+        if (!isSnapshotStale(entry.exchangeRate, reportingCurrency)) {
+            continue;
+        }
+        const snapshot = await ExchangeRate.snapshot(tenantId, entry.currency, entry.date, reportingCurrency);
+        if (snapshot.rate !== null || entry.exchangeRate?.currency !== reportingCurrency) {
+            await entry.applyExchangeRate(snapshot).save();
+            revalued++;
+        }
+    }
+
+    return revalued;
+};
+
+// Posting ulang seluruh data tenant yang belum tercatat di ledger dan perbarui kurs (idempoten).
+// Dokumen dengan snapshot kurs usang disimpan ulang; hook save-nya mengambil kurs baru dan memposting ke ledger.
+const syncTenantLedger = async (tenantId) => {
+    const reportingCurrency = await ExchangeRate.getReportingCurrency(tenantId);
+    const isStale = (snapshot) => isSnapshotStale(snapshot, reportingCurrency);
+    const summary = { payments: 0, maintenance: 0, deposits: 0, revaluedEntries: 0 };
+
+    for await (const payment of mongoose.model('Payment').find({ tenant: tenantId })) {
+        if (isStale(payment.exchangeRate) || payment.transactions.some(trx => isStale(trx.exchangeRate))) {
+            await payment.save();
+        } else {
+            await syncPaymentEntries(payment);
+        }
+        summary.payments++;
+    }
+    for await (const maintenance of mongoose.model('Maintenance').find({ tenant: tenantId, status: 'completed' })) {
+        if (maintenance.cost && maintenance.cost.actual !== undefined && isStale(maintenance.cost.exchangeRate)) {
+            await maintenance.save();
+        } else {
+            await syncMaintenanceEntries(maintenance);
+        }
+        summary.maintenance++;
+    }
+    for await (const deposit of mongoose.model('Deposit').find({ tenant: tenantId })) {
+        if (isStale(deposit.exchangeRate)) {
+            await deposit.save();
+        } else {
+            await syncDepositEntries(deposit);
+        }
+        summary.deposits++;
+    }
+    summary.revaluedEntries = await refreshEntryRates(tenantId);
+
+    return summary;
+};
+
+module.exports = {
+    syncPaymentEntries,
+    syncMaintenanceEntries,
+    syncDepositEntries,
+    syncTenantLedger
+};
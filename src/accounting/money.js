@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Mata uang yang didukung beserta jumlah digit minor unit (ISO 4217)
+const CURRENCIES = {
+    IDR: { exponent: 2 },
+    USD: { exponent: 2 },
+    SGD: { exponent: 2 },
+    EUR: { exponent: 2 },
+    AUD: { exponent: 2 },
+    JPY: { exponent: 0 }
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const exponentOf = (currency) => {
+    if (!CURRENCIES[currency]) {
+        throw new Error(`Mata uang ${currency} tidak didukung.`);
+    }
+    return CURRENCIES[currency].exponent;
+};
+
+// Konversi nominal (mis. 1500.5 USD) ke minor unit bulat (150050) dan sebaliknya
+const toMinor = (amount, currency) => Math.round((amount || 0) * 10 ** exponentOf(currency));
+
+const fromMinor = (minor, currency) => (minor || 0) / 10 ** exponentOf(currency);
+
+// Konversi minor unit antar mata uang; rate = harga 1 unit mata uang asal dalam mata uang tujuan
+const convertMinor = (minor, from, to, rate) => {
+    if (rate === null || rate === undefined) {
+        return null;
+    }
+    return Math.round(fromMinor(minor, from) * rate * 10 ** exponentOf(to));
+};
+
+// Snapshot kurs ke mata uang pelaporan tenant pada saat transaksi; rate null jika kurs belum tersedia
+const exchangeRateSnapshotSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        enum: CURRENCY_CODES
+    },
+    rate: {
+        type: Number,
+        default: null
+    },
+    effectiveDate: Date
+}, { _id: false });
+
+// Snapshot perlu diambil ulang jika belum ada, kursnya belum tersedia, atau mata uang pelaporan berubah
+const isSnapshotStale = (snapshot, reportingCurrency) => !snapshot ||
+    snapshot.rate === null ||
+    snapshot.rate === undefined ||
+    snapshot.currency !== reportingCurrency;
+
+module.exports = {
+    CURRENCIES,
+    CURRENCY_CODES,
+    exponentOf,
+    toMinor,
+    fromMinor,
+    convertMinor,
+    exchangeRateSnapshotSchema,
+    isSnapshotStale
+};
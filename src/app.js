@@ -13,6 +13,15 @@ const unitRoutes = require('./routes/unitRoutes');
 const announcementRoutes = require('./routes/announcementRoutes');
 const complaintRoutes = require('./routes/complaintRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const paymentWebhookRoutes = require('./routes/paymentWebhookRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const depositRoutes = require('./routes/depositRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const leaseRoutes = require('./routes/leaseRoutes');
+const inspectionRoutes = require('./routes/inspectionRoutes');
+const applicationRoutes = require('./routes/applicationRoutes');
+const searchRoutes = require('./routes/searchRoutes');
 const maintenanceRoutes = require('./routes/maintenanceRoutes');
 
 // Import middleware
@@ -26,7 +35,12 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true
 }));
-app.use(express.json());
+app.use(express.json({
+    // Simpan raw body untuk verifikasi signature webhook
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
@@ -37,11 +51,20 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', protect, userRoutes);
 app.use('/api/tenants', protect, authorize('admin'), tenantRoutes);
-app.use('/api/properties', protect, propertyRoutes);
+app.use('/api/properties', propertyRoutes);
 app.use('/api/units', protect, unitRoutes);
 app.use('/api/announcements', protect, announcementRoutes);
 app.use('/api/complaints', protect, complaintRoutes);
+app.use('/api/payments/webhooks', paymentWebhookRoutes);
+app.use('/api/payments/reconciliation', protect, reconciliationRoutes);
 app.use('/api/payments', protect, paymentRoutes);
+app.use('/api/deposits', protect, depositRoutes);
+app.use('/api/ledger', protect, ledgerRoutes);
+app.use('/api/exchange-rates', protect, exchangeRateRoutes);
+app.use('/api/leases', protect, leaseRoutes);
+app.use('/api/inspections', protect, inspectionRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/search', protect, searchRoutes);
 app.use('/api/maintenance', protect, maintenanceRoutes);
 
 // Health check endpoint
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Urutan penting: user agent Edge/Opera juga memuat "Chrome", dan Chrome memuat "Safari"
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+    ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+    ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+    ['Safari', /Version\/([\d.]+).*Safari/],
+    ['Postman', /PostmanRuntime\/([\d.]+)/],
+    ['curl', /curl\/([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+    ['Android', /Android ([\d.]+)/],
+    ['Windows', /Windows NT ([\d.]+)/],
+    ['macOS', /Mac OS X ([\d_.]+)/],
+    ['Chrome OS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+const matchFirst = (userAgent, patterns) => {
+    for (const [name, pattern] of patterns) {
+        const match = userAgent.match(pattern);
+        if (match) {
+            return { name, version: match[1] ? match[1].replace(/_/g, '.') : undefined };
+        }
+    }
+    return null;
+};
+
+const detectType = (userAgent) => {
+    if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+        return 'tablet';
+    }
+    if (/Mobi|iPhone|iPod/i.test(userAgent)) {
+        return 'mobile';
+    }
+    if (/PostmanRuntime|curl|bot|spider/i.test(userAgent)) {
+        return 'other';
+    }
+    return 'desktop';
+};
+
+// Ringkas user agent menjadi browser, sistem operasi, dan tipe perangkat.
+// deviceId dibentuk tanpa nomor versi sehingga update browser tidak dianggap perangkat baru.
+const parseUserAgent = (userAgent = '') => {
+    const source = String(userAgent || '');
+    const browser = matchFirst(source, BROWSERS);
+    const os = matchFirst(source, OPERATING_SYSTEMS);
+    const type = detectType(source);
+
+    const browserName = browser ? browser.name : 'Browser tidak dikenal';
+    const osName = os ? os.name : 'OS tidak dikenal';
+
+    return {
+        browser: browserName,
+        browserVersion: browser ? browser.version : undefined,
+        os: osName,
+        osVersion: os ? os.version : undefined,
+        type,
+        label: `${browserName} di ${osName}`,
+        deviceId: crypto.createHash('sha256').update(`${browserName}|${osName}|${type}`).digest('hex').slice(0, 16)
+    };
+};
+
+module.exports = {
+    parseUserAgent
+};
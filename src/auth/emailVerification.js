@@ -0,0 +1,39 @@
+const { sendEmail } = require('../config/email');
+
+// Jeda minimal antar pengiriman ulang email verifikasi (menit)
+const getResendIntervalMinutes = () => Number(process.env.VERIFICATION_RESEND_MINUTES || 5);
+
+// Sisa waktu tunggu (detik) sebelum email verifikasi boleh dikirim ulang; 0 jika sudah boleh
+const getResendWaitSeconds = (user, now = new Date()) => {
+    if (!user.verificationSentAt) {
+        return 0;
+    }
+    const nextAllowed = user.verificationSentAt.getTime() + getResendIntervalMinutes() * 60 * 1000;
+    return Math.max(0, Math.ceil((nextAllowed - now.getTime()) / 1000));
+};
+
+// Buat token verifikasi baru, simpan user, lalu kirim link verifikasi ke email user.
+// Token lama otomatis tidak berlaku karena hash-nya tertimpa.
+const sendVerificationEmail = async (user) => {
+    const verificationToken = user.createVerificationToken();
+    await user.save();
+
+    return sendEmail({
+        email: user.email,
+        subject: 'Verifikasi Email Anda',
+        html: `
+            <h2>Verifikasi Email Anda</h2>
+            <p>Halo ${user.name},</p>
+            <p>Silakan klik link di bawah ini untuk memverifikasi email Anda:</p>
+            <a href="${process.env.FRONTEND_URL}/verify-email/${verificationToken}">
+                Verifikasi Email
+            </a>
+            <p>Link ini akan kadaluarsa dalam 24 jam.</p>
+        `,
+    });
+};
+
+module.exports = {
+    getResendWaitSeconds,
+    sendVerificationEmail
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// TOTP sesuai RFC 6238 (HMAC-SHA1, 6 digit, periode 30 detik) agar kompatibel dengan aplikasi authenticator umum
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BACKUP_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secret base32 tidak valid.');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// Secret acak 160 bit (panjang yang disarankan RFC 4226) dalam base32
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD);
+
+// Kode HOTP untuk satu counter (time step)
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+    return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+// Cocokkan kode dengan toleransi selisih jam satu periode sebelum/sesudah.
+// Mengembalikan time step yang cocok, atau null. Step yang tidak lebih besar dari lastUsedStep ditolak agar
+// kode yang sama tidak bisa dipakai dua kali.
+const verifyCode = (secret, code, { lastUsedStep = -1, window = 1, time = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+    const current = getTimeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        if (step <= lastUsedStep) {
+            continue;
+        }
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// URI otpauth untuk QR code aplikasi authenticator
+const buildOtpauthUri = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || 'ResiSmart';
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Kode cadangan dinormalisasi sebelum di-hash sehingga huruf besar/kecil dan tanda hubung diabaikan
+const normalizeBackupCode = code => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashBackupCode = code => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+// Kode cadangan sekali pakai dengan format xxxx-xxxx
+const generateBackupCodes = (count = BACKUP_CODE_COUNT) => Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(4).toString('hex');
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+module.exports = {
+    TOTP_DIGITS,
+    TOTP_PERIOD,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    hashBackupCode,
+    generateBackupCodes
+};
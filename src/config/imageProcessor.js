@@ -6,7 +6,8 @@ const processImage = async (file) => {
     try {
         const filename = path.parse(file.filename).name;
         const ext = path.parse(file.filename).ext;
-        const outputPath = path.join('uploads', `${filename}-compressed${ext}`);
+        // Simpan hasil kompresi di folder yang sama dengan file asli
+        const outputPath = path.join(path.dirname(file.path), `${filename}-compressed${ext}`);
 
         // Kompresi gambar
         await sharp(file.path)
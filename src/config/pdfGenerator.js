@@ -0,0 +1,290 @@
+const PDFDocument = require('pdfkit');
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const LINE_ITEM_LABELS = {
+    rent: 'Sewa',
+    service_charge: 'Service Charge',
+    utility: 'Utilitas',
+    penalty: 'Denda',
+    deposit: 'Deposit',
+    maintenance: 'Pemeliharaan',
+    other: 'Lainnya'
+};
+
+const PAYMENT_METHOD_LABELS = {
+    bank_transfer: 'Transfer Bank',
+    credit_card: 'Kartu Kredit',
+    e_wallet: 'E-Wallet',
+    cash: 'Tunai'
+};
+
+const formatMoney = (amount, currency = 'IDR') => new Intl.NumberFormat('id-ID', {
+    style: 'currency',
+    currency,
+    // Rupiah ditampilkan tanpa sen; mata uang lain mengikuti jumlah digit standarnya
+    minimumFractionDigits: currency === 'IDR' ? 0 : undefined
+}).format(amount || 0);
+
+const formatDate = (date) => (date
+    ? new Date(date).toLocaleDateString('id-ID', { day: '2-digit', month: 'long', year: 'numeric' })
+    : '-');
+
+const formatAddress = (address = {}) => [address.street, address.city, address.state, address.postalCode]
+    .filter(Boolean)
+    .join(', ');
+
+// Render PDF ke Buffer
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        draw(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+// Kop dokumen: logo dan identitas tenant
+const drawHeader = (doc, tenant, title, number) => {
+    const logoPath = tenant.logo && tenant.logo.url && path.resolve(tenant.logo.url);
+    if (logoPath && fs.existsSync(logoPath)) {
+        doc.image(logoPath, 50, 45, { fit: [80, 60] });
+    }
+
+    doc.font('Helvetica-Bold').fontSize(14).text(tenant.name, 150, 50);
+    doc.font('Helvetica').fontSize(9)
+        .text(formatAddress(tenant.address), 150)
+        .text([tenant.contactInfo && tenant.contactInfo.email, tenant.contactInfo && tenant.contactInfo.phone]
+            .filter(Boolean).join(' | '), 150);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title, 350, 50, { width: 195, align: 'right' });
+    doc.font('Helvetica').fontSize(10).text(number, 350, 75, { width: 195, align: 'right' });
+
+    doc.moveTo(50, 115).lineTo(545, 115).stroke();
+    doc.y = 130;
+};
+
+// Identitas penagihan: resident, properti, dan unit beserta tanggal dokumen
+const drawParties = (doc, payment, dates) => {
+    const top = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Ditagihkan kepada:', 50, top);
+    doc.font('Helvetica').fontSize(10)
+        .text(payment.resident.name)
+        .text(payment.resident.email)
+        .text(payment.property.name)
+        .text(formatAddress(payment.property.address))
+        .text(`Unit ${payment.unit.unitNumber} (Lantai ${payment.unit.floor}, ${payment.unit.type})`);
+    const leftBottom = doc.y;
+
+    dates.forEach(([label, value], index) => {
+        const y = top + index * 15;
+        doc.font('Helvetica-Bold').text(label, 330, y, { width: 100 });
+        doc.font('Helvetica').text(value, 430, y, { width: 115, align: 'right' });
+    });
+
+    doc.y = Math.max(leftBottom, top + dates.length * 15) + 20;
+};
+
+const drawTableRow = (doc, columns, options = {}) => {
+    const top = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    columns.forEach(([text, x, width, align]) => {
+        doc.text(text, x, top, { width, align: align || 'left' });
+    });
+    doc.y = Math.max(doc.y, top + 15) + 3;
+};
+
+const drawLineItems = (doc, payment) => {
+    drawTableRow(doc, [
+        ['Deskripsi', 50, 235],
+        ['Qty', 285, 40, 'right'],
+        ['Harga Satuan', 335, 100, 'right'],
+        ['Jumlah', 445, 100, 'right']
+    ], { bold: true });
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.y += 5;
+
+    payment.lineItems.forEach(item => {
+        drawTableRow(doc, [
+            [item.description || LINE_ITEM_LABELS[item.type], 50, 235],
+            [String(item.quantity), 285, 40, 'right'],
+            [formatMoney(item.unitPrice, payment.currency), 335, 100, 'right'],
+            [formatMoney(item.amount, payment.currency), 445, 100, 'right']
+        ]);
+    });
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.y += 5;
+
+    [
+        ['Total', payment.amount],
+        ['Dibayar', payment.amountPaid],
+        ['Sisa Tagihan', payment.balance]
+    ].forEach(([label, amount]) => {
+        drawTableRow(doc, [
+            [label, 335, 100, 'right'],
+            [formatMoney(amount, payment.currency), 445, 100, 'right']
+        ], { bold: label !== 'Dibayar' });
+    });
+};
+
+const drawTransactions = (doc, payment) => {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text('Riwayat Pembayaran', 50);
+    doc.moveDown(0.5);
+
+    drawTableRow(doc, [
+        ['Tanggal', 50, 110],
+        ['Metode', 160, 100],
+        ['Referensi', 260, 175],
+        ['Jumlah', 445, 100, 'right']
+    ], { bold: true });
+
+    payment.transactions.forEach(trx => {
+        drawTableRow(doc, [
+            [formatDate(trx.paidAt), 50, 110],
+            [PAYMENT_METHOD_LABELS[trx.paymentMethod] || trx.paymentMethod, 160, 100],
+            [trx.reference || '-', 260, 175],
+            [formatMoney(trx.amount, payment.currency), 445, 100, 'right']
+        ]);
+    });
+};
+
+const drawFooter = (doc, text) => {
+    doc.moveDown(2);
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555')
+        .text(text, 50, doc.y, { width: 495, align: 'center' });
+    doc.fillColor('#000000');
+};
+
+// Invoice tagihan; payment harus sudah dipopulate (lihat Payment.findForDocument)
+const generateInvoicePdf = (payment) => renderPdf(doc => {
+    drawHeader(doc, payment.tenant, 'INVOICE', payment.invoiceNumber);
+    drawParties(doc, payment, [
+        ['Tanggal', formatDate(payment.createdAt)],
+        ['Jatuh Tempo', formatDate(payment.dueDate)],
+        ['Status', payment.status]
+    ]);
+    drawLineItems(doc, payment);
+
+    if (payment.virtualAccountNumber) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(10).text('Instruksi Pembayaran', 50);
+        doc.font('Helvetica').text(`Transfer ke virtual account ${payment.virtualAccountNumber} sebesar sisa tagihan.`);
+    }
+
+    drawFooter(doc, 'Invoice ini dibuat secara elektronik dan sah tanpa tanda tangan.');
+});
+
+// Kuitansi resmi untuk tagihan yang sudah lunas
+const generateReceiptPdf = (payment) => renderPdf(doc => {
+    drawHeader(doc, payment.tenant, 'KUITANSI', payment.receiptNumber);
+    drawParties(doc, payment, [
+        ['Tanggal', formatDate(payment.receiptIssuedAt)],
+        ['No. Invoice', payment.invoiceNumber],
+        ['Tanggal Lunas', formatDate(payment.paidAt)]
+    ]);
+    drawLineItems(doc, payment);
+    drawTransactions(doc, payment);
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#1a7f37').text('LUNAS', 50, doc.y, { width: 495, align: 'right' });
+    doc.fillColor('#000000');
+
+    drawFooter(doc, 'Kuitansi ini dibuat secara elektronik dan merupakan bukti pembayaran yang sah.');
+});
+
+// Dokumen settlement deposit saat pindah keluar: pengembalian atau tagihan kekurangan
+const generateDepositSettlementPdf = (deposit) => renderPdf(doc => {
+    const { settlement, currency } = deposit;
+    const isRefund = settlement.balanceDue === 0;
+
+    drawHeader(doc, deposit.tenant, 'SETTLEMENT DEPOSIT', settlement.documentNumber);
+    drawParties(doc, deposit, [
+        ['Tanggal', formatDate(settlement.settledAt)],
+        ['Mulai Huni', formatDate(deposit.occupancy && deposit.occupancy.startDate)],
+        ['Pindah Keluar', formatDate(settlement.moveOutDate)]
+    ]);
+
+    drawTableRow(doc, [
+        ['Keterangan', 50, 385],
+        ['Jumlah', 445, 100, 'right']
+    ], { bold: true });
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.y += 5;
+
+    drawTableRow(doc, [
+        ['Deposit jaminan diterima', 50, 385],
+        [formatMoney(deposit.amountHeld, currency), 445, 100, 'right']
+    ]);
+    settlement.deductions.forEach(item => {
+        const maintenance = item.maintenance && item.maintenance.title ? ` (Pemeliharaan: ${item.maintenance.title})` : '';
+        drawTableRow(doc, [
+            [`Potongan: ${item.description}${maintenance}`, 50, 385],
+            [`- ${formatMoney(item.amount, currency)}`, 445, 100, 'right']
+        ]);
+    });
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.y += 5;
+
+    drawTableRow(doc, [
+        ['Total Potongan', 335, 100, 'right'],
+        [formatMoney(settlement.totalDeductions, currency), 445, 100, 'right']
+    ]);
+    drawTableRow(doc, [
+        [isRefund ? 'Dikembalikan' : 'Kekurangan', 335, 100, 'right'],
+        [formatMoney(isRefund ? settlement.refundAmount : settlement.balanceDue, currency), 445, 100, 'right']
+    ], { bold: true });
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(10).text(isRefund
+        ? 'Sisa deposit akan dikembalikan kepada penghuni sesuai metode pengembalian yang disepakati.'
+        : 'Potongan melebihi deposit yang diterima. Kekurangan ditagihkan melalui invoice terpisah.', 50);
+
+    if (settlement.notes) {
+        doc.moveDown(0.5).text(`Catatan: ${settlement.notes}`, 50);
+    }
+
+    drawFooter(doc, 'Dokumen ini dibuat secara elektronik dan sah tanpa tanda tangan.');
+});
+
+// Lampiran email dalam format nodemailer
+const buildPdfAttachment = async (payment, kind) => {
+    const number = kind === 'receipt' ? payment.receiptNumber : payment.invoiceNumber;
+    const content = kind === 'receipt' ? await generateReceiptPdf(payment) : await generateInvoicePdf(payment);
+
+    return {
+        filename: `${number.replace(/\//g, '-')}.pdf`,
+        content,
+        contentType: 'application/pdf'
+    };
+};
+
+// Lampiran PDF untuk email notifikasi; kegagalan render hanya dicatat agar email tetap terkirim
+const buildPaymentAttachments = async (payment, kinds) => {
+    try {
+        return await Promise.all(kinds
+            .filter(kind => kind === 'invoice' || payment.receiptNumber)
+            .map(kind => buildPdfAttachment(payment, kind)));
+    } catch (error) {
+        logger.error('Error building payment PDF attachments:', error);
+        return [];
+    }
+};
+
+module.exports = {
+    generateInvoicePdf,
+    generateReceiptPdf,
+    generateDepositSettlementPdf,
+    buildPaymentAttachments
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const Tenant = require('../models/Tenant');
+const { logger } = require('./logger');
+
+// Dokumen pemohon sewa berisi data pribadi sehingga disimpan di luar folder uploads yang disajikan publik
+const getApplicationUploadDir = () => process.env.APPLICATION_UPLOAD_DIR || 'storage/applications';
+
+// Kumpulkan file dari req.file / req.files (array maupun fields) hasil multer
+const getUploadedFiles = (req) => {
+    return [
+        ...(req.file ? [req.file] : []),
+        ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+    ];
+};
+
+// Hapus file yang sudah terlanjur diupload multer jika request ditolak, termasuk hasil kompresinya
+const removeUploadedFiles = (req) => {
+    getUploadedFiles(req).forEach(file => {
+        const parsed = path.parse(file.path);
+        fs.unlink(file.path, () => {});
+        fs.unlink(path.join(parsed.dir, `${parsed.name}-compressed${parsed.ext}`), () => {});
+    });
+};
+
+// Ukuran file upload yang benar-benar tersimpan: hasil kompresi jika diproses processImage, selain itu file asli
+const getStoredBytes = async (req) => {
+    let total = 0;
+    for (const file of getUploadedFiles(req)) {
+        const parsed = path.parse(file.path);
+        for (const candidate of [path.join(parsed.dir, `${parsed.name}-compressed${parsed.ext}`), file.path]) {
+            try {
+                total += (await fs.promises.stat(candidate)).size;
+                break;
+            } catch (error) {
+                // File tidak ada; coba kandidat berikutnya
+            }
+        }
+    }
+    return total;
+};
+
+// Hapus file yang tidak lagi dipakai dan kurangi penggunaan storage tenant sebesar ukuran file yang dihapus
+const releaseStoredFiles = async (tenantId, filePaths) => {
+    let releasedBytes = 0;
+    for (const filePath of filePaths.filter(Boolean)) {
+        try {
+            const { size } = await fs.promises.stat(filePath);
+            await fs.promises.unlink(filePath);
+            releasedBytes += size;
+        } catch (error) {
+            logger.error(`Error removing stored file ${filePath}:`, error);
+        }
+    }
+
+    if (releasedBytes > 0) {
+        try {
+            await Tenant.updateOne({ _id: tenantId }, [{
+                $set: {
+                    'usage.storageBytes': {
+                        $max: [{ $subtract: [{ $ifNull: ['$usage.storageBytes', 0] }, releasedBytes] }, 0]
+                    }
+                }
+            }]);
+        } catch (error) {
+            logger.error(`Error releasing storage usage for tenant ${tenantId}:`, error);
+        }
+    }
+    return releasedBytes;
+};
+
+// URL file lama yang tidak lagi ada pada daftar file baru
+const getRemovedFileUrls = (previousUrls = [], currentFiles = []) => {
+    const kept = new Set(currentFiles.map(file => file && file.url));
+    return previousUrls.filter(url => url && !kept.has(url));
+};
+
+module.exports = {
+    getApplicationUploadDir,
+    getUploadedFiles,
+    removeUploadedFiles,
+    getStoredBytes,
+    releaseStoredFiles,
+    getRemovedFileUrls
+};
@@ -1,6 +1,7 @@
 const Announcement = require('../models/Announcement');
 const { sendEmail } = require('../config/email');
 const { processImage } = require('../config/imageProcessor');
+const { releaseStoredFiles, getRemovedFileUrls } = require('../config/storage');
 const { getCache, setCache, deleteCache } = require('../config/cache');
 const { logger } = require('../config/logger');
 
@@ -10,7 +11,7 @@ const { logger } = require('../config/logger');
 const getAnnouncements = async (req, res) => {
     try {
         const { query, page, limit, sort, fields, ...filters } = req.query;
-        const cacheKey = `announcements:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+        const cacheKey = `announcements:${JSON.stringify({ query, page, limit, sort, fields, language: req.user.preferences.language, ...filters })}`;
 
         // Cek cache
         const cachedData = await getCache(cacheKey);
@@ -24,6 +25,7 @@ const getAnnouncements = async (req, res) => {
             limit,
             sort,
             fields,
+            language: req.user.preferences.language,
             tenant: req.user.tenant,
             ...filters,
         });
@@ -224,9 +226,13 @@ const updateAnnouncement = async (req, res) => {
         }
 
         // Update pengumuman
+        const previousAttachmentUrls = announcement.attachments.map(attachment => attachment.url);
         Object.assign(announcement, req.body);
         await announcement.save();
 
+        // Hapus lampiran yang tidak lagi dipakai
+        await releaseStoredFiles(req.user.tenant, getRemovedFileUrls(previousAttachmentUrls, announcement.attachments));
+
         // Kirim email notifikasi ke target audience
         const targetUsers = await User.find({
             tenant: req.user.tenant,
@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const path = require('path');
+const Application = require('../models/Application');
+const Lease = require('../models/Lease');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const { sendEmail } = require('../config/email');
+const { processImage } = require('../config/imageProcessor');
+const { getCache, setCache, deleteCache } = require('../config/cache');
+const { removeUploadedFiles } = require('../config/storage');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hapus cache pengajuan dan unit yang terpengaruh reservasi
+const clearApplicationCache = async (application) => {
+    await deleteCache(`applications:${application.tenant}:*`);
+    await deleteCache('units:*');
+    await deleteCache(`unit:${application.unit._id || application.unit}:*`);
+    await deleteCache(`unit:stats:${application.property._id || application.property}`);
+};
+
+// Ambil pengajuan milik tenant pengguna
+const findTenantApplication = (id, tenantId) => {
+    return Application.findOne({ _id: id, tenant: tenantId })
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber type price status');
+};
+
+// @desc    Submit application for an available unit
+// @route   POST /api/applications
+// @access  Public
+const submitApplication = async (req, res) => {
+    try {
+        const {
+            unit: unitId,
+            name,
+            email,
+            phone,
+            occupation,
+            monthlyIncome,
+            householdSize,
+            desiredMoveInDate,
+            desiredLeaseMonths,
+            message
+        } = req.body;
+
+        const unit = await Unit.findOne({ _id: unitId, isActive: true }).populate('property', 'name tenant isActive');
+        if (!unit || !unit.property || !unit.property.isActive) {
+            removeUploadedFiles(req);
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        if (unit.status !== 'available') {
+            removeUploadedFiles(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Unit tidak tersedia untuk pengajuan sewa.',
+            });
+        }
+
+        const duplicate = await Application.exists({
+            unit: unit._id,
+            'applicant.email': email.toLowerCase(),
+            status: { $in: ['submitted', 'waitlisted', 'approved'] }
+        });
+        if (duplicate) {
+            removeUploadedFiles(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Anda sudah memiliki pengajuan yang sedang diproses untuk unit ini.',
+            });
+        }
+
+        // Proses dokumen pendukung; gambar dikompresi, PDF disimpan apa adanya
+        const documents = req.files && req.files.length > 0
+            ? await Promise.all(req.files.map(async (file) => ({
+                name: file.originalname,
+                url: file.mimetype.startsWith('image/') ? await processImage(file) : file.path,
+                uploadedAt: new Date()
+            })))
+            : [];
+
+        const application = await Application.create({
+            tenant: unit.property.tenant,
+            property: unit.property._id,
+            unit: unit._id,
+            applicant: { name, email, phone, occupation, monthlyIncome, householdSize },
+            desiredMoveInDate,
+            desiredLeaseMonths,
+            message,
+            documents
+        });
+
+        // Kirim email konfirmasi ke pemohon
+        await sendEmail({
+            email: application.applicant.email,
+            subject: 'Pengajuan Sewa Diterima',
+            html: `
+                <h2>Pengajuan Sewa Diterima</h2>
+                <p>Terima kasih, ${application.applicant.name}. Pengajuan sewa Anda telah kami terima dan akan segera ditinjau:</p>
+                <ul>
+                    <li>Properti: ${unit.property.name}</li>
+                    <li>Unit: ${unit.unitNumber}</li>
+                    <li>Rencana Masuk: ${application.desiredMoveInDate.toLocaleDateString()}</li>
+                </ul>
+            `,
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache(`applications:${application.tenant}:*`);
+
+        logger.info('New application submitted:', application._id);
+        res.status(201).json({
+            success: true,
+            data: {
+                _id: application._id,
+                status: application.status,
+                unit: unit.unitNumber,
+                property: unit.property.name,
+                desiredMoveInDate: application.desiredMoveInDate
+            },
+        });
+    } catch (error) {
+        removeUploadedFiles(req);
+        logger.error('Error submitting application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get all applications with filter, search, and pagination
+// @route   GET /api/applications
+// @access  Private (Admin/Manager)
+const getApplications = async (req, res) => {
+    try {
+        const { query, page, limit, sort, fields, ...filters } = req.query;
+        const cacheKey = `applications:${req.user.tenant}:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for applications list');
+            return res.json(cachedData);
+        }
+
+        const result = await Application.findWithFilter(query, {
+            page,
+            limit,
+            sort,
+            fields,
+            ...filters,
+            tenant: req.user.tenant,
+        });
+
+        const response = {
+            success: true,
+            count: result.applications.length,
+            pagination: result.pagination,
+            data: result.applications,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting applications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get single application
+// @route   GET /api/applications/:id
+// @access  Private (Admin/Manager)
+const getApplication = async (req, res) => {
+    try {
+        const application = await findTenantApplication(req.params.id, req.user.tenant)
+            .populate('review.reviewedBy', 'name')
+            .populate('resident', 'name email')
+            .populate('lease', 'startDate endDate rentAmount status');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pengajuan tidak ditemukan.',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: application,
+        });
+    } catch (error) {
+        logger.error('Error getting application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Download an applicant document
+// @route   GET /api/applications/:id/documents/:documentId
+// @access  Private (Admin/Manager)
+const getApplicationDocument = async (req, res) => {
+    try {
+        const application = await Application.findOne({ _id: req.params.id, tenant: req.user.tenant }).select('documents');
+        const document = application && application.documents.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dokumen tidak ditemukan.',
+            });
+        }
+
+        res.download(path.resolve(document.url), document.name, (error) => {
+            if (error && !res.headersSent) {
+                logger.error('Error sending application document:', error);
+                res.status(404).json({
+                    success: false,
+                    message: 'Dokumen tidak ditemukan.',
+                });
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting application document:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Approve (reserve the unit), reject, or waitlist an application
+// @route   POST /api/applications/:id/review
+// @access  Private (Admin/Manager)
+const reviewApplication = async (req, res) => {
+    try {
+        const { decision, notes, reservationDays } = req.body;
+        const application = await findTenantApplication(req.params.id, req.user.tenant);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pengajuan tidak ditemukan.',
+            });
+        }
+
+        if (!application.canReview(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: `Pengajuan dengan status ${application.status} tidak dapat di-${decision}.`,
+            });
+        }
+
+        if (decision === 'approve') {
+            try {
+                await application.reserveUnit(reservationDays);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                });
+            }
+            application.status = 'approved';
+        } else {
+            // Reservasi yang masih berjalan dilepas saat pengajuan ditolak
+            if (application.hasActiveReservation()) {
+                await application.releaseUnit();
+            }
+            application.status = decision === 'reject' ? 'rejected' : 'waitlisted';
+        }
+
+        application.review = {
+            decision,
+            notes,
+            reviewedBy: req.user._id,
+            reviewedAt: new Date()
+        };
+        await application.save();
+
+        // Kirim email hasil review ke pemohon
+        const messages = {
+            approve: decision === 'approve' && `Pengajuan Anda disetujui dan unit telah direservasi untuk Anda hingga
+                ${application.reservation.expiresAt.toLocaleString()}. Tim kami akan menghubungi Anda
+                untuk menyelesaikan kontrak sebelum reservasi berakhir.`,
+            reject: 'Mohon maaf, pengajuan Anda belum dapat kami setujui.',
+            waitlist: 'Pengajuan Anda masuk daftar tunggu. Kami akan menghubungi Anda jika unit tersedia.'
+        };
+        await sendEmail({
+            email: application.applicant.email,
+            subject: decision === 'approve' ? 'Pengajuan Sewa Disetujui' : 'Status Pengajuan Sewa',
+            html: `
+                <h2>${decision === 'approve' ? 'Pengajuan Sewa Disetujui' : 'Status Pengajuan Sewa'}</h2>
+                <p>${messages[decision]}</p>
+                <ul>
+                    <li>Properti: ${application.property.name}</li>
+                    <li>Unit: ${application.unit.unitNumber}</li>
+                </ul>
+                ${notes ? `<p>Catatan: ${notes}</p>` : ''}
+            `,
+        });
+
+        // Hapus cache yang terkait
+        await clearApplicationCache(application);
+
+        logger.info(`Application reviewed (${decision}):`, application._id);
+        res.json({
+            success: true,
+            data: application,
+        });
+    } catch (error) {
+        logger.error('Error reviewing application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Convert approved applicant into a resident user with an active lease on the reserved unit
+// @route   POST /api/applications/:id/convert
+// @access  Private (Admin/Manager)
+const convertApplication = async (req, res) => {
+    try {
+        const application = await findTenantApplication(req.params.id, req.user.tenant);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pengajuan tidak ditemukan.',
+            });
+        }
+
+        if (!application.hasActiveReservation()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Hanya pengajuan yang disetujui dengan reservasi yang masih berlaku yang dapat dikonversi.',
+            });
+        }
+
+        // Gunakan akun resident yang sudah ada pada tenant yang sama, jika email sudah terdaftar
+        const { applicant } = application;
+        let user = await User.findOne({ email: applicant.email });
+        let setupToken;
+        // User tanpa tenant (mis. super admin) juga dianggap pengguna lain
+        if (user && (!user.tenant || user.tenant.toString() !== req.user.tenant.toString() || user.role !== 'resident')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email pemohon sudah terdaftar sebagai pengguna lain.',
+            });
+        }
+        if (!user) {
+            // Akun baru dihitung ke kuota pengguna paket tenant, sama seperti POST /api/users
+            const tenant = await Tenant.findById(req.user.tenant);
+            const limit = tenant.getLimit(Tenant.PLAN_RESOURCES.users);
+            const usage = await tenant.getResourceUsage('users');
+            if (limit !== null && usage + 1 > limit) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'PLAN_LIMIT_EXCEEDED',
+                    message: `Batas users untuk paket ${tenant.subscription.plan} telah tercapai. Silakan upgrade paket Anda.`,
+                    limit: {
+                        resource: 'users',
+                        plan: tenant.subscription.plan,
+                        usage,
+                        limit,
+                        requested: 1
+                    },
+                });
+            }
+
+            // Pemohon mengatur password sendiri melalui link reset password
+            user = new User({
+                tenant: req.user.tenant,
+                name: applicant.name,
+                email: applicant.email,
+                phone: applicant.phone,
+                password: crypto.randomBytes(16).toString('hex'),
+                role: 'resident'
+            });
+            setupToken = user.createPasswordResetToken(7 * DAY_MS);
+        }
+
+        const startDate = req.body.startDate ? new Date(req.body.startDate) : application.desiredMoveInDate;
+        let endDate = req.body.endDate;
+        if (!endDate && application.desiredLeaseMonths) {
+            endDate = new Date(startDate.getFullYear(), startDate.getMonth() + application.desiredLeaseMonths, startDate.getDate() - 1);
+        }
+
+        const lease = new Lease({
+            tenant: req.user.tenant,
+            property: application.property._id,
+            unit: application.unit._id,
+            primaryResident: user._id,
+            startDate,
+            endDate,
+            rentAmount: req.body.rentAmount !== undefined ? req.body.rentAmount : application.unit.price,
+            currency: req.body.currency,
+            billingDay: req.body.billingDay,
+            depositAmount: req.body.depositAmount,
+            notes: `Dari pengajuan sewa ${application._id}`,
+            createdBy: req.user._id
+        });
+
+        try {
+            await lease.activate();
+            await lease.validate();
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        const isNewUser = user.isNew;
+        await user.save();
+        try {
+            // Hook save kontrak mengubah unit reserved menjadi occupied
+            await lease.save();
+        } catch (error) {
+            if (isNewUser) {
+                await user.deleteOne();
+            }
+            throw error;
+        }
+
+        application.status = 'converted';
+        application.resident = user._id;
+        application.lease = lease._id;
+        application.convertedAt = new Date();
+        await application.save();
+
+        // Kirim email selamat datang beserta link pengaturan password
+        await sendEmail({
+            email: user.email,
+            subject: 'Selamat Datang di ResiSmart',
+            html: `
+                <h2>Selamat Datang, ${user.name}</h2>
+                <p>Kontrak sewa Anda telah aktif:</p>
+                <ul>
+                    <li>Properti: ${application.property.name}</li>
+                    <li>Unit: ${application.unit.unitNumber}</li>
+                    <li>Mulai: ${lease.startDate.toLocaleDateString()}</li>
+                    <li>Sewa: ${lease.rentAmount} ${lease.currency}</li>
+                </ul>
+                ${setupToken ? `
+                <p>Silakan atur password akun Anda melalui link berikut (berlaku 7 hari):</p>
+                <a href="${process.env.FRONTEND_URL}/reset-password/${setupToken}">
+                    Atur Password
+                </a>` : ''}
+            `,
+        });
+
+        // Hapus cache yang terkait
+        await clearApplicationCache(application);
+        await deleteCache(`leases:${req.user.tenant}:*`);
+        if (isNewUser) {
+            await deleteCache('users:*');
+        }
+
+        logger.info('Application converted to resident:', application._id);
+        res.status(201).json({
+            success: true,
+            data: {
+                application,
+                resident: { _id: user._id, name: user.name, email: user.email },
+                lease,
+            },
+        });
+    } catch (error) {
+        logger.error('Error converting application:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    submitApplication,
+    getApplications,
+    getApplication,
+    getApplicationDocument,
+    reviewApplication,
+    convertApplication
+};
@@ -1,19 +1,161 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditLog');
+const { sendEmail } = require('../config/email');
+const { logger } = require('../config/logger');
+const { getResendWaitSeconds, sendVerificationEmail } = require('../auth/emailVerification');
+const { parseUserAgent } = require('../auth/device');
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d',
+// Masa berlaku access token; dibuat singkat karena sesi diperpanjang lewat refresh token
+const getAccessTokenExpire = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+
+// Generate JWT access token. tv (token version) dicocokkan di middleware protect, sid menandai sesi refresh token
+const generateToken = (user, sessionId) => {
+    return jwt.sign({ id: user._id, tv: user.tokenVersion || 0, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: getAccessTokenExpire(),
+    });
+};
+
+// Token tantangan login 2FA: hanya berlaku untuk POST /api/auth/2fa/verify, ditolak middleware protect
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+const generateChallengeToken = (user) => {
+    return jwt.sign({ id: user._id, tv: user.tokenVersion || 0, purpose: '2fa' }, process.env.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE,
     });
 };
 
-// @desc    Register user
+// Data pengguna yang dikembalikan endpoint autentikasi
+const toAuthUser = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    tenant: user.tenant,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactor.enabled,
+});
+
+// Buat pasangan access token dan refresh token untuk sesi baru
+const issueTokens = async (user, req) => {
+    const { token: refreshToken, doc } = await RefreshToken.issue(user, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+    });
+    return {
+        token: generateToken(user, doc.family),
+        refreshToken,
+        expiresIn: getAccessTokenExpire(),
+    };
+};
+
+// Data perangkat dari request untuk riwayat login
+const getLoginContext = (req) => {
+    const userAgent = req.get('user-agent');
+    const device = parseUserAgent(userAgent);
+    return {
+        device,
+        entry: {
+            ip: req.ip,
+            device: device.label,
+            deviceId: device.deviceId,
+            userAgent,
+        },
+    };
+};
+
+// Respons untuk akun yang sedang dikunci
+const sendLockedResponse = (res, user) => res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Akun dikunci sementara karena terlalu banyak percobaan login gagal. Silakan coba lagi nanti atau reset password.',
+    lockUntil: user.lockUntil,
+});
+
+// Catat login gagal. Password atau kode 2FA yang salah dihitung untuk penguncian akun;
+// mengembalikan true jika akun baru saja dikunci.
+const recordFailedLogin = async (user, req, failureReason) => {
+    const { entry } = getLoginContext(req);
+    const locked = ['invalid_password', 'invalid_two_factor'].includes(failureReason) && user.registerFailedLogin();
+    user.addLoginHistory({ ...entry, success: false, failureReason });
+    await user.save();
+
+    if (locked) {
+        logger.warn(`User ${user._id} locked after repeated failed logins, last from ${req.ip}`);
+        await sendEmail({
+            email: user.email,
+            subject: 'Akun Anda Dikunci Sementara',
+            html: `
+                <h2>Akun Dikunci Sementara</h2>
+                <p>Halo ${user.name},</p>
+                <p>Terdapat beberapa percobaan login gagal berturut-turut ke akun Anda, terakhir dari IP ${req.ip} (${entry.device}).</p>
+                <p>Akun Anda dikunci hingga ${user.lockUntil.toLocaleString()}. Jika ini bukan Anda, segera reset password Anda.</p>
+            `,
+        });
+    }
+    return locked;
+};
+
+// Selesaikan login yang berhasil: catat riwayat, kirim peringatan jika perangkat baru, lalu terbitkan token
+const completeLogin = async (user, req) => {
+    const { device, entry } = getLoginContext(req);
+    // Perangkat dianggap baru hanya jika user sudah punya login berhasil yang tercatat dengan deviceId,
+    // sehingga login pertama (dan riwayat lama tanpa deviceId) tidak memicu peringatan
+    const isNewDevice = user.loginHistory.some(item => item.success && item.deviceId) &&
+        !user.isKnownDevice(device.deviceId);
+
+    user.resetFailedLogins();
+    user.lastLogin = new Date();
+    user.addLoginHistory({ ...entry, success: true });
+    await user.save();
+
+    if (isNewDevice) {
+        logger.info(`Login from new device for user ${user._id}: ${device.label} (${req.ip})`);
+        await sendEmail({
+            email: user.email,
+            subject: 'Login dari Perangkat Baru',
+            html: `
+                <h2>Login dari Perangkat Baru</h2>
+                <p>Halo ${user.name},</p>
+                <p>Akun Anda baru saja digunakan untuk login dari perangkat yang belum pernah dipakai sebelumnya:</p>
+                <ul>
+                    <li>Perangkat: ${device.label}</li>
+                    <li>IP: ${req.ip}</li>
+                    <li>Waktu: ${user.lastLogin.toLocaleString()}</li>
+                </ul>
+                <p>Jika ini bukan Anda, segera ganti password dan akhiri semua sesi melalui menu keamanan akun.</p>
+            `,
+        });
+    }
+
+    return issueTokens(user, req);
+};
+
+// @desc    Register user (resident) pada tenant berdasarkan kode tenant
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res) => {
     try {
-        const { username, email, password, role, propertyId } = req.body;
+        const { name, email, password, phone, tenantCode } = req.body;
+
+        const tenant = await Tenant.findOne({ code: tenantCode.toUpperCase(), isActive: true });
+        if (!tenant || !tenant.hasActiveSubscription()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kode tenant tidak valid.',
+            });
+        }
+
+        const limit = tenant.getLimit(Tenant.PLAN_RESOURCES.users);
+        if (limit !== null && await tenant.getResourceUsage('users') >= limit) {
+            return res.status(403).json({
+                success: false,
+                code: 'PLAN_LIMIT_EXCEEDED',
+                message: 'Tenant tidak dapat menerima pengguna baru saat ini.',
+            });
+        }
 
         // Check if user exists
         const userExists = await User.findOne({ email });
@@ -24,29 +166,29 @@ const register = async (req, res) => {
             });
         }
 
-        // Create user
+        // Registrasi mandiri selalu sebagai resident; role lain dibuat oleh admin/manager
         const user = await User.create({
-            username,
+            tenant: tenant._id,
+            name,
             email,
             password,
-            role,
-            propertyId,
+            phone,
+            role: 'resident',
         });
 
-        if (user) {
-            res.status(201).json({
-                success: true,
-                data: {
-                    _id: user._id,
-                    username: user.username,
-                    email: user.email,
-                    role: user.role,
-                    propertyId: user.propertyId,
-                    token: generateToken(user._id),
-                },
-            });
-        }
+        await sendVerificationEmail(user);
+
+        logger.info(`User registered: ${user._id}`);
+        res.status(201).json({
+            success: true,
+            message: 'Registrasi berhasil. Silakan cek email Anda untuk verifikasi.',
+            data: {
+                ...toAuthUser(user),
+                ...(await completeLogin(user, req)),
+            },
+        });
     } catch (error) {
+        logger.error('Error registering user:', error);
         res.status(500).json({
             success: false,
             message: 'Terjadi kesalahan pada server.',
@@ -63,35 +205,132 @@ const login = async (req, res) => {
         const { email, password } = req.body;
 
         // Check for user email
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email }).select('+password');
         if (!user) {
+            logger.warn(`Failed login for unknown email from ${req.ip}`);
             return res.status(401).json({
                 success: false,
                 message: 'Email atau password salah.',
             });
         }
 
+        // Akun yang dikunci ditolak tanpa memeriksa password
+        if (user.isLocked()) {
+            await recordFailedLogin(user, req, 'account_locked');
+            return sendLockedResponse(res, user);
+        }
+
         // Check password
-        const isMatch = await user.comparePassword(password);
+        const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            if (await recordFailedLogin(user, req, 'invalid_password')) {
+                return sendLockedResponse(res, user);
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Email atau password salah.',
             });
         }
 
+        if (!user.isActive) {
+            await recordFailedLogin(user, req, 'inactive');
+            return res.status(401).json({
+                success: false,
+                message: 'Akun Anda telah dinonaktifkan.',
+            });
+        }
+
+        // Dengan 2FA aktif, token baru diberikan setelah kode authenticator diverifikasi
+        if (user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                message: 'Masukkan kode dari aplikasi authenticator atau kode cadangan.',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: generateChallengeToken(user),
+                    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE,
+                },
+            });
+        }
+
         res.json({
             success: true,
             data: {
-                _id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                propertyId: user.propertyId,
-                token: generateToken(user._id),
+                ...toAuthUser(user),
+                ...(await completeLogin(user, req)),
+            },
+        });
+    } catch (error) {
+        logger.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Langkah kedua login: verifikasi kode 2FA atau kode cadangan
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, backupCode } = req.body;
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+        if (!decoded || decoded.purpose !== '2fa') {
+            return res.status(401).json({
+                success: false,
+                message: 'Sesi login sudah kadaluarsa. Silakan login kembali.',
+            });
+        }
+
+        const user = await User.findById(decoded.id)
+            .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.backupCodes');
+        if (!user || !user.isActive || (user.tokenVersion || 0) !== decoded.tv) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sesi login sudah kadaluarsa. Silakan login kembali.',
+            });
+        }
+
+        if (user.isLocked()) {
+            await recordFailedLogin(user, req, 'account_locked');
+            return sendLockedResponse(res, user);
+        }
+
+        const method = user.verifyTwoFactor({ code, backupCode });
+        if (!method) {
+            if (await recordFailedLogin(user, req, 'invalid_two_factor')) {
+                return sendLockedResponse(res, user);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Kode autentikasi tidak valid.',
+            });
+        }
+        const tokens = await completeLogin(user, req);
+
+        if (method === 'backup_code') {
+            const remaining = user.twoFactor.backupCodes.filter(item => !item.usedAt).length;
+            await AuditLog.record(req, { action: 'two_factor.backup_code_used', user, metadata: { remaining } });
+            logger.warn(`Backup code used by user ${user._id}, ${remaining} remaining`);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...toAuthUser(user),
+                ...tokens,
             },
         });
     } catch (error) {
+        logger.error('Error verifying two-factor login:', error);
         res.status(500).json({
             success: false,
             message: 'Terjadi kesalahan pada server.',
@@ -113,17 +352,382 @@ const getProfile = async (req, res) => {
             });
         }
 
+        res.json({
+            success: true,
+            data: toAuthUser(user),
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Tukar refresh token dengan access token dan refresh token baru
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+    try {
+        const { user, token, doc } = await RefreshToken.rotate(req.body.refreshToken, {
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+        });
+
         res.json({
             success: true,
             data: {
-                _id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                propertyId: user.propertyId,
+                token: generateToken(user, doc.family),
+                refreshToken: token,
+                expiresIn: getAccessTokenExpire(),
             },
         });
     } catch (error) {
+        if (error instanceof RefreshToken.RefreshTokenError) {
+            if (error.code === 'REFRESH_TOKEN_REUSED') {
+                logger.warn(`Refresh token reuse detected from ${req.ip}`);
+            }
+            return res.status(401).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+            });
+        }
+        logger.error('Error refreshing token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Logout dari perangkat ini (cabut sesi refresh token)
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res) => {
+    try {
+        const token = await RefreshToken.findByToken(req.body.refreshToken);
+        if (token) {
+            await RefreshToken.revokeFamily(token.family, 'logout');
+        }
+
+        // Selalu berhasil agar endpoint tidak bisa dipakai untuk menebak token
+        res.json({
+            success: true,
+            message: 'Logout berhasil.',
+        });
+    } catch (error) {
+        logger.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Logout dari semua perangkat (batalkan semua access token dan refresh token)
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+        await RefreshToken.revokeAllForUser(user._id, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Anda telah logout dari semua perangkat.',
+        });
+    } catch (error) {
+        logger.error('Error logging out from all devices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// Email pemberitahuan bahwa password akun telah diubah
+const sendPasswordChangedEmail = (user) => sendEmail({
+    email: user.email,
+    subject: 'Password Anda Telah Diubah',
+    html: `
+        <h2>Password Diubah</h2>
+        <p>Halo ${user.name},</p>
+        <p>Password akun Anda baru saja diubah dan semua sesi login sebelumnya telah diakhiri.</p>
+        <p>Jika Anda tidak melakukan perubahan ini, segera reset password Anda dan hubungi pengelola.</p>
+    `,
+});
+
+// @desc    Minta link reset password
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email, isActive: true });
+
+        if (user) {
+            const resetToken = user.createPasswordResetToken(); // 10 menit
+            await user.save();
+
+            await sendEmail({
+                email: user.email,
+                subject: 'Reset Password',
+                html: `
+                    <h2>Reset Password</h2>
+                    <p>Anda telah meminta untuk mereset password Anda. Silakan klik link di bawah ini:</p>
+                    <a href="${process.env.FRONTEND_URL}/reset-password/${resetToken}">
+                        Reset Password
+                    </a>
+                    <p>Link ini akan kadaluarsa dalam 10 menit.</p>
+                    <p>Jika Anda tidak meminta reset password, abaikan email ini.</p>
+                `,
+            });
+        }
+
+        // Respons sama untuk email terdaftar maupun tidak agar email pengguna tidak bisa ditebak
+        res.json({
+            success: true,
+            message: 'Jika email terdaftar, link reset password telah dikirim.',
+        });
+    } catch (error) {
+        logger.error('Error requesting password reset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Reset password menggunakan token dari email
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res) => {
+    try {
+        const user = await User.findByResetToken(req.params.token);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token reset password tidak valid atau sudah kadaluarsa.',
+            });
+        }
+
+        // Simpan password baru; hook save User mencabut semua sesi yang ada
+        user.password = req.body.password;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        user.resetFailedLogins();
+        // Token diterima melalui email, sehingga kepemilikan email sekaligus terverifikasi
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.verificationToken = undefined;
+            user.verificationExpire = undefined;
+        }
+        await user.save();
+
+        await sendPasswordChangedEmail(user);
+
+        logger.info(`Password reset for user ${user._id}`);
+        res.json({
+            success: true,
+            message: 'Password berhasil direset. Silakan login dengan password baru.',
+        });
+    } catch (error) {
+        logger.error('Error resetting password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Ganti password pengguna yang sedang login
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+password');
+
+        const isMatch = await user.matchPassword(req.body.currentPassword);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password saat ini salah.',
+            });
+        }
+
+        // Semua sesi lama dicabut oleh hook save User; perangkat ini mendapat sesi baru
+        user.password = req.body.newPassword;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+
+        await sendPasswordChangedEmail(user);
+
+        logger.info(`Password changed for user ${user._id}`);
+        res.json({
+            success: true,
+            message: 'Password berhasil diubah. Sesi di perangkat lain telah diakhiri.',
+            data: await issueTokens(user, req),
+        });
+    } catch (error) {
+        logger.error('Error changing password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Verifikasi email menggunakan token dari email
+// @route   GET /api/auth/verify-email/:token
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+    try {
+        const user = await User.findByVerificationToken(req.params.token);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token verifikasi tidak valid atau sudah kadaluarsa.',
+            });
+        }
+
+        user.emailVerified = true;
+        user.verificationToken = undefined;
+        user.verificationExpire = undefined;
+        await user.save();
+
+        logger.info(`Email verified for user ${user._id}`);
+        res.json({
+            success: true,
+            message: 'Email berhasil diverifikasi.',
+        });
+    } catch (error) {
+        logger.error('Error verifying email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Kirim ulang email verifikasi
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email Anda sudah terverifikasi.',
+            });
+        }
+
+        const waitSeconds = getResendWaitSeconds(user);
+        if (waitSeconds > 0) {
+            res.set('Retry-After', String(waitSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Email verifikasi baru saja dikirim. Silakan coba lagi dalam ${Math.ceil(waitSeconds / 60)} menit.`,
+                retryAfter: waitSeconds,
+            });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({
+            success: true,
+            message: 'Email verifikasi telah dikirim.',
+        });
+    } catch (error) {
+        logger.error('Error resending verification email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Daftar sesi login aktif pengguna
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+    try {
+        const tokens = await RefreshToken.findActiveSessions(req.user._id);
+
+        const sessions = tokens.map(token => {
+            const device = parseUserAgent(token.userAgent);
+            return {
+                id: token.family,
+                device: device.label,
+                browser: device.browser,
+                os: device.os,
+                type: device.type,
+                ip: token.createdByIp,
+                startedAt: token.sessionStartedAt || token.createdAt,
+                lastActiveAt: token.createdAt,
+                expiresAt: token.expiresAt,
+                current: token.family === req.sessionId,
+            };
+        });
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions,
+        });
+    } catch (error) {
+        logger.error('Error getting sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Cabut satu sesi login
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+    try {
+        const token = await RefreshToken.findOne({
+            user: req.user._id,
+            family: req.params.id,
+            revokedAt: null,
+        });
+
+        if (!token) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sesi tidak ditemukan.',
+            });
+        }
+
+        await RefreshToken.revokeFamily(token.family, 'logout');
+
+        logger.info(`Session ${token.family} revoked by user ${req.user._id}`);
+        res.json({
+            success: true,
+            message: `Sesi berhasil dicabut. Perangkat tersebut harus login kembali setelah access token berakhir (maks. ${getAccessTokenExpire()}).`,
+        });
+    } catch (error) {
+        logger.error('Error revoking session:', error);
         res.status(500).json({
             success: false,
             message: 'Terjadi kesalahan pada server.',
@@ -135,5 +739,16 @@ const getProfile = async (req, res) => {
 module.exports = {
     register,
     login,
+    verifyTwoFactorLogin,
     getProfile,
-}; 
\ No newline at end of file
+    refreshToken,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    verifyEmail,
+    resendVerification,
+    getSessions,
+    revokeSession,
+};
\ No newline at end of file
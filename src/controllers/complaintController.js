@@ -11,7 +11,7 @@ const User = require('../models/User');
 const getComplaints = async (req, res) => {
     try {
         const { query, page, limit, sort, fields, ...filters } = req.query;
-        const cacheKey = `complaints:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+        const cacheKey = `complaints:${JSON.stringify({ query, page, limit, sort, fields, language: req.user.preferences.language, ...filters })}`;
 
         // Cek cache
         const cachedData = await getCache(cacheKey);
@@ -25,6 +25,7 @@ const getComplaints = async (req, res) => {
             limit,
             sort,
             fields,
+            language: req.user.preferences.language,
             tenant: req.user.tenant,
             ...filters,
         });
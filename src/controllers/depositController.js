@@ -0,0 +1,587 @@
+const Deposit = require('../models/Deposit');
+const Payment = require('../models/Payment');
+const Unit = require('../models/Unit');
+const Lease = require('../models/Lease');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Maintenance = require('../models/Maintenance');
+const { sendEmail } = require('../config/email');
+const { generateDepositSettlementPdf, buildPaymentAttachments } = require('../config/pdfGenerator');
+const { getCache, setCache, deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cek akses tenant; resident hanya dapat mengakses deposit miliknya
+const canAccessDeposit = (deposit, user) => {
+    const tenantId = deposit.tenant._id || deposit.tenant;
+    const residentId = deposit.resident._id || deposit.resident;
+    return tenantId.toString() === user.tenant.toString() &&
+        (user.role !== 'resident' || residentId.toString() === user._id.toString());
+};
+
+// Susun potongan settlement; potongan yang ditautkan ke pemeliharaan memakai cost.actual sebagai nominal default
+const buildDeductions = async (deposit, items = []) => {
+    const deductions = [];
+
+    for (const item of items) {
+        if (!item.maintenance) {
+            if (!item.description || !(Number(item.amount) >= 0)) {
+                throw new Error('Setiap potongan harus memiliki deskripsi dan jumlah.');
+            }
+            deductions.push({ description: item.description, amount: Number(item.amount) });
+            continue;
+        }
+
+        const maintenance = await Maintenance.findOne({
+            _id: item.maintenance,
+            tenant: deposit.tenant,
+            unit: deposit.unit
+        });
+        if (!maintenance) {
+            throw new Error('Data pemeliharaan untuk unit ini tidak ditemukan.');
+        }
+
+        const alreadyCharged = await Deposit.exists({
+            _id: { $ne: deposit._id },
+            'settlement.deductions.maintenance': maintenance._id
+        });
+        if (alreadyCharged) {
+            throw new Error(`Biaya pemeliharaan "${maintenance.title}" sudah dibebankan ke deposit lain.`);
+        }
+
+        const amount = item.amount !== undefined ? Number(item.amount) : maintenance.cost && maintenance.cost.actual;
+        if (!(amount >= 0)) {
+            throw new Error(`Biaya aktual pemeliharaan "${maintenance.title}" belum diisi.`);
+        }
+
+        deductions.push({
+            description: item.description || maintenance.title,
+            amount,
+            maintenance: maintenance._id
+        });
+    }
+
+    return deductions;
+};
+
+// @desc    Get all deposits with filter, search, and pagination
+// @route   GET /api/deposits
+// @access  Private
+const getDeposits = async (req, res) => {
+    try {
+        const { query, page, limit, sort, fields, ...filters } = req.query;
+
+        // Resident hanya melihat deposit miliknya sendiri
+        if (req.user.role === 'resident') {
+            filters.resident = req.user._id.toString();
+        }
+
+        const cacheKey = `deposits:${req.user.tenant}:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for deposits list');
+            return res.json(cachedData);
+        }
+
+        const result = await Deposit.findWithFilter(query, {
+            page,
+            limit,
+            sort,
+            fields,
+            ...filters,
+            tenant: req.user.tenant,
+        });
+
+        const response = {
+            success: true,
+            count: result.deposits.length,
+            pagination: result.pagination,
+            data: result.deposits,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting deposits:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get single deposit
+// @route   GET /api/deposits/:id
+// @access  Private
+const getDeposit = async (req, res) => {
+    try {
+        const deposit = await Deposit.findById(req.params.id)
+            .populate('property', 'name')
+            .populate('unit', 'unitNumber')
+            .populate('resident', 'name email')
+            .populate('payment', 'invoiceNumber amount amountPaid balance status dueDate')
+            .populate('settlement.balancePayment', 'invoiceNumber amount balance status dueDate')
+            .populate('settlement.deductions.maintenance', 'title category status cost');
+
+        if (!deposit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deposit tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessDeposit(deposit, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke data deposit ini.',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: deposit,
+        });
+    } catch (error) {
+        logger.error('Error getting deposit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Record a security deposit for a unit occupancy and issue its invoice
+// @route   POST /api/deposits
+// @access  Private (Admin/Manager)
+const createDeposit = async (req, res) => {
+    try {
+        const { unit: unitId, lease: leaseId, amount, currency, paymentMethod = 'bank_transfer', dueDate, notes } = req.body;
+
+        const unit = await Unit.findById(unitId).populate('property', 'name tenant');
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (!unit.property || unit.property.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke unit ini.',
+            });
+        }
+
+        // Deposit kontrak sewa mengikuti penghuni utama dan periode kontrak
+        let lease;
+        if (leaseId) {
+            lease = await Lease.findOne({ _id: leaseId, unit: unit._id, status: { $ne: 'ended' } });
+            if (!lease) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Kontrak sewa untuk unit ini tidak ditemukan.',
+                });
+            }
+        }
+
+        const residentId = (lease && lease.primaryResident) || req.body.resident || unit.currentTenant;
+        if (!residentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Resident harus dipilih atau unit harus memiliki penghuni.',
+            });
+        }
+
+        // Resident yang dipilih manual harus resident aktif pada tenant yang sama
+        if (!lease && req.body.resident) {
+            const resident = await User.exists({
+                _id: residentId,
+                tenant: req.user.tenant,
+                role: 'resident',
+                isActive: true
+            });
+            if (!resident) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Penghuni tidak ditemukan atau bukan resident aktif.',
+                });
+            }
+        }
+
+        const activeDeposit = await Deposit.exists({
+            unit: unit._id,
+            resident: residentId,
+            status: { $in: ['pending', 'held'] }
+        });
+        if (activeDeposit) {
+            return res.status(400).json({
+                success: false,
+                message: 'Resident sudah memiliki deposit aktif untuk unit ini.',
+            });
+        }
+
+        const description = `Deposit jaminan unit ${unit.unitNumber}`;
+        const payment = await Payment.create({
+            tenant: req.user.tenant,
+            property: unit.property._id,
+            unit: unit._id,
+            resident: residentId,
+            type: 'deposit',
+            description,
+            lineItems: [{ type: 'deposit', description, unitPrice: Number(amount) }],
+            amount: Number(amount),
+            currency,
+            paymentMethod,
+            dueDate: dueDate || new Date(Date.now() + 7 * DAY_MS)
+        });
+
+        let deposit;
+        try {
+            deposit = await Deposit.create({
+                tenant: req.user.tenant,
+                property: unit.property._id,
+                unit: unit._id,
+                resident: residentId,
+                occupancy: lease
+                    ? { startDate: lease.startDate, endDate: lease.endDate }
+                    : unit.currentTenant && unit.currentTenant.toString() === residentId.toString()
+                        ? unit.occupancy
+                        : undefined,
+                lease: lease && lease._id,
+                amount: payment.amount,
+                currency: payment.currency,
+                payment: payment._id,
+                notes
+            });
+        } catch (error) {
+            // Jangan tinggalkan tagihan deposit tanpa catatan deposit
+            await payment.deleteOne();
+            throw error;
+        }
+
+        if (lease) {
+            lease.deposit = deposit._id;
+            await lease.save();
+            await deleteCache(`leases:${req.user.tenant}:*`);
+        }
+
+        // Kirim email notifikasi ke resident dengan lampiran invoice PDF
+        const document = await Payment.findForDocument(payment._id);
+        await sendEmail({
+            email: document.resident.email,
+            subject: 'Tagihan Deposit Jaminan',
+            html: `
+                <h2>Tagihan Deposit Jaminan</h2>
+                <p>Deposit jaminan untuk unit ${unit.unitNumber} di ${unit.property.name} telah ditagihkan:</p>
+                <ul>
+                    <li>No. Invoice: ${payment.invoiceNumber}</li>
+                    <li>Jumlah: ${payment.amount} ${payment.currency}</li>
+                    <li>Jatuh Tempo: ${payment.dueDate.toLocaleDateString()}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                    Lihat Detail
+                </a>
+            `,
+            attachments: await buildPaymentAttachments(document, ['invoice']),
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache(`deposits:${req.user.tenant}:*`);
+        await deleteCache('payments:*');
+
+        logger.info('New deposit recorded:', deposit._id);
+        res.status(201).json({
+            success: true,
+            data: deposit,
+        });
+    } catch (error) {
+        logger.error('Error creating deposit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Settle a held deposit at move-out, deducting damages
+// @route   POST /api/deposits/:id/settlement
+// @access  Private (Admin/Manager)
+const settleDeposit = async (req, res) => {
+    try {
+        const deposit = await Deposit.findById(req.params.id).populate('property', 'name billing');
+
+        if (!deposit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deposit tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessDeposit(deposit, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke data deposit ini.',
+            });
+        }
+
+        try {
+            const deductions = await buildDeductions(deposit, req.body.deductions);
+            deposit.settle({
+                deductions,
+                moveOutDate: req.body.moveOutDate,
+                notes: req.body.notes
+            }, req.user._id);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        deposit.settlement.documentNumber = await Tenant.nextDocumentNumber(req.user.tenant, 'deposit', 'DEP');
+
+        // Potongan melebihi deposit: tagihkan kekurangannya sebagai invoice baru
+        let balancePayment;
+        if (deposit.settlement.balanceDue > 0) {
+            const dueDays = (deposit.property.billing && deposit.property.billing.dueDays) || 7;
+            const description = `Kekurangan deposit (${deposit.settlement.documentNumber})`;
+            balancePayment = await Payment.create({
+                tenant: deposit.tenant,
+                property: deposit.property._id,
+                unit: deposit.unit,
+                resident: deposit.resident,
+                type: 'other',
+                description,
+                lineItems: [{ type: 'maintenance', description, unitPrice: deposit.settlement.balanceDue }],
+                amount: deposit.settlement.balanceDue,
+                currency: deposit.currency,
+                paymentMethod: (deposit.property.billing && deposit.property.billing.defaultPaymentMethod) || 'bank_transfer',
+                dueDate: new Date(Date.now() + dueDays * DAY_MS)
+            });
+            deposit.settlement.balancePayment = balancePayment._id;
+        }
+
+        try {
+            await deposit.save();
+        } catch (error) {
+            // Batalkan tagihan kekurangan agar tidak tertinggal tanpa settlement; ledger membalik posting-nya
+            if (balancePayment) {
+                balancePayment.status = 'cancelled';
+                await balancePayment.save();
+            }
+            throw error;
+        }
+
+        // Kirim dokumen settlement ke resident
+        const document = await Deposit.findForDocument(deposit._id);
+        const attachments = [];
+        try {
+            attachments.push({
+                filename: `${deposit.settlement.documentNumber.replace(/\//g, '-')}.pdf`,
+                content: await generateDepositSettlementPdf(document),
+                contentType: 'application/pdf'
+            });
+        } catch (error) {
+            logger.error('Error generating deposit settlement PDF:', error);
+        }
+        if (deposit.settlement.balancePayment) {
+            attachments.push(...await buildPaymentAttachments(
+                await Payment.findForDocument(deposit.settlement.balancePayment),
+                ['invoice']
+            ));
+        }
+
+        await sendEmail({
+            email: document.resident.email,
+            subject: 'Settlement Deposit Jaminan',
+            html: `
+                <h2>Settlement Deposit Jaminan</h2>
+                <p>Deposit jaminan untuk unit ${document.unit.unitNumber} di ${document.property.name} telah diperhitungkan:</p>
+                <ul>
+                    <li>Deposit Diterima: ${deposit.amountHeld} ${deposit.currency}</li>
+                    <li>Total Potongan: ${deposit.settlement.totalDeductions} ${deposit.currency}</li>
+                    ${deposit.settlement.balanceDue > 0
+                        ? `<li>Kekurangan: ${deposit.settlement.balanceDue} ${deposit.currency}</li>`
+                        : `<li>Dikembalikan: ${deposit.settlement.refundAmount} ${deposit.currency}</li>`}
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/deposits/${deposit._id}">
+                    Lihat Detail
+                </a>
+            `,
+            attachments,
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache(`deposits:${req.user.tenant}:*`);
+        await deleteCache('payments:*');
+
+        logger.info('Deposit settled:', deposit._id);
+        res.json({
+            success: true,
+            data: deposit,
+        });
+    } catch (error) {
+        logger.error('Error settling deposit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Record refund of the remaining deposit to the resident
+// @route   POST /api/deposits/:id/refund
+// @access  Private (Admin/Manager)
+const refundDeposit = async (req, res) => {
+    try {
+        const deposit = await Deposit.findById(req.params.id).populate('resident', 'name email');
+
+        if (!deposit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deposit tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessDeposit(deposit, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke data deposit ini.',
+            });
+        }
+
+        if (deposit.status !== 'settled' || deposit.settlement.refund.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Deposit ini tidak memiliki pengembalian yang menunggu diproses.',
+            });
+        }
+
+        const { method = 'bank_transfer', reference, refundedAt } = req.body;
+        deposit.settlement.refund = {
+            status: 'refunded',
+            method,
+            reference,
+            refundedAt: refundedAt || new Date(),
+            refundedBy: req.user._id
+        };
+        await deposit.save();
+
+        // Kirim email notifikasi ke resident
+        await sendEmail({
+            email: deposit.resident.email,
+            subject: 'Deposit Jaminan Dikembalikan',
+            html: `
+                <h2>Deposit Jaminan Dikembalikan</h2>
+                <p>Sisa deposit jaminan Anda telah dikembalikan:</p>
+                <ul>
+                    <li>No. Dokumen: ${deposit.settlement.documentNumber}</li>
+                    <li>Jumlah: ${deposit.settlement.refundAmount} ${deposit.currency}</li>
+                    <li>Referensi: ${reference || '-'}</li>
+                </ul>
+            `,
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache(`deposits:${req.user.tenant}:*`);
+
+        logger.info('Deposit refunded:', deposit._id);
+        res.json({
+            success: true,
+            data: deposit,
+        });
+    } catch (error) {
+        logger.error('Error refunding deposit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Download deposit settlement document (refund or balance due)
+// @route   GET /api/deposits/:id/settlement.pdf
+// @access  Private
+const getDepositSettlementPdf = async (req, res) => {
+    try {
+        const deposit = await Deposit.findForDocument(req.params.id);
+
+        if (!deposit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deposit tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessDeposit(deposit, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke data deposit ini.',
+            });
+        }
+
+        if (deposit.status !== 'settled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Dokumen settlement hanya tersedia untuk deposit yang sudah diselesaikan.',
+            });
+        }
+
+        const buffer = await generateDepositSettlementPdf(deposit);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${deposit.settlement.documentNumber.replace(/\//g, '-')}.pdf"`,
+            'Content-Length': buffer.length
+        });
+        res.send(buffer);
+    } catch (error) {
+        logger.error('Error generating deposit settlement PDF:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get deposit liability per property
+// @route   GET /api/deposits/liability
+// @access  Private (Admin/Manager)
+const getDepositLiability = async (req, res) => {
+    try {
+        const liability = await Deposit.getLiabilitySummary(req.user.tenant);
+
+        res.json({
+            success: true,
+            data: liability,
+        });
+    } catch (error) {
+        logger.error('Error getting deposit liability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    getDeposits,
+    getDeposit,
+    createDeposit,
+    settleDeposit,
+    refundDeposit,
+    getDepositSettlementPdf,
+    getDepositLiability
+};
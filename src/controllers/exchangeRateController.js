@@ -0,0 +1,157 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { CURRENCY_CODES, toMinor, fromMinor, convertMinor } = require('../accounting/money');
+const { logger } = require('../config/logger');
+
+// @desc    Get exchange rates with filter and pagination
+// @route   GET /api/exchange-rates
+// @access  Private (Admin/Manager)
+const getExchangeRates = async (req, res) => {
+    try {
+        const { page, limit, base, quote } = req.query;
+        const filters = { tenant: req.user.tenant };
+        if (base) {
+            filters.base = base;
+        }
+        if (quote) {
+            filters.quote = quote;
+        }
+
+        const result = await ExchangeRate.findWithFilter({ page, limit, ...filters });
+
+        res.json({
+            success: true,
+            count: result.rates.length,
+            pagination: result.pagination,
+            data: result.rates,
+        });
+    } catch (error) {
+        logger.error('Error getting exchange rates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Convert an amount using the rate effective on a date
+// @route   GET /api/exchange-rates/convert
+// @access  Private
+const convertAmount = async (req, res) => {
+    try {
+        const { amount, from, to, date } = req.query;
+        const effectiveAt = date ? new Date(date) : new Date();
+
+        if (!CURRENCY_CODES.includes(from) || !CURRENCY_CODES.includes(to) ||
+            isNaN(Number(amount)) || isNaN(effectiveAt.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parameter amount, from, to, dan date harus valid.',
+            });
+        }
+
+        const found = await ExchangeRate.findRate(req.user.tenant, from, to, effectiveAt);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: `Kurs ${from}/${to} yang berlaku pada tanggal tersebut tidak ditemukan.`,
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                amount: Number(amount),
+                rate: found.rate,
+                effectiveDate: found.effectiveDate,
+                result: fromMinor(convertMinor(toMinor(Number(amount), from), from, to, found.rate), to)
+            },
+        });
+    } catch (error) {
+        logger.error('Error converting amount:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Add exchange rate effective from a date
+// @route   POST /api/exchange-rates
+// @access  Private (Admin/Manager)
+const createExchangeRate = async (req, res) => {
+    try {
+        const { base, quote, rate, effectiveDate, source, notes } = req.body;
+
+        const exists = await ExchangeRate.exists({ tenant: req.user.tenant, base, quote, effectiveDate });
+        if (exists) {
+            return res.status(400).json({
+                success: false,
+                message: `Kurs ${base}/${quote} untuk tanggal efektif tersebut sudah ada.`,
+            });
+        }
+
+        const exchangeRate = await ExchangeRate.create({
+            tenant: req.user.tenant,
+            base,
+            quote,
+            rate,
+            effectiveDate,
+            source,
+            notes,
+            createdBy: req.user._id
+        });
+
+        logger.info('New exchange rate created:', exchangeRate._id);
+        res.status(201).json({
+            success: true,
+            data: exchangeRate,
+        });
+    } catch (error) {
+        logger.error('Error creating exchange rate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Delete exchange rate (existing snapshots are not changed)
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (Admin)
+const deleteExchangeRate = async (req, res) => {
+    try {
+        const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, tenant: req.user.tenant });
+
+        if (!exchangeRate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kurs tidak ditemukan.',
+            });
+        }
+
+        logger.info('Exchange rate deleted:', exchangeRate._id);
+        res.json({
+            success: true,
+            message: 'Kurs berhasil dihapus.',
+        });
+    } catch (error) {
+        logger.error('Error deleting exchange rate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    getExchangeRates,
+    convertAmount,
+    createExchangeRate,
+    deleteExchangeRate
+};
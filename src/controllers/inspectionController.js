@@ -0,0 +1,574 @@
+const Inspection = require('../models/Inspection');
+const InspectionTemplate = require('../models/InspectionTemplate');
+const Lease = require('../models/Lease');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const { sendEmail } = require('../config/email');
+const { processImage } = require('../config/imageProcessor');
+const { getCache, setCache, deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+// Cek akses tenant; resident hanya dapat mengakses inspeksi miliknya
+const canAccessInspection = (inspection, user) => {
+    const tenantId = inspection.tenant._id || inspection.tenant;
+    const residentId = inspection.resident._id || inspection.resident;
+    return tenantId.toString() === user.tenant.toString() &&
+        (user.role !== 'resident' || residentId.toString() === user._id.toString());
+};
+
+// Ambil inspeksi dan kirim respons 404/403 jika tidak dapat diakses
+const findAccessibleInspection = async (req, res) => {
+    const inspection = await Inspection.findById(req.params.id);
+
+    if (!inspection) {
+        res.status(404).json({
+            success: false,
+            message: 'Inspeksi tidak ditemukan.',
+        });
+        return null;
+    }
+
+    if (!canAccessInspection(inspection, req.user)) {
+        res.status(403).json({
+            success: false,
+            message: 'Anda tidak memiliki akses ke inspeksi ini.',
+        });
+        return null;
+    }
+
+    return inspection;
+};
+
+// @desc    Get checklist templates for every unit type (built-in template if not configured)
+// @route   GET /api/inspections/templates
+// @access  Private (Admin/Manager/Staff)
+const getInspectionTemplates = async (req, res) => {
+    try {
+        const templates = await InspectionTemplate.getAllForTenant(req.user.tenant);
+
+        res.json({
+            success: true,
+            data: templates,
+        });
+    } catch (error) {
+        logger.error('Error getting inspection templates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Create or replace checklist template for a unit type
+// @route   PUT /api/inspections/templates/:unitType
+// @access  Private (Admin/Manager)
+const updateInspectionTemplate = async (req, res) => {
+    try {
+        const { unitType } = req.params;
+        if (!Unit.TYPES.includes(unitType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tipe unit tidak valid.',
+            });
+        }
+
+        const template = await InspectionTemplate.findOne({ tenant: req.user.tenant, unitType }) ||
+            new InspectionTemplate({ tenant: req.user.tenant, unitType });
+        template.name = req.body.name;
+        template.rooms = req.body.rooms;
+        template.updatedBy = req.user._id;
+
+        try {
+            await template.validate();
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await template.save();
+
+        logger.info('Inspection template updated:', template._id);
+        res.json({
+            success: true,
+            data: template,
+        });
+    } catch (error) {
+        logger.error('Error updating inspection template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get all inspections with filter and pagination
+// @route   GET /api/inspections
+// @access  Private
+const getInspections = async (req, res) => {
+    try {
+        const { query, page, limit, sort, fields, ...filters } = req.query;
+
+        // Resident hanya melihat inspeksi miliknya sendiri
+        if (req.user.role === 'resident') {
+            filters.resident = req.user._id.toString();
+        }
+
+        const cacheKey = `inspections:${req.user.tenant}:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for inspections list');
+            return res.json(cachedData);
+        }
+
+        const result = await Inspection.findWithFilter(query, {
+            page,
+            limit,
+            sort,
+            fields,
+            ...filters,
+            tenant: req.user.tenant,
+        });
+
+        const response = {
+            success: true,
+            count: result.inspections.length,
+            pagination: result.pagination,
+            data: result.inspections,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting inspections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get single inspection with its checklist
+// @route   GET /api/inspections/:id
+// @access  Private
+const getInspection = async (req, res) => {
+    try {
+        const inspection = await Inspection.findById(req.params.id)
+            .populate('property', 'name')
+            .populate('unit', 'unitNumber floor type')
+            .populate('resident', 'name email')
+            .populate('inspectedBy', 'name')
+            .populate('signOff.signedBy', 'name');
+
+        if (!inspection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inspeksi tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessInspection(inspection, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke inspeksi ini.',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: inspection,
+        });
+    } catch (error) {
+        logger.error('Error getting inspection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Start move-in or move-out inspection using the unit type checklist template
+// @route   POST /api/inspections
+// @access  Private (Admin/Manager/Staff)
+const createInspection = async (req, res) => {
+    try {
+        const { unit: unitId, type, lease: leaseId, notes } = req.body;
+
+        const unit = await Unit.findById(unitId).populate('property', 'name tenant');
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (!unit.property || unit.property.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke unit ini.',
+            });
+        }
+
+        // Penghuni diambil dari kontrak, body, atau penghuni unit saat ini
+        let lease;
+        if (leaseId) {
+            lease = await Lease.findOne({ _id: leaseId, unit: unit._id });
+            if (!lease) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Kontrak sewa untuk unit ini tidak ditemukan.',
+                });
+            }
+        }
+
+        const residentId = (lease && lease.primaryResident) || req.body.resident || unit.currentTenant;
+        const resident = residentId && await User.findOne({
+            _id: residentId,
+            tenant: req.user.tenant,
+            role: 'resident'
+        });
+        if (!resident) {
+            return res.status(400).json({
+                success: false,
+                message: 'Resident harus dipilih atau unit harus memiliki penghuni.',
+            });
+        }
+
+        const openInspection = await Inspection.exists({ unit: unit._id, type, status: 'draft' });
+        if (openInspection) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unit ini masih memiliki inspeksi yang belum diselesaikan.',
+            });
+        }
+
+        const inspection = new Inspection({
+            tenant: req.user.tenant,
+            property: unit.property._id,
+            unit: unit._id,
+            lease: lease && lease._id,
+            resident: resident._id,
+            type,
+            notes,
+            inspectedBy: req.user._id
+        });
+        inspection.applyTemplate(await InspectionTemplate.getForUnitType(req.user.tenant, unit.type));
+
+        if (type === 'move_out') {
+            const moveIn = await Inspection.findMoveInFor(inspection);
+            inspection.moveInInspection = moveIn && moveIn._id;
+        }
+
+        await inspection.save();
+
+        // Hapus cache yang terkait
+        await deleteCache(`inspections:${req.user.tenant}:*`);
+
+        logger.info('New inspection created:', inspection._id);
+        res.status(201).json({
+            success: true,
+            data: inspection,
+        });
+    } catch (error) {
+        logger.error('Error creating inspection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Rate checklist items (condition and notes)
+// @route   PATCH /api/inspections/:id/items
+// @access  Private (Admin/Manager/Staff)
+const updateInspectionItems = async (req, res) => {
+    try {
+        const inspection = await findAccessibleInspection(req, res);
+        if (!inspection) {
+            return;
+        }
+
+        if (inspection.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Inspeksi yang sudah diselesaikan tidak dapat diubah.',
+            });
+        }
+
+        for (const update of req.body.items) {
+            const item = inspection.items.id(update.id);
+            if (!item) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Item ${update.id} tidak ditemukan pada inspeksi ini.`,
+                });
+            }
+            if (update.condition !== undefined) {
+                item.condition = update.condition;
+            }
+            if (update.notes !== undefined) {
+                item.notes = update.notes;
+            }
+        }
+
+        await inspection.save();
+
+        // Hapus cache yang terkait
+        await deleteCache(`inspections:${req.user.tenant}:*`);
+
+        res.json({
+            success: true,
+            data: inspection,
+        });
+    } catch (error) {
+        logger.error('Error updating inspection items:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Upload photos for a checklist item
+// @route   POST /api/inspections/:id/items/:itemId/photos
+// @access  Private (Admin/Manager/Staff)
+const uploadInspectionPhotos = async (req, res) => {
+    try {
+        const inspection = await findAccessibleInspection(req, res);
+        if (!inspection) {
+            return;
+        }
+
+        const item = inspection.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item inspeksi tidak ditemukan.',
+            });
+        }
+
+        if (inspection.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Inspeksi yang sudah diselesaikan tidak dapat diubah.',
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Foto harus diupload.',
+            });
+        }
+
+        const photos = await Promise.all(
+            req.files.map(async (file) => ({
+                url: await processImage(file),
+                caption: req.body.caption || file.originalname,
+                uploadedAt: new Date()
+            }))
+        );
+        item.photos.push(...photos);
+
+        await inspection.save();
+
+        logger.info('Inspection photos uploaded:', inspection._id);
+        res.status(201).json({
+            success: true,
+            data: item,
+        });
+    } catch (error) {
+        logger.error('Error uploading inspection photos:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Complete inspection and request resident sign-off
+// @route   POST /api/inspections/:id/complete
+// @access  Private (Admin/Manager/Staff)
+const completeInspection = async (req, res) => {
+    try {
+        const inspection = await findAccessibleInspection(req, res);
+        if (!inspection) {
+            return;
+        }
+
+        try {
+            inspection.complete();
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await inspection.save();
+
+        // Kirim email permintaan tanda tangan ke penghuni
+        const document = await Inspection.findById(inspection._id)
+            .populate('property', 'name')
+            .populate('unit', 'unitNumber')
+            .populate('resident', 'name email');
+        await sendEmail({
+            email: document.resident.email,
+            subject: `Hasil Inspeksi ${inspection.type === 'move_in' ? 'Masuk' : 'Keluar'} Unit ${document.unit.unitNumber}`,
+            html: `
+                <h2>Hasil Inspeksi Unit</h2>
+                <p>Inspeksi ${inspection.type === 'move_in' ? 'masuk' : 'keluar'} untuk unit Anda telah selesai.
+                Silakan periksa hasilnya dan berikan tanda tangan persetujuan.</p>
+                <ul>
+                    <li>Properti: ${document.property.name}</li>
+                    <li>Unit: ${document.unit.unitNumber}</li>
+                    <li>Jumlah Item: ${inspection.items.length}</li>
+                    <li>Tanggal: ${inspection.completedAt.toLocaleDateString()}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/inspections/${inspection._id}">
+                    Periksa dan Tanda Tangani
+                </a>
+            `,
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache(`inspections:${req.user.tenant}:*`);
+
+        logger.info('Inspection completed:', inspection._id);
+        res.json({
+            success: true,
+            data: inspection,
+        });
+    } catch (error) {
+        logger.error('Error completing inspection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Resident sign-off of a completed inspection
+// @route   POST /api/inspections/:id/sign
+// @access  Private (Resident)
+const signInspection = async (req, res) => {
+    try {
+        const inspection = await findAccessibleInspection(req, res);
+        if (!inspection) {
+            return;
+        }
+
+        try {
+            inspection.signOffBy({
+                signatureName: req.body.signatureName,
+                comments: req.body.comments,
+                ipAddress: req.ip
+            }, req.user._id);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await inspection.save();
+
+        // Hapus cache yang terkait
+        await deleteCache(`inspections:${req.user.tenant}:*`);
+
+        logger.info('Inspection signed by resident:', inspection._id);
+        res.json({
+            success: true,
+            data: inspection,
+        });
+    } catch (error) {
+        logger.error('Error signing inspection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Compare move-out inspection against the resident's move-in inspection
+// @route   GET /api/inspections/:id/comparison
+// @access  Private
+const getInspectionComparison = async (req, res) => {
+    try {
+        const inspection = await findAccessibleInspection(req, res);
+        if (!inspection) {
+            return;
+        }
+
+        if (inspection.type !== 'move_out') {
+            return res.status(400).json({
+                success: false,
+                message: 'Laporan perbandingan hanya tersedia untuk inspeksi keluar.',
+            });
+        }
+
+        const moveIn = inspection.moveInInspection
+            ? await Inspection.findById(inspection.moveInInspection)
+            : await Inspection.findMoveInFor(inspection);
+        if (!moveIn) {
+            return res.status(404).json({
+                success: false,
+                message: 'Inspeksi masuk untuk penghuni dan unit ini tidak ditemukan.',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                moveIn: {
+                    _id: moveIn._id,
+                    status: moveIn.status,
+                    completedAt: moveIn.completedAt,
+                    signedAt: moveIn.signOff && moveIn.signOff.signedAt
+                },
+                moveOut: {
+                    _id: inspection._id,
+                    status: inspection.status,
+                    completedAt: inspection.completedAt,
+                    signedAt: inspection.signOff && inspection.signOff.signedAt
+                },
+                ...inspection.compareWith(moveIn)
+            },
+        });
+    } catch (error) {
+        logger.error('Error comparing inspections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    getInspectionTemplates,
+    updateInspectionTemplate,
+    getInspections,
+    getInspection,
+    createInspection,
+    updateInspectionItems,
+    uploadInspectionPhotos,
+    completeInspection,
+    signInspection,
+    getInspectionComparison
+};
@@ -0,0 +1,592 @@
+const Lease = require('../models/Lease');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const { sendEmail } = require('../config/email');
+const { getCache, setCache, deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+// Cek akses tenant; resident hanya dapat mengakses kontrak yang mencantumkan dirinya
+const canAccessLease = (lease, user) => {
+    const tenantId = lease.tenant._id || lease.tenant;
+    if (tenantId.toString() !== user.tenant.toString()) {
+        return false;
+    }
+    if (user.role !== 'resident') {
+        return true;
+    }
+    return [lease.primaryResident, ...lease.coResidents]
+        .some(resident => (resident._id || resident).toString() === user._id.toString());
+};
+
+// Penghuni kontrak harus resident aktif pada tenant yang sama
+const findResidents = async (ids, tenantId) => {
+    const residents = await User.find({
+        _id: { $in: ids },
+        tenant: tenantId,
+        role: 'resident',
+        isActive: true
+    }).select('name email');
+
+    if (residents.length !== new Set(ids.map(String)).size) {
+        throw new Error('Penghuni tidak ditemukan atau bukan resident aktif.');
+    }
+    return residents;
+};
+
+// Hapus cache kontrak dan unit yang terpengaruh
+const clearLeaseCache = async (lease) => {
+    await deleteCache(`leases:${lease.tenant}:*`);
+    await deleteCache('units:*');
+    await deleteCache(`unit:${lease.unit._id || lease.unit}:*`);
+    await deleteCache(`unit:stats:${lease.property._id || lease.property}`);
+};
+
+// Kirim email perubahan kontrak ke penghuni utama dan penghuni tambahan
+const notifyResidents = async (lease, subject, message) => {
+    const document = await Lease.findById(lease._id)
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber')
+        .populate('primaryResident', 'name email')
+        .populate('coResidents', 'name email');
+
+    for (const resident of [document.primaryResident, ...document.coResidents]) {
+        await sendEmail({
+            email: resident.email,
+            subject,
+            html: `
+                <h2>${subject}</h2>
+                <p>${message}</p>
+                <ul>
+                    <li>Properti: ${document.property.name}</li>
+                    <li>Unit: ${document.unit.unitNumber}</li>
+                    <li>Periode: ${document.startDate.toLocaleDateString()} - ${document.endDate ? document.endDate.toLocaleDateString() : 'tidak ditentukan'}</li>
+                    <li>Sewa: ${document.rentAmount} ${document.currency}</li>
+                    <li>Status: ${document.status}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/leases/${document._id}">
+                    Lihat Detail
+                </a>
+            `,
+        });
+    }
+};
+
+// @desc    Get all leases with filter, search, and pagination
+// @route   GET /api/leases
+// @access  Private
+const getLeases = async (req, res) => {
+    try {
+        const { query, page, limit, sort, fields, ...filters } = req.query;
+
+        // Resident hanya melihat kontrak yang mencantumkan dirinya
+        if (req.user.role === 'resident') {
+            delete filters.primaryResident;
+            delete filters.coResidents;
+            filters.$or = [
+                { primaryResident: req.user._id.toString() },
+                { coResidents: req.user._id.toString() }
+            ];
+        }
+
+        const cacheKey = `leases:${req.user.tenant}:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for leases list');
+            return res.json(cachedData);
+        }
+
+        const result = await Lease.findWithFilter(query, {
+            page,
+            limit,
+            sort,
+            fields,
+            ...filters,
+            tenant: req.user.tenant,
+        });
+
+        const response = {
+            success: true,
+            count: result.leases.length,
+            pagination: result.pagination,
+            data: result.leases,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting leases:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get renewal pipeline of leases ending soon, grouped by property
+// @route   GET /api/leases/renewals
+// @access  Private (Admin/Manager)
+const getRenewalPipeline = async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? Number(req.query.days) : 90;
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parameter days harus bilangan bulat antara 1 dan 365.',
+            });
+        }
+
+        const cacheKey = `leases:${req.user.tenant}:renewals:${req.query.property || 'all'}:${days}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for lease renewal pipeline');
+            return res.json(cachedData);
+        }
+
+        const pipeline = await Lease.getRenewalPipeline(req.user.tenant, {
+            property: req.query.property,
+            days
+        });
+
+        const response = {
+            success: true,
+            days,
+            data: pipeline,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting lease renewal pipeline:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get single lease
+// @route   GET /api/leases/:id
+// @access  Private
+const getLease = async (req, res) => {
+    try {
+        const lease = await Lease.findById(req.params.id)
+            .populate('property', 'name')
+            .populate('unit', 'unitNumber floor type status')
+            .populate('primaryResident', 'name email phone')
+            .populate('coResidents', 'name email phone')
+            .populate('deposit', 'amount amountHeld currency status')
+            .populate('renewedFrom', 'startDate endDate status')
+            .populate('renewedTo', 'startDate endDate status');
+
+        if (!lease) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kontrak sewa tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessLease(lease, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke kontrak sewa ini.',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: lease,
+        });
+    } catch (error) {
+        logger.error('Error getting lease:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Create lease for a unit, optionally activating it immediately
+// @route   POST /api/leases
+// @access  Private (Admin/Manager)
+const createLease = async (req, res) => {
+    try {
+        const {
+            unit: unitId,
+            primaryResident,
+            coResidents = [],
+            startDate,
+            endDate,
+            rentAmount,
+            currency,
+            billingDay,
+            depositAmount,
+            notes,
+            activate = false
+        } = req.body;
+
+        const unit = await Unit.findById(unitId).populate('property', 'name tenant');
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (!unit.property || unit.property.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke unit ini.',
+            });
+        }
+
+        try {
+            await findResidents([primaryResident, ...coResidents], req.user.tenant);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        const lease = new Lease({
+            tenant: req.user.tenant,
+            property: unit.property._id,
+            unit: unit._id,
+            primaryResident,
+            coResidents,
+            startDate,
+            endDate,
+            // Sewa default mengikuti harga unit
+            rentAmount: rentAmount !== undefined ? rentAmount : unit.price,
+            currency,
+            billingDay,
+            depositAmount,
+            notes,
+            createdBy: req.user._id
+        });
+
+        if (activate) {
+            try {
+                await lease.activate();
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                });
+            }
+        }
+
+        await lease.save();
+
+        if (lease.status === 'active') {
+            await notifyResidents(lease, 'Kontrak Sewa Aktif',
+                'Kontrak sewa unit Anda telah aktif dengan rincian berikut:');
+        }
+
+        // Hapus cache yang terkait
+        await clearLeaseCache(lease);
+
+        logger.info('New lease created:', lease._id);
+        res.status(201).json({
+            success: true,
+            data: lease,
+        });
+    } catch (error) {
+        logger.error('Error creating lease:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Activate draft lease and mark the unit as occupied
+// @route   POST /api/leases/:id/activate
+// @access  Private (Admin/Manager)
+const activateLease = async (req, res) => {
+    try {
+        const lease = await Lease.findById(req.params.id);
+
+        if (!lease) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kontrak sewa tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessLease(lease, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke kontrak sewa ini.',
+            });
+        }
+
+        try {
+            await lease.activate();
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await lease.save();
+
+        await notifyResidents(lease, 'Kontrak Sewa Aktif',
+            'Kontrak sewa unit Anda telah aktif dengan rincian berikut:');
+
+        // Hapus cache yang terkait
+        await clearLeaseCache(lease);
+
+        logger.info('Lease activated:', lease._id);
+        res.json({
+            success: true,
+            data: lease,
+        });
+    } catch (error) {
+        logger.error('Error activating lease:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Renew active lease; the renewal starts the day after the current lease ends
+// @route   POST /api/leases/:id/renew
+// @access  Private (Admin/Manager)
+const renewLease = async (req, res) => {
+    try {
+        const lease = await Lease.findById(req.params.id);
+
+        if (!lease) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kontrak sewa tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessLease(lease, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke kontrak sewa ini.',
+            });
+        }
+
+        if (lease.renewedTo && await Lease.exists({ _id: lease.renewedTo, status: { $ne: 'ended' } })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kontrak ini sudah memiliki perpanjangan.',
+            });
+        }
+
+        let renewal;
+        try {
+            renewal = lease.buildRenewal(req.body, req.user._id);
+            await renewal.validate();
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await renewal.save();
+        lease.renewedTo = renewal._id;
+        await lease.save();
+
+        await notifyResidents(renewal, 'Perpanjangan Kontrak Sewa',
+            'Kontrak sewa unit Anda telah diperpanjang dan berlaku otomatis setelah kontrak berjalan berakhir:');
+
+        // Hapus cache yang terkait
+        await clearLeaseCache(lease);
+
+        logger.info('Lease renewed:', lease._id);
+        res.status(201).json({
+            success: true,
+            data: renewal,
+        });
+    } catch (error) {
+        logger.error('Error renewing lease:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Terminate lease on an effective date (last day of occupancy)
+// @route   POST /api/leases/:id/terminate
+// @access  Private (Admin/Manager)
+const terminateLease = async (req, res) => {
+    try {
+        const lease = await Lease.findById(req.params.id);
+
+        if (!lease) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kontrak sewa tidak ditemukan.',
+            });
+        }
+
+        if (!canAccessLease(lease, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke kontrak sewa ini.',
+            });
+        }
+
+        const wasDraft = lease.status === 'draft';
+        try {
+            lease.terminate({ effectiveDate: req.body.effectiveDate, reason: req.body.reason }, req.user._id);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await lease.save();
+
+        // Perpanjangan yang belum berlaku ikut dibatalkan
+        if (lease.renewedTo) {
+            const renewal = await Lease.findOne({ _id: lease.renewedTo, status: 'draft' });
+            if (renewal) {
+                await renewal.terminate({ reason: 'Kontrak sebelumnya diputus' }, req.user._id).save();
+            }
+        }
+
+        if (!wasDraft) {
+            await notifyResidents(lease, 'Pemutusan Kontrak Sewa',
+                `Kontrak sewa unit Anda diputus${lease.termination.reason ? ` dengan alasan: ${lease.termination.reason}` : ''}.`);
+        }
+
+        // Hapus cache yang terkait
+        await clearLeaseCache(lease);
+
+        logger.info('Lease terminated:', lease._id);
+        res.json({
+            success: true,
+            data: lease,
+        });
+    } catch (error) {
+        logger.error('Error terminating lease:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Accept or decline renewal offer
+// @route   POST /api/leases/:id/renewal-response
+// @access  Private (Primary resident)
+const respondToRenewalOffer = async (req, res) => {
+    try {
+        const lease = await Lease.findById(req.params.id)
+            .populate('property', 'name contactInfo')
+            .populate('unit', 'unitNumber')
+            .populate('primaryResident', 'name email');
+
+        if (!lease) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kontrak sewa tidak ditemukan.',
+            });
+        }
+
+        // Hanya penghuni utama yang dapat menjawab penawaran perpanjangan
+        if (lease.primaryResident._id.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Hanya penghuni utama yang dapat menjawab penawaran perpanjangan.',
+            });
+        }
+
+        const { decision, note } = req.body;
+        let renewal;
+        try {
+            renewal = lease.respondToRenewal({ decision, note }, req.user._id);
+            if (renewal) {
+                await renewal.validate();
+            }
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        if (renewal) {
+            await renewal.save();
+        }
+        await lease.save();
+
+        // Kabari manager dan kontak properti atas jawaban penghuni
+        for (const email of await lease.getManagerEmails()) {
+            await sendEmail({
+                email,
+                subject: `Perpanjangan Kontrak Unit ${lease.unit.unitNumber} ${decision === 'accept' ? 'Diterima' : 'Ditolak'}`,
+                html: `
+                    <h2>Jawaban Penawaran Perpanjangan</h2>
+                    <p>${lease.primaryResident.name} ${decision === 'accept' ? 'menerima' : 'menolak'} penawaran perpanjangan kontrak:</p>
+                    <ul>
+                        <li>Properti: ${lease.property.name}</li>
+                        <li>Unit: ${lease.unit.unitNumber}</li>
+                        <li>Kontrak Berakhir: ${lease.endDate.toLocaleDateString()}</li>
+                        ${note ? `<li>Catatan: ${note}</li>` : ''}
+                    </ul>
+                    <a href="${process.env.FRONTEND_URL}/leases/${lease._id}">
+                        Lihat Detail
+                    </a>
+                `,
+            });
+        }
+
+        // Hapus cache yang terkait
+        await clearLeaseCache(lease);
+
+        logger.info(`Lease renewal offer ${lease.renewalOffer.status}:`, lease._id);
+        res.json({
+            success: true,
+            data: {
+                lease,
+                renewal,
+            },
+        });
+    } catch (error) {
+        logger.error('Error responding to lease renewal offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    getLeases,
+    getRenewalPipeline,
+    getLease,
+    createLease,
+    activateLease,
+    renewLease,
+    terminateLease,
+    respondToRenewalOffer
+};
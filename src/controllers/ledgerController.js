@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const ExchangeRate = require('../models/ExchangeRate');
+const Property = require('../models/Property');
+const { ACCOUNTS } = require('../accounting/chartOfAccounts');
+const { syncTenantLedger } = require('../accounting/ledger');
+const { logger } = require('../config/logger');
+
+// Validasi filter laporan: properti milik tenant dan rentang tanggal (akhir tanggal `to` ikut dihitung)
+const parseReportFilter = async (req) => {
+    const { property, from, to, view } = req.query;
+    const filter = {};
+
+    if (view && !['reporting', 'native'].includes(view)) {
+        throw new Error('View laporan harus reporting atau native.');
+    }
+
+    if (property) {
+        if (!mongoose.Types.ObjectId.isValid(property) ||
+            !(await Property.exists({ _id: property, tenant: req.user.tenant }))) {
+            throw new Error('Properti tidak ditemukan.');
+        }
+        filter.property = property;
+    }
+
+    for (const [key, value] of [['from', from], ['to', to]]) {
+        if (!value) {
+            continue;
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Format tanggal ${key} tidak valid.`);
+        }
+        if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        filter[key] = date;
+    }
+
+    if (filter.from && filter.to && filter.from > filter.to) {
+        throw new Error('Tanggal from tidak boleh setelah tanggal to.');
+    }
+
+    return filter;
+};
+
+// Jalankan laporan dengan filter yang sudah divalidasi; filter tidak valid menghasilkan 400.
+// Laporan posisi (asOf) dihitung kumulatif hingga tanggal `to` sehingga `from` diabaikan.
+const sendReport = (name, buildReport, { asOf = false } = {}) => async (req, res) => {
+    try {
+        let filter;
+        try {
+            filter = await parseReportFilter(req);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        if (asOf) {
+            delete filter.from;
+        }
+
+        const view = req.query.view || 'reporting';
+        const reportingCurrency = await ExchangeRate.getReportingCurrency(req.user.tenant);
+        const data = await buildReport(req.user.tenant, filter, { view, reportingCurrency });
+
+        res.json({
+            success: true,
+            filter,
+            meta: {
+                view,
+                reportingCurrency,
+                // Jurnal tanpa kurs ke mata uang pelaporan tidak ikut dalam view reporting
+                unconvertedEntries: view === 'reporting'
+                    ? await LedgerEntry.countUnconverted(req.user.tenant, filter, reportingCurrency)
+                    : 0
+            },
+            data,
+        });
+    } catch (error) {
+        logger.error(`Error getting ${name}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get chart of accounts
+// @route   GET /api/ledger/accounts
+// @access  Private (Admin/Manager)
+const getAccounts = (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(ACCOUNTS).map(([code, account]) => ({ code, ...account })),
+    });
+};
+
+// @desc    Get ledger journal entries with filter and pagination
+// @route   GET /api/ledger/entries
+// @access  Private (Admin/Manager)
+const getEntries = async (req, res) => {
+    try {
+        let filter;
+        try {
+            filter = await parseReportFilter(req);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        const { page, limit, account, kind, unit } = req.query;
+        const result = await LedgerEntry.findWithFilter({
+            page,
+            limit,
+            account,
+            kind,
+            unit,
+            tenant: req.user.tenant,
+            ...filter,
+        });
+
+        res.json({
+            success: true,
+            count: result.entries.length,
+            pagination: result.pagination,
+            data: result.entries,
+        });
+    } catch (error) {
+        logger.error('Error getting ledger entries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get trial balance as of a date
+// @route   GET /api/ledger/reports/trial-balance
+// @access  Private (Admin/Manager)
+const getTrialBalance = sendReport('trial balance', (tenant, filter, options) =>
+    LedgerEntry.getTrialBalance(tenant, filter, options), { asOf: true });
+
+// @desc    Get income statement over a date range
+// @route   GET /api/ledger/reports/income-statement
+// @access  Private (Admin/Manager)
+const getIncomeStatement = sendReport('income statement', (tenant, filter, options) =>
+    LedgerEntry.getIncomeStatement(tenant, filter, options));
+
+// @desc    Get accounts receivable aging (0-30/31-60/61-90/90+ days past due)
+// @route   GET /api/ledger/reports/ar-aging
+// @access  Private (Admin/Manager)
+const getReceivableAging = sendReport('receivable aging', (tenant, { property, to }, options) =>
+    LedgerEntry.getReceivableAging(tenant, { property, asOf: to || new Date() }, options), { asOf: true });
+
+// @desc    Get per-unit profitability over a date range
+// @route   GET /api/ledger/reports/unit-profitability
+// @access  Private (Admin/Manager)
+const getUnitProfitability = sendReport('unit profitability', (tenant, filter, options) =>
+    LedgerEntry.getUnitProfitability(tenant, filter, options));
+
+// @desc    Post existing payments, maintenance costs, and deposits that are missing from the ledger
+// @route   POST /api/ledger/sync
+// @access  Private (Admin)
+const syncLedger = async (req, res) => {
+    try {
+        const summary = await syncTenantLedger(req.user.tenant);
+
+        logger.info('Ledger synchronized for tenant:', req.user.tenant);
+        res.json({
+            success: true,
+            data: summary,
+        });
+    } catch (error) {
+        logger.error('Error synchronizing ledger:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    getAccounts,
+    getEntries,
+    getTrialBalance,
+    getIncomeStatement,
+    getReceivableAging,
+    getUnitProfitability,
+    syncLedger
+};
@@ -11,7 +11,7 @@ const User = require('../models/User');
 const getMaintenanceTasks = async (req, res) => {
     try {
         const { query, page, limit, sort, fields, ...filters } = req.query;
-        const cacheKey = `maintenance:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+        const cacheKey = `maintenance:${JSON.stringify({ query, page, limit, sort, fields, language: req.user.preferences.language, ...filters })}`;
 
         // Cek cache
         const cachedData = await getCache(cacheKey);
@@ -25,6 +25,7 @@ const getMaintenanceTasks = async (req, res) => {
             limit,
             sort,
             fields,
+            language: req.user.preferences.language,
             tenant: req.user.tenant,
             ...filters,
         });
@@ -197,6 +198,10 @@ const updateMaintenanceStatus = async (req, res) => {
             maintenance.completedAt = new Date();
             maintenance.completedBy = req.user._id;
         }
+        // Biaya aktual diposting ke ledger sebagai beban pemeliharaan
+        if (req.body.cost && req.body.cost.actual !== undefined) {
+            maintenance.cost.actual = req.body.cost.actual;
+        }
         await maintenance.save();
 
         // Kirim email notifikasi ke staff yang ditugaskan
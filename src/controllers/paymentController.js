@@ -4,6 +4,22 @@ const { processImage } = require('../config/imageProcessor');
 const { getCache, setCache, deleteCache } = require('../config/cache');
 const { logger } = require('../config/logger');
 const User = require('../models/User');
+const Unit = require('../models/Unit');
+const { runRentBilling } = require('../jobs/billingJob');
+const { getProvider } = require('../gateways');
+const { generateInvoicePdf, generateReceiptPdf, buildPaymentAttachments } = require('../config/pdfGenerator');
+
+// Field yang boleh diisi saat membuat tagihan manual; status, transaksi, nomor dokumen, dan data gateway diatur sistem
+const CREATABLE_FIELDS = ['unit', 'resident', 'type', 'description', 'lineItems', 'amount', 'currency', 'dueDate', 'paymentMethod', 'paymentDetails', 'notes'];
+
+const pickCreatableFields = (body) => {
+    return CREATABLE_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+        return fields;
+    }, {});
+};
 
 // @desc    Get all payments with filter, search, and pagination
 // @route   GET /api/payments
@@ -11,7 +27,13 @@ const User = require('../models/User');
 const getPayments = async (req, res) => {
     try {
         const { query, page, limit, sort, fields, ...filters } = req.query;
-        const cacheKey = `payments:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+
+        // Resident hanya melihat tagihan miliknya sendiri
+        if (req.user.role === 'resident') {
+            filters.resident = req.user._id.toString();
+        }
+
+        const cacheKey = `payments:${req.user.tenant}:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
 
         // Cek cache
         const cachedData = await getCache(cacheKey);
@@ -25,8 +47,8 @@ const getPayments = async (req, res) => {
             limit,
             sort,
             fields,
-            tenant: req.user.tenant,
             ...filters,
+            tenant: req.user.tenant,
         });
 
         const response = {
@@ -58,41 +80,42 @@ const getPayment = async (req, res) => {
         const cacheKey = `payment:${req.params.id}`;
 
         // Cek cache
-        const cachedData = await getCache(cacheKey);
-        if (cachedData) {
+        let response = await getCache(cacheKey);
+        if (response) {
             logger.info('Cache hit for payment details');
-            return res.json(cachedData);
-        }
+        } else {
+            const payment = await Payment.findById(req.params.id)
+                .populate('tenant', 'name code')
+                .populate('property', 'name')
+                .populate('unit', 'unitNumber')
+                .populate('resident', 'name email');
+
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Pembayaran tidak ditemukan.',
+                });
+            }
 
-        const payment = await Payment.findById(req.params.id)
-            .populate('tenant', 'name code')
-            .populate('property', 'name')
-            .populate('unit', 'number')
-            .populate('resident', 'name email');
+            response = {
+                success: true,
+                data: payment,
+            };
 
-        if (!payment) {
-            return res.status(404).json({
-                success: false,
-                message: 'Pembayaran tidak ditemukan.',
-            });
+            // Set cache
+            await setCache(cacheKey, response, 300); // Cache selama 5 menit
         }
 
-        // Cek akses tenant
-        if (payment.tenant.toString() !== req.user.tenant.toString()) {
+        // Cek akses tenant (juga untuk data dari cache); resident hanya dapat melihat tagihan miliknya
+        const { tenant, resident } = response.data;
+        if (String(tenant._id) !== req.user.tenant.toString() ||
+            (req.user.role === 'resident' && String(resident._id) !== req.user._id.toString())) {
             return res.status(403).json({
                 success: false,
                 message: 'Anda tidak memiliki akses ke data pembayaran ini.',
             });
         }
 
-        const response = {
-            success: true,
-            data: payment,
-        };
-
-        // Set cache
-        await setCache(cacheKey, response, 300); // Cache selama 5 menit
-
         res.json(response);
     } catch (error) {
         logger.error('Error getting payment:', error);
@@ -109,9 +132,41 @@ const getPayment = async (req, res) => {
 // @access  Private (Admin/Manager)
 const createPayment = async (req, res) => {
     try {
+        const data = pickCreatableFields(req.body);
+
+        // Unit harus milik tenant pengguna; property diambil dari unit, bukan dari request
+        const unit = await Unit.findById(data.unit).populate('property', 'tenant');
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        if (!unit.property || unit.property.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke unit ini.',
+            });
+        }
+
+        // Resident harus resident aktif pada tenant yang sama
+        const resident = await User.findOne({
+            _id: data.resident,
+            tenant: req.user.tenant,
+            role: 'resident',
+            isActive: true
+        }).select('_id');
+        if (!resident) {
+            return res.status(400).json({
+                success: false,
+                message: 'Penghuni tidak ditemukan atau bukan resident aktif.',
+            });
+        }
+
         // Proses attachment jika ada
         if (req.files && req.files.length > 0) {
-            req.body.attachments = await Promise.all(
+            data.attachments = await Promise.all(
                 req.files.map(async (file) => {
                     const processedPath = await processImage(file);
                     return {
@@ -123,12 +178,17 @@ const createPayment = async (req, res) => {
             );
         }
 
-        // Tambahkan tenant
-        req.body.tenant = req.user.tenant;
-
-        const payment = await Payment.create(req.body);
+        const payment = await Payment.create({
+            ...data,
+            tenant: req.user.tenant,
+            property: unit.property._id,
+            unit: unit._id,
+            resident: resident._id
+        });
+        await payment.populate('resident', 'name email');
 
-        // Kirim email notifikasi ke resident
+        // Kirim email notifikasi ke resident dengan lampiran invoice PDF
+        const document = await Payment.findForDocument(payment._id);
         await sendEmail({
             email: payment.resident.email,
             subject: 'Pembayaran Baru',
@@ -136,6 +196,7 @@ const createPayment = async (req, res) => {
                 <h2>Pembayaran Baru</h2>
                 <p>Pembayaran baru telah dibuat dengan detail berikut:</p>
                 <ul>
+                    <li>No. Invoice: ${payment.invoiceNumber}</li>
                     <li>Tipe: ${payment.type}</li>
                     <li>Jumlah: ${payment.amount} ${payment.currency}</li>
                     <li>Jatuh Tempo: ${new Date(payment.dueDate).toLocaleDateString()}</li>
@@ -144,6 +205,7 @@ const createPayment = async (req, res) => {
                     Lihat Detail
                 </a>
             `,
+            attachments: await buildPaymentAttachments(document, ['invoice', 'receipt']),
         });
 
         // Hapus cache yang terkait
@@ -192,8 +254,10 @@ const updatePaymentStatus = async (req, res) => {
             payment.paidAt = new Date();
         }
         await payment.save();
+        await payment.populate('resident', 'name email');
 
-        // Kirim email notifikasi ke resident
+        // Kirim email notifikasi ke resident; kuitansi PDF dilampirkan jika sudah lunas
+        const document = await Payment.findForDocument(payment._id);
         await sendEmail({
             email: payment.resident.email,
             subject: 'Status Pembayaran Diupdate',
@@ -203,12 +267,16 @@ const updatePaymentStatus = async (req, res) => {
                 <ul>
                     <li>Tipe: ${payment.type}</li>
                     <li>Jumlah: ${payment.amount} ${payment.currency}</li>
+                    <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
                     <li>Status: ${payment.status}</li>
                 </ul>
                 <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
                     Lihat Detail
                 </a>
             `,
+            attachments: payment.status === 'completed'
+                ? await buildPaymentAttachments(document, ['receipt'])
+                : [],
         });
 
         // Hapus cache yang terkait
@@ -230,6 +298,551 @@ const updatePaymentStatus = async (req, res) => {
     }
 };
 
+// @desc    Record a (partial) payment transaction against an invoice
+// @route   POST /api/payments/:id/transactions
+// @access  Private (Admin/Manager)
+const addPaymentTransaction = async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pembayaran tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (payment.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk mencatat pembayaran ini.',
+            });
+        }
+
+        const { amount, paymentMethod, reference, paidAt, notes } = req.body;
+
+        try {
+            payment.recordTransaction({
+                amount: Number(amount),
+                paymentMethod: paymentMethod || payment.paymentMethod,
+                reference,
+                paidAt: paidAt || new Date(),
+                notes,
+                recordedBy: req.user._id
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await payment.save();
+        await payment.populate('resident', 'name email');
+
+        // Kirim email notifikasi ke resident; kuitansi PDF dilampirkan jika sudah lunas
+        const document = await Payment.findForDocument(payment._id);
+        await sendEmail({
+            email: payment.resident.email,
+            subject: 'Pembayaran Diterima',
+            html: `
+                <h2>Pembayaran Diterima</h2>
+                <p>Pembayaran Anda telah kami terima dengan detail berikut:</p>
+                <ul>
+                    <li>Tipe: ${payment.type}</li>
+                    <li>Dibayar: ${amount} ${payment.currency}</li>
+                    <li>Total Dibayar: ${payment.amountPaid} ${payment.currency}</li>
+                    <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
+                    <li>Status: ${payment.status}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                    Lihat Detail
+                </a>
+            `,
+            attachments: payment.status === 'completed'
+                ? await buildPaymentAttachments(document, ['receipt'])
+                : [],
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache('payments:*');
+        await deleteCache(`payment:${payment._id}`);
+
+        logger.info('Payment transaction recorded:', payment._id);
+        res.status(201).json({
+            success: true,
+            data: payment,
+        });
+    } catch (error) {
+        logger.error('Error recording payment transaction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// Ambil pembayaran untuk dokumen PDF beserta cek akses tenant dan resident
+const findPaymentDocument = async (req, res) => {
+    const payment = await Payment.findForDocument(req.params.id);
+
+    if (!payment) {
+        res.status(404).json({
+            success: false,
+            message: 'Pembayaran tidak ditemukan.',
+        });
+        return null;
+    }
+
+    // Cek akses tenant; resident hanya dapat mengunduh dokumen miliknya
+    if (payment.tenant._id.toString() !== req.user.tenant.toString() ||
+        (req.user.role === 'resident' && payment.resident._id.toString() !== req.user._id.toString())) {
+        res.status(403).json({
+            success: false,
+            message: 'Anda tidak memiliki akses ke data pembayaran ini.',
+        });
+        return null;
+    }
+
+    return payment;
+};
+
+const sendPdf = (res, filename, buffer) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${filename.replace(/\//g, '-')}.pdf"`,
+        'Content-Length': buffer.length
+    });
+    res.send(buffer);
+};
+
+// @desc    Download invoice PDF
+// @route   GET /api/payments/:id/invoice.pdf
+// @access  Private
+const getPaymentInvoicePdf = async (req, res) => {
+    try {
+        const payment = await findPaymentDocument(req, res);
+        if (!payment) {
+            return;
+        }
+
+        // Tagihan lama yang belum bernomor mendapat nomor invoice saat disimpan
+        if (!payment.invoiceNumber) {
+            await payment.save();
+        }
+
+        sendPdf(res, payment.invoiceNumber, await generateInvoicePdf(payment));
+    } catch (error) {
+        logger.error('Error generating invoice PDF:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Download receipt PDF for a completed payment
+// @route   GET /api/payments/:id/receipt.pdf
+// @access  Private
+const getPaymentReceiptPdf = async (req, res) => {
+    try {
+        const payment = await findPaymentDocument(req, res);
+        if (!payment) {
+            return;
+        }
+
+        if (!payment.receiptNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kuitansi hanya tersedia untuk pembayaran yang sudah lunas.',
+            });
+        }
+
+        sendPdf(res, payment.receiptNumber, await generateReceiptPdf(payment));
+    } catch (error) {
+        logger.error('Error generating receipt PDF:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get open invoices of the logged in resident
+// @route   GET /api/payments/my/invoices
+// @access  Private (Resident)
+const getMyInvoices = async (req, res) => {
+    try {
+        const { page, limit, sort = 'dueDate', status } = req.query;
+
+        if (status && !Payment.OPEN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status tagihan tidak valid.',
+            });
+        }
+
+        const result = await Payment.findWithFilter(null, {
+            page,
+            limit,
+            sort,
+            tenant: req.user.tenant,
+            resident: req.user._id,
+            isActive: true,
+            status: status || { $in: Payment.OPEN_STATUSES },
+        });
+
+        res.json({
+            success: true,
+            count: result.payments.length,
+            pagination: result.pagination,
+            data: result.payments,
+        });
+    } catch (error) {
+        logger.error('Error getting resident invoices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get outstanding balance of the logged in resident
+// @route   GET /api/payments/my/balance
+// @access  Private (Resident)
+const getMyBalance = async (req, res) => {
+    try {
+        const balances = await Payment.getResidentBalance(req.user.tenant, req.user._id);
+
+        res.json({
+            success: true,
+            data: balances,
+        });
+    } catch (error) {
+        logger.error('Error getting resident balance:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get payment transaction history of the logged in resident
+// @route   GET /api/payments/my/history
+// @access  Private (Resident)
+const getMyPaymentHistory = async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        const result = await Payment.getResidentHistory(req.user.tenant, req.user._id, { page, limit });
+
+        res.json({
+            success: true,
+            count: result.transactions.length,
+            pagination: result.pagination,
+            data: result.transactions,
+        });
+    } catch (error) {
+        logger.error('Error getting resident payment history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Upload proof of transfer for an invoice
+// @route   POST /api/payments/:id/proof
+// @access  Private (Resident)
+const uploadPaymentProof = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'File bukti transfer harus diupload.',
+            });
+        }
+
+        const payment = await Payment.findOne({
+            _id: req.params.id,
+            tenant: req.user.tenant,
+            resident: req.user._id,
+            isActive: true
+        }).populate('property', 'name contactInfo');
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pembayaran tidak ditemukan.',
+            });
+        }
+
+        // Gambar dikompresi; PDF disimpan apa adanya
+        const url = req.file.mimetype.startsWith('image/')
+            ? await processImage(req.file)
+            : req.file.path;
+
+        try {
+            payment.submitProof({
+                url,
+                caption: req.file.originalname,
+                amount: Number(req.body.amount),
+                transferDate: req.body.transferDate,
+                bankName: req.body.bankName,
+                reference: req.body.reference,
+                notes: req.body.notes,
+                uploadedBy: req.user._id
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await payment.save();
+
+        // Kirim email notifikasi ke pengelola properti
+        if (payment.property.contactInfo && payment.property.contactInfo.email) {
+            await sendEmail({
+                email: payment.property.contactInfo.email,
+                subject: 'Bukti Transfer Menunggu Verifikasi',
+                html: `
+                    <h2>Bukti Transfer Menunggu Verifikasi</h2>
+                    <p>${req.user.name} telah mengupload bukti transfer dengan detail berikut:</p>
+                    <ul>
+                        <li>No. Invoice: ${payment.invoiceNumber}</li>
+                        <li>Properti: ${payment.property.name}</li>
+                        <li>Jumlah Transfer: ${req.body.amount} ${payment.currency}</li>
+                        <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
+                    </ul>
+                    <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                        Verifikasi Sekarang
+                    </a>
+                `,
+            });
+        }
+
+        // Hapus cache yang terkait
+        await deleteCache('payments:*');
+        await deleteCache(`payment:${payment._id}`);
+
+        logger.info('Payment proof uploaded:', payment._id);
+        res.status(201).json({
+            success: true,
+            data: payment,
+        });
+    } catch (error) {
+        logger.error('Error uploading payment proof:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Approve or reject a pending proof of transfer
+// @route   PATCH /api/payments/:id/verification
+// @access  Private (Admin/Manager)
+const verifyPaymentProof = async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pembayaran tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (payment.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk memverifikasi pembayaran ini.',
+            });
+        }
+
+        const { action, reason } = req.body;
+        let proof;
+        try {
+            proof = payment.reviewProof(action, req.user._id, reason);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        await payment.save();
+        await payment.populate('resident', 'name email');
+
+        // Kirim email hasil verifikasi ke resident; kuitansi PDF dilampirkan jika sudah lunas
+        const approved = action === 'approve';
+        const document = await Payment.findForDocument(payment._id);
+        await sendEmail({
+            email: payment.resident.email,
+            subject: approved ? 'Bukti Transfer Diterima' : 'Bukti Transfer Ditolak',
+            html: `
+                <h2>${approved ? 'Bukti Transfer Diterima' : 'Bukti Transfer Ditolak'}</h2>
+                <p>Bukti transfer untuk invoice ${payment.invoiceNumber} telah ${approved ? 'diverifikasi' : 'ditolak'}.</p>
+                <ul>
+                    <li>Jumlah Transfer: ${proof.amount} ${payment.currency}</li>
+                    ${approved ? '' : `<li>Alasan: ${reason}</li>`}
+                    <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
+                    <li>Status: ${payment.status}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                    Lihat Detail
+                </a>
+            `,
+            attachments: payment.status === 'completed'
+                ? await buildPaymentAttachments(document, ['receipt'])
+                : [],
+        });
+
+        // Hapus cache yang terkait
+        await deleteCache('payments:*');
+        await deleteCache(`payment:${payment._id}`);
+        await deleteCache(`payment:stats:${req.user.tenant}`);
+
+        logger.info(`Payment proof ${proof.status}:`, payment._id);
+        res.json({
+            success: true,
+            data: payment,
+        });
+    } catch (error) {
+        logger.error('Error verifying payment proof:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Start an online payment through a payment gateway
+// @route   POST /api/payments/:id/checkout
+// @access  Private
+const createCheckout = async (req, res) => {
+    try {
+        const { provider: providerName, amount } = req.body;
+
+        if (!providerName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provider pembayaran wajib diisi.',
+            });
+        }
+
+        const provider = getProvider(providerName);
+
+        if (!provider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provider pembayaran tidak dikenal.',
+            });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pembayaran tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant; resident hanya dapat membayar tagihan miliknya
+        if (payment.tenant.toString() !== req.user.tenant.toString() ||
+            (req.user.role === 'resident' && payment.resident.toString() !== req.user._id.toString())) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke data pembayaran ini.',
+            });
+        }
+
+        if (['completed', 'cancelled', 'refunded'].includes(payment.status) || payment.balance <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Pembayaran dengan status ${payment.status} tidak dapat dibayar.`,
+            });
+        }
+
+        const charge = await provider.createCharge(payment, {
+            amount: amount ? Math.min(Number(amount), payment.balance) : payment.balance
+        });
+
+        payment.addGatewayCharge(provider.name, charge);
+        await payment.save();
+
+        // Hapus cache yang terkait
+        await deleteCache(`payment:${payment._id}`);
+
+        logger.info('Payment checkout created:', payment._id);
+        res.status(201).json({
+            success: true,
+            data: {
+                payment: payment._id,
+                provider: provider.name,
+                reference: charge.reference,
+                amount: charge.amount,
+                checkoutUrl: charge.checkoutUrl
+            },
+        });
+    } catch (error) {
+        logger.error('Error creating payment checkout:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Generate monthly rent invoices for occupied units
+// @route   POST /api/payments/billing/run
+// @access  Private (Admin/Manager)
+const generateRentInvoices = async (req, res) => {
+    try {
+        const { date, property } = req.body;
+
+        if (date && isNaN(new Date(date).getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format tanggal tidak valid.',
+            });
+        }
+
+        const summary = await runRentBilling({
+            date: date ? new Date(date) : new Date(),
+            tenant: req.user.tenant,
+            property,
+            manual: true
+        });
+
+        logger.info('Rent billing triggered manually by:', req.user._id);
+        res.json({
+            success: true,
+            data: summary,
+        });
+    } catch (error) {
+        logger.error('Error generating rent invoices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
 // @desc    Get payment statistics
 // @route   GET /api/payments/stats
 // @access  Private (Admin/Manager)
@@ -251,8 +864,11 @@ const getPaymentStats = async (req, res) => {
             data: stats[0] || {
                 totalPayments: 0,
                 totalAmount: 0,
+                totalPaidAmount: 0,
+                totalOutstandingAmount: 0,
                 completedPayments: 0,
                 totalCompletedAmount: 0,
+                partialPayments: 0,
                 overduePayments: 0,
                 totalOverdueAmount: 0,
                 typeDistribution: {},
@@ -280,5 +896,15 @@ module.exports = {
     getPayment,
     createPayment,
     updatePaymentStatus,
+    addPaymentTransaction,
+    getPaymentInvoicePdf,
+    getPaymentReceiptPdf,
+    getMyInvoices,
+    getMyBalance,
+    getMyPaymentHistory,
+    uploadPaymentProof,
+    verifyPaymentProof,
+    createCheckout,
+    generateRentInvoices,
     getPaymentStats
 }; 
\ No newline at end of file
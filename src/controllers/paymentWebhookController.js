@@ -0,0 +1,241 @@
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getProvider } = require('../gateways');
+const { sendEmail } = require('../config/email');
+const { buildPaymentAttachments } = require('../config/pdfGenerator');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+// Batas waktu (detik) sebelum event berstatus 'received' dianggap tertinggal dan boleh diproses ulang
+const getProcessingTimeoutMs = () => Number(process.env.WEBHOOK_PROCESSING_TIMEOUT_SECONDS || 300) * 1000;
+
+// Terapkan event gateway ke tagihan; mengembalikan 'processed' atau 'ignored'
+const applyEvent = (payment, event, provider) => {
+    payment.gateway.lastEventAt = new Date();
+    // Status dicatat pada charge yang dimaksud event; tagihan lama tanpa riwayat charge hanya punya status terakhir
+    const charge = payment.findGatewayCharge(provider.name, event.reference);
+    const setChargeStatus = (status) => {
+        if (charge) {
+            charge.status = status;
+        }
+        if (!charge || payment.gateway.reference === event.reference) {
+            payment.gateway.status = status;
+        }
+    };
+
+    switch (event.type) {
+        case 'payment.succeeded': {
+            const amount = Math.min(event.amount || payment.balance, payment.balance);
+            const notes = `Webhook ${provider.name} ${event.eventId}`;
+            // Event yang diproses ulang setelah crash mungkin sudah tercatat sebagai transaksi
+            if (['cancelled', 'refunded'].includes(payment.status) || amount <= 0 ||
+                payment.transactions.some(transaction => transaction.notes === notes)) {
+                return 'ignored';
+            }
+            payment.recordTransaction({
+                amount,
+                paymentMethod: event.paymentMethod || payment.paymentMethod,
+                reference: event.reference,
+                notes
+            });
+            setChargeStatus('succeeded');
+            return 'processed';
+        }
+        case 'payment.pending':
+            setChargeStatus('pending');
+            return 'processed';
+        case 'payment.failed':
+        case 'payment.expired':
+            setChargeStatus(event.type === 'payment.failed' ? 'failed' : 'expired');
+            // Tagihan tetap terbuka selama resident masih punya checkout lain yang dapat dibayar
+            if (payment.status === 'pending' && payment.amountPaid === 0 && !payment.hasOpenGatewayCharge()) {
+                payment.status = 'failed';
+            }
+            return 'processed';
+        case 'payment.refunded': {
+            const notes = `Webhook ${provider.name} ${event.eventId}`;
+            const amountPaid = payment.transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+            const amount = Math.min(event.amount || amountPaid, amountPaid);
+            if (payment.status === 'refunded' || amount <= 0 ||
+                payment.transactions.some(transaction => transaction.notes === notes)) {
+                return 'ignored';
+            }
+            // Refund sebagian dicatat sebagai transaksi negatif; status refunded hanya jika seluruh pembayaran dikembalikan
+            payment.recordRefund({
+                amount,
+                paymentMethod: event.paymentMethod || payment.paymentMethod,
+                reference: event.reference,
+                notes
+            });
+            setChargeStatus(payment.status === 'refunded' ? 'refunded' : 'partially_refunded');
+            return 'processed';
+        }
+        default:
+            return 'ignored';
+    }
+};
+
+// Proses webhook bertanda tangan secara idempoten; dipakai endpoint webhook dan simulasi mock
+const processWebhook = async (provider, rawBody, headers, body) => {
+    if (!provider.verifySignature(rawBody, headers)) {
+        return { statusCode: 401, body: { success: false, message: 'Signature webhook tidak valid.' } };
+    }
+
+    const event = provider.parseEvent(body);
+    if (!event.eventId || !event.type) {
+        return { statusCode: 400, body: { success: false, message: 'Payload webhook tidak valid.' } };
+    }
+
+    let record;
+    try {
+        record = await WebhookEvent.create({
+            provider: provider.name,
+            eventId: event.eventId,
+            type: event.type,
+            payload: body
+        });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        const existing = await WebhookEvent.findOne({ provider: provider.name, eventId: event.eventId });
+        if (!['received', 'failed'].includes(existing.status)) {
+            return { statusCode: 200, body: { success: true, duplicate: true, status: existing.status } };
+        }
+
+        // Event gagal, atau event 'received' yang tertinggal karena proses berhenti di tengah jalan, diklaim ulang
+        // secara atomik sehingga hanya satu pengiriman ulang yang memprosesnya
+        record = await WebhookEvent.findOneAndUpdate(
+            {
+                _id: existing._id,
+                $or: [
+                    { status: 'failed' },
+                    { status: 'received', updatedAt: { $lt: new Date(Date.now() - getProcessingTimeoutMs()) } }
+                ]
+            },
+            { status: 'received', $unset: { error: 1 } },
+            { new: true }
+        );
+        if (!record) {
+            return { statusCode: 409, body: { success: false, message: 'Event webhook sedang diproses.' } };
+        }
+    }
+
+    try {
+        const payment = await Payment.findByGatewayReference(provider.name, event.reference)
+            .populate('resident', 'name email');
+
+        if (!payment) {
+            record.status = 'ignored';
+            record.error = 'Pembayaran dengan referensi ini tidak ditemukan.';
+            record.processedAt = new Date();
+            await record.save();
+            return { statusCode: 200, body: { success: true, status: record.status } };
+        }
+
+        const previousStatus = payment.status;
+        const result = applyEvent(payment, event, provider);
+        await payment.save();
+
+        record.payment = payment._id;
+        record.status = result;
+        record.error = undefined;
+        record.processedAt = new Date();
+        await record.save();
+
+        // Kirim email notifikasi ke resident jika status tagihan berubah
+        if (result === 'processed' && payment.status !== previousStatus) {
+            await sendEmail({
+                email: payment.resident.email,
+                subject: 'Status Pembayaran Diupdate',
+                html: `
+                    <h2>Status Pembayaran Diupdate</h2>
+                    <p>Status pembayaran Anda telah diupdate menjadi: ${payment.status}</p>
+                    <ul>
+                        <li>Tipe: ${payment.type}</li>
+                        <li>Jumlah: ${payment.amount} ${payment.currency}</li>
+                        <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
+                        <li>Status: ${payment.status}</li>
+                    </ul>
+                    <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                        Lihat Detail
+                    </a>
+                `,
+                attachments: payment.status === 'completed'
+                    ? await buildPaymentAttachments(await Payment.findForDocument(payment._id), ['receipt'])
+                    : [],
+            });
+        }
+
+        // Hapus cache yang terkait
+        await deleteCache('payments:*');
+        await deleteCache(`payment:${payment._id}`);
+
+        logger.info(`Webhook ${provider.name} ${event.type} ${result}:`, payment._id);
+        return { statusCode: 200, body: { success: true, status: result } };
+    } catch (error) {
+        record.status = 'failed';
+        record.error = error.message;
+        await record.save();
+        throw error;
+    }
+};
+
+// @desc    Receive payment gateway webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (HMAC signature)
+const handleWebhook = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Provider pembayaran tidak dikenal.',
+            });
+        }
+
+        const result = await processWebhook(provider, req.rawBody, req.headers, req.body);
+        res.status(result.statusCode).json(result.body);
+    } catch (error) {
+        logger.error('Error handling payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Simulate a signed mock gateway event (non-production only)
+// @route   POST /api/payments/webhooks/mock/simulate
+// @access  Public (non-production)
+const simulateMockWebhook = async (req, res) => {
+    try {
+        // Provider mock tidak terdaftar di production atau tanpa MOCK_GATEWAY_SECRET
+        const provider = getProvider('mock');
+        if (process.env.NODE_ENV === 'production' || !provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'The requested resource was not found',
+            });
+        }
+
+        const { reference, event = 'payment.succeeded', amount, paymentMethod } = req.body;
+        const signed = provider.buildEvent({ event, reference, amount, paymentMethod });
+
+        const result = await processWebhook(provider, signed.rawBody, signed.headers, signed.body);
+        res.status(result.statusCode).json({ ...result.body, event: signed.body });
+    } catch (error) {
+        logger.error('Error simulating mock webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    handleWebhook,
+    simulateMockWebhook
+};
@@ -1,16 +1,29 @@
 const Property = require('../models/Property');
 const { sendEmail } = require('../config/email');
 const { processImage } = require('../config/imageProcessor');
+const { releaseStoredFiles, getRemovedFileUrls } = require('../config/storage');
 const { getCache, setCache, deleteCache } = require('../config/cache');
 const { logger } = require('../config/logger');
 
+// Koordinat dikirim sebagai address.coordinates (latitude/longitude) dan disimpan sebagai GeoJSON address.location
+const setLocationFromCoordinates = (body) => {
+    if (!body.address || !body.address.coordinates) {
+        return;
+    }
+    const location = Property.toGeoPoint(body.address.coordinates);
+    if (location) {
+        body.address.location = location;
+    }
+    delete body.address.coordinates;
+};
+
 // @desc    Get all properties with filter, search, and pagination
 // @route   GET /api/properties
-// @access  Public
+// @access  Private
 const getProperties = async (req, res) => {
     try {
         const { query, page, limit, sort, fields, ...filters } = req.query;
-        const cacheKey = `properties:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+        const cacheKey = `properties:${JSON.stringify({ query, page, limit, sort, fields, language: req.user.preferences.language, ...filters })}`;
 
         // Cek cache
         const cachedData = await getCache(cacheKey);
@@ -24,6 +37,7 @@ const getProperties = async (req, res) => {
             limit,
             sort,
             fields,
+            language: req.user.preferences.language,
             ...filters,
         });
 
@@ -50,7 +64,7 @@ const getProperties = async (req, res) => {
 
 // @desc    Get single property
 // @route   GET /api/properties/:id
-// @access  Public
+// @access  Private
 const getProperty = async (req, res) => {
     try {
         const cacheKey = `property:${req.params.id}`;
@@ -108,6 +122,10 @@ const createProperty = async (req, res) => {
             req.body.images = processedImages;
         }
 
+        // Tambahkan tenant
+        req.body.tenant = req.user.tenant;
+        setLocationFromCoordinates(req.body);
+
         const property = await Property.create(req.body);
 
         // Kirim email notifikasi
@@ -162,6 +180,12 @@ const updateProperty = async (req, res) => {
             );
             req.body.images = [...(req.body.images || []), ...processedImages];
         }
+        setLocationFromCoordinates(req.body);
+
+        // Simpan daftar gambar lama untuk menghapus gambar yang tidak lagi dipakai
+        const previous = req.body.images !== undefined
+            ? await Property.findById(req.params.id).select('images')
+            : null;
 
         const property = await Property.findByIdAndUpdate(
             req.params.id,
@@ -179,6 +203,13 @@ const updateProperty = async (req, res) => {
             });
         }
 
+        if (previous) {
+            await releaseStoredFiles(
+                property.tenant,
+                getRemovedFileUrls(previous.images.map(image => image.url), property.images)
+            );
+        }
+
         // Kirim email notifikasi
         await sendEmail({
             email: process.env.ADMIN_EMAIL,
@@ -282,11 +313,17 @@ const searchProperties = async (req, res) => {
             propertyType,
             location,
             amenities,
+            lat,
+            lng,
+            radius,
+            bbox,
             page = 1,
             limit = 10,
-            sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
+        const hasPoint = lat !== undefined && lng !== undefined;
+        // Pencarian dengan titik lokasi diurutkan berdasarkan jarak secara default
+        const sortBy = req.query.sortBy || (hasPoint ? 'distance' : 'createdAt');
 
         const cacheKey = `search:${JSON.stringify(req.query)}`;
 
@@ -332,19 +369,49 @@ const searchProperties = async (req, res) => {
             query.amenities = { $all: amenitiesArray };
         }
 
-        // Sort options
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-        // Execute query with pagination
-        const properties = await Property.find(query)
-            .sort(sort)
-            .skip((page - 1) * limit)
-            .limit(limit)
-            .populate('owner', 'name email');
+        // Bounding box: minLng,minLat,maxLng,maxLat
+        if (bbox) {
+            const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+            query['address.location'] = {
+                $geoWithin: {
+                    $geometry: {
+                        type: 'Polygon',
+                        coordinates: [[
+                            [minLng, minLat],
+                            [maxLng, minLat],
+                            [maxLng, maxLat],
+                            [minLng, maxLat],
+                            [minLng, minLat]
+                        ]]
+                    }
+                }
+            };
+        }
 
-        // Get total count for pagination
-        const total = await Property.countDocuments(query);
+        let properties;
+        let total;
+        if (hasPoint) {
+            // Radius dan jarak dihitung dari titik lat/lng, dalam kilometer
+            const sort = sortBy === 'distance' ? null : { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+            ({ properties, total } = await Property.findNear(
+                { latitude: lat, longitude: lng },
+                { radius, filters: query, sort, page, limit }
+            ));
+        } else {
+            // Sort options
+            const sort = {};
+            sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+            // Execute query with pagination
+            properties = await Property.find(query)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('owner', 'name');
+
+            // Get total count for pagination
+            total = await Property.countDocuments(query);
+        }
 
         const response = {
             success: true,
@@ -0,0 +1,402 @@
+const BankStatement = require('../models/BankStatement');
+const Payment = require('../models/Payment');
+const Tenant = require('../models/Tenant');
+const { parseStatement } = require('../reconciliation/statementParser');
+const { matchLine, OPEN_STATUSES } = require('../reconciliation/matcher');
+const { getTenantPrefix } = require('../reconciliation/virtualAccount');
+const { sendEmail } = require('../config/email');
+const { buildPaymentAttachments } = require('../config/pdfGenerator');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+// Catat baris mutasi sebagai transaksi pada tagihan. Baris yang sudah tercatat pada tagihan yang sama
+// (mis. proses sebelumnya terhenti sebelum status baris tersimpan) tidak dicatat ulang.
+const recordLineTransaction = async (payment, line, statement, userId) => {
+    const alreadyRecorded = payment.transactions.some(trx => trx.statementLine && trx.statementLine.equals(line._id));
+    if (alreadyRecorded) {
+        return;
+    }
+
+    payment.recordTransaction({
+        amount: line.amount,
+        paymentMethod: 'bank_transfer',
+        reference: line.reference || line.fingerprint,
+        paidAt: line.date,
+        notes: `Rekonsiliasi mutasi bank ${statement.fileName} baris ${line.lineNumber}`,
+        recordedBy: userId,
+        statementLine: line._id
+    });
+    await payment.save();
+};
+
+// Tandai baris sudah tercatat, lalu kirim email ke resident. Kegagalan notifikasi tidak mengubah status baris.
+const markLineApplied = async (statement, line, payment, status) => {
+    line.status = status;
+    line.payment = payment._id;
+    line.appliedAt = new Date();
+    await statement.save();
+
+    try {
+        await payment.populate('resident', 'name email');
+        await sendEmail({
+            email: payment.resident.email,
+            subject: 'Pembayaran Diterima',
+            html: `
+                <h2>Pembayaran Diterima</h2>
+                <p>Transfer Anda telah kami terima dengan detail berikut:</p>
+                <ul>
+                    <li>Tipe: ${payment.type}</li>
+                    <li>Dibayar: ${line.amount} ${payment.currency}</li>
+                    <li>Total Dibayar: ${payment.amountPaid} ${payment.currency}</li>
+                    <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
+                    <li>Status: ${payment.status}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                    Lihat Detail
+                </a>
+            `,
+            attachments: payment.status === 'completed'
+                ? await buildPaymentAttachments(await Payment.findForDocument(payment._id), ['receipt'])
+                : [],
+        });
+    } catch (error) {
+        logger.error(`Error sending reconciliation email for payment ${payment._id}:`, error);
+    }
+
+    await deleteCache(`payment:${payment._id}`);
+};
+
+// @desc    Upload bank statement (CSV/MT940) and auto-match credits to open payments
+// @route   POST /api/payments/reconciliation/statements
+// @access  Private (Admin/Manager)
+const uploadStatement = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'File mutasi bank harus diupload.',
+            });
+        }
+
+        let parsed;
+        try {
+            parsed = parseStatement(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        const tenant = await Tenant.findById(req.user.tenant).select('settings.virtualAccount');
+        const prefix = getTenantPrefix(tenant);
+
+        const statement = new BankStatement({
+            tenant: req.user.tenant,
+            property: req.body.property,
+            fileName: req.file.originalname,
+            format: parsed.format,
+            bankName: req.body.bankName || tenant.settings.virtualAccount.bankName,
+            uploadedBy: req.user._id
+        });
+
+        // Hanya mutasi kredit (uang masuk) yang direkonsiliasi
+        const credits = parsed.lines.filter(line => line.amount > 0);
+        const matched = [];
+        // Jumlah yang sudah dialokasikan per tagihan agar baris berikutnya tidak mencocokkan sisa tagihan yang sama
+        const allocated = new Map();
+
+        for (const line of credits) {
+            const alreadyImported = await BankStatement.exists({
+                tenant: req.user.tenant,
+                'lines.fingerprint': line.fingerprint
+            });
+
+            if (alreadyImported) {
+                statement.lines.push({ ...line, status: 'duplicate', note: 'Baris sudah pernah diimport.' });
+                continue;
+            }
+
+            const match = await matchLine(line, {
+                tenant: req.user.tenant,
+                property: req.body.property,
+                prefix,
+                allocated
+            });
+
+            // Baris yang cocok disimpan sebagai pending dulu dan baru ditandai matched setelah tercatat di tagihan
+            statement.lines.push({
+                ...line,
+                status: match.status === 'matched' ? 'pending' : match.status,
+                payment: match.payment && match.payment._id,
+                candidates: match.candidates,
+                note: match.note
+            });
+            if (match.status === 'matched') {
+                const paymentId = match.payment._id.toString();
+                allocated.set(paymentId, (allocated.get(paymentId) || 0) + line.amount);
+                matched.push({ line: statement.lines[statement.lines.length - 1], paymentId: match.payment._id });
+            }
+        }
+
+        // Simpan sidik jari semua baris sebelum tagihan diubah agar upload ulang terdeteksi sebagai duplikat
+        await statement.save();
+
+        for (const { line, paymentId } of matched) {
+            let payment;
+            try {
+                // Muat ulang tagihan karena baris sebelumnya pada mutasi ini bisa sudah mengubah saldonya
+                payment = await Payment.findById(paymentId);
+                if (!payment) {
+                    throw new Error('Tagihan tidak ditemukan.');
+                }
+                await recordLineTransaction(payment, line, statement, req.user._id);
+            } catch (error) {
+                logger.error(`Error applying statement line ${line.lineNumber}:`, error);
+                line.status = 'ambiguous';
+                line.payment = undefined;
+                line.candidates = [paymentId];
+                line.note = error.message;
+                await statement.save();
+                continue;
+            }
+
+            await markLineApplied(statement, line, payment, 'matched');
+        }
+
+        // Hapus cache yang terkait
+        if (statement.summary.matched) {
+            await deleteCache('payments:*');
+            await deleteCache(`payment:stats:${req.user.tenant}`);
+        }
+
+        logger.info('Bank statement reconciled:', statement._id);
+        res.status(201).json({
+            success: true,
+            data: {
+                _id: statement._id,
+                fileName: statement.fileName,
+                format: statement.format,
+                skippedDebits: parsed.lines.length - credits.length,
+                summary: statement.summary,
+                reviewQueue: statement.lines.filter(line => BankStatement.REVIEW_STATUSES.includes(line.status))
+            },
+        });
+    } catch (error) {
+        logger.error('Error uploading bank statement:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get uploaded bank statements
+// @route   GET /api/payments/reconciliation/statements
+// @access  Private (Admin/Manager)
+const getStatements = async (req, res) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const query = { tenant: req.user.tenant };
+
+        const statements = await BankStatement.find(query)
+            .select('-lines')
+            .sort('-createdAt')
+            .skip((page - 1) * limit)
+            .limit(Number(limit))
+            .populate('uploadedBy', 'name email');
+
+        const total = await BankStatement.countDocuments(query);
+
+        res.json({
+            success: true,
+            count: statements.length,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                totalPages: Math.ceil(total / limit)
+            },
+            data: statements,
+        });
+    } catch (error) {
+        logger.error('Error getting bank statements:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get single bank statement with its lines
+// @route   GET /api/payments/reconciliation/statements/:id
+// @access  Private (Admin/Manager)
+const getStatement = async (req, res) => {
+    try {
+        const statement = await BankStatement.findOne({ _id: req.params.id, tenant: req.user.tenant })
+            .populate('uploadedBy', 'name email')
+            .populate('lines.payment', 'type amount balance status dueDate virtualAccountNumber')
+            .populate('lines.candidates', 'type amount balance status dueDate virtualAccountNumber');
+
+        if (!statement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mutasi bank tidak ditemukan.',
+            });
+        }
+
+        res.json({
+            success: true,
+            data: statement,
+        });
+    } catch (error) {
+        logger.error('Error getting bank statement:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get review queue of unmatched and ambiguous statement lines
+// @route   GET /api/payments/reconciliation/queue
+// @access  Private (Admin/Manager)
+const getReviewQueue = async (req, res) => {
+    try {
+        const { page, limit, status } = req.query;
+
+        if (status && !BankStatement.REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status antrean review tidak valid.',
+            });
+        }
+
+        const result = await BankStatement.getReviewQueue(req.user.tenant, { page, limit, status });
+
+        res.json({
+            success: true,
+            count: result.items.length,
+            pagination: result.pagination,
+            data: result.items,
+        });
+    } catch (error) {
+        logger.error('Error getting reconciliation review queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Resolve a statement line from the review queue (match to a payment or ignore)
+// @route   POST /api/payments/reconciliation/statements/:id/lines/:lineId/resolve
+// @access  Private (Admin/Manager)
+const resolveStatementLine = async (req, res) => {
+    try {
+        const { action, payment: paymentId, note } = req.body;
+
+        if (!['match', 'ignore'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Aksi harus match atau ignore.',
+            });
+        }
+
+        const statement = await BankStatement.findOne({ _id: req.params.id, tenant: req.user.tenant });
+        const line = statement && statement.lines.id(req.params.lineId);
+
+        if (!line) {
+            return res.status(404).json({
+                success: false,
+                message: 'Baris mutasi tidak ditemukan.',
+            });
+        }
+
+        if (!BankStatement.REVIEW_STATUSES.includes(line.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Baris mutasi dengan status ${line.status} tidak memerlukan review.`,
+            });
+        }
+
+        // Baris pending mungkin sudah tercatat di tagihan sebelum prosesnya terhenti
+        const recordedPayment = line.status === 'pending' &&
+            await Payment.exists({ tenant: req.user.tenant, 'transactions.statementLine': line._id });
+
+        if (action === 'ignore' && recordedPayment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Baris mutasi sudah tercatat pada tagihan dan tidak dapat diabaikan.',
+            });
+        }
+
+        if (action === 'match') {
+            const payment = await Payment.findOne({
+                _id: recordedPayment ? recordedPayment._id : paymentId,
+                tenant: req.user.tenant,
+                isActive: true,
+                $or: [
+                    { status: { $in: OPEN_STATUSES } },
+                    { 'transactions.statementLine': line._id }
+                ]
+            });
+
+            if (!payment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Tagihan terbuka tidak ditemukan.',
+                });
+            }
+
+            try {
+                await recordLineTransaction(payment, line, statement, req.user._id);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                });
+            }
+
+            await markLineApplied(statement, line, payment, 'manual');
+        } else {
+            line.status = 'ignored';
+        }
+
+        line.note = note || line.note;
+        line.resolvedBy = req.user._id;
+        line.resolvedAt = new Date();
+        await statement.save();
+
+        // Hapus cache yang terkait
+        if (action === 'match') {
+            await deleteCache('payments:*');
+            await deleteCache(`payment:stats:${req.user.tenant}`);
+        }
+
+        logger.info(`Statement line ${line._id} resolved (${action}):`, statement._id);
+        res.json({
+            success: true,
+            data: line,
+        });
+    } catch (error) {
+        logger.error('Error resolving statement line:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    uploadStatement,
+    getStatements,
+    getStatement,
+    getReviewQueue,
+    resolveStatementLine
+};
@@ -0,0 +1,166 @@
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Complaint = require('../models/Complaint');
+const Announcement = require('../models/Announcement');
+const Maintenance = require('../models/Maintenance');
+const { stemQuery } = require('../search/stemmer');
+const { buildSnippet, escapeHtml } = require('../search/snippet');
+const { logger } = require('../config/logger');
+
+// Audiens pengumuman yang dapat dilihat setiap role selain admin/manager
+const ANNOUNCEMENT_AUDIENCES = {
+    staff: ['all', 'staff'],
+    resident: ['all', 'residents']
+};
+
+// Sumber pencarian per tipe hasil. scope mengembalikan filter akses pengguna, atau null jika tipe tidak tersedia.
+// snippetFields diurutkan dari yang paling informatif untuk ditampilkan.
+const SEARCH_SOURCES = {
+    property: {
+        model: Property,
+        fields: 'name description address.street address.city propertyType',
+        title: doc => doc.name,
+        snippetFields: ['description', 'address.street', 'address.city'],
+        scope: ({ user }) => ({ tenant: user.tenant, isActive: true })
+    },
+    unit: {
+        model: Unit,
+        fields: 'unitNumber type amenities status property',
+        title: doc => `Unit ${doc.unitNumber}`,
+        snippetFields: ['type', 'amenities'],
+        scope: ({ propertyIds }) => ({ property: { $in: propertyIds }, isActive: true })
+    },
+    complaint: {
+        model: Complaint,
+        fields: 'title description comments.content status property unit',
+        title: doc => doc.title,
+        snippetFields: ['description', 'comments.content'],
+        scope: ({ user }) => user.role === 'resident'
+            ? { tenant: user.tenant, resident: user._id, isActive: true }
+            : { tenant: user.tenant, isActive: true }
+    },
+    announcement: {
+        model: Announcement,
+        fields: 'title content type status property',
+        title: doc => doc.title,
+        snippetFields: ['content'],
+        scope: ({ user }) => ANNOUNCEMENT_AUDIENCES[user.role]
+            ? { tenant: user.tenant, status: 'published', targetAudience: { $in: ANNOUNCEMENT_AUDIENCES[user.role] }, isActive: true }
+            : { tenant: user.tenant, isActive: true }
+    },
+    maintenance: {
+        model: Maintenance,
+        fields: 'title description notes completionNotes status property unit',
+        title: doc => doc.title,
+        snippetFields: ['description', 'notes', 'completionNotes'],
+        scope: ({ user }) => user.role === 'resident' ? null : { tenant: user.tenant, isActive: true }
+    }
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+// Ambil teks sebuah field, termasuk field di dalam array (mis. comments.content)
+const textAt = (doc, path) => {
+    const value = path.split('.').reduce((current, key) => {
+        if (Array.isArray(current)) {
+            return current.map(item => item && item[key]);
+        }
+        return current ? current[key] : undefined;
+    }, doc);
+    return Array.isArray(value) ? value.filter(Boolean).join(' · ') : value;
+};
+
+// Susun hasil pencarian: judul, snippet dengan kata yang cocok ditandai <mark>, dan skor relevansi
+const toResult = (type, source, doc, terms) => {
+    const title = source.title(doc);
+    let snippet = null;
+    let matchedField = null;
+    for (const field of source.snippetFields) {
+        snippet = buildSnippet(textAt(doc, field), terms);
+        if (snippet) {
+            matchedField = field;
+            break;
+        }
+    }
+
+    return {
+        type,
+        id: doc._id,
+        title,
+        titleHighlight: buildSnippet(title, terms, Infinity) || escapeHtml(String(title)),
+        snippet,
+        matchedField,
+        score: Math.round(doc.score * 1000) / 1000,
+        status: doc.status,
+        property: doc.property
+    };
+};
+
+// @desc    Unified full-text search across properties, units, complaints, announcements and maintenance
+// @route   GET /api/search
+// @access  Private
+const search = async (req, res) => {
+    try {
+        const { q, types, limit = 20 } = req.query;
+        const language = req.query.language || req.user.preferences.language;
+        const terms = stemQuery(q, language);
+
+        if (terms.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kata kunci pencarian tidak valid.',
+            });
+        }
+
+        const requestedTypes = types ? types.split(',') : SEARCH_TYPES;
+        const properties = await Property.find({ tenant: req.user.tenant }).select('_id');
+        const context = { user: req.user, propertyIds: properties.map(property => property._id) };
+
+        const counts = {};
+        const results = [];
+
+        for (const type of requestedTypes) {
+            const source = SEARCH_SOURCES[type];
+            const scope = source.scope(context);
+            if (!scope) {
+                continue;
+            }
+
+            const docs = await source.model.find({ ...scope, ...source.model.textSearchFilter(q, language) })
+                .select(source.fields)
+                .select({ score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(Number(limit))
+                .lean();
+
+            counts[type] = docs.length;
+            results.push(...docs.map(doc => toResult(type, source, doc, new Set(terms))));
+        }
+
+        // Skor antar tipe dibandingkan langsung; bobot field sudah diseragamkan (judul 10) di setiap index
+        results.sort((a, b) => b.score - a.score);
+
+        res.json({
+            success: true,
+            count: Math.min(results.length, Number(limit)),
+            meta: {
+                query: q,
+                language,
+                terms,
+                counts
+            },
+            data: results.slice(0, Number(limit)),
+        });
+    } catch (error) {
+        logger.error('Error searching:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    search
+};
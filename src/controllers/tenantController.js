@@ -174,6 +174,13 @@ const updateTenant = async (req, res) => {
             });
         }
 
+        // findByIdAndUpdate melewati hook model, jadi status langganan dihitung ulang di sini
+        const subscriptionUpdate = req.body.subscription || {};
+        if (subscriptionUpdate.endDate && !subscriptionUpdate.status && tenant.reactivateIfRenewed()) {
+            tenant.subscription.remindersSent = [];
+            await tenant.save();
+        }
+
         // Kirim email notifikasi
         await sendEmail({
             email: tenant.contactInfo.email,
@@ -318,14 +325,26 @@ const updateTenantSubscription = async (req, res) => {
             });
         }
 
+        // Cek transisi status langganan
+        if (status && !tenant.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status langganan tidak dapat diubah dari ${tenant.subscription.status} ke ${status}.`,
+            });
+        }
+
         // Update subscription
-        tenant.subscription = {
-            ...tenant.subscription,
-            plan,
-            startDate,
-            endDate,
-            status
-        };
+        if (plan) tenant.subscription.plan = plan;
+        if (startDate) tenant.subscription.startDate = startDate;
+        if (endDate) tenant.subscription.endDate = endDate;
+        if (status) {
+            tenant.subscription.status = status;
+            tenant.subscription.cancelledAt = status === 'cancelled' ? new Date() : undefined;
+            if (status === 'active') {
+                tenant.subscription.pastDueAt = undefined;
+                tenant.subscription.suspendedAt = undefined;
+            }
+        }
 
         await tenant.save();
 
@@ -338,10 +357,10 @@ const updateTenantSubscription = async (req, res) => {
                 <p>Paket langganan Anda telah diupdate. Berikut adalah detail terbaru:</p>
                 <ul>
                     <li>Nama: ${tenant.name}</li>
-                    <li>Paket: ${plan}</li>
-                    <li>Tanggal Mulai: ${startDate.toLocaleDateString()}</li>
-                    <li>Tanggal Selesai: ${endDate.toLocaleDateString()}</li>
-                    <li>Status: ${status}</li>
+                    <li>Paket: ${tenant.subscription.plan}</li>
+                    <li>Tanggal Mulai: ${tenant.subscription.startDate.toLocaleDateString()}</li>
+                    <li>Tanggal Selesai: ${tenant.subscription.endDate.toLocaleDateString()}</li>
+                    <li>Status: ${tenant.subscription.status}</li>
                 </ul>
             `,
         });
@@ -365,6 +384,36 @@ const updateTenantSubscription = async (req, res) => {
     }
 };
 
+// @desc    Get tenant plan usage (quota consumption)
+// @route   GET /api/tenants/:id/usage
+// @access  Private (Admin)
+const getTenantUsage = async (req, res) => {
+    try {
+        const tenant = await Tenant.findById(req.params.id);
+
+        if (!tenant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tenant tidak ditemukan.',
+            });
+        }
+
+        const usage = await tenant.getUsage();
+
+        res.json({
+            success: true,
+            data: usage,
+        });
+    } catch (error) {
+        logger.error('Error getting tenant usage:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
 module.exports = {
     getTenants,
     getTenant,
@@ -372,5 +421,6 @@ module.exports = {
     updateTenant,
     deleteTenant,
     getTenantStats,
-    updateTenantSubscription
+    updateTenantSubscription,
+    getTenantUsage
 }; 
\ No newline at end of file
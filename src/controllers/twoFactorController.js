@@ -0,0 +1,224 @@
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditLog');
+const { sendEmail } = require('../config/email');
+const { logger } = require('../config/logger');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../auth/totp');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+// @desc    Mulai pendaftaran 2FA: buat secret baru dan URI otpauth untuk QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA sudah aktif. Nonaktifkan terlebih dahulu untuk mendaftarkan perangkat baru.',
+            });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Pindai QR code dengan aplikasi authenticator, lalu konfirmasi dengan kode yang muncul.',
+            data: {
+                secret,
+                otpauthUri: buildOtpauthUri(secret, user.email),
+            },
+        });
+    } catch (error) {
+        logger.error('Error setting up two-factor authentication:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Aktifkan 2FA dengan kode pertama dari aplikasi authenticator
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA sudah aktif.',
+            });
+        }
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mulai pendaftaran 2FA melalui /api/auth/2fa/setup terlebih dahulu.',
+            });
+        }
+
+        const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kode autentikasi tidak valid.',
+            });
+        }
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        const backupCodes = user.regenerateBackupCodes();
+        await user.save();
+
+        await AuditLog.record(req, { action: 'two_factor.enabled', user });
+
+        await sendEmail({
+            email: user.email,
+            subject: 'Autentikasi Dua Faktor Diaktifkan',
+            html: `
+                <h2>Autentikasi Dua Faktor Diaktifkan</h2>
+                <p>Halo ${user.name},</p>
+                <p>Autentikasi dua faktor (2FA) telah diaktifkan untuk akun Anda. Setiap login kini memerlukan kode dari aplikasi authenticator.</p>
+                <p>Jika Anda tidak melakukan perubahan ini, segera hubungi administrator.</p>
+            `,
+        });
+
+        logger.info(`Two-factor authentication enabled for user ${user._id}`);
+        res.json({
+            success: true,
+            message: '2FA berhasil diaktifkan. Simpan kode cadangan di tempat aman; kode hanya ditampilkan sekali.',
+            data: {
+                backupCodes,
+            },
+        });
+    } catch (error) {
+        logger.error('Error enabling two-factor authentication:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Nonaktifkan 2FA (memerlukan password dan kode 2FA)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA belum aktif.',
+            });
+        }
+
+        const tenant = await Tenant.findById(user.tenant).select('settings.twoFactor');
+        if (tenant && tenant.requiresTwoFactor(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Tenant mewajibkan 2FA untuk role Anda sehingga 2FA tidak dapat dinonaktifkan.',
+            });
+        }
+
+        const isMatch = await user.matchPassword(req.body.password);
+        if (!isMatch || !user.verifyTwoFactor(req.body)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password atau kode autentikasi salah.',
+            });
+        }
+
+        user.clearTwoFactor();
+        await user.save();
+
+        await AuditLog.record(req, { action: 'two_factor.disabled', user });
+
+        await sendEmail({
+            email: user.email,
+            subject: 'Autentikasi Dua Faktor Dinonaktifkan',
+            html: `
+                <h2>Autentikasi Dua Faktor Dinonaktifkan</h2>
+                <p>Halo ${user.name},</p>
+                <p>Autentikasi dua faktor (2FA) untuk akun Anda telah dinonaktifkan.</p>
+                <p>Jika Anda tidak melakukan perubahan ini, segera ganti password Anda dan hubungi administrator.</p>
+            `,
+        });
+
+        logger.info(`Two-factor authentication disabled for user ${user._id}`);
+        res.json({
+            success: true,
+            message: '2FA berhasil dinonaktifkan.',
+        });
+    } catch (error) {
+        logger.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Buat ulang kode cadangan 2FA (kode lama tidak berlaku)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA belum aktif.',
+            });
+        }
+
+        // Hanya kode dari authenticator yang diterima agar kode cadangan lama tidak bisa dipakai membuat yang baru
+        if (user.verifyTwoFactor({ code: req.body.code }) !== 'totp') {
+            return res.status(400).json({
+                success: false,
+                message: 'Kode autentikasi tidak valid.',
+            });
+        }
+
+        const backupCodes = user.regenerateBackupCodes();
+        await user.save();
+
+        await AuditLog.record(req, { action: 'two_factor.backup_codes_regenerated', user });
+
+        res.json({
+            success: true,
+            message: 'Kode cadangan baru berhasil dibuat. Kode lama tidak berlaku lagi.',
+            data: {
+                backupCodes,
+            },
+        });
+    } catch (error) {
+        logger.error('Error regenerating backup codes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+};
@@ -1 +1,511 @@
- 
\ No newline at end of file
+const Unit = require('../models/Unit');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Lease = require('../models/Lease');
+const { sendEmail } = require('../config/email');
+const { processImage } = require('../config/imageProcessor');
+const { releaseStoredFiles, getRemovedFileUrls } = require('../config/storage');
+const { getCache, setCache, deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+// Field yang boleh diubah melalui PUT /:id. Status, penghuni, dan occupancy hanya diubah melalui PATCH /:id/status;
+// property dan isActive tidak dapat diubah dari sini
+const EDITABLE_FIELDS = ['unitNumber', 'floor', 'type', 'size', 'price', 'amenities', 'images'];
+
+const pickEditableFields = (body) => {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+        return fields;
+    }, {});
+};
+
+// Unit tidak menyimpan tenant, sehingga akses dicek melalui property-nya
+const findTenantProperty = (propertyId, tenantId) => {
+    return Property.findOne({ _id: propertyId, tenant: tenantId, isActive: true });
+};
+
+const findTenantUnit = async (unitId, tenantId) => {
+    const unit = await Unit.findById(unitId).populate('property', 'name tenant');
+    if (!unit) {
+        return { unit: null };
+    }
+    if (!unit.property || unit.property.tenant.toString() !== tenantId.toString()) {
+        return { unit, forbidden: true };
+    }
+    return { unit };
+};
+
+// @desc    Get all units with filter, search, and pagination
+// @route   GET /api/units
+// @access  Private
+const getUnits = async (req, res) => {
+    try {
+        const { query, page, limit, sort, fields, ...filters } = req.query;
+        const cacheKey = `units:${req.user.tenant}:${JSON.stringify({ query, page, limit, sort, fields, ...filters })}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for units list');
+            return res.json(cachedData);
+        }
+
+        // Batasi unit ke property milik tenant
+        const properties = await Property.find({ tenant: req.user.tenant }).select('_id');
+        const propertyIds = properties.map(property => property._id.toString());
+
+        if (filters.property && !propertyIds.includes(filters.property)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke unit pada properti ini.',
+            });
+        }
+
+        const result = await Unit.findWithFilter(query, {
+            page,
+            limit,
+            sort,
+            fields,
+            ...filters,
+            property: filters.property || { $in: propertyIds },
+        });
+
+        const response = {
+            success: true,
+            count: result.units.length,
+            pagination: result.pagination,
+            data: result.units,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting units:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get single unit
+// @route   GET /api/units/:id
+// @access  Private
+const getUnit = async (req, res) => {
+    try {
+        const cacheKey = `unit:${req.params.id}:${req.user.tenant}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for unit details');
+            return res.json(cachedData);
+        }
+
+        const unit = await Unit.findById(req.params.id)
+            .populate('property', 'name address tenant')
+            .populate('currentTenant', 'name email phone');
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (unit.property.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses ke data unit ini.',
+            });
+        }
+
+        const response = {
+            success: true,
+            data: unit,
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 300); // Cache selama 5 menit
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting unit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Create new unit
+// @route   POST /api/units
+// @access  Private (Admin & Property Manager)
+const createUnit = async (req, res) => {
+    try {
+        const property = await findTenantProperty(req.body.property, req.user.tenant);
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Properti tidak ditemukan.',
+            });
+        }
+
+        // Proses gambar jika ada
+        if (req.files && req.files.length > 0) {
+            req.body.images = await Promise.all(
+                req.files.map(async (file) => {
+                    const processedPath = await processImage(file);
+                    return {
+                        url: processedPath,
+                        caption: req.body.imageCaptions?.[file.filename] || '',
+                    };
+                })
+            );
+        }
+
+        // Status dan penghuni hanya diubah melalui PATCH /:id/status
+        delete req.body.status;
+        delete req.body.currentTenant;
+
+        const unit = await Unit.create(req.body);
+
+        // Hapus cache yang terkait
+        await deleteCache('units:*');
+        await deleteCache(`unit:stats:${property._id}`);
+
+        logger.info('New unit created:', unit._id);
+        res.status(201).json({
+            success: true,
+            data: unit,
+        });
+    } catch (error) {
+        logger.error('Error creating unit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Update unit
+// @route   PUT /api/units/:id
+// @access  Private (Admin & Property Manager)
+const updateUnit = async (req, res) => {
+    try {
+        const { unit, forbidden } = await findTenantUnit(req.params.id, req.user.tenant);
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (forbidden) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk mengupdate unit ini.',
+            });
+        }
+
+        // Proses gambar baru jika ada
+        if (req.files && req.files.length > 0) {
+            const processedImages = await Promise.all(
+                req.files.map(async (file) => {
+                    const processedPath = await processImage(file);
+                    return {
+                        url: processedPath,
+                        caption: req.body.imageCaptions?.[file.filename] || '',
+                    };
+                })
+            );
+            req.body.images = [...(req.body.images || unit.images), ...processedImages];
+        }
+
+        const previousImageUrls = unit.images.map(image => image.url);
+        Object.entries(pickEditableFields(req.body)).forEach(([key, value]) => {
+            unit[key] = value;
+        });
+
+        await unit.save();
+
+        // Hapus gambar yang tidak lagi dipakai unit
+        await releaseStoredFiles(req.user.tenant, getRemovedFileUrls(previousImageUrls, unit.images));
+
+        // Hapus cache yang terkait
+        await deleteCache('units:*');
+        await deleteCache(`unit:${unit._id}:*`);
+        await deleteCache('unit:stats:*');
+
+        logger.info('Unit updated:', unit._id);
+        res.json({
+            success: true,
+            data: unit,
+        });
+    } catch (error) {
+        logger.error('Error updating unit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Delete unit
+// @route   DELETE /api/units/:id
+// @access  Private (Admin)
+const deleteUnit = async (req, res) => {
+    try {
+        const { unit, forbidden } = await findTenantUnit(req.params.id, req.user.tenant);
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (forbidden) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk menghapus unit ini.',
+            });
+        }
+
+        if (['occupied', 'reserved'].includes(unit.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unit yang sedang dihuni atau direservasi tidak dapat dihapus.',
+            });
+        }
+
+        // Soft delete
+        unit.isActive = false;
+        await unit.save();
+
+        // Hapus cache yang terkait
+        await deleteCache('units:*');
+        await deleteCache(`unit:${unit._id}:*`);
+        await deleteCache(`unit:stats:${unit.property._id}`);
+
+        logger.info('Unit deleted:', unit._id);
+        res.json({
+            success: true,
+            message: 'Unit berhasil dihapus.',
+        });
+    } catch (error) {
+        logger.error('Error deleting unit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get unit statistics for a property
+// @route   GET /api/units/stats/:propertyId
+// @access  Private (Admin & Property Manager)
+const getUnitStats = async (req, res) => {
+    try {
+        const property = await findTenantProperty(req.params.propertyId, req.user.tenant);
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Properti tidak ditemukan.',
+            });
+        }
+
+        const cacheKey = `unit:stats:${property._id}`;
+
+        // Cek cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            logger.info('Cache hit for unit statistics');
+            return res.json(cachedData);
+        }
+
+        const stats = await Unit.getUnitStats(property._id);
+
+        const response = {
+            success: true,
+            data: stats[0] || {
+                totalUnits: 0,
+                availableUnits: 0,
+                occupiedUnits: 0,
+                maintenanceUnits: 0,
+                reservedUnits: 0,
+                averagePrice: 0,
+                unitTypeDistribution: {}
+            }
+        };
+
+        // Set cache
+        await setCache(cacheKey, response, 3600); // Cache selama 1 jam
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error getting unit statistics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Update unit status and occupancy
+// @route   PATCH /api/units/:id/status
+// @access  Private (Admin & Property Manager)
+const updateUnitStatus = async (req, res) => {
+    try {
+        const { status, currentTenant, moveInDate, moveOutDate } = req.body;
+        const { unit, forbidden } = await findTenantUnit(req.params.id, req.user.tenant);
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unit tidak ditemukan.',
+            });
+        }
+
+        // Cek akses tenant
+        if (forbidden) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk mengupdate status unit ini.',
+            });
+        }
+
+        // Cek transisi status
+        if (!Unit.STATUS_TRANSITIONS[status]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status unit tidak valid.',
+            });
+        }
+        if (!unit.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status unit tidak dapat diubah dari ${unit.status} ke ${status}.`,
+            });
+        }
+
+        // Unit dengan kontrak berjalan hanya dapat dilepas atau berganti penghuni lewat kontrak sewa
+        const activeLease = await Lease.findActiveForUnit(unit._id);
+        if (activeLease && (status === 'available' ||
+            (currentTenant && currentTenant.toString() !== activeLease.primaryResident.toString()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unit memiliki kontrak sewa berjalan. Akhiri kontrak melalui endpoint lease terlebih dahulu.',
+            });
+        }
+
+        // Penghuni baru harus resident aktif pada tenant yang sama
+        let resident;
+        if (currentTenant) {
+            resident = await User.findOne({
+                _id: currentTenant,
+                tenant: req.user.tenant,
+                role: 'resident',
+                isActive: true
+            });
+            if (!resident) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Penghuni tidak ditemukan atau bukan resident aktif.',
+                });
+            }
+        }
+
+        // Jaga konsistensi currentTenant dan periode hunian dengan status unit
+        if (status === 'available') {
+            unit.currentTenant = undefined;
+            unit.occupancy = undefined;
+        } else if (resident) {
+            if (unit.currentTenant && status === 'maintenance') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Penghuni tidak dapat diganti saat unit masuk pemeliharaan.',
+                });
+            }
+            unit.currentTenant = resident._id;
+        }
+
+        if (status === 'occupied' && !unit.currentTenant) {
+            return res.status(400).json({
+                success: false,
+                message: 'Penghuni harus dipilih untuk unit yang dihuni.',
+            });
+        }
+
+        // Tanggal masuk/keluar dipakai untuk prorata tagihan sewa
+        if (status === 'occupied' && unit.status !== 'maintenance') {
+            unit.occupancy = {
+                startDate: moveInDate || new Date(),
+                endDate: moveOutDate
+            };
+        }
+
+        unit.status = status;
+        await unit.save();
+
+        // Kirim email notifikasi ke penghuni baru
+        if (resident) {
+            await sendEmail({
+                email: resident.email,
+                subject: status === 'reserved' ? 'Unit Direservasi' : 'Unit Ditempati',
+                html: `
+                    <h2>${status === 'reserved' ? 'Unit Direservasi' : 'Unit Ditempati'}</h2>
+                    <p>Unit berikut telah ${status === 'reserved' ? 'direservasi' : 'ditetapkan'} untuk Anda:</p>
+                    <ul>
+                        <li>Properti: ${unit.property.name}</li>
+                        <li>Unit: ${unit.unitNumber}</li>
+                        <li>Lantai: ${unit.floor}</li>
+                        <li>Status: ${unit.status}</li>
+                    </ul>
+                `,
+            });
+        }
+
+        // Hapus cache yang terkait
+        await deleteCache('units:*');
+        await deleteCache(`unit:${unit._id}:*`);
+        await deleteCache(`unit:stats:${unit.property._id}`);
+
+        logger.info('Unit status updated:', unit._id);
+        res.json({
+            success: true,
+            data: unit,
+        });
+    } catch (error) {
+        logger.error('Error updating unit status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+            error: error.message,
+        });
+    }
+};
+
+module.exports = {
+    getUnits,
+    getUnit,
+    createUnit,
+    updateUnit,
+    deleteUnit,
+    getUnitStats,
+    updateUnitStatus
+};
@@ -1,9 +1,30 @@
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { sendEmail } = require('../config/email');
 const { processImage } = require('../config/imageProcessor');
 const { getCache, setCache, deleteCache } = require('../config/cache');
 const { logger } = require('../config/logger');
-const crypto = require('crypto');
+const { sendVerificationEmail } = require('../auth/emailVerification');
+const { releaseStoredFiles } = require('../config/storage');
+
+// Field yang boleh diubah melalui endpoint admin. Field keamanan (password, 2FA, versi token, penguncian, riwayat login,
+// token reset/verifikasi) hanya diubah melalui alurnya sendiri agar tercatat dan tidak dapat dilewati.
+// Role ditangani terpisah karena bergantung pada role pengguna yang mengubah.
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'avatar', 'address', 'preferences', 'isActive'];
+
+// Tingkat role untuk mencegah pengguna memberikan atau mengelola role di atas miliknya
+const ROLE_RANK = { resident: 0, staff: 1, manager: 2, admin: 3 };
+
+const outranks = (role, callerRole) => ROLE_RANK[role] > ROLE_RANK[callerRole];
+
+const pickEditableFields = (body) => {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+        if (body[key] !== undefined) {
+            fields[key] = body[key];
+        }
+        return fields;
+    }, {});
+};
 
 // @desc    Get all users with filter, search, and pagination
 // @route   GET /api/users
@@ -116,34 +137,24 @@ const createUser = async (req, res) => {
             };
         }
 
-        // Tambahkan tenant dari user yang membuat
-        req.body.tenant = req.user.tenant;
-
-        const user = await User.create(req.body);
-
-        // Kirim email verifikasi
-        const verificationToken = crypto.randomBytes(32).toString('hex');
-        user.verificationToken = crypto
-            .createHash('sha256')
-            .update(verificationToken)
-            .digest('hex');
-        user.verificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 jam
+        if (req.body.role && outranks(req.body.role, req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak dapat membuat pengguna dengan role di atas role Anda.',
+            });
+        }
 
-        await user.save();
+        // Email dianggap belum terverifikasi sampai pengguna membuka link verifikasi;
+        // tenant diambil dari user yang membuat
+        const user = await User.create({
+            ...pickEditableFields(req.body),
+            password: req.body.password,
+            role: req.body.role,
+            tenant: req.user.tenant
+        });
 
         // Kirim email verifikasi
-        await sendEmail({
-            email: user.email,
-            subject: 'Verifikasi Email Anda',
-            html: `
-                <h2>Verifikasi Email Anda</h2>
-                <p>Terima kasih telah mendaftar. Silakan klik link di bawah ini untuk memverifikasi email Anda:</p>
-                <a href="${process.env.FRONTEND_URL}/verify-email/${verificationToken}">
-                    Verifikasi Email
-                </a>
-                <p>Link ini akan kadaluarsa dalam 24 jam.</p>
-            `,
-        });
+        await sendVerificationEmail(user);
 
         // Hapus cache yang terkait
         await deleteCache('users:*');
@@ -194,13 +205,48 @@ const updateUser = async (req, res) => {
             });
         }
 
+        // Manager tidak dapat mengubah pengguna dengan role di atasnya, mis. email admin
+        if (outranks(user.role, req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk mengupdate pengguna ini.',
+            });
+        }
+
+        // Role hanya dapat diubah oleh admin
+        if (req.body.role !== undefined && req.body.role !== user.role) {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Hanya admin yang dapat mengubah role pengguna.',
+                });
+            }
+            user.role = req.body.role;
+        }
+
         // Update user
-        Object.keys(req.body).forEach(key => {
-            user[key] = req.body[key];
+        const previousAvatarUrl = user.avatar && user.avatar.url;
+        Object.entries(pickEditableFields(req.body)).forEach(([key, value]) => {
+            user[key] = value;
         });
 
+        // Email baru harus diverifikasi ulang
+        const emailChanged = user.isModified('email');
+        if (emailChanged) {
+            user.emailVerified = false;
+        }
+
         await user.save();
 
+        // Hapus avatar lama yang sudah diganti
+        if (previousAvatarUrl && previousAvatarUrl !== (user.avatar && user.avatar.url)) {
+            await releaseStoredFiles(req.user.tenant, [previousAvatarUrl]);
+        }
+
+        if (emailChanged) {
+            await sendVerificationEmail(user);
+        }
+
         // Kirim email notifikasi
         await sendEmail({
             email: user.email,
@@ -382,13 +428,12 @@ const updateUserPreferences = async (req, res) => {
     }
 };
 
-// @desc    Reset password
-// @route   POST /api/users/reset-password
-// @access  Public
-const resetPassword = async (req, res) => {
+// @desc    Reset 2FA pengguna (mis. perangkat authenticator hilang)
+// @route   POST /api/users/:id/2fa/reset
+// @access  Private (Admin)
+const resetUserTwoFactor = async (req, res) => {
     try {
-        const { email } = req.body;
-        const user = await User.findOne({ email });
+        const user = await User.findById(req.params.id);
 
         if (!user) {
             return res.status(404).json({
@@ -397,37 +442,52 @@ const resetPassword = async (req, res) => {
             });
         }
 
-        // Generate reset token
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        user.resetPasswordToken = crypto
-            .createHash('sha256')
-            .update(resetToken)
-            .digest('hex');
-        user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 menit
+        // Cek akses tenant
+        if (user.tenant.toString() !== req.user.tenant.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Anda tidak memiliki akses untuk mereset 2FA pengguna ini.',
+            });
+        }
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '2FA pengguna ini belum aktif.',
+            });
+        }
 
+        user.clearTwoFactor();
         await user.save();
 
-        // Kirim email reset password
+        await AuditLog.record(req, {
+            action: 'two_factor.reset',
+            targetUser: user,
+            reason: req.body.reason,
+        });
+
+        // Kirim email notifikasi
         await sendEmail({
             email: user.email,
-            subject: 'Reset Password',
+            subject: 'Autentikasi Dua Faktor Direset',
             html: `
-                <h2>Reset Password</h2>
-                <p>Anda telah meminta untuk mereset password Anda. Silakan klik link di bawah ini:</p>
-                <a href="${process.env.FRONTEND_URL}/reset-password/${resetToken}">
-                    Reset Password
-                </a>
-                <p>Link ini akan kadaluarsa dalam 10 menit.</p>
-                <p>Jika Anda tidak meminta reset password, abaikan email ini.</p>
+                <h2>Autentikasi Dua Faktor Direset</h2>
+                <p>Halo ${user.name},</p>
+                <p>Administrator telah mereset autentikasi dua faktor (2FA) akun Anda. Silakan daftarkan ulang aplikasi authenticator setelah login.</p>
+                <p>Jika Anda tidak meminta reset ini, segera hubungi administrator.</p>
             `,
         });
 
+        // Hapus cache yang terkait
+        await deleteCache(`user:${user._id}`);
+
+        logger.warn(`Two-factor authentication reset for user ${user._id} by admin ${req.user._id}`);
         res.json({
             success: true,
-            message: 'Email reset password telah dikirim.',
+            message: '2FA pengguna berhasil direset.',
         });
     } catch (error) {
-        logger.error('Error resetting password:', error);
+        logger.error('Error resetting user two-factor authentication:', error);
         res.status(500).json({
             success: false,
             message: 'Terjadi kesalahan pada server.',
@@ -444,5 +504,5 @@ module.exports = {
     deleteUser,
     getUserStats,
     updateUserPreferences,
-    resetPassword
+    resetUserTwoFactor
 }; 
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mockProvider = require('./mockProvider');
+const { signPayload, verifyHmac } = require('./signature');
+
+// Registry provider payment gateway.
+// Setiap provider mengimplementasikan:
+//   createCharge(payment, options) -> { reference, checkoutUrl }
+//   verifySignature(rawBody, headers) -> Boolean
+//   parseEvent(body) -> { eventId, type, reference, amount, paymentMethod }
+// dengan type salah satu dari: payment.succeeded, payment.pending, payment.failed,
+// payment.expired, payment.refunded
+const providers = {};
+
+// Provider mock hanya untuk pengujian: tidak pernah terdaftar di production dan wajib memiliki secret sendiri
+if (process.env.NODE_ENV !== 'production' && process.env.MOCK_GATEWAY_SECRET) {
+    providers[mockProvider.name] = mockProvider;
+}
+
+const getProvider = (name) => providers[name];
+
+module.exports = {
+    getProvider,
+    signPayload,
+    verifyHmac
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { signPayload, verifyHmac } = require('./signature');
+
+// Provider lokal untuk pengujian alur pembayaran tanpa koneksi ke gateway sungguhan
+const name = 'mock';
+
+const getSecret = () => process.env.MOCK_GATEWAY_SECRET;
+
+const createCharge = async (payment, { amount } = {}) => {
+    const reference = `MOCK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    return {
+        reference,
+        amount: amount || payment.balance,
+        checkoutUrl: `${process.env.FRONTEND_URL}/payments/${payment._id}/mock-checkout?reference=${reference}`
+    };
+};
+
+const verifySignature = (rawBody, headers) => {
+    return verifyHmac(rawBody, headers['x-mock-signature'], getSecret());
+};
+
+const parseEvent = (body) => {
+    return {
+        eventId: body.id,
+        type: body.event,
+        reference: body.data && body.data.reference,
+        amount: body.data && Number(body.data.amount),
+        paymentMethod: body.data && body.data.paymentMethod
+    };
+};
+
+// Susun payload webhook bertanda tangan seperti yang dikirim gateway
+const buildEvent = ({ event, reference, amount, paymentMethod }) => {
+    const body = {
+        id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+        event,
+        createdAt: new Date().toISOString(),
+        data: { reference, amount, paymentMethod }
+    };
+    const rawBody = JSON.stringify(body);
+
+    return {
+        body,
+        rawBody,
+        headers: { 'x-mock-signature': signPayload(rawBody, getSecret()) }
+    };
+};
+
+module.exports = {
+    name,
+    createCharge,
+    verifySignature,
+    parseEvent,
+    buildEvent
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+const signPayload = (rawBody, secret) => {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+// Verifikasi HMAC-SHA256 (hex) dengan perbandingan constant-time
+const verifyHmac = (rawBody, signature, secret) => {
+    if (!rawBody || !signature || !secret) {
+        return false;
+    }
+
+    const received = Buffer.from(String(signature), 'utf8');
+    const computed = Buffer.from(signPayload(rawBody, secret), 'utf8');
+
+    return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+};
+
+module.exports = {
+    signPayload,
+    verifyHmac
+};
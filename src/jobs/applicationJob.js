@@ -0,0 +1,57 @@
+const Application = require('../models/Application');
+const { sendEmail } = require('../config/email');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+// Lepas reservasi unit milik pemohon yang disetujui tetapi belum dikonversi hingga batas waktu habis.
+// Unit dikembalikan menjadi available agar dapat diajukan pemohon lain.
+const runReservationExpiry = async (now = new Date()) => {
+    const summary = { expired: 0, failed: 0 };
+
+    const applications = await Application.find({
+        status: 'approved',
+        'reservation.expiresAt': { $lte: now }
+    })
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber');
+
+    for (const application of applications) {
+        try {
+            await application.releaseUnit();
+            application.status = 'expired';
+            await application.save();
+            summary.expired++;
+
+            await sendEmail({
+                email: application.applicant.email,
+                subject: 'Reservasi Unit Berakhir',
+                html: `
+                    <h2>Reservasi Unit Berakhir</h2>
+                    <p>Reservasi unit untuk pengajuan sewa Anda telah berakhir dan unit dibuka kembali untuk pemohon lain:</p>
+                    <ul>
+                        <li>Properti: ${application.property.name}</li>
+                        <li>Unit: ${application.unit.unitNumber}</li>
+                        <li>Berakhir: ${application.reservation.expiresAt.toLocaleString()}</li>
+                    </ul>
+                    <p>Silakan hubungi pengelola properti jika Anda masih berminat.</p>
+                `,
+            });
+        } catch (error) {
+            summary.failed++;
+            logger.error(`Error expiring reservation for application ${application._id}:`, error);
+        }
+    }
+
+    if (summary.expired > 0) {
+        await deleteCache('applications:*');
+        await deleteCache('units:*');
+        await deleteCache('unit:*');
+    }
+
+    logger.info('Reservation expiry check finished:', summary);
+    return summary;
+};
+
+module.exports = {
+    runReservationExpiry
+};
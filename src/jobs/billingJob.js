@@ -0,0 +1,194 @@
+const Payment = require('../models/Payment');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Lease = require('../models/Lease');
+const { sendEmail } = require('../config/email');
+const { buildPaymentAttachments } = require('../config/pdfGenerator');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// Periode tagihan berjalan untuk tanggal tertentu: [billingDay bulan ini, billingDay bulan depan)
+const getBillingPeriod = (billingDay, date) => {
+    const day = startOfDay(date);
+    let start = new Date(day.getFullYear(), day.getMonth(), billingDay);
+    if (start > day) {
+        start = new Date(day.getFullYear(), day.getMonth() - 1, billingDay);
+    }
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, billingDay);
+    const key = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+
+    return { start, end, key };
+};
+
+// Hitung sewa prorata berdasarkan hari hunian dalam periode
+const calculateRent = (unit, period) => {
+    const periodDays = Math.round((period.end - period.start) / DAY_MS);
+    const { startDate, endDate } = unit.occupancy || {};
+
+    const occupiedStart = startDate && startOfDay(startDate) > period.start ? startOfDay(startDate) : period.start;
+    const occupiedEnd = endDate && startOfDay(endDate).getTime() + DAY_MS < period.end.getTime()
+        ? new Date(startOfDay(endDate).getTime() + DAY_MS)
+        : period.end;
+    const occupiedDays = Math.max(Math.round((occupiedEnd - occupiedStart) / DAY_MS), 0);
+
+    return {
+        amount: Math.round(unit.price * occupiedDays / periodDays),
+        occupiedDays,
+        periodDays,
+        start: occupiedStart,
+        end: occupiedEnd
+    };
+};
+
+// Kunci idempoten tagihan sewa per kontrak (atau per resident untuk unit tanpa kontrak) dan periode,
+// sehingga kontrak baru yang dimulai di tengah periode tetap ditagih
+const getBillingReference = (unit, period, lease) => {
+    return lease
+        ? `rent:${unit._id}:lease:${lease._id}:${period.key}`
+        : `rent:${unit._id}:resident:${unit.currentTenant._id}:${period.key}`;
+};
+
+// Tagihan lama memakai kunci per unit; dianggap sudah menagih resident yang sama pada periode tersebut
+const isAlreadyBilled = (unit, period, lease) => {
+    return Payment.exists({
+        $or: [
+            { billingReference: getBillingReference(unit, period, lease) },
+            { billingReference: `rent:${unit._id}:${period.key}`, resident: unit.currentTenant._id }
+        ]
+    });
+};
+
+const createRentInvoice = async (property, unit, period, lease) => {
+    // Kontrak berjalan menentukan nominal sewa dan periode hunian
+    const terms = lease
+        ? { price: lease.rentAmount, occupancy: { startDate: lease.startDate, endDate: lease.endDate } }
+        : unit;
+    const rent = calculateRent(terms, period);
+    if (rent.amount <= 0) {
+        return null;
+    }
+
+    const prorated = rent.occupiedDays < rent.periodDays;
+    const dueDate = new Date(period.start.getTime() + property.billing.dueDays * DAY_MS);
+
+    const payment = await Payment.create({
+        tenant: property.tenant,
+        property: property._id,
+        unit: unit._id,
+        resident: unit.currentTenant._id,
+        type: 'rent',
+        description: `Sewa unit ${unit.unitNumber} periode ${period.key}`,
+        lineItems: [{
+            type: 'rent',
+            description: prorated
+                ? `Sewa unit ${unit.unitNumber} (prorata ${rent.occupiedDays}/${rent.periodDays} hari)`
+                : `Sewa unit ${unit.unitNumber}`,
+            unitPrice: rent.amount,
+            period: { start: rent.start, end: rent.end }
+        }],
+        amount: rent.amount,
+        currency: lease ? lease.currency : undefined,
+        paymentMethod: property.billing.defaultPaymentMethod,
+        billingPeriod: { start: period.start, end: period.end },
+        billingReference: getBillingReference(unit, period, lease),
+        dueDate
+    });
+
+    // Kirim email notifikasi ke resident dengan lampiran invoice PDF
+    await sendEmail({
+        email: unit.currentTenant.email,
+        subject: `Tagihan Sewa ${period.key}`,
+        html: `
+            <h2>Tagihan Sewa</h2>
+            <p>Tagihan sewa untuk unit ${unit.unitNumber} di ${property.name} telah terbit:</p>
+            <ul>
+                <li>No. Invoice: ${payment.invoiceNumber}</li>
+                <li>Periode: ${period.start.toLocaleDateString()} - ${new Date(period.end.getTime() - DAY_MS).toLocaleDateString()}</li>
+                <li>Jumlah: ${payment.amount} ${payment.currency}</li>
+                <li>Jatuh Tempo: ${dueDate.toLocaleDateString()}</li>
+            </ul>
+            <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                Lihat Detail
+            </a>
+        `,
+        attachments: await buildPaymentAttachments(await Payment.findForDocument(payment._id), ['invoice']),
+    });
+
+    return payment;
+};
+
+// Generate tagihan sewa bulanan untuk setiap unit yang dihuni.
+// Unit dengan kontrak berjalan ditagih sesuai sewa dan tanggal penagihan kontrak.
+// Aman dijalankan berulang: billingReference unik per kontrak dan periode mencegah tagihan ganda.
+const runRentBilling = async ({ date = new Date(), tenant, property, manual = false } = {}) => {
+    const summary = { created: 0, skipped: 0, failed: 0 };
+
+    const propertyQuery = { isActive: true };
+    if (tenant) propertyQuery.tenant = tenant;
+    if (property) propertyQuery._id = property;
+    if (!manual) propertyQuery['billing.autoGenerate'] = { $ne: false };
+
+    const properties = await Property.find(propertyQuery);
+
+    for (const prop of properties) {
+        const units = await Unit.find({
+            property: prop._id,
+            status: 'occupied',
+            currentTenant: { $exists: true, $ne: null },
+            isActive: true
+        }).populate('currentTenant', 'name email');
+
+        for (const unit of units) {
+            try {
+                if (!unit.currentTenant) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                const lease = await Lease.findActiveForUnit(unit._id);
+                const period = getBillingPeriod((lease && lease.billingDay) || prop.billing.billingDay, date);
+                if (await isAlreadyBilled(unit, period, lease)) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                const payment = await createRentInvoice(prop, unit, period, lease);
+                if (payment) {
+                    summary.created++;
+                } else {
+                    summary.skipped++;
+                }
+            } catch (error) {
+                // Duplicate key berarti tagihan periode ini sudah dibuat oleh proses lain
+                if (error.code === 11000) {
+                    summary.skipped++;
+                } else {
+                    summary.failed++;
+                    logger.error(`Error generating rent invoice for unit ${unit._id}:`, error);
+                }
+            }
+        }
+    }
+
+    if (summary.created > 0) {
+        await deleteCache('payments:*');
+        await deleteCache('payment:stats:*');
+    }
+
+    logger.info('Rent billing finished:', summary);
+    return summary;
+};
+
+module.exports = {
+    runRentBilling,
+    getBillingPeriod,
+    calculateRent
+};
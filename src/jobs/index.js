@@ -0,0 +1,60 @@
+const cron = require('node-cron');
+const { logger } = require('../config/logger');
+const { runSubscriptionCheck } = require('./subscriptionJob');
+const { runRentBilling } = require('./billingJob');
+const { runLateFeeCheck } = require('./lateFeeJob');
+const { runLeaseLifecycle, runLeaseRenewalReminders } = require('./leaseJob');
+const { runReservationExpiry } = require('./applicationJob');
+
+// Daftar job terjadwal; jadwal dapat dioverride lewat environment (format cron)
+const jobs = [
+    {
+        name: 'subscription-check',
+        schedule: process.env.SUBSCRIPTION_JOB_CRON || '0 1 * * *', // Setiap hari jam 01:00
+        run: () => runSubscriptionCheck()
+    },
+    {
+        name: 'lease-lifecycle',
+        schedule: process.env.LEASE_JOB_CRON || '30 1 * * *', // Setiap hari jam 01:30, sebelum penagihan sewa
+        run: () => runLeaseLifecycle()
+    },
+    {
+        name: 'rent-billing',
+        schedule: process.env.BILLING_JOB_CRON || '0 2 * * *', // Setiap hari jam 02:00
+        run: () => runRentBilling()
+    },
+    {
+        name: 'late-fee-check',
+        schedule: process.env.LATE_FEE_JOB_CRON || '0 3 * * *', // Setiap hari jam 03:00
+        run: () => runLateFeeCheck()
+    },
+    {
+        name: 'lease-renewal-reminder',
+        schedule: process.env.LEASE_RENEWAL_JOB_CRON || '0 9 * * *', // Setiap hari jam 09:00
+        run: () => runLeaseRenewalReminders()
+    },
+    {
+        name: 'reservation-expiry',
+        schedule: process.env.APPLICATION_JOB_CRON || '15 * * * *', // Setiap jam pada menit ke-15
+        run: () => runReservationExpiry()
+    }
+];
+
+const startJobs = () => {
+    jobs.forEach(job => {
+        cron.schedule(job.schedule, async () => {
+            try {
+                await job.run();
+            } catch (error) {
+                logger.error(`Job ${job.name} gagal:`, error);
+            }
+        }, {
+            timezone: process.env.JOB_TIMEZONE || 'Asia/Jakarta'
+        });
+        logger.info(`Job ${job.name} dijadwalkan: ${job.schedule}`);
+    });
+};
+
+module.exports = {
+    startJobs
+};
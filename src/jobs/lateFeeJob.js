@@ -0,0 +1,136 @@
+const Payment = require('../models/Payment');
+const { sendEmail } = require('../config/email');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hitung total denda sesuai kebijakan properti (dibatasi cap jika ada)
+const calculateLateFee = (policy, baseAmount, daysOverdue) => {
+    let penalty;
+    switch (policy.type) {
+        case 'flat':
+            penalty = policy.amount;
+            break;
+        case 'percentage':
+            penalty = Math.round(baseAmount * policy.amount / 100);
+            break;
+        case 'daily':
+            penalty = policy.amount * daysOverdue;
+            break;
+        default:
+            penalty = 0;
+    }
+
+    if (policy.cap !== undefined && policy.cap !== null) {
+        penalty = Math.min(penalty, policy.cap);
+    }
+    return penalty;
+};
+
+const sendEscalation = async (payment, daysOverdue) => {
+    const recipients = [payment.resident.email, payment.property.contactInfo?.email].filter(Boolean);
+
+    for (const email of recipients) {
+        await sendEmail({
+            email,
+            subject: `Tagihan Terlambat ${daysOverdue} Hari`,
+            html: `
+                <h2>Tagihan Terlambat</h2>
+                <p>Tagihan berikut telah melewati jatuh tempo selama ${daysOverdue} hari:</p>
+                <ul>
+                    <li>Properti: ${payment.property.name}</li>
+                    <li>Unit: ${payment.unit.unitNumber}</li>
+                    <li>Penghuni: ${payment.resident.name}</li>
+                    <li>Tipe: ${payment.type}</li>
+                    <li>Jatuh Tempo: ${payment.dueDate.toLocaleDateString()}</li>
+                    <li>Denda: ${payment.lateFee.penaltyAmount} ${payment.currency}</li>
+                    <li>Sisa Tagihan: ${payment.balance} ${payment.currency}</li>
+                </ul>
+                <a href="${process.env.FRONTEND_URL}/payments/${payment._id}">
+                    Lihat Detail
+                </a>
+            `,
+        });
+    }
+};
+
+// Tandai tagihan yang lewat jatuh tempo sebagai overdue, hitung denda, dan kirim eskalasi
+const runLateFeeCheck = async (now = new Date()) => {
+    const summary = { markedOverdue: 0, penalized: 0, escalated: 0, failed: 0 };
+
+    const payments = await Payment.find({
+        isActive: true,
+        status: { $in: ['pending', 'partial', 'overdue'] },
+        dueDate: { $lt: now }
+    })
+        .populate('property', 'name contactInfo lateFee')
+        .populate('unit', 'unitNumber')
+        .populate('resident', 'name email');
+
+    for (const payment of payments) {
+        try {
+            const policy = payment.property.lateFee || {};
+            const overdueFrom = new Date(payment.dueDate.getTime() + (policy.graceDays || 0) * DAY_MS);
+            if (overdueFrom >= now || payment.balance <= 0) {
+                continue;
+            }
+
+            if (payment.status !== 'overdue') {
+                payment.status = 'overdue';
+                payment.lateFee.overdueAt = now;
+                summary.markedOverdue++;
+            }
+
+            const daysOverdue = Math.floor((now - overdueFrom) / DAY_MS) + 1;
+
+            // Denda dihitung dari tagihan pokok (tanpa denda sebelumnya)
+            const baseAmount = payment.lineItems
+                .filter(item => !item._id.equals(payment.lateFee.lineItem))
+                .reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+            const penalty = calculateLateFee(policy, baseAmount, daysOverdue);
+
+            if (penalty > 0 && penalty !== payment.lateFee.penaltyAmount) {
+                payment.applyLateFee(
+                    penalty,
+                    policy.type === 'daily'
+                        ? `Denda keterlambatan (${daysOverdue} hari)`
+                        : 'Denda keterlambatan'
+                );
+                summary.penalized++;
+            }
+
+            await payment.save();
+
+            // Eskalasi pada hari keterlambatan yang dikonfigurasi, masing-masing sekali
+            const escalationDay = (policy.escalationDays || [])
+                .filter(day => daysOverdue >= day && !payment.lateFee.escalationsSent.includes(day))
+                .sort((a, b) => b - a)[0];
+
+            if (escalationDay) {
+                await sendEscalation(payment, daysOverdue);
+                payment.lateFee.escalationsSent = policy.escalationDays.filter(day => day <= escalationDay);
+                await payment.save();
+                summary.escalated++;
+            }
+
+            await deleteCache(`payment:${payment._id}`);
+        } catch (error) {
+            summary.failed++;
+            logger.error(`Error processing late fee for payment ${payment._id}:`, error);
+        }
+    }
+
+    if (summary.markedOverdue || summary.penalized) {
+        await deleteCache('payments:*');
+        await deleteCache('payment:stats:*');
+    }
+
+    logger.info('Late fee check finished:', summary);
+    return summary;
+};
+
+module.exports = {
+    runLateFeeCheck,
+    calculateLateFee
+};
@@ -0,0 +1,165 @@
+const Lease = require('../models/Lease');
+const { sendEmail } = require('../config/email');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hari sebelum endDate kontrak untuk mengirim penawaran perpanjangan
+const RENEWAL_REMINDER_DAYS = [90, 60, 30];
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// Akhiri kontrak yang melewati hari terakhir hunian lalu berlakukan perpanjangan yang sudah dimulai.
+// Unit ikut diperbarui lewat hook save kontrak; dijalankan sebelum penagihan sewa.
+const runLeaseLifecycle = async (now = new Date()) => {
+    const summary = { ended: 0, activated: 0, failed: 0 };
+    const today = startOfDay(now);
+
+    const expired = await Lease.find({
+        status: { $in: Lease.ACTIVE_STATUSES },
+        endDate: { $lt: today }
+    });
+
+    for (const lease of expired) {
+        try {
+            lease.status = 'ended';
+            lease.endedAt = new Date();
+            await lease.save();
+            summary.ended++;
+        } catch (error) {
+            summary.failed++;
+            logger.error(`Error ending lease ${lease._id}:`, error);
+        }
+    }
+
+    const renewals = await Lease.find({
+        status: 'draft',
+        renewedFrom: { $exists: true, $ne: null },
+        startDate: { $lte: now }
+    });
+
+    for (const renewal of renewals) {
+        try {
+            await renewal.activate();
+            await renewal.save();
+            summary.activated++;
+        } catch (error) {
+            // Kontrak sebelumnya masih berjalan atau unit sudah dikontrak pihak lain
+            summary.failed++;
+            logger.error(`Error activating lease renewal ${renewal._id}:`, error);
+        }
+    }
+
+    if (summary.ended > 0 || summary.activated > 0) {
+        await deleteCache('leases:*');
+        await deleteCache('units:*');
+        await deleteCache('unit:*');
+    }
+
+    logger.info('Lease lifecycle check finished:', summary);
+    return summary;
+};
+
+// Kirim penawaran perpanjangan ke penghuni utama serta pengingat ke manager dan kontak properti
+const sendRenewalOffer = async (lease, daysLeft) => {
+    const { renewalOffer } = lease;
+    const details = `
+        <ul>
+            <li>Properti: ${lease.property.name}</li>
+            <li>Unit: ${lease.unit.unitNumber}</li>
+            <li>Kontrak Berakhir: ${lease.endDate.toLocaleDateString()}</li>
+            <li>Usulan Periode Baru: ${new Date(lease.endDate.getTime() + DAY_MS).toLocaleDateString()} - ${renewalOffer.endDate.toLocaleDateString()}</li>
+            <li>Usulan Sewa: ${renewalOffer.rentAmount} ${lease.currency}</li>
+        </ul>
+    `;
+
+    await sendEmail({
+        email: lease.primaryResident.email,
+        subject: `Penawaran Perpanjangan Kontrak - Berakhir dalam ${daysLeft} Hari`,
+        html: `
+            <h2>Penawaran Perpanjangan Kontrak</h2>
+            <p>Kontrak sewa Anda akan berakhir dalam ${daysLeft} hari. Kami menawarkan perpanjangan dengan rincian berikut:</p>
+            ${details}
+            <a href="${process.env.FRONTEND_URL}/leases/${lease._id}/renewal">
+                Terima atau Tolak Penawaran
+            </a>
+        `,
+    });
+
+    for (const email of await lease.getManagerEmails()) {
+        await sendEmail({
+            email,
+            subject: `Kontrak Unit ${lease.unit.unitNumber} Berakhir dalam ${daysLeft} Hari`,
+            html: `
+                <h2>Kontrak Akan Berakhir</h2>
+                <p>Penawaran perpanjangan telah dikirim ke ${lease.primaryResident.name} untuk kontrak berikut:</p>
+                ${details}
+                <a href="${process.env.FRONTEND_URL}/leases/renewals">
+                    Lihat Pipeline Perpanjangan
+                </a>
+            `,
+        });
+    }
+};
+
+// Kirim penawaran perpanjangan untuk kontrak yang berakhir dalam 90, 60, dan 30 hari.
+// Kontrak yang sudah diperpanjang, ditolak, atau dijadwalkan berakhir tidak diingatkan lagi.
+const runLeaseRenewalReminders = async (now = new Date()) => {
+    const summary = { reminded: 0, failed: 0 };
+    const today = startOfDay(now);
+
+    const leases = await Lease.find({
+        status: 'active',
+        renewedTo: { $exists: false },
+        'renewalOffer.status': { $nin: ['accepted', 'declined'] },
+        endDate: {
+            $gte: today,
+            $lte: new Date(today.getTime() + Math.max(...RENEWAL_REMINDER_DAYS) * DAY_MS)
+        }
+    })
+        .populate('property', 'name contactInfo')
+        .populate('unit', 'unitNumber')
+        .populate('primaryResident', 'name email');
+
+    for (const lease of leases) {
+        try {
+            const daysLeft = Math.ceil((startOfDay(lease.endDate) - today) / DAY_MS);
+            const remindersSent = lease.renewalOffer.remindersSent || [];
+            const reminderDay = RENEWAL_REMINDER_DAYS
+                .filter(day => daysLeft <= day && !remindersSent.includes(day))
+                .sort((a, b) => a - b)[0];
+
+            if (!reminderDay) {
+                continue;
+            }
+
+            lease.offerRenewal();
+            // Tandai juga pengingat yang lebih awal agar tidak terkirim mundur
+            lease.renewalOffer.remindersSent = RENEWAL_REMINDER_DAYS.filter(day => day >= reminderDay);
+            await lease.save();
+            await sendRenewalOffer(lease, daysLeft);
+            summary.reminded++;
+        } catch (error) {
+            summary.failed++;
+            logger.error(`Error sending renewal offer for lease ${lease._id}:`, error);
+        }
+    }
+
+    if (summary.reminded > 0) {
+        await deleteCache('leases:*');
+    }
+
+    logger.info('Lease renewal reminders finished:', summary);
+    return summary;
+};
+
+module.exports = {
+    runLeaseLifecycle,
+    runLeaseRenewalReminders,
+    RENEWAL_REMINDER_DAYS
+};
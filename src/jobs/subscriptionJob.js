@@ -0,0 +1,121 @@
+const Tenant = require('../models/Tenant');
+const { sendEmail } = require('../config/email');
+const { deleteCache } = require('../config/cache');
+const { logger } = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hari sebelum endDate untuk mengirim pengingat perpanjangan
+const REMINDER_DAYS = [14, 7, 1];
+
+const getGraceDays = () => Number(process.env.SUBSCRIPTION_GRACE_DAYS || 7);
+
+const sendReminder = async (tenant, daysLeft) => {
+    await sendEmail({
+        email: tenant.contactInfo.email,
+        subject: `Langganan Berakhir dalam ${daysLeft} Hari`,
+        html: `
+            <h2>Langganan Akan Berakhir</h2>
+            <p>Langganan ResiSmart Anda akan berakhir dalam ${daysLeft} hari.</p>
+            <ul>
+                <li>Nama: ${tenant.name}</li>
+                <li>Paket: ${tenant.subscription.plan}</li>
+                <li>Tanggal Selesai: ${tenant.subscription.endDate.toLocaleDateString()}</li>
+            </ul>
+            <p>Silakan perpanjang langganan Anda agar layanan tidak terganggu.</p>
+        `,
+    });
+};
+
+const markPastDue = async (tenant, now) => {
+    tenant.subscription.status = 'past_due';
+    tenant.subscription.pastDueAt = now;
+    await tenant.save();
+
+    await sendEmail({
+        email: tenant.contactInfo.email,
+        subject: 'Langganan Telah Berakhir',
+        html: `
+            <h2>Langganan Telah Berakhir</h2>
+            <p>Langganan ResiSmart Anda telah berakhir pada ${tenant.subscription.endDate.toLocaleDateString()}.</p>
+            <p>Anda masih dapat menggunakan layanan selama masa tenggang ${getGraceDays()} hari.
+            Setelah itu akun akan ditangguhkan dan hanya dapat diakses dalam mode baca.</p>
+        `,
+    });
+};
+
+const suspend = async (tenant, now) => {
+    tenant.subscription.status = 'suspended';
+    tenant.subscription.suspendedAt = now;
+    await tenant.save();
+
+    await sendEmail({
+        email: tenant.contactInfo.email,
+        subject: 'Akun Tenant Ditangguhkan',
+        html: `
+            <h2>Akun Tenant Ditangguhkan</h2>
+            <p>Masa tenggang langganan ResiSmart Anda telah berakhir sehingga akun ditangguhkan.</p>
+            <p>Data Anda tetap dapat dilihat dan diekspor, namun perubahan data tidak dapat dilakukan
+            sampai langganan diperpanjang.</p>
+        `,
+    });
+};
+
+// Proses pengingat, kedaluwarsa, dan penangguhan langganan tenant
+const runSubscriptionCheck = async (now = new Date()) => {
+    const summary = { reminded: 0, pastDue: 0, suspended: 0 };
+    const graceMs = getGraceDays() * DAY_MS;
+
+    const tenants = await Tenant.find({
+        isActive: true,
+        'subscription.status': { $in: ['trial', 'active', 'past_due'] },
+        'subscription.endDate': { $lte: new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS) }
+    });
+
+    for (const tenant of tenants) {
+        try {
+            const { status, endDate, remindersSent } = tenant.subscription;
+
+            if (status === 'past_due') {
+                if (endDate.getTime() + graceMs <= now.getTime()) {
+                    await suspend(tenant, now);
+                    summary.suspended++;
+                }
+            } else if (endDate <= now) {
+                // trial atau active yang sudah melewati endDate
+                await markPastDue(tenant, now);
+                summary.pastDue++;
+            } else {
+                const daysLeft = Math.ceil((endDate - now) / DAY_MS);
+                const reminderDay = REMINDER_DAYS
+                    .filter(day => daysLeft <= day && !remindersSent.includes(day))
+                    .sort((a, b) => a - b)[0];
+
+                if (reminderDay) {
+                    await sendReminder(tenant, daysLeft);
+                    // Tandai juga pengingat yang lebih awal agar tidak terkirim mundur
+                    tenant.subscription.remindersSent = REMINDER_DAYS.filter(day => day >= reminderDay);
+                    await tenant.save();
+                    summary.reminded++;
+                }
+            }
+
+            await deleteCache(`tenant:${tenant._id}`);
+        } catch (error) {
+            logger.error(`Error processing subscription for tenant ${tenant._id}:`, error);
+        }
+    }
+
+    if (summary.pastDue || summary.suspended) {
+        await deleteCache('tenants:*');
+        await deleteCache('tenant:stats');
+    }
+
+    logger.info('Subscription check finished:', summary);
+    return summary;
+};
+
+module.exports = {
+    runSubscriptionCheck,
+    REMINDER_DAYS
+};
@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const RefreshToken = require('../models/RefreshToken');
+const { getUploadedFiles, removeUploadedFiles, getStoredBytes } = require('../config/storage');
+const { logger } = require('../config/logger');
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 const protect = async (req, res, next) => {
     try {
@@ -16,16 +22,81 @@ const protect = async (req, res, next) => {
             });
         }
 
+        let decoded;
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Token khusus (mis. tantangan 2FA) bukan access token
+            if (decoded.purpose) {
+                throw new Error('Token bukan access token');
+            }
             req.user = await User.findById(decoded.id).select('-password');
-            next();
+            req.sessionId = decoded.sid;
         } catch (error) {
             return res.status(401).json({
                 success: false,
                 message: 'Akses ditolak. Token tidak valid.',
             });
         }
+
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Akses ditolak. Pengguna tidak ditemukan.',
+            });
+        }
+
+        if (!req.user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Akses ditolak. Akun Anda telah dinonaktifkan.',
+            });
+        }
+
+        // Token dibatalkan saat logout dari semua perangkat, ganti password, atau akun dinonaktifkan
+        if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                code: 'TOKEN_REVOKED',
+                message: 'Akses ditolak. Sesi telah berakhir, silakan login kembali.',
+            });
+        }
+
+        // Access token milik sesi yang sudah dicabut (logout, cabut sesi, penggunaan ulang refresh token) ikut ditolak
+        if (decoded.sid && await RefreshToken.isFamilyRevoked(decoded.sid)) {
+            return res.status(401).json({
+                success: false,
+                code: 'TOKEN_REVOKED',
+                message: 'Akses ditolak. Sesi telah berakhir, silakan login kembali.',
+            });
+        }
+
+        // Admin/manager pada tenant yang mewajibkan 2FA hanya dapat mengakses endpoint autentikasi
+        // (termasuk pendaftaran 2FA) sampai 2FA diaktifkan
+        if (Tenant.TWO_FACTOR_ROLES.includes(req.user.role) && !req.user.twoFactor.enabled && req.baseUrl !== '/api/auth') {
+            const tenant = await Tenant.findById(req.user.tenant).select('settings.twoFactor');
+            if (tenant && tenant.requiresTwoFactor(req.user.role)) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'TWO_FACTOR_SETUP_REQUIRED',
+                    message: 'Tenant mewajibkan autentikasi dua faktor. Aktifkan 2FA melalui /api/auth/2fa/setup.',
+                });
+            }
+        }
+
+        // Tenant yang ditangguhkan hanya boleh membaca dan mengekspor data; endpoint autentikasi
+        // (logout, ganti password, 2FA) tetap dapat dipakai
+        if (!READ_ONLY_METHODS.includes(req.method) && !req.path.endsWith('/export') && req.baseUrl !== '/api/auth') {
+            const tenant = await Tenant.findById(req.user.tenant).select('subscription.status');
+            if (tenant && tenant.subscription.status === 'suspended') {
+                return res.status(402).json({
+                    success: false,
+                    code: 'TENANT_SUSPENDED',
+                    message: 'Langganan tenant ditangguhkan. Akses hanya baca sampai langganan diperpanjang.',
+                });
+            }
+        }
+
+        next();
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -46,7 +117,113 @@ const authorize = (...roles) => {
     };
 };
 
+// Cek kuota paket langganan tenant sebelum membuat resource baru.
+// Untuk resource 'storage', pasang setelah middleware upload multer.
+const checkPlanLimit = (resource) => {
+    return async (req, res, next) => {
+        try {
+            const tenant = await Tenant.findById(req.user.tenant);
+
+            if (!tenant || !tenant.hasActiveSubscription()) {
+                removeUploadedFiles(req);
+                return res.status(402).json({
+                    success: false,
+                    code: 'SUBSCRIPTION_INACTIVE',
+                    message: 'Langganan tenant tidak aktif. Silakan perbarui langganan Anda.',
+                    subscription: tenant ? {
+                        plan: tenant.subscription.plan,
+                        status: tenant.subscription.status
+                    } : undefined,
+                });
+            }
+
+            const limit = tenant.getLimit(Tenant.PLAN_RESOURCES[resource]);
+            const usage = await tenant.getResourceUsage(resource);
+
+            let requested = 1;
+            let uploadedBytes = 0;
+            if (resource === 'storage') {
+                uploadedBytes = getUploadedFiles(req).reduce((sum, file) => sum + file.size, 0);
+                requested = uploadedBytes / (1024 * 1024);
+            }
+
+            if (requested > 0 && limit !== null && usage + requested > limit) {
+                removeUploadedFiles(req);
+                return res.status(403).json({
+                    success: false,
+                    code: 'PLAN_LIMIT_EXCEEDED',
+                    message: `Batas ${resource} untuk paket ${tenant.subscription.plan} telah tercapai. Silakan upgrade paket Anda.`,
+                    limit: {
+                        resource,
+                        plan: tenant.subscription.plan,
+                        usage,
+                        limit,
+                        requested
+                    },
+                });
+            }
+
+            // Catat penggunaan storage hanya jika request berhasil, sebesar file yang tersimpan setelah kompresi
+            // agar sama dengan yang dikurangi releaseStoredFiles saat file dihapus
+            if (uploadedBytes > 0) {
+                res.on('finish', async () => {
+                    if (res.statusCode >= 400) {
+                        return;
+                    }
+                    try {
+                        const storedBytes = await getStoredBytes(req);
+                        if (storedBytes > 0) {
+                            await Tenant.updateOne(
+                                { _id: tenant._id },
+                                { $inc: { 'usage.storageBytes': storedBytes } }
+                            );
+                        }
+                    } catch (error) {
+                        logger.error(`Error recording storage usage for tenant ${tenant._id}:`, error);
+                    }
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error(`Error checking plan limit ${resource}:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Terjadi kesalahan pada server.',
+            });
+        }
+    };
+};
+
+// Tolak pengguna yang belum memverifikasi email jika kebijakan tenant mewajibkannya untuk role pengguna.
+// Pasang sebelum middleware upload agar file tidak terlanjur disimpan.
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        if (req.user.emailVerified) {
+            return next();
+        }
+
+        const tenant = await Tenant.findById(req.user.tenant).select('settings.emailVerification');
+        if (tenant && tenant.requiresEmailVerification(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Silakan verifikasi email Anda terlebih dahulu. Link verifikasi dapat dikirim ulang melalui POST /api/auth/resend-verification.',
+            });
+        }
+
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Terjadi kesalahan pada server.',
+        });
+    }
+};
+
 module.exports = {
     protect,
     authorize,
+    checkPlanLimit,
+    requireVerifiedEmail,
 }; 
\ No newline at end of file
@@ -1,6 +1,33 @@
 const rateLimit = require('express-rate-limit');
 const { redisClient } = require('../config/cache');
 
+// Store Redis untuk express-rate-limit; prefix memisahkan hitungan antar limiter untuk IP yang sama
+const createRedisStore = (prefix, windowMs) => ({
+    increment: async (key) => {
+        const redisKey = `ratelimit:${prefix}:${key}`;
+        const results = await redisClient.multi()
+            .incr(redisKey)
+            .pttl(redisKey)
+            .exec();
+        const totalHits = results[0][1];
+        let ttl = results[1][1];
+
+        // Mulai window baru pada hit pertama
+        if (ttl < 0) {
+            await redisClient.pexpire(redisKey, windowMs);
+            ttl = windowMs;
+        }
+
+        return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    },
+    decrement: async (key) => {
+        await redisClient.decr(`ratelimit:${prefix}:${key}`);
+    },
+    resetKey: async (key) => {
+        await redisClient.del(`ratelimit:${prefix}:${key}`);
+    }
+});
+
 // Rate limiter untuk API
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 menit
@@ -11,21 +38,7 @@ const apiLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
-    store: {
-        incr: async (key) => {
-            const multi = redisClient.multi();
-            multi.incr(key);
-            multi.expire(key, 15 * 60); // 15 menit
-            const results = await multi.exec();
-            return results[0][1];
-        },
-        decr: async (key) => {
-            await redisClient.decr(key);
-        },
-        resetKey: async (key) => {
-            await redisClient.del(key);
-        }
-    }
+    store: createRedisStore('api', 15 * 60 * 1000)
 });
 
 // Rate limiter untuk auth routes
@@ -38,24 +51,24 @@ const authLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
-    store: {
-        incr: async (key) => {
-            const multi = redisClient.multi();
-            multi.incr(key);
-            multi.expire(key, 60 * 60); // 1 jam
-            const results = await multi.exec();
-            return results[0][1];
-        },
-        decr: async (key) => {
-            await redisClient.decr(key);
-        },
-        resetKey: async (key) => {
-            await redisClient.del(key);
-        }
-    }
+    store: createRedisStore('auth', 60 * 60 * 1000)
+});
+
+// Rate limiter untuk pengajuan sewa publik; dipasang sebelum upload agar dokumen tidak sempat disimpan
+const applicationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 jam
+    max: Number(process.env.APPLICATION_RATE_LIMIT || 5), // maksimal pengajuan per IP per windowMs
+    message: {
+        success: false,
+        message: 'Terlalu banyak pengajuan sewa, silakan coba lagi dalam 1 jam.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createRedisStore('applications', 60 * 60 * 1000)
 });
 
 module.exports = {
     apiLimiter,
-    authLimiter
+    authLimiter,
+    applicationLimiter
 }; 
\ No newline at end of file
@@ -1,4 +1,6 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { CURRENCY_CODES, exponentOf } = require('../accounting/money');
+const { removeUploadedFiles } = require('../config/storage');
 
 const validateProperty = [
     body('name')
@@ -48,6 +50,51 @@ const validateProperty = [
         .isEmail()
         .withMessage('Format email tidak valid'),
 
+    body('billing.billingDay')
+        .optional()
+        .isInt({ min: 1, max: 28 })
+        .withMessage('Tanggal penagihan harus antara 1-28'),
+
+    body('billing.dueDays')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Jangka waktu jatuh tempo tidak valid'),
+
+    body('lateFee.type')
+        .optional()
+        .isIn(['none', 'flat', 'percentage', 'daily'])
+        .withMessage('Tipe denda tidak valid'),
+
+    body('lateFee.amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Nominal denda tidak valid'),
+
+    body('lateFee.cap')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Batas maksimal denda tidak valid'),
+
+    body('lateFee.graceDays')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Masa tenggang denda tidak valid'),
+
+    body('lateFee.escalationDays.*')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Hari eskalasi tidak valid'),
+
+    body('address.coordinates.latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude harus antara -90 dan 90'),
+
+    body('address.coordinates.longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude harus antara -180 dan 180'),
+
     // Validasi hasil
     (req, res, next) => {
         const errors = validationResult(req);
@@ -61,10 +108,28 @@ const validateProperty = [
     },
 ];
 
+// Aturan kekuatan password: minimal 8 karakter dengan huruf kecil, huruf besar, dan angka
+const PASSWORD_MIN_LENGTH = 8;
+
+const passwordRules = (chain) => chain
+    .isString()
+    .withMessage('Password harus diisi')
+    .bail()
+    .isLength({ min: PASSWORD_MIN_LENGTH })
+    .withMessage(`Password minimal ${PASSWORD_MIN_LENGTH} karakter`)
+    .matches(/[a-z]/)
+    .withMessage('Password harus mengandung huruf kecil')
+    .matches(/[A-Z]/)
+    .withMessage('Password harus mengandung huruf besar')
+    .matches(/[0-9]/)
+    .withMessage('Password harus mengandung angka');
+
 // Middleware untuk mengecek hasil validasi
 const validate = (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+        // File yang sudah diupload multer tidak dipakai jika validasi gagal
+        removeUploadedFiles(req);
         return res.status(400).json({
             success: false,
             errors: errors.array()
@@ -73,6 +138,78 @@ const validate = (req, res, next) => {
     next();
 };
 
+// Validator untuk pencarian properti berbasis lokasi
+const validatePropertySearch = [
+    query('lat')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude harus antara -90 dan 90'),
+
+    query('lng')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude harus antara -180 dan 180'),
+
+    query('lat')
+        .custom((value, { req }) => (req.query.lat === undefined) === (req.query.lng === undefined))
+        .withMessage('Parameter lat dan lng harus diisi bersamaan'),
+
+    query('radius')
+        .optional()
+        .isFloat({ gt: 0, max: 500 })
+        .withMessage('Radius harus antara 0 dan 500 km')
+        .custom((value, { req }) => req.query.lat !== undefined)
+        .withMessage('Radius memerlukan parameter lat dan lng'),
+
+    query('bbox')
+        .optional()
+        .custom((value) => {
+            const parts = value.split(',').map(Number);
+            if (parts.length !== 4 || parts.some(Number.isNaN)) {
+                return false;
+            }
+            const [minLng, minLat, maxLng, maxLat] = parts;
+            return minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 &&
+                minLng < maxLng && minLat < maxLat;
+        })
+        .withMessage('Format bbox harus minLng,minLat,maxLng,maxLat'),
+
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'updatedAt', 'price', 'name', 'totalUnits', 'distance'])
+        .withMessage('Urutan tidak valid')
+        .custom((value, { req }) => value !== 'distance' || req.query.lat !== undefined)
+        .withMessage('Urutan berdasarkan jarak memerlukan parameter lat dan lng'),
+
+    validate
+];
+
+// Validator untuk pencarian global
+const validateSearch = [
+    query('q')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Kata kunci pencarian harus 2-100 karakter'),
+
+    query('types')
+        .optional()
+        .custom(value => value.split(',').every(type =>
+            ['property', 'unit', 'complaint', 'announcement', 'maintenance'].includes(type)))
+        .withMessage('Tipe pencarian tidak valid'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit harus antara 1 dan 50'),
+
+    query('language')
+        .optional()
+        .isIn(['id', 'en'])
+        .withMessage('Bahasa harus id atau en'),
+
+    validate
+];
+
 // Validator untuk pengumuman
 const validateAnnouncement = [
     body('title')
@@ -179,7 +316,7 @@ const validatePayment = [
         .withMessage('Jumlah pembayaran harus lebih dari 0'),
 
     body('currency')
-        .isIn(['IDR', 'USD'])
+        .isIn(CURRENCY_CODES)
         .withMessage('Mata uang tidak valid'),
 
     body('paymentMethod')
@@ -192,11 +329,17 @@ const validatePayment = [
 
     body('unit')
         .notEmpty()
-        .withMessage('Unit harus dipilih'),
+        .withMessage('Unit harus dipilih')
+        .bail()
+        .isMongoId()
+        .withMessage('Unit tidak valid'),
 
     body('resident')
         .notEmpty()
-        .withMessage('Resident harus dipilih'),
+        .withMessage('Resident harus dipilih')
+        .bail()
+        .isMongoId()
+        .withMessage('Resident tidak valid'),
 
     body('paymentDetails.bankName')
         .if(body('paymentMethod').equals('bank_transfer'))
@@ -236,6 +379,146 @@ const validatePayment = [
     validate
 ];
 
+// Validator untuk bukti transfer dari resident
+const validatePaymentProof = [
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Jumlah transfer harus lebih dari 0'),
+
+    body('transferDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal transfer tidak valid'),
+
+    body('bankName')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Nama bank tidak boleh kosong'),
+
+    validate
+];
+
+// Validator untuk verifikasi bukti transfer
+const validatePaymentVerification = [
+    body('action')
+        .isIn(['approve', 'reject'])
+        .withMessage('Aksi verifikasi harus approve atau reject'),
+
+    body('reason')
+        .if(body('action').equals('reject'))
+        .trim()
+        .notEmpty()
+        .withMessage('Alasan penolakan harus diisi'),
+
+    validate
+];
+
+// Validator untuk pencatatan pembayaran manual pada tagihan
+const validatePaymentTransaction = [
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Jumlah pembayaran harus lebih dari 0'),
+
+    body('paymentMethod')
+        .optional()
+        .isIn(['bank_transfer', 'credit_card', 'e_wallet', 'cash'])
+        .withMessage('Metode pembayaran tidak valid'),
+
+    body('paidAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal pembayaran tidak valid'),
+
+    validate
+];
+
+// Validator untuk deposit jaminan
+const validateDeposit = [
+    body('unit')
+        .isMongoId()
+        .withMessage('Unit tidak valid'),
+
+    body('resident')
+        .optional()
+        .isMongoId()
+        .withMessage('Resident tidak valid'),
+
+    body('lease')
+        .optional()
+        .isMongoId()
+        .withMessage('Kontrak sewa tidak valid'),
+
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Jumlah deposit harus lebih dari 0')
+        .bail()
+        // Jumlah harus dapat dinyatakan dalam minor unit mata uangnya, mis. JPY tanpa desimal
+        .custom((value, { req }) => {
+            const currency = CURRENCY_CODES.includes(req.body.currency) ? req.body.currency : 'IDR';
+            const minor = Number(value) * 10 ** exponentOf(currency);
+            return Math.abs(minor - Math.round(minor)) < 1e-6;
+        })
+        .withMessage('Jumlah deposit memiliki terlalu banyak angka desimal untuk mata uangnya'),
+
+    body('currency')
+        .optional()
+        .isIn(CURRENCY_CODES)
+        .withMessage('Mata uang tidak valid'),
+
+    body('paymentMethod')
+        .optional()
+        .isIn(['bank_transfer', 'credit_card', 'e_wallet', 'cash'])
+        .withMessage('Metode pembayaran tidak valid'),
+
+    body('dueDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal jatuh tempo tidak valid'),
+
+    validate
+];
+
+// Validator untuk settlement deposit saat pindah keluar
+const validateDepositSettlement = [
+    body('deductions')
+        .optional()
+        .isArray()
+        .withMessage('Potongan harus berupa array'),
+
+    body('deductions.*.maintenance')
+        .optional()
+        .isMongoId()
+        .withMessage('Data pemeliharaan tidak valid'),
+
+    body('deductions.*.amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah potongan tidak boleh negatif'),
+
+    body('moveOutDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal pindah keluar tidak valid'),
+
+    validate
+];
+
+// Validator untuk pengembalian deposit
+const validateDepositRefund = [
+    body('method')
+        .optional()
+        .isIn(['bank_transfer', 'cash', 'e_wallet'])
+        .withMessage('Metode pengembalian tidak valid'),
+
+    body('refundedAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal pengembalian tidak valid'),
+
+    validate
+];
+
 // Validator untuk maintenance
 const validateMaintenance = [
     body('title')
@@ -306,7 +589,7 @@ const validateMaintenance = [
 
     body('cost.currency')
         .optional()
-        .isIn(['IDR', 'USD'])
+        .isIn(CURRENCY_CODES)
         .withMessage('Mata uang tidak valid'),
 
     body('unit')
@@ -321,11 +604,691 @@ const validateMaintenance = [
     validate
 ];
 
+// Aturan field tenant yang opsional, dipakai saat membuat maupun mengupdate tenant
+const tenantFieldRules = [
+    body('code')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9]{3,12}$/)
+        .withMessage('Kode tenant harus 3-12 karakter alfanumerik'),
+
+    body('contactInfo.phone')
+        .optional()
+        .trim()
+        .matches(/^(\+62|62|0)8[1-9][0-9]{6,9}$/)
+        .withMessage('Format nomor telepon tidak valid'),
+
+    body('subscription.plan')
+        .optional()
+        .isIn(['basic', 'professional', 'enterprise'])
+        .withMessage('Paket langganan tidak valid'),
+
+    body('subscription.status')
+        .optional()
+        .isIn(['trial', 'active', 'past_due', 'suspended', 'cancelled'])
+        .withMessage('Status langganan tidak valid'),
+
+    body('subscription.startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal mulai tidak valid'),
+
+    body('subscription.endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal selesai tidak valid'),
+
+    body('settings.virtualAccount.mode')
+        .optional()
+        .isIn(['invoice', 'resident'])
+        .withMessage('Mode virtual account tidak valid'),
+
+    body('settings.virtualAccount.prefix')
+        .optional()
+        .matches(/^\d{3,6}$/)
+        .withMessage('Prefix virtual account harus 3-6 digit angka'),
+
+    body('settings.currency')
+        .optional()
+        .isIn(CURRENCY_CODES)
+        .withMessage('Mata uang pelaporan tidak valid'),
+
+    body('settings.twoFactor.enforced')
+        .optional()
+        .isBoolean()
+        .withMessage('Kebijakan 2FA harus berupa boolean'),
+
+    body('settings.emailVerification.required')
+        .optional()
+        .isBoolean()
+        .withMessage('Kebijakan verifikasi email harus berupa boolean'),
+
+    body('settings.emailVerification.roles')
+        .optional()
+        .isArray()
+        .withMessage('Role wajib verifikasi email harus berupa array')
+        .bail()
+        .custom(roles => roles.every(role => ['admin', 'manager', 'staff', 'resident'].includes(role)))
+        .withMessage('Role wajib verifikasi email tidak valid')
+];
+
+// Validator untuk tenant
+const validateTenant = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama tenant harus diisi')
+        .isLength({ min: 3 })
+        .withMessage('Nama tenant minimal 3 karakter'),
+
+    body('contactInfo.email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email harus diisi')
+        .isEmail()
+        .withMessage('Format email tidak valid'),
+
+    ...tenantFieldRules,
+
+    validate
+];
+
+// Validator untuk update tenant; hanya field yang dikirim yang divalidasi
+const validateTenantUpdate = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 3 })
+        .withMessage('Nama tenant minimal 3 karakter'),
+
+    body('contactInfo.email')
+        .optional()
+        .trim()
+        .isEmail()
+        .withMessage('Format email tidak valid'),
+
+    ...tenantFieldRules,
+
+    validate
+];
+
+// Validator untuk kurs mata uang
+const validateExchangeRate = [
+    body('base')
+        .isIn(CURRENCY_CODES)
+        .withMessage('Mata uang asal tidak valid'),
+
+    body('quote')
+        .isIn(CURRENCY_CODES)
+        .withMessage('Mata uang tujuan tidak valid')
+        .custom((quote, { req }) => quote !== req.body.base)
+        .withMessage('Mata uang asal dan tujuan tidak boleh sama'),
+
+    body('rate')
+        .isFloat({ gt: 0 })
+        .withMessage('Kurs harus lebih dari 0'),
+
+    body('effectiveDate')
+        .isISO8601()
+        .withMessage('Format tanggal efektif tidak valid'),
+
+    validate
+];
+
+// Validator untuk unit
+const validateLease = [
+    body('unit')
+        .isMongoId()
+        .withMessage('Unit tidak valid'),
+
+    body('primaryResident')
+        .isMongoId()
+        .withMessage('Penghuni utama tidak valid'),
+
+    body('coResidents')
+        .optional()
+        .isArray()
+        .withMessage('Penghuni tambahan harus berupa array'),
+
+    body('coResidents.*')
+        .isMongoId()
+        .withMessage('Penghuni tambahan tidak valid'),
+
+    body('startDate')
+        .isISO8601()
+        .withMessage('Format tanggal mulai tidak valid'),
+
+    body('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal akhir tidak valid'),
+
+    body('rentAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah sewa tidak valid'),
+
+    body('currency')
+        .optional()
+        .isIn(CURRENCY_CODES)
+        .withMessage('Mata uang tidak valid'),
+
+    body('billingDay')
+        .optional()
+        .isInt({ min: 1, max: 28 })
+        .withMessage('Tanggal penagihan harus antara 1 dan 28'),
+
+    body('depositAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah deposit tidak valid'),
+
+    body('activate')
+        .optional()
+        .isBoolean()
+        .withMessage('Activate harus berupa boolean'),
+
+    validate
+];
+
+const validateLeaseRenewal = [
+    body('endDate')
+        .isISO8601()
+        .withMessage('Format tanggal akhir tidak valid'),
+
+    body('rentAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah sewa tidak valid'),
+
+    body('billingDay')
+        .optional()
+        .isInt({ min: 1, max: 28 })
+        .withMessage('Tanggal penagihan harus antara 1 dan 28'),
+
+    body('depositAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah deposit tidak valid'),
+
+    validate
+];
+
+const validateLeaseTermination = [
+    body('effectiveDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal efektif tidak valid'),
+
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Alasan pemutusan maksimal 500 karakter'),
+
+    validate
+];
+
+const validateRenewalResponse = [
+    body('decision')
+        .isIn(['accept', 'decline'])
+        .withMessage('Jawaban harus accept atau decline'),
+
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Catatan maksimal 500 karakter'),
+
+    validate
+];
+
+const validateInspection = [
+    body('unit')
+        .isMongoId()
+        .withMessage('Unit tidak valid'),
+
+    body('type')
+        .isIn(['move_in', 'move_out'])
+        .withMessage('Tipe inspeksi harus move_in atau move_out'),
+
+    body('lease')
+        .optional()
+        .isMongoId()
+        .withMessage('Kontrak sewa tidak valid'),
+
+    body('resident')
+        .optional()
+        .isMongoId()
+        .withMessage('Resident tidak valid'),
+
+    validate
+];
+
+const validateInspectionTemplate = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama template harus diisi'),
+
+    body('rooms')
+        .isArray({ min: 1 })
+        .withMessage('Template harus memiliki minimal satu ruangan'),
+
+    body('rooms.*.name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama ruangan harus diisi'),
+
+    body('rooms.*.items')
+        .isArray({ min: 1 })
+        .withMessage('Setiap ruangan harus memiliki minimal satu item'),
+
+    body('rooms.*.items.*.name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama item harus diisi'),
+
+    validate
+];
+
+const validateInspectionItems = [
+    body('items')
+        .isArray({ min: 1 })
+        .withMessage('Item inspeksi harus diisi'),
+
+    body('items.*.id')
+        .isMongoId()
+        .withMessage('Item inspeksi tidak valid'),
+
+    body('items.*.condition')
+        .optional()
+        .isIn(['good', 'fair', 'poor', 'damaged', 'missing', 'not_applicable'])
+        .withMessage('Kondisi item tidak valid'),
+
+    body('items.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Catatan item maksimal 1000 karakter'),
+
+    validate
+];
+
+const validateInspectionSignOff = [
+    body('signatureName')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama tanda tangan harus diisi'),
+
+    body('comments')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Komentar maksimal 1000 karakter'),
+
+    validate
+];
+
+// Validator untuk pengajuan sewa
+const validateApplication = [
+    body('unit')
+        .isMongoId()
+        .withMessage('Unit tidak valid'),
+
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama harus diisi'),
+
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email harus diisi')
+        .isEmail()
+        .withMessage('Format email tidak valid'),
+
+    body('phone')
+        .trim()
+        .matches(/^(\+62|62|0)8[1-9][0-9]{6,9}$/)
+        .withMessage('Format nomor telepon tidak valid'),
+
+    body('monthlyIncome')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Penghasilan bulanan tidak valid'),
+
+    body('householdSize')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Jumlah penghuni minimal 1'),
+
+    body('desiredMoveInDate')
+        .isISO8601()
+        .withMessage('Format tanggal rencana masuk tidak valid'),
+
+    body('desiredLeaseMonths')
+        .optional()
+        .isInt({ min: 1, max: 120 })
+        .withMessage('Durasi sewa harus antara 1 dan 120 bulan'),
+
+    body('message')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Pesan maksimal 2000 karakter'),
+
+    validate
+];
+
+const validateApplicationReview = [
+    body('decision')
+        .isIn(['approve', 'reject', 'waitlist'])
+        .withMessage('Keputusan harus approve, reject, atau waitlist'),
+
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Catatan maksimal 1000 karakter'),
+
+    body('reservationDays')
+        .optional()
+        .isInt({ min: 1, max: 30 })
+        .withMessage('Lama reservasi harus antara 1 dan 30 hari')
+        .toInt(),
+
+    validate
+];
+
+const validateApplicationConversion = [
+    body('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal mulai tidak valid'),
+
+    body('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Format tanggal akhir tidak valid'),
+
+    body('rentAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah sewa tidak valid'),
+
+    body('currency')
+        .optional()
+        .isIn(CURRENCY_CODES)
+        .withMessage('Mata uang tidak valid'),
+
+    body('billingDay')
+        .optional()
+        .isInt({ min: 1, max: 28 })
+        .withMessage('Tanggal penagihan harus antara 1 dan 28'),
+
+    body('depositAmount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Jumlah deposit tidak valid'),
+
+    validate
+];
+
+const validateUnit = [
+    body('property')
+        .notEmpty()
+        .withMessage('Properti harus dipilih')
+        .isMongoId()
+        .withMessage('Properti tidak valid'),
+
+    body('unitNumber')
+        .trim()
+        .notEmpty()
+        .withMessage('Nomor unit harus diisi'),
+
+    body('floor')
+        .isInt()
+        .withMessage('Lantai harus berupa angka'),
+
+    body('type')
+        .isIn(['studio', '1BR', '2BR', '3BR', 'penthouse'])
+        .withMessage('Tipe unit tidak valid'),
+
+    body('size')
+        .isFloat({ min: 0 })
+        .withMessage('Luas unit harus lebih dari 0'),
+
+    body('price')
+        .isFloat({ min: 0 })
+        .withMessage('Harga unit harus lebih dari 0'),
+
+    body('amenities')
+        .optional()
+        .isArray()
+        .withMessage('Fasilitas harus berupa array'),
+
+    body('amenities.*')
+        .optional()
+        .isIn(['parking', 'balcony', 'garden', 'pool', 'gym'])
+        .withMessage('Fasilitas unit tidak valid'),
+
+    validate
+];
+
+// Validator untuk pengguna
+const validateUser = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama harus diisi'),
+
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email harus diisi')
+        .isEmail()
+        .withMessage('Format email tidak valid'),
+
+    // Password hanya diisi saat membuat pengguna; penggantian melalui alur reset/ubah password
+    passwordRules(body('password')
+        .if((value, { req }) => req.method === 'POST')),
+
+    body('role')
+        .optional()
+        .isIn(['admin', 'manager', 'staff', 'resident'])
+        .withMessage('Role tidak valid'),
+
+    body('phone')
+        .optional()
+        .trim()
+        .matches(/^(\+62|62|0)8[1-9][0-9]{6,9}$/)
+        .withMessage('Format nomor telepon tidak valid'),
+
+    validate
+];
+
+// Validator untuk registrasi mandiri resident
+const validateRegister = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Nama harus diisi'),
+
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email harus diisi')
+        .isEmail()
+        .withMessage('Format email tidak valid'),
+
+    passwordRules(body('password')),
+
+    body('tenantCode')
+        .isString()
+        .withMessage('Kode tenant harus diisi')
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage('Kode tenant harus diisi'),
+
+    body('phone')
+        .optional()
+        .trim()
+        .matches(/^(\+62|62|0)8[1-9][0-9]{6,9}$/)
+        .withMessage('Format nomor telepon tidak valid'),
+
+    validate
+];
+
+// Validator untuk permintaan reset password
+const validateForgotPassword = [
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email harus diisi')
+        .isEmail()
+        .withMessage('Format email tidak valid'),
+
+    validate
+];
+
+// Validator untuk reset password dengan token dari email
+const validateResetPassword = [
+    passwordRules(body('password')),
+
+    validate
+];
+
+// Validator untuk ganti password
+const validateChangePassword = [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Password saat ini harus diisi'),
+
+    passwordRules(body('newPassword'))
+        .custom((value, { req }) => value !== req.body.currentPassword)
+        .withMessage('Password baru harus berbeda dari password saat ini'),
+
+    validate
+];
+
+// Kode dari aplikasi authenticator (6 digit)
+const twoFactorCodeRule = (chain) => chain
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Kode autentikasi harus 6 digit angka');
+
+// Salah satu dari kode authenticator atau kode cadangan harus diisi
+const twoFactorProofRules = [
+    twoFactorCodeRule(body('code').optional()),
+
+    body('backupCode')
+        .optional()
+        .trim()
+        .matches(/^[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}$/)
+        .withMessage('Format kode cadangan tidak valid'),
+
+    body()
+        .custom(value => Boolean(value.code) !== Boolean(value.backupCode))
+        .withMessage('Isi salah satu dari kode autentikasi atau kode cadangan'),
+];
+
+// Validator untuk langkah kedua login 2FA
+const validateTwoFactorLogin = [
+    body('challengeToken')
+        .isString()
+        .withMessage('Token tantangan harus diisi')
+        .bail()
+        .notEmpty()
+        .withMessage('Token tantangan harus diisi'),
+
+    ...twoFactorProofRules,
+
+    validate
+];
+
+// Validator untuk kode 2FA (aktivasi dan kode cadangan baru)
+const validateTwoFactorCode = [
+    twoFactorCodeRule(body('code')),
+
+    validate
+];
+
+// Validator untuk menonaktifkan 2FA
+const validateTwoFactorDisable = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password harus diisi'),
+
+    ...twoFactorProofRules,
+
+    validate
+];
+
+// Validator untuk reset 2FA oleh admin
+const validateTwoFactorReset = [
+    body('reason')
+        .trim()
+        .notEmpty()
+        .withMessage('Alasan reset 2FA harus diisi')
+        .isLength({ max: 500 })
+        .withMessage('Alasan reset 2FA maksimal 500 karakter'),
+
+    validate
+];
+
+// Validator untuk refresh token
+const validateRefreshToken = [
+    body('refreshToken')
+        .isString()
+        .withMessage('Refresh token harus diisi')
+        .bail()
+        .trim()
+        .notEmpty()
+        .withMessage('Refresh token harus diisi'),
+
+    validate
+];
+
 module.exports = {
     validateProperty,
+    validatePropertySearch,
+    validateSearch,
     validate,
     validateAnnouncement,
     validateComplaint,
     validatePayment,
-    validateMaintenance
+    validatePaymentProof,
+    validatePaymentVerification,
+    validatePaymentTransaction,
+    validateDeposit,
+    validateDepositSettlement,
+    validateDepositRefund,
+    validateMaintenance,
+    validateTenant,
+    validateTenantUpdate,
+    validateExchangeRate,
+    validateLease,
+    validateLeaseRenewal,
+    validateLeaseTermination,
+    validateRenewalResponse,
+    validateInspection,
+    validateInspectionTemplate,
+    validateInspectionItems,
+    validateInspectionSignOff,
+    validateApplication,
+    validateApplicationReview,
+    validateApplicationConversion,
+    validateUnit,
+    validateUser,
+    validateRegister,
+    validateRefreshToken,
+    validateForgotPassword,
+    validateResetPassword,
+    validateChangePassword,
+    validateTwoFactorLogin,
+    validateTwoFactorCode,
+    validateTwoFactorDisable,
+    validateTwoFactorReset
 }; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { textIndexPlugin } = require('../search/textIndex');
 
 const announcementSchema = new mongoose.Schema({
     tenant: {
@@ -80,6 +81,14 @@ const announcementSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Index teks berbobot untuk pencarian (lihat src/search)
+announcementSchema.plugin(textIndexPlugin, {
+    fields: {
+        title: 10,
+        content: 4
+    }
+});
+
 // Index untuk optimasi query
 announcementSchema.index({ tenant: 1 });
 announcementSchema.index({ property: 1 });
@@ -95,18 +104,17 @@ announcementSchema.statics.findWithFilter = async function (query, options = {})
     const {
         page = 1,
         limit = 10,
-        sort = '-createdAt',
+        sort,
         fields,
+        language,
         ...filters
     } = options;
 
     // Build query
     const queryObj = { ...filters };
-    if (query) {
-        queryObj.$or = [
-            { title: { $regex: query, $options: 'i' } },
-            { content: { $regex: query, $options: 'i' } }
-        ];
+    const textFilter = query ? this.textSearchFilter(query, language) : null;
+    if (textFilter) {
+        Object.assign(queryObj, textFilter);
     }
 
     // Select fields
@@ -115,7 +123,7 @@ announcementSchema.statics.findWithFilter = async function (query, options = {})
     // Execute query
     const announcements = await this.find(queryObj)
         .select(selectFields)
-        .sort(sort)
+        .sort(sort || (textFilter ? { score: { $meta: 'textScore' } } : '-createdAt'))
         .skip((page - 1) * limit)
         .limit(limit)
         .populate('tenant', 'name code')
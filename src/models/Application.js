@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lama reservasi default (hari) untuk pemohon yang disetujui
+const getReservationDays = () => Number(process.env.APPLICATION_RESERVATION_DAYS || 3);
+
+// Keputusan review yang diizinkan untuk setiap status pengajuan
+const REVIEW_TRANSITIONS = {
+    submitted: ['approve', 'reject', 'waitlist'],
+    waitlisted: ['approve', 'reject'],
+    approved: ['reject'],
+    rejected: [],
+    expired: ['approve', 'reject', 'waitlist'],
+    converted: []
+};
+
+const applicationSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    applicant: {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        email: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true
+        },
+        phone: {
+            type: String,
+            trim: true
+        },
+        occupation: String,
+        monthlyIncome: Number,
+        householdSize: {
+            type: Number,
+            min: 1,
+            default: 1
+        }
+    },
+    desiredMoveInDate: {
+        type: Date,
+        required: true
+    },
+    // Durasi sewa yang diinginkan (bulan)
+    desiredLeaseMonths: {
+        type: Number,
+        min: 1
+    },
+    message: String,
+    documents: [{
+        name: String,
+        url: String,
+        uploadedAt: Date
+    }],
+    // submitted: baru masuk; approved: disetujui dan unit direservasi; expired: reservasi habis
+    status: {
+        type: String,
+        enum: Object.keys(REVIEW_TRANSITIONS),
+        default: 'submitted'
+    },
+    review: {
+        decision: {
+            type: String,
+            enum: ['approve', 'reject', 'waitlist']
+        },
+        notes: String,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date
+    },
+    reservation: {
+        reservedAt: Date,
+        expiresAt: Date,
+        releasedAt: Date
+    },
+    // Hasil konversi pemohon menjadi penghuni
+    resident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+    },
+    convertedAt: Date
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+applicationSchema.index({ tenant: 1, status: 1 });
+applicationSchema.index({ unit: 1, status: 1 });
+applicationSchema.index({ 'applicant.email': 1 });
+applicationSchema.index({ status: 1, 'reservation.expiresAt': 1 });
+applicationSchema.index({ createdAt: -1 });
+
+// Method untuk mengecek apakah keputusan review dapat diberikan
+applicationSchema.methods.canReview = function (decision) {
+    return REVIEW_TRANSITIONS[this.status].includes(decision);
+};
+
+// Method untuk mereservasi unit; hanya unit available yang dapat direservasi (atomik terhadap pemohon lain)
+applicationSchema.methods.reserveUnit = async function (days = getReservationDays()) {
+    const unit = await mongoose.model('Unit').findOneAndUpdate(
+        { _id: this.unit, status: 'available', isActive: true },
+        { status: 'reserved' },
+        { new: true }
+    );
+    if (!unit) {
+        throw new Error('Unit tidak lagi tersedia untuk direservasi.');
+    }
+
+    const now = new Date();
+    this.reservation = {
+        reservedAt: now,
+        expiresAt: new Date(now.getTime() + days * DAY_MS)
+    };
+    return unit;
+};
+
+// Method untuk melepas reservasi; unit kembali available jika masih berstatus reserved
+applicationSchema.methods.releaseUnit = async function () {
+    this.reservation.releasedAt = new Date();
+    return mongoose.model('Unit').findOneAndUpdate(
+        { _id: this.unit, status: 'reserved' },
+        { status: 'available' },
+        { new: true }
+    );
+};
+
+// Method untuk mengecek apakah reservasi masih berlaku
+applicationSchema.methods.hasActiveReservation = function (now = new Date()) {
+    return this.status === 'approved' &&
+        this.reservation && this.reservation.expiresAt > now && !this.reservation.releasedAt;
+};
+
+// Method untuk mendapatkan pengajuan berdasarkan filter
+applicationSchema.statics.findWithFilter = async function (query, options = {}) {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt',
+        fields,
+        ...filters
+    } = options;
+
+    // Build query
+    const queryObj = { ...filters };
+    if (query) {
+        queryObj.$or = [
+            { 'applicant.name': { $regex: query, $options: 'i' } },
+            { 'applicant.email': { $regex: query, $options: 'i' } },
+            { 'applicant.phone': { $regex: query, $options: 'i' } }
+        ];
+    }
+
+    // Select fields
+    let selectFields = fields ? fields.split(',').join(' ') : '';
+
+    // Execute query
+    const applications = await this.find(queryObj)
+        .select(selectFields)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber type price status')
+        .populate('review.reviewedBy', 'name');
+
+    // Get total count
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        applications,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+applicationSchema.statics.REVIEW_TRANSITIONS = REVIEW_TRANSITIONS;
+
+const Application = mongoose.model('Application', applicationSchema);
+
+module.exports = Application;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Aksi keamanan akun yang dicatat
+const AUDIT_ACTIONS = [
+    'two_factor.enabled',
+    'two_factor.disabled',
+    'two_factor.backup_codes_regenerated',
+    'two_factor.backup_code_used',
+    'two_factor.reset'
+];
+
+const auditLogSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    // Pengguna yang melakukan aksi
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Pengguna yang terdampak (sama dengan actor untuk aksi atas akun sendiri)
+    targetUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: String,
+    ip: String,
+    userAgent: String,
+    metadata: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index untuk optimasi query
+auditLogSchema.index({ tenant: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+// Method untuk mencatat aksi dari sebuah request
+auditLogSchema.statics.record = function (req, { action, user, targetUser, reason, metadata }) {
+    const actor = user || req.user;
+    return this.create({
+        tenant: actor.tenant,
+        action,
+        actor: actor._id,
+        targetUser: targetUser ? targetUser._id : actor._id,
+        reason,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        metadata
+    });
+};
+
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
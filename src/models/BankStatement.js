@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Status baris yang masuk antrean review
+const REVIEW_STATUSES = ['unmatched', 'ambiguous', 'pending'];
+
+const statementLineSchema = new mongoose.Schema({
+    lineNumber: Number,
+    date: {
+        type: Date,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    description: String,
+    reference: String,
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    // matched/manual: tercatat sebagai transaksi tagihan; unmatched/ambiguous: menunggu review;
+    // pending: cocok dengan tagihan tetapi belum dipastikan tercatat (mis. proses terhenti saat diterapkan)
+    status: {
+        type: String,
+        enum: ['matched', 'manual', 'pending', 'ambiguous', 'unmatched', 'ignored', 'duplicate'],
+        default: 'unmatched'
+    },
+    // Waktu baris dicatat sebagai transaksi tagihan
+    appliedAt: Date,
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    candidates: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    }],
+    note: String,
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date
+});
+
+const bankStatementSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property'
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'mt940'],
+        required: true
+    },
+    bankName: String,
+    lines: [statementLineSchema],
+    summary: {
+        totalLines: { type: Number, default: 0 },
+        totalCredit: { type: Number, default: 0 },
+        matchedAmount: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        pending: { type: Number, default: 0 },
+        ambiguous: { type: Number, default: 0 },
+        unmatched: { type: Number, default: 0 },
+        ignored: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 }
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+bankStatementSchema.index({ tenant: 1, createdAt: -1 });
+bankStatementSchema.index({ tenant: 1, 'lines.fingerprint': 1 });
+bankStatementSchema.index({ tenant: 1, 'lines.status': 1 });
+
+// Hitung ulang ringkasan dari status setiap baris
+bankStatementSchema.pre('save', function (next) {
+    const summary = {
+        totalLines: this.lines.length,
+        totalCredit: 0,
+        matchedAmount: 0,
+        matched: 0,
+        pending: 0,
+        ambiguous: 0,
+        unmatched: 0,
+        ignored: 0,
+        duplicate: 0
+    };
+
+    this.lines.forEach(line => {
+        summary.totalCredit += line.amount;
+        if (['matched', 'manual'].includes(line.status)) {
+            summary.matched++;
+            summary.matchedAmount += line.amount;
+        } else {
+            summary[line.status]++;
+        }
+    });
+
+    this.summary = summary;
+    next();
+});
+
+// Method untuk mendapatkan antrean review (baris yang belum cocok atau ambigu)
+bankStatementSchema.statics.getReviewQueue = async function (tenantId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const statuses = status ? [status] : REVIEW_STATUSES;
+
+    const [result] = await this.aggregate([
+        { $match: { tenant: new mongoose.Types.ObjectId(tenantId), 'lines.status': { $in: statuses } } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.status': { $in: statuses } } },
+        { $sort: { 'lines.date': 1, _id: 1 } },
+        {
+            $facet: {
+                items: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: Number(limit) },
+                    {
+                        $project: {
+                            _id: 0,
+                            statement: '$_id',
+                            fileName: 1,
+                            line: '$lines'
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+
+    return {
+        items: result.items,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+bankStatementSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+module.exports = BankStatement;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { textIndexPlugin } = require('../search/textIndex');
 
 const complaintSchema = new mongoose.Schema({
     tenant: {
@@ -99,6 +100,15 @@ const complaintSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Index teks berbobot untuk pencarian (lihat src/search)
+complaintSchema.plugin(textIndexPlugin, {
+    fields: {
+        title: 10,
+        description: 4,
+        'comments.content': 1
+    }
+});
+
 // Index untuk optimasi query
 complaintSchema.index({ tenant: 1 });
 complaintSchema.index({ property: 1 });
@@ -115,18 +125,17 @@ complaintSchema.statics.findWithFilter = async function (query, options = {}) {
     const {
         page = 1,
         limit = 10,
-        sort = '-createdAt',
+        sort,
         fields,
+        language,
         ...filters
     } = options;
 
     // Build query
     const queryObj = { ...filters };
-    if (query) {
-        queryObj.$or = [
-            { title: { $regex: query, $options: 'i' } },
-            { description: { $regex: query, $options: 'i' } }
-        ];
+    const textFilter = query ? this.textSearchFilter(query, language) : null;
+    if (textFilter) {
+        Object.assign(queryObj, textFilter);
     }
 
     // Select fields
@@ -135,7 +144,7 @@ complaintSchema.statics.findWithFilter = async function (query, options = {}) {
     // Execute query
     const complaints = await this.find(queryObj)
         .select(selectFields)
-        .sort(sort)
+        .sort(sort || (textFilter ? { score: { $meta: 'textScore' } } : '-createdAt'))
         .skip((page - 1) * limit)
         .limit(limit)
         .populate('tenant', 'name code')
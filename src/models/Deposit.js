@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const { syncDepositEntries } = require('../accounting/ledger');
+const { CURRENCY_CODES, exchangeRateSnapshotSchema, exponentOf, isSnapshotStale } = require('../accounting/money');
+const ExchangeRate = require('./ExchangeRate');
+const { logger } = require('../config/logger');
+
+const deductionSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Kerusakan yang diperbaiki lewat tugas pemeliharaan; nominal default dari cost.actual
+    maintenance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Maintenance'
+    }
+});
+
+const depositSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    resident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    occupancy: {
+        startDate: Date,
+        endDate: Date
+    },
+    // Kontrak sewa yang dijamin deposit ini
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        enum: CURRENCY_CODES,
+        default: 'IDR'
+    },
+    // Kurs ke mata uang pelaporan tenant pada tanggal deposit dicatat
+    exchangeRate: exchangeRateSnapshotSchema,
+    // Tagihan deposit (Payment bertipe deposit)
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true
+    },
+    // Jumlah yang sudah diterima dan menjadi kewajiban (liability) pengelola
+    amountHeld: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // pending: menunggu pembayaran; held: dipegang sebagai liability; settled: sudah diperhitungkan saat pindah keluar
+    status: {
+        type: String,
+        enum: ['pending', 'held', 'settled', 'cancelled'],
+        default: 'pending'
+    },
+    heldAt: Date,
+    settlement: {
+        documentNumber: String,
+        moveOutDate: Date,
+        deductions: [deductionSchema],
+        totalDeductions: {
+            type: Number,
+            default: 0
+        },
+        refundAmount: {
+            type: Number,
+            default: 0
+        },
+        balanceDue: {
+            type: Number,
+            default: 0
+        },
+        // Tagihan kekurangan jika potongan melebihi deposit
+        balancePayment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        refund: {
+            status: {
+                type: String,
+                enum: ['not_applicable', 'pending', 'refunded']
+            },
+            method: {
+                type: String,
+                enum: ['bank_transfer', 'cash', 'e_wallet']
+            },
+            reference: String,
+            refundedAt: Date,
+            refundedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        },
+        notes: String,
+        settledAt: Date,
+        settledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    notes: String
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+depositSchema.index({ tenant: 1, status: 1 });
+depositSchema.index({ property: 1 });
+depositSchema.index({ unit: 1 });
+depositSchema.index({ resident: 1 });
+depositSchema.index({ payment: 1 }, { unique: true });
+depositSchema.index({ 'settlement.deductions.maintenance': 1 });
+depositSchema.index({ createdAt: -1 });
+
+// Ambil snapshot kurs pada tanggal deposit dicatat
+depositSchema.pre('validate', async function (next) {
+    try {
+        const reportingCurrency = await ExchangeRate.getReportingCurrency(this.tenant);
+        if (this.isModified('currency') || isSnapshotStale(this.exchangeRate, reportingCurrency)) {
+            this.exchangeRate = await ExchangeRate.snapshot(
+                this.tenant,
+                this.currency,
+                this.createdAt || new Date(),
+                reportingCurrency
+            );
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Posting potongan dan pengembalian deposit ke ledger properti
+depositSchema.post('save', async function () {
+    try {
+        await syncDepositEntries(this);
+    } catch (error) {
+        logger.error(`Error posting deposit ${this._id} to ledger:`, error);
+    }
+});
+
+// Method untuk menghitung settlement pindah keluar dari daftar potongan
+depositSchema.methods.settle = function ({ deductions = [], moveOutDate, notes }, userId) {
+    if (this.status !== 'held') {
+        throw new Error(`Deposit dengan status ${this.status} tidak dapat diselesaikan.`);
+    }
+
+    const totalDeductions = deductions.reduce((sum, item) => sum + item.amount, 0);
+    const difference = this.amountHeld - totalDeductions;
+
+    this.settlement.moveOutDate = moveOutDate || new Date();
+    this.settlement.deductions = deductions;
+    this.settlement.totalDeductions = totalDeductions;
+    this.settlement.refundAmount = Math.max(difference, 0);
+    this.settlement.balanceDue = Math.max(-difference, 0);
+    this.settlement.refund = { status: difference > 0 ? 'pending' : 'not_applicable' };
+    this.settlement.notes = notes;
+    this.settlement.settledAt = new Date();
+    this.settlement.settledBy = userId;
+    this.status = 'settled';
+    return this;
+};
+
+// Method untuk mendapatkan deposit berdasarkan filter
+depositSchema.statics.findWithFilter = async function (query, options = {}) {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt',
+        fields,
+        ...filters
+    } = options;
+
+    // Build query
+    const queryObj = { ...filters };
+    if (query) {
+        queryObj.$or = [
+            { notes: { $regex: query, $options: 'i' } },
+            { 'settlement.documentNumber': { $regex: query, $options: 'i' } }
+        ];
+    }
+
+    // Select fields
+    let selectFields = fields ? fields.split(',').join(' ') : '';
+
+    // Execute query
+    const deposits = await this.find(queryObj)
+        .select(selectFields)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber')
+        .populate('resident', 'name email');
+
+    // Get total count
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        deposits,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Method untuk mendapatkan total liability deposit per properti, beserta nilainya dalam mata uang pelaporan tenant
+depositSchema.statics.getLiabilitySummary = async function (tenantId) {
+    const reportingCurrency = await ExchangeRate.getReportingCurrency(tenantId);
+    const liability = { $cond: [{ $eq: ['$status', 'settled'] }, '$settlement.refundAmount', '$amountHeld'] };
+    const reportingRate = { $cond: [{ $eq: ['$exchangeRate.currency', reportingCurrency] }, '$exchangeRate.rate', null] };
+
+    return this.aggregate([
+        {
+            $match: {
+                tenant: new mongoose.Types.ObjectId(tenantId),
+                $or: [
+                    { status: { $in: ['pending', 'held'] }, amountHeld: { $gt: 0 } },
+                    { status: 'settled', 'settlement.refund.status': 'pending' }
+                ]
+            }
+        },
+        {
+            $group: {
+                _id: { property: '$property', currency: '$currency' },
+                depositsHeld: {
+                    $sum: { $cond: [{ $eq: ['$status', 'held'] }, 1, 0] }
+                },
+                totalHeld: {
+                    $sum: { $cond: [{ $eq: ['$status', 'settled'] }, 0, '$amountHeld'] }
+                },
+                pendingRefunds: {
+                    $sum: { $cond: [{ $eq: ['$status', 'settled'] }, '$settlement.refundAmount', 0] }
+                },
+                reportingLiability: {
+                    $sum: { $multiply: [liability, reportingRate] }
+                },
+                unconvertedDeposits: {
+                    $sum: { $cond: [{ $eq: [{ $ifNull: [reportingRate, null] }, null] }, 1, 0] }
+                }
+            }
+        },
+        {
+            $lookup: {
+                from: 'properties',
+                localField: '_id.property',
+                foreignField: '_id',
+                as: 'property'
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                property: { $arrayElemAt: ['$property.name', 0] },
+                propertyId: '$_id.property',
+                currency: '$_id.currency',
+                depositsHeld: 1,
+                totalHeld: 1,
+                pendingRefunds: 1,
+                totalLiability: { $add: ['$totalHeld', '$pendingRefunds'] },
+                reportingCurrency: { $literal: reportingCurrency },
+                reportingLiability: { $round: ['$reportingLiability', exponentOf(reportingCurrency)] },
+                unconvertedDeposits: 1
+            }
+        },
+        { $sort: { property: 1 } }
+    ]);
+};
+
+// Method untuk mendapatkan deposit lengkap untuk dokumen PDF
+depositSchema.statics.findForDocument = function (id) {
+    return this.findById(id)
+        .populate('tenant', 'name code logo address contactInfo')
+        .populate('property', 'name address contactInfo')
+        .populate('unit', 'unitNumber floor type')
+        .populate('resident', 'name email phone')
+        .populate('settlement.deductions.maintenance', 'title category completedAt');
+};
+
+const Deposit = mongoose.model('Deposit', depositSchema);
+
+module.exports = Deposit;
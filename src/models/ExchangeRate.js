@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../accounting/money');
+
+const exchangeRateSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    // 1 unit base = rate unit quote, mis. base USD, quote IDR, rate 16250
+    base: {
+        type: String,
+        enum: CURRENCY_CODES,
+        required: true
+    },
+    quote: {
+        type: String,
+        enum: CURRENCY_CODES,
+        required: true
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Kurs berlaku mulai tanggal ini hingga ada kurs dengan tanggal efektif yang lebih baru
+    effectiveDate: {
+        type: Date,
+        required: true
+    },
+    source: {
+        type: String,
+        trim: true,
+        default: 'manual'
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+exchangeRateSchema.index({ tenant: 1, base: 1, quote: 1, effectiveDate: -1 }, { unique: true });
+
+exchangeRateSchema.pre('validate', function (next) {
+    if (this.base && this.base === this.quote) {
+        return next(new Error('Mata uang asal dan tujuan kurs tidak boleh sama.'));
+    }
+    if (this.rate === 0) {
+        return next(new Error('Kurs harus lebih dari 0.'));
+    }
+    next();
+});
+
+// Method untuk mendapatkan mata uang pelaporan tenant
+exchangeRateSchema.statics.getReportingCurrency = async function (tenantId) {
+    const tenant = await mongoose.model('Tenant').findById(tenantId).select('settings.currency');
+    return (tenant && tenant.settings && tenant.settings.currency) || 'IDR';
+};
+
+// Method untuk mencari kurs yang berlaku pada tanggal tertentu; kurs kebalikan dipakai jika lebih baru
+exchangeRateSchema.statics.findRate = async function (tenantId, from, to, date = new Date()) {
+    if (from === to) {
+        return { rate: 1, effectiveDate: null };
+    }
+
+    const [direct, inverse] = await Promise.all([
+        this.findOne({ tenant: tenantId, base: from, quote: to, effectiveDate: { $lte: date } }).sort('-effectiveDate'),
+        this.findOne({ tenant: tenantId, base: to, quote: from, effectiveDate: { $lte: date } }).sort('-effectiveDate')
+    ]);
+
+    if (direct && (!inverse || direct.effectiveDate >= inverse.effectiveDate)) {
+        return { rate: direct.rate, effectiveDate: direct.effectiveDate };
+    }
+    if (inverse) {
+        return { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate };
+    }
+    return null;
+};
+
+// Method untuk membuat snapshot kurs ke mata uang pelaporan tenant pada tanggal transaksi
+exchangeRateSchema.statics.snapshot = async function (tenantId, currency, date = new Date(), reportingCurrency) {
+    const reporting = reportingCurrency || await this.getReportingCurrency(tenantId);
+    const found = await this.findRate(tenantId, currency, reporting, date);
+
+    return {
+        currency: reporting,
+        rate: found ? found.rate : null,
+        effectiveDate: found ? found.effectiveDate : undefined
+    };
+};
+
+// Method untuk mendapatkan kurs berdasarkan filter
+exchangeRateSchema.statics.findWithFilter = async function (options = {}) {
+    const {
+        page = 1,
+        limit = 20,
+        sort = '-effectiveDate',
+        ...filters
+    } = options;
+
+    const rates = await this.find(filters)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .populate('createdBy', 'name email');
+
+    const total = await this.countDocuments(filters);
+
+    return {
+        rates,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+
+// Skor kondisi untuk membandingkan inspeksi; not_applicable tidak dinilai
+const CONDITION_SCORES = {
+    good: 4,
+    fair: 3,
+    poor: 2,
+    damaged: 1,
+    missing: 0,
+    not_applicable: null
+};
+
+// Kunci item untuk mencocokkan item yang sama antar inspeksi
+const itemKey = (item) => `${item.room}::${item.item}`;
+
+const photoSchema = new mongoose.Schema({
+    url: String,
+    caption: String,
+    uploadedAt: Date
+});
+
+const inspectionItemSchema = new mongoose.Schema({
+    room: {
+        type: String,
+        required: true
+    },
+    item: {
+        type: String,
+        required: true
+    },
+    condition: {
+        type: String,
+        enum: Object.keys(CONDITION_SCORES)
+    },
+    notes: String,
+    photos: [photoSchema]
+});
+
+const inspectionSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    lease: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+    },
+    // Penghuni yang menandatangani hasil inspeksi
+    resident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['move_in', 'move_out'],
+        required: true
+    },
+    // draft: sedang diisi; completed: menunggu tanda tangan penghuni; signed: disetujui penghuni
+    status: {
+        type: String,
+        enum: ['draft', 'completed', 'signed'],
+        default: 'draft'
+    },
+    // Salinan checklist dari template tipe unit saat inspeksi dibuat
+    template: {
+        unitType: String,
+        name: String
+    },
+    items: [inspectionItemSchema],
+    // Inspeksi masuk yang menjadi pembanding inspeksi keluar
+    moveInInspection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inspection'
+    },
+    notes: String,
+    inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    completedAt: Date,
+    signOff: {
+        signedAt: Date,
+        signedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Nama lengkap yang diketik penghuni sebagai tanda tangan
+        signatureName: String,
+        comments: String,
+        ipAddress: String
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+inspectionSchema.index({ tenant: 1, status: 1 });
+inspectionSchema.index({ unit: 1, type: 1, completedAt: -1 });
+inspectionSchema.index({ resident: 1 });
+inspectionSchema.index({ lease: 1 });
+
+// Method untuk membuat item checklist dari template ruangan
+inspectionSchema.methods.applyTemplate = function (template) {
+    this.template = { unitType: template.unitType, name: template.name };
+    this.items = template.rooms.flatMap(room =>
+        room.items.map(item => ({ room: room.name, item: item.name })));
+    return this;
+};
+
+// Method untuk menandai inspeksi selesai; setiap item harus sudah dinilai
+inspectionSchema.methods.complete = function () {
+    if (this.status !== 'draft') {
+        throw new Error(`Inspeksi dengan status ${this.status} tidak dapat diselesaikan.`);
+    }
+
+    const unrated = this.items.filter(item => !item.condition);
+    if (unrated.length > 0) {
+        throw new Error(`${unrated.length} item belum dinilai, mis. ${unrated[0].room} - ${unrated[0].item}.`);
+    }
+
+    this.status = 'completed';
+    this.completedAt = new Date();
+    return this;
+};
+
+// Method untuk mencatat tanda tangan penghuni atas hasil inspeksi
+inspectionSchema.methods.signOffBy = function ({ signatureName, comments, ipAddress }, userId) {
+    if (this.status !== 'completed') {
+        throw new Error('Inspeksi hanya dapat ditandatangani setelah diselesaikan petugas.');
+    }
+
+    this.signOff = {
+        signedAt: new Date(),
+        signedBy: userId,
+        signatureName,
+        comments,
+        ipAddress
+    };
+    this.status = 'signed';
+    return this;
+};
+
+// Method untuk membandingkan inspeksi keluar dengan inspeksi masuk, per ruangan dan item
+inspectionSchema.methods.compareWith = function (moveIn) {
+    const baseline = new Map(moveIn.items.map(item => [itemKey(item), item]));
+    const summary = { unchanged: 0, worsened: 0, improved: 0, added: 0, removed: 0, notComparable: 0 };
+
+    const items = this.items.map(item => {
+        const before = baseline.get(itemKey(item));
+        baseline.delete(itemKey(item));
+
+        let change;
+        if (!before) {
+            change = 'added';
+        } else {
+            const beforeScore = CONDITION_SCORES[before.condition];
+            const afterScore = CONDITION_SCORES[item.condition];
+            // Item not_applicable atau belum dinilai tidak dapat dibandingkan
+            if (beforeScore === null || afterScore === null || beforeScore === undefined || afterScore === undefined) {
+                change = before.condition === item.condition ? 'unchanged' : 'notComparable';
+            } else if (afterScore < beforeScore) {
+                change = 'worsened';
+            } else if (afterScore > beforeScore) {
+                change = 'improved';
+            } else {
+                change = 'unchanged';
+            }
+        }
+        summary[change]++;
+
+        return {
+            room: item.room,
+            item: item.item,
+            change,
+            moveIn: before ? { condition: before.condition, notes: before.notes, photos: before.photos } : null,
+            moveOut: { condition: item.condition, notes: item.notes, photos: item.photos }
+        };
+    });
+
+    // Item yang ada saat masuk tetapi tidak diperiksa saat keluar
+    for (const before of baseline.values()) {
+        summary.removed++;
+        items.push({
+            room: before.room,
+            item: before.item,
+            change: 'removed',
+            moveIn: { condition: before.condition, notes: before.notes, photos: before.photos },
+            moveOut: null
+        });
+    }
+
+    return { summary, items };
+};
+
+// Method untuk mencari inspeksi masuk terakhir penghuni di unit yang sama sebagai pembanding inspeksi keluar.
+// Dicari per penghuni, bukan per kontrak, karena kontrak perpanjangan tidak memiliki inspeksi masuk sendiri.
+inspectionSchema.statics.findMoveInFor = function (inspection) {
+    return this.findOne({
+        unit: inspection.unit,
+        resident: inspection.resident,
+        type: 'move_in',
+        status: { $in: ['completed', 'signed'] }
+    }).sort('-completedAt');
+};
+
+// Method untuk mendapatkan inspeksi berdasarkan filter
+inspectionSchema.statics.findWithFilter = async function (query, options = {}) {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt',
+        fields,
+        ...filters
+    } = options;
+
+    // Build query
+    const queryObj = { ...filters };
+    if (query) {
+        queryObj.notes = { $regex: query, $options: 'i' };
+    }
+
+    // Select fields
+    let selectFields = fields ? fields.split(',').join(' ') : '-items';
+
+    // Execute query
+    const inspections = await this.find(queryObj)
+        .select(selectFields)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber type')
+        .populate('resident', 'name email')
+        .populate('inspectedBy', 'name');
+
+    // Get total count
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        inspections,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+inspectionSchema.statics.CONDITION_SCORES = CONDITION_SCORES;
+
+const Inspection = mongoose.model('Inspection', inspectionSchema);
+
+module.exports = Inspection;
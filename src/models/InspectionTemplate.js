@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Unit = require('./Unit');
+
+// Item standar per jenis ruangan untuk template bawaan
+const BASE_ITEMS = ['Dinding', 'Lantai', 'Plafon', 'Pintu', 'Jendela', 'Lampu', 'Stopkontak dan Saklar'];
+const ROOM_ITEMS = {
+    'Ruang Tamu': BASE_ITEMS,
+    'Ruang Utama': [...BASE_ITEMS, 'AC', 'Lemari'],
+    'Kamar Tidur': [...BASE_ITEMS, 'AC', 'Lemari'],
+    'Dapur': [...BASE_ITEMS, 'Kompor', 'Wastafel', 'Kabinet'],
+    'Kamar Mandi': ['Dinding', 'Lantai', 'Pintu', 'Lampu', 'Kloset', 'Wastafel', 'Shower', 'Keran'],
+    'Balkon': ['Lantai', 'Pagar', 'Pintu', 'Lampu']
+};
+
+// Susunan ruangan bawaan per tipe unit, dipakai jika tenant belum mengatur template sendiri
+const DEFAULT_ROOMS = {
+    studio: ['Ruang Utama', 'Dapur', 'Kamar Mandi'],
+    '1BR': ['Ruang Tamu', 'Dapur', 'Kamar Tidur', 'Kamar Mandi'],
+    '2BR': ['Ruang Tamu', 'Dapur', 'Kamar Tidur', 'Kamar Tidur', 'Kamar Mandi'],
+    '3BR': ['Ruang Tamu', 'Dapur', 'Kamar Tidur', 'Kamar Tidur', 'Kamar Tidur', 'Kamar Mandi', 'Kamar Mandi'],
+    penthouse: ['Ruang Tamu', 'Dapur', 'Kamar Tidur', 'Kamar Tidur', 'Kamar Tidur', 'Kamar Mandi', 'Kamar Mandi', 'Balkon']
+};
+
+// Ruangan dengan nama sama diberi nomor urut, mis. Kamar Tidur 1 dan Kamar Tidur 2
+const buildDefaultRooms = (unitType) => {
+    const rooms = DEFAULT_ROOMS[unitType] || [];
+    return rooms.map((room, index) => {
+        const sameRooms = rooms.filter(name => name === room);
+        const number = rooms.slice(0, index + 1).filter(name => name === room).length;
+        return {
+            name: sameRooms.length > 1 ? `${room} ${number}` : room,
+            items: ROOM_ITEMS[room].map(name => ({ name }))
+        };
+    });
+};
+
+const buildDefaultTemplate = (unitType) => ({
+    unitType,
+    name: `Template bawaan ${unitType}`,
+    rooms: buildDefaultRooms(unitType),
+    isDefault: true
+});
+
+const templateItemSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String
+}, { _id: false });
+
+const templateRoomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    items: {
+        type: [templateItemSchema],
+        validate: {
+            validator: items => items.length > 0,
+            message: 'Setiap ruangan harus memiliki minimal satu item.'
+        }
+    }
+}, { _id: false });
+
+const inspectionTemplateSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    unitType: {
+        type: String,
+        enum: Unit.TYPES,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    rooms: {
+        type: [templateRoomSchema],
+        validate: {
+            validator: rooms => rooms.length > 0,
+            message: 'Template harus memiliki minimal satu ruangan.'
+        }
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+inspectionTemplateSchema.index({ tenant: 1, unitType: 1 }, { unique: true });
+
+inspectionTemplateSchema.pre('validate', function (next) {
+    const names = this.rooms.map(room => room.name);
+    if (new Set(names).size !== names.length) {
+        return next(new Error('Nama ruangan dalam template tidak boleh sama.'));
+    }
+    if (this.rooms.some(room => new Set(room.items.map(item => item.name)).size !== room.items.length)) {
+        return next(new Error('Nama item dalam satu ruangan tidak boleh sama.'));
+    }
+    next();
+});
+
+// Method untuk mendapatkan template tipe unit; template bawaan dipakai jika tenant belum mengaturnya
+inspectionTemplateSchema.statics.getForUnitType = async function (tenantId, unitType) {
+    const template = await this.findOne({ tenant: tenantId, unitType });
+    return template || buildDefaultTemplate(unitType);
+};
+
+// Method untuk mendapatkan template seluruh tipe unit milik tenant
+inspectionTemplateSchema.statics.getAllForTenant = async function (tenantId) {
+    const templates = await this.find({ tenant: tenantId });
+    return Unit.TYPES.map(unitType =>
+        templates.find(template => template.unitType === unitType) || buildDefaultTemplate(unitType));
+};
+
+const InspectionTemplate = mongoose.model('InspectionTemplate', inspectionTemplateSchema);
+
+module.exports = InspectionTemplate;
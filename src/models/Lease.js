@@ -0,0 +1,504 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../accounting/money');
+const { logger } = require('../config/logger');
+
+// Status kontrak yang sedang berjalan dan mengikat unit
+const ACTIVE_STATUSES = ['active', 'ending'];
+
+// Transisi status kontrak yang diizinkan
+const STATUS_TRANSITIONS = {
+    draft: ['active', 'ended'],
+    active: ['ending', 'ended'],
+    ending: ['ended'],
+    ended: []
+};
+
+// Tahapan pipeline perpanjangan kontrak yang akan berakhir
+const RENEWAL_STAGES = ['not_offered', 'offered', 'renewed', 'declined', 'terminated'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// Referensi bisa berupa ObjectId atau dokumen hasil populate
+const refId = (value) => (value && value._id ? value._id : value);
+
+const leaseSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    // Penanggung jawab kontrak; menjadi currentTenant unit dan penerima tagihan sewa
+    primaryResident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    coResidents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    startDate: {
+        type: Date,
+        required: true
+    },
+    // Hari terakhir hunian (inklusif); kosong untuk kontrak tanpa batas waktu
+    endDate: Date,
+    rentAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        enum: CURRENCY_CODES,
+        default: 'IDR'
+    },
+    // Kosong berarti mengikuti billing.billingDay properti
+    billingDay: {
+        type: Number,
+        min: 1,
+        max: 28
+    },
+    depositAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    deposit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Deposit'
+    },
+    // draft: belum berlaku; active: berjalan; ending: akan berakhir (pemutusan terjadwal); ended: selesai
+    status: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS),
+        default: 'draft'
+    },
+    activatedAt: Date,
+    endedAt: Date,
+    // Rantai perpanjangan kontrak
+    renewedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+    },
+    renewedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lease'
+    },
+    termination: {
+        requestedAt: Date,
+        effectiveDate: Date,
+        reason: String,
+        terminatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    // Penawaran perpanjangan yang dikirim job pengingat sebelum kontrak berakhir
+    renewalOffer: {
+        status: {
+            type: String,
+            enum: ['offered', 'accepted', 'declined']
+        },
+        offeredAt: Date,
+        remindersSent: [Number],
+        // Usulan periode dan sewa kontrak perpanjangan
+        endDate: Date,
+        rentAmount: Number,
+        respondedAt: Date,
+        respondedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        responseNote: String
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+leaseSchema.index({ tenant: 1, status: 1 });
+leaseSchema.index({ unit: 1, status: 1 });
+leaseSchema.index({ property: 1 });
+leaseSchema.index({ primaryResident: 1 });
+leaseSchema.index({ coResidents: 1 });
+leaseSchema.index({ status: 1, endDate: 1 });
+leaseSchema.index({ renewedFrom: 1 });
+
+leaseSchema.pre('validate', function (next) {
+    if (this.endDate && this.startDate && startOfDay(this.endDate) < startOfDay(this.startDate)) {
+        return next(new Error('Tanggal akhir kontrak tidak boleh sebelum tanggal mulai.'));
+    }
+    if (this.coResidents.some(id => id.toString() === refId(this.primaryResident).toString())) {
+        return next(new Error('Penghuni utama tidak boleh tercantum sebagai penghuni tambahan.'));
+    }
+    next();
+});
+
+// Tandai perubahan yang memengaruhi status hunian unit
+leaseSchema.pre('save', function (next) {
+    this.$locals.syncUnit = this.isNew || this.isModified('status') || this.isModified('startDate') ||
+        this.isModified('endDate') || this.isModified('primaryResident');
+    next();
+});
+
+// Sinkronkan status, currentTenant, dan periode hunian unit dengan kontrak
+leaseSchema.post('save', async function () {
+    if (!this.$locals.syncUnit) {
+        return;
+    }
+    try {
+        await this.syncUnit();
+    } catch (error) {
+        logger.error(`Error syncing unit ${this.unit} with lease ${this._id}:`, error);
+    }
+});
+
+// Method untuk mengecek apakah status dapat diubah
+leaseSchema.methods.canTransitionTo = function (status) {
+    return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Method untuk memperbarui unit sesuai status kontrak.
+// Kontrak berjalan menjadikan unit occupied; kontrak yang pernah berjalan lalu selesai melepas unit
+// jika tidak ada kontrak lain yang berjalan.
+leaseSchema.methods.syncUnit = async function () {
+    const unit = await mongoose.model('Unit').findById(refId(this.unit));
+    if (!unit) {
+        return null;
+    }
+
+    const residentId = refId(this.primaryResident);
+    if (ACTIVE_STATUSES.includes(this.status)) {
+        unit.currentTenant = residentId;
+        unit.occupancy = { startDate: this.startDate, endDate: this.endDate };
+        // Unit yang sedang dalam pemeliharaan tetap maintenance hingga pekerjaan selesai
+        if (unit.status !== 'maintenance') {
+            unit.status = 'occupied';
+        }
+    } else if (this.status === 'ended' && this.activatedAt) {
+        const isCurrentResident = unit.currentTenant && unit.currentTenant.toString() === residentId.toString();
+        const hasOtherLease = await this.constructor.exists({
+            _id: { $ne: this._id },
+            unit: unit._id,
+            status: { $in: ACTIVE_STATUSES }
+        });
+        if (!isCurrentResident || hasOtherLease) {
+            return unit;
+        }
+        unit.currentTenant = undefined;
+        unit.occupancy = undefined;
+        if (unit.status === 'occupied') {
+            unit.status = 'available';
+        }
+    } else {
+        return unit;
+    }
+
+    return unit.save();
+};
+
+// Method untuk memberlakukan kontrak draft
+leaseSchema.methods.activate = async function () {
+    if (!this.canTransitionTo('active')) {
+        throw new Error(`Kontrak dengan status ${this.status} tidak dapat diaktifkan.`);
+    }
+
+    const overlapping = await this.constructor.findOverlapping(this);
+    if (overlapping) {
+        throw new Error('Unit sudah memiliki kontrak berjalan pada periode tersebut.');
+    }
+
+    this.status = 'active';
+    this.activatedAt = new Date();
+    return this;
+};
+
+// Method untuk mengakhiri kontrak. Tanggal efektif adalah hari terakhir hunian: tanggal hari ini atau
+// setelahnya menjadikan status ending hingga job lease menutupnya, tanggal lampau langsung mengakhiri kontrak.
+leaseSchema.methods.terminate = function ({ effectiveDate, reason }, userId) {
+    if (!this.canTransitionTo('ended')) {
+        throw new Error(`Kontrak dengan status ${this.status} tidak dapat diakhiri.`);
+    }
+
+    const date = startOfDay(effectiveDate || new Date());
+    if (this.status !== 'draft' && date < startOfDay(this.startDate)) {
+        throw new Error('Tanggal pemutusan tidak boleh sebelum tanggal mulai kontrak.');
+    }
+    if (this.status !== 'draft' && this.endDate && date > startOfDay(this.endDate)) {
+        throw new Error('Tanggal pemutusan tidak boleh setelah tanggal akhir kontrak.');
+    }
+
+    this.termination = {
+        requestedAt: new Date(),
+        effectiveDate: date,
+        reason,
+        terminatedBy: userId
+    };
+
+    if (this.status === 'draft') {
+        this.status = 'ended';
+        this.endedAt = new Date();
+        return this;
+    }
+
+    this.endDate = date;
+    if (date < startOfDay(new Date())) {
+        this.status = 'ended';
+        this.endedAt = new Date();
+    } else {
+        this.status = 'ending';
+    }
+    return this;
+};
+
+// Method untuk menyusun kontrak perpanjangan (draft) yang dimulai sehari setelah kontrak ini berakhir
+leaseSchema.methods.buildRenewal = function ({ endDate, rentAmount, billingDay, depositAmount, notes }, userId) {
+    if (this.status !== 'active') {
+        throw new Error(`Kontrak dengan status ${this.status} tidak dapat diperpanjang.`);
+    }
+    if (!this.endDate) {
+        throw new Error('Kontrak tanpa tanggal akhir tidak perlu diperpanjang.');
+    }
+
+    const startDate = new Date(startOfDay(this.endDate).getTime() + DAY_MS);
+    return new this.constructor({
+        tenant: this.tenant,
+        property: this.property,
+        unit: this.unit,
+        primaryResident: refId(this.primaryResident),
+        coResidents: this.coResidents.map(refId),
+        startDate,
+        endDate,
+        rentAmount: rentAmount !== undefined ? rentAmount : this.rentAmount,
+        currency: this.currency,
+        billingDay: billingDay !== undefined ? billingDay : this.billingDay,
+        depositAmount: depositAmount !== undefined ? depositAmount : this.depositAmount,
+        // Deposit berjalan tetap dipegang selama penghuni tidak berganti
+        deposit: this.deposit,
+        renewedFrom: this._id,
+        notes,
+        createdBy: userId
+    });
+};
+
+// Method untuk menyiapkan penawaran perpanjangan dengan durasi dan sewa yang sama dengan kontrak berjalan
+leaseSchema.methods.offerRenewal = function () {
+    if (this.renewalOffer && this.renewalOffer.status) {
+        return this;
+    }
+
+    // Durasi kontrak dibulatkan ke bulan penuh; perpanjangan dimulai sehari setelah endDate
+    const nextStart = new Date(startOfDay(this.endDate).getTime() + DAY_MS);
+    const months = Math.max(Math.round((nextStart - startOfDay(this.startDate)) / (DAY_MS * 30.44)), 1);
+
+    this.renewalOffer = {
+        status: 'offered',
+        offeredAt: new Date(),
+        remindersSent: [],
+        endDate: new Date(nextStart.getFullYear(), nextStart.getMonth() + months, nextStart.getDate() - 1),
+        rentAmount: this.rentAmount
+    };
+    return this;
+};
+
+// Method untuk mencatat jawaban penghuni atas penawaran perpanjangan.
+// Menerima menghasilkan kontrak perpanjangan (draft); menolak menjadwalkan kontrak berakhir pada endDate.
+leaseSchema.methods.respondToRenewal = function ({ decision, note }, userId) {
+    if (this.status !== 'active' || !this.renewalOffer || this.renewalOffer.status !== 'offered') {
+        throw new Error('Tidak ada penawaran perpanjangan yang menunggu jawaban untuk kontrak ini.');
+    }
+    if (this.renewedTo) {
+        throw new Error('Kontrak ini sudah memiliki perpanjangan.');
+    }
+
+    let renewal = null;
+    if (decision === 'accept') {
+        renewal = this.buildRenewal({
+            endDate: this.renewalOffer.endDate,
+            rentAmount: this.renewalOffer.rentAmount
+        }, userId);
+        this.renewedTo = renewal._id;
+    } else {
+        this.terminate({ effectiveDate: this.endDate, reason: 'Penghuni menolak perpanjangan kontrak' }, userId);
+    }
+
+    this.renewalOffer.status = decision === 'accept' ? 'accepted' : 'declined';
+    this.renewalOffer.respondedAt = new Date();
+    this.renewalOffer.respondedBy = userId;
+    this.renewalOffer.responseNote = note;
+    return renewal;
+};
+
+// Method untuk mendapatkan email manager tenant dan kontak properti (property harus di-populate dengan contactInfo)
+leaseSchema.methods.getManagerEmails = async function () {
+    const managers = await mongoose.model('User').find({
+        tenant: this.tenant,
+        role: 'manager',
+        isActive: true
+    }).select('email');
+
+    const emails = new Set(managers.map(manager => manager.email));
+    if (this.property.contactInfo && this.property.contactInfo.email) {
+        emails.add(this.property.contactInfo.email);
+    }
+    return [...emails];
+};
+
+// Method untuk menentukan tahapan kontrak pada pipeline perpanjangan
+leaseSchema.methods.getRenewalStage = function () {
+    if (this.renewedTo) {
+        return 'renewed';
+    }
+    if (this.renewalOffer && this.renewalOffer.status === 'declined') {
+        return 'declined';
+    }
+    if (this.status === 'ending') {
+        return 'terminated';
+    }
+    return this.renewalOffer && this.renewalOffer.status === 'offered' ? 'offered' : 'not_offered';
+};
+
+// Method untuk mendapatkan pipeline perpanjangan: kontrak berjalan yang berakhir dalam `days` hari, per properti
+leaseSchema.statics.getRenewalPipeline = async function (tenantId, { property, days = 90, now = new Date() } = {}) {
+    const today = startOfDay(now);
+    const query = {
+        tenant: tenantId,
+        status: { $in: ACTIVE_STATUSES },
+        endDate: { $gte: today, $lte: new Date(today.getTime() + days * DAY_MS) }
+    };
+    if (property) {
+        query.property = property;
+    }
+
+    const leases = await this.find(query)
+        .sort('endDate')
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber')
+        .populate('primaryResident', 'name email')
+        .populate('renewedTo', 'startDate endDate rentAmount status');
+
+    const pipeline = new Map();
+    for (const lease of leases) {
+        const key = lease.property._id.toString();
+        if (!pipeline.has(key)) {
+            pipeline.set(key, {
+                property: { _id: lease.property._id, name: lease.property.name },
+                total: 0,
+                stages: Object.fromEntries(RENEWAL_STAGES.map(stage => [stage, 0])),
+                leases: []
+            });
+        }
+
+        const stage = lease.getRenewalStage();
+        const group = pipeline.get(key);
+        group.total++;
+        group.stages[stage]++;
+        group.leases.push({
+            _id: lease._id,
+            unit: lease.unit,
+            primaryResident: lease.primaryResident,
+            endDate: lease.endDate,
+            daysLeft: Math.ceil((startOfDay(lease.endDate) - today) / DAY_MS),
+            rentAmount: lease.rentAmount,
+            currency: lease.currency,
+            stage,
+            renewalOffer: lease.renewalOffer,
+            renewedTo: lease.renewedTo
+        });
+    }
+
+    return [...pipeline.values()].sort((a, b) => a.property.name.localeCompare(b.property.name));
+};
+
+// Method untuk mencari kontrak berjalan lain di unit yang sama dengan periode beririsan
+leaseSchema.statics.findOverlapping = function (lease) {
+    const query = {
+        _id: { $ne: lease._id },
+        unit: refId(lease.unit),
+        status: { $in: ACTIVE_STATUSES },
+        $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: startOfDay(lease.startDate) } }]
+    };
+    if (lease.endDate) {
+        query.startDate = { $lte: lease.endDate };
+    }
+    return this.findOne(query);
+};
+
+// Method untuk mendapatkan kontrak berjalan sebuah unit
+leaseSchema.statics.findActiveForUnit = function (unitId) {
+    return this.findOne({ unit: unitId, status: { $in: ACTIVE_STATUSES } }).sort('-startDate');
+};
+
+// Method untuk mendapatkan kontrak berdasarkan filter
+leaseSchema.statics.findWithFilter = async function (query, options = {}) {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-startDate',
+        fields,
+        ...filters
+    } = options;
+
+    // Build query
+    const queryObj = { ...filters };
+    if (query) {
+        queryObj.notes = { $regex: query, $options: 'i' };
+    }
+
+    // Select fields
+    let selectFields = fields ? fields.split(',').join(' ') : '';
+
+    // Execute query
+    const leases = await this.find(queryObj)
+        .select(selectFields)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber')
+        .populate('primaryResident', 'name email')
+        .populate('coResidents', 'name email');
+
+    // Get total count
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        leases,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+leaseSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+leaseSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+leaseSchema.statics.RENEWAL_STAGES = RENEWAL_STAGES;
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = Lease;
@@ -0,0 +1,473 @@
+const mongoose = require('mongoose');
+const {
+    ACCOUNTS,
+    RECEIVABLE,
+    isDebitNormal,
+    accountsOfType
+} = require('../accounting/chartOfAccounts');
+const {
+    CURRENCY_CODES,
+    exchangeRateSnapshotSchema,
+    fromMinor,
+    convertMinor
+} = require('../accounting/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const minorUnit = {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: {
+        validator: Number.isInteger,
+        message: 'Nominal jurnal harus dalam minor unit bulat.'
+    }
+};
+
+// Nominal dalam minor unit mata uang jurnal; reporting berisi nilai dalam mata uang pelaporan tenant
+const ledgerLineSchema = new mongoose.Schema({
+    account: {
+        type: String,
+        enum: Object.keys(ACCOUNTS),
+        required: true
+    },
+    debit: minorUnit,
+    credit: minorUnit,
+    reporting: {
+        debit: Number,
+        credit: Number
+    }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit'
+    },
+    resident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    description: String,
+    currency: {
+        type: String,
+        enum: CURRENCY_CODES,
+        default: 'IDR'
+    },
+    // Kurs ke mata uang pelaporan tenant pada tanggal jurnal
+    exchangeRate: exchangeRateSnapshotSchema,
+    // Asal jurnal; item adalah line item, transaksi, atau dokumen sumber yang diposting
+    source: {
+        kind: {
+            type: String,
+            enum: ['invoice', 'late_fee', 'payment', 'refund', 'maintenance', 'deposit_settlement', 'deposit_refund'],
+            required: true
+        },
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        maintenance: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Maintenance'
+        },
+        deposit: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Deposit'
+        },
+        item: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        }
+    },
+    // Nilai bertanda (minor unit) terhadap sumbernya: positif untuk posting, negatif untuk pembalikan
+    amount: {
+        type: Number,
+        required: true
+    },
+    lines: {
+        type: [ledgerLineSchema],
+        validate: {
+            validator: function (lines) {
+                const debit = lines.reduce((sum, line) => sum + line.debit, 0);
+                const credit = lines.reduce((sum, line) => sum + line.credit, 0);
+                return lines.length >= 2 && debit > 0 && debit === credit;
+            },
+            message: 'Jurnal harus memiliki minimal dua baris dengan total debit sama dengan total kredit.'
+        }
+    },
+    // Kunci idempotensi posting, mis. invoice:<lineItemId>:0
+    postingKey: {
+        type: String,
+        required: true,
+        unique: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+ledgerEntrySchema.index({ tenant: 1, property: 1, date: 1 });
+ledgerEntrySchema.index({ tenant: 1, unit: 1, date: 1 });
+ledgerEntrySchema.index({ 'source.payment': 1 });
+ledgerEntrySchema.index({ 'source.maintenance': 1 });
+ledgerEntrySchema.index({ 'source.deposit': 1 });
+ledgerEntrySchema.index({ 'lines.account': 1 });
+
+// Method untuk mengisi nilai pelaporan setiap baris dari snapshot kurs jurnal
+ledgerEntrySchema.methods.applyExchangeRate = function (snapshot) {
+    this.exchangeRate = snapshot;
+    this.lines.forEach(line => {
+        line.reporting = {
+            debit: convertMinor(line.debit, this.currency, snapshot.currency, snapshot.rate),
+            credit: convertMinor(line.credit, this.currency, snapshot.currency, snapshot.rate)
+        };
+    });
+    return this;
+};
+
+const buildMatch = (tenantId, { property, from, to } = {}) => {
+    const match = { tenant: new mongoose.Types.ObjectId(tenantId) };
+    if (property) {
+        match.property = new mongoose.Types.ObjectId(property);
+    }
+    if (from || to) {
+        match.date = {};
+        if (from) {
+            match.date.$gte = from;
+        }
+        if (to) {
+            match.date.$lte = to;
+        }
+    }
+    return match;
+};
+
+const convertedMatch = (reportingCurrency) => ({
+    'exchangeRate.currency': reportingCurrency,
+    'exchangeRate.rate': { $ne: null }
+});
+
+// Laporan dalam mata uang pelaporan (view reporting) atau per mata uang asli jurnal (view native).
+// View reporting hanya menghitung jurnal yang memiliki kurs ke mata uang pelaporan saat ini.
+const buildView = (tenantId, range, { view = 'reporting', reportingCurrency } = {}) => {
+    const match = buildMatch(tenantId, range);
+    if (view === 'native') {
+        return { match, debit: '$lines.debit', credit: '$lines.credit', currency: '$currency' };
+    }
+    return {
+        match: { ...match, ...convertedMatch(reportingCurrency) },
+        debit: '$lines.reporting.debit',
+        credit: '$lines.reporting.credit',
+        currency: '$exchangeRate.currency'
+    };
+};
+
+// Method untuk mendapatkan jurnal berdasarkan filter
+ledgerEntrySchema.statics.findWithFilter = async function (options = {}) {
+    const {
+        page = 1,
+        limit = 20,
+        sort = '-date',
+        account,
+        kind,
+        unit,
+        ...range
+    } = options;
+
+    const queryObj = buildMatch(options.tenant, range);
+    if (account) {
+        queryObj['lines.account'] = account;
+    }
+    if (kind) {
+        queryObj['source.kind'] = kind;
+    }
+    if (unit) {
+        queryObj.unit = unit;
+    }
+
+    const entries = await this.find(queryObj)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber')
+        .populate('resident', 'name email');
+
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        entries,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Method untuk menghitung jurnal yang belum dapat dikonversi ke mata uang pelaporan
+ledgerEntrySchema.statics.countUnconverted = function (tenantId, range, reportingCurrency) {
+    return this.countDocuments({
+        ...buildMatch(tenantId, range),
+        $nor: [convertedMatch(reportingCurrency)]
+    });
+};
+
+// Method untuk mendapatkan neraca saldo (trial balance) per akun hingga tanggal tertentu
+ledgerEntrySchema.statics.getTrialBalance = async function (tenantId, { property, to } = {}, options = {}) {
+    const { match, debit, credit, currency } = buildView(tenantId, { property, to }, options);
+
+    const rows = await this.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        {
+            $group: {
+                _id: { account: '$lines.account', currency },
+                debit: { $sum: debit },
+                credit: { $sum: credit }
+            }
+        },
+        { $sort: { '_id.currency': 1, '_id.account': 1 } }
+    ]);
+
+    const totals = {};
+    const accounts = rows.map(({ _id, debit: totalDebit, credit: totalCredit }) => {
+        const net = totalDebit - totalCredit;
+        const total = totals[_id.currency] || (totals[_id.currency] = { currency: _id.currency, debit: 0, credit: 0 });
+        total.debit += Math.max(net, 0);
+        total.credit += Math.max(-net, 0);
+
+        // Saldo ditampilkan di sisi debit atau kredit sesuai arah saldo bersihnya
+        return {
+            account: _id.account,
+            name: ACCOUNTS[_id.account].name,
+            type: ACCOUNTS[_id.account].type,
+            currency: _id.currency,
+            debit: fromMinor(Math.max(net, 0), _id.currency),
+            credit: fromMinor(Math.max(-net, 0), _id.currency),
+            balance: fromMinor(isDebitNormal(_id.account) ? net : -net, _id.currency)
+        };
+    });
+
+    return {
+        accounts,
+        totals: Object.values(totals).map(total => ({
+            currency: total.currency,
+            debit: fromMinor(total.debit, total.currency),
+            credit: fromMinor(total.credit, total.currency),
+            isBalanced: total.debit === total.credit
+        }))
+    };
+};
+
+// Method untuk mendapatkan laporan laba rugi dalam rentang tanggal
+ledgerEntrySchema.statics.getIncomeStatement = async function (tenantId, { property, from, to } = {}, options = {}) {
+    const revenueAccounts = accountsOfType('revenue');
+    const expenseAccounts = accountsOfType('expense');
+    const { match, debit, credit, currency } = buildView(tenantId, { property, from, to }, options);
+
+    const rows = await this.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': { $in: [...revenueAccounts, ...expenseAccounts] } } },
+        {
+            $group: {
+                _id: { account: '$lines.account', currency },
+                debit: { $sum: debit },
+                credit: { $sum: credit }
+            }
+        },
+        { $sort: { '_id.currency': 1, '_id.account': 1 } }
+    ]);
+
+    const statements = {};
+    rows.forEach(({ _id, debit: totalDebit, credit: totalCredit }) => {
+        const statement = statements[_id.currency] || (statements[_id.currency] = {
+            currency: _id.currency,
+            revenue: [],
+            expenses: [],
+            totalRevenue: 0,
+            totalExpenses: 0
+        });
+        const isRevenue = revenueAccounts.includes(_id.account);
+        const amount = isRevenue ? totalCredit - totalDebit : totalDebit - totalCredit;
+        const row = { account: _id.account, name: ACCOUNTS[_id.account].name, amount: fromMinor(amount, _id.currency) };
+
+        if (isRevenue) {
+            statement.revenue.push(row);
+            statement.totalRevenue += amount;
+        } else {
+            statement.expenses.push(row);
+            statement.totalExpenses += amount;
+        }
+    });
+
+    return Object.values(statements).map(statement => ({
+        ...statement,
+        totalRevenue: fromMinor(statement.totalRevenue, statement.currency),
+        totalExpenses: fromMinor(statement.totalExpenses, statement.currency),
+        netIncome: fromMinor(statement.totalRevenue - statement.totalExpenses, statement.currency)
+    }));
+};
+
+// Method untuk mendapatkan umur piutang per tagihan (0-30/31-60/61-90/90+ hari lewat jatuh tempo).
+// Sisa piutang dikonversi dengan kurs snapshot tagihan.
+ledgerEntrySchema.statics.getReceivableAging = async function (tenantId, { property, asOf = new Date() } = {}, options = {}) {
+    const { view = 'reporting', reportingCurrency } = options;
+    const match = buildMatch(tenantId, { property, to: asOf });
+    match['source.payment'] = { $exists: true };
+
+    const rows = await this.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': RECEIVABLE } },
+        {
+            $group: {
+                _id: '$source.payment',
+                balance: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } },
+                currency: { $first: '$currency' },
+                property: { $first: '$property' },
+                unit: { $first: '$unit' },
+                resident: { $first: '$resident' }
+            }
+        },
+        { $match: { balance: { $gt: 0 } } },
+        { $lookup: { from: 'payments', localField: '_id', foreignField: '_id', as: 'payment' } },
+        { $lookup: { from: 'units', localField: 'unit', foreignField: '_id', as: 'unit' } },
+        { $lookup: { from: 'users', localField: 'resident', foreignField: '_id', as: 'resident' } },
+        {
+            $project: {
+                _id: 0,
+                payment: '$_id',
+                balance: 1,
+                currency: 1,
+                property: 1,
+                invoiceNumber: { $arrayElemAt: ['$payment.invoiceNumber', 0] },
+                type: { $arrayElemAt: ['$payment.type', 0] },
+                dueDate: { $arrayElemAt: ['$payment.dueDate', 0] },
+                exchangeRate: { $arrayElemAt: ['$payment.exchangeRate', 0] },
+                unitNumber: { $arrayElemAt: ['$unit.unitNumber', 0] },
+                resident: { $arrayElemAt: ['$resident.name', 0] }
+            }
+        },
+        { $sort: { dueDate: 1 } }
+    ]);
+
+    const summary = {};
+    let unconverted = 0;
+    const invoices = rows.map(({ exchangeRate, ...row }) => {
+        // Tagihan yang belum jatuh tempo masuk kelompok 0-30
+        const daysPastDue = row.dueDate ? Math.max(Math.floor((asOf - row.dueDate) / DAY_MS), 0) : 0;
+        const bucket = daysPastDue <= 30 ? '0-30' : daysPastDue <= 60 ? '31-60' : daysPastDue <= 90 ? '61-90' : '90+';
+        const reportingBalance = exchangeRate && exchangeRate.currency === reportingCurrency
+            ? convertMinor(row.balance, row.currency, reportingCurrency, exchangeRate.rate)
+            : null;
+
+        const [currency, amount] = view === 'native'
+            ? [row.currency, row.balance]
+            : [reportingCurrency, reportingBalance];
+
+        if (amount === null) {
+            unconverted++;
+        } else {
+            const total = summary[currency] || (summary[currency] = {
+                currency,
+                ...Object.fromEntries(AGING_BUCKETS.map(name => [name, 0])),
+                total: 0
+            });
+            total[bucket] += amount;
+            total.total += amount;
+        }
+
+        return {
+            ...row,
+            balance: fromMinor(row.balance, row.currency),
+            reportingBalance: reportingBalance === null ? null : fromMinor(reportingBalance, reportingCurrency),
+            daysPastDue,
+            bucket
+        };
+    });
+
+    return {
+        asOf,
+        summary: Object.values(summary).map(total => ({
+            currency: total.currency,
+            ...Object.fromEntries([...AGING_BUCKETS, 'total'].map(name => [name, fromMinor(total[name], total.currency)]))
+        })),
+        unconvertedInvoices: unconverted,
+        invoices
+    };
+};
+
+// Method untuk mendapatkan profitabilitas per unit dalam rentang tanggal
+ledgerEntrySchema.statics.getUnitProfitability = async function (tenantId, { property, from, to } = {}, options = {}) {
+    const revenueAccounts = accountsOfType('revenue');
+    const expenseAccounts = accountsOfType('expense');
+    const { match, debit, credit, currency } = buildView(tenantId, { property, from, to }, options);
+
+    const rows = await this.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': { $in: [...revenueAccounts, ...expenseAccounts] } } },
+        {
+            $group: {
+                _id: { unit: '$unit', currency },
+                property: { $first: '$property' },
+                revenue: {
+                    $sum: {
+                        $cond: [{ $in: ['$lines.account', revenueAccounts] }, { $subtract: [credit, debit] }, 0]
+                    }
+                },
+                expenses: {
+                    $sum: {
+                        $cond: [{ $in: ['$lines.account', expenseAccounts] }, { $subtract: [debit, credit] }, 0]
+                    }
+                }
+            }
+        },
+        { $lookup: { from: 'units', localField: '_id.unit', foreignField: '_id', as: 'unit' } },
+        { $lookup: { from: 'properties', localField: 'property', foreignField: '_id', as: 'property' } },
+        {
+            $project: {
+                _id: 0,
+                unit: '$_id.unit',
+                currency: '$_id.currency',
+                unitNumber: { $arrayElemAt: ['$unit.unitNumber', 0] },
+                property: { $arrayElemAt: ['$property.name', 0] },
+                revenue: 1,
+                expenses: 1,
+                netIncome: { $subtract: ['$revenue', '$expenses'] }
+            }
+        },
+        { $sort: { currency: 1, netIncome: -1 } }
+    ]);
+
+    return rows.map(row => ({
+        ...row,
+        revenue: fromMinor(row.revenue, row.currency),
+        expenses: fromMinor(row.expenses, row.currency),
+        netIncome: fromMinor(row.netIncome, row.currency),
+        margin: row.revenue > 0 ? Math.round(row.netIncome / row.revenue * 10000) / 100 : null
+    }));
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { textIndexPlugin } = require('../search/textIndex');
+const { syncMaintenanceEntries } = require('../accounting/ledger');
+const { CURRENCY_CODES, exchangeRateSnapshotSchema, exponentOf, isSnapshotStale } = require('../accounting/money');
+const ExchangeRate = require('./ExchangeRate');
+const { logger } = require('../config/logger');
 
 const maintenanceSchema = new mongoose.Schema({
     tenant: {
@@ -78,8 +83,11 @@ const maintenanceSchema = new mongoose.Schema({
         },
         currency: {
             type: String,
+            enum: CURRENCY_CODES,
             default: 'IDR'
-        }
+        },
+        // Kurs biaya aktual ke mata uang pelaporan tenant pada tanggal selesai
+        exchangeRate: exchangeRateSnapshotSchema
     },
     attachments: [{
         url: String,
@@ -101,6 +109,16 @@ const maintenanceSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Index teks berbobot untuk pencarian (lihat src/search)
+maintenanceSchema.plugin(textIndexPlugin, {
+    fields: {
+        title: 10,
+        description: 4,
+        notes: 1,
+        completionNotes: 1
+    }
+});
+
 // Index untuk optimasi query
 maintenanceSchema.index({ tenant: 1 });
 maintenanceSchema.index({ property: 1 });
@@ -114,23 +132,51 @@ maintenanceSchema.index({ 'schedule.endDate': 1 });
 maintenanceSchema.index({ assignedTo: 1 });
 maintenanceSchema.index({ createdAt: -1 });
 
+// Ambil snapshot kurs biaya aktual pada tanggal pemeliharaan selesai
+maintenanceSchema.pre('validate', async function (next) {
+    try {
+        if (this.status === 'completed' && this.cost && this.cost.actual !== undefined && this.tenant) {
+            const reportingCurrency = await ExchangeRate.getReportingCurrency(this.tenant);
+            if (this.isModified('cost.currency') || isSnapshotStale(this.cost.exchangeRate, reportingCurrency)) {
+                this.cost.exchangeRate = await ExchangeRate.snapshot(
+                    this.tenant,
+                    this.cost.currency,
+                    this.completedAt || new Date(),
+                    reportingCurrency
+                );
+            }
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Posting biaya aktual pemeliharaan yang selesai ke ledger properti
+maintenanceSchema.post('save', async function () {
+    try {
+        await syncMaintenanceEntries(this);
+    } catch (error) {
+        logger.error(`Error posting maintenance ${this._id} to ledger:`, error);
+    }
+});
+
 // Method untuk mendapatkan maintenance berdasarkan filter
 maintenanceSchema.statics.findWithFilter = async function (query, options = {}) {
     const {
         page = 1,
         limit = 10,
-        sort = '-createdAt',
+        sort,
         fields,
+        language,
         ...filters
     } = options;
 
     // Build query
     const queryObj = { ...filters };
-    if (query) {
-        queryObj.$or = [
-            { title: { $regex: query, $options: 'i' } },
-            { description: { $regex: query, $options: 'i' } }
-        ];
+    const textFilter = query ? this.textSearchFilter(query, language) : null;
+    if (textFilter) {
+        Object.assign(queryObj, textFilter);
     }
 
     // Select fields
@@ -139,7 +185,7 @@ maintenanceSchema.statics.findWithFilter = async function (query, options = {})
     // Execute query
     const maintenances = await this.find(queryObj)
         .select(selectFields)
-        .sort(sort)
+        .sort(sort || (textFilter ? { score: { $meta: 'textScore' } } : '-createdAt'))
         .skip((page - 1) * limit)
         .limit(limit)
         .populate('tenant', 'name code')
@@ -162,15 +208,29 @@ maintenanceSchema.statics.findWithFilter = async function (query, options = {})
     };
 };
 
-// Method untuk mendapatkan statistik maintenance
+// Method untuk mendapatkan statistik maintenance; biaya dikonversi ke mata uang pelaporan tenant
 maintenanceSchema.statics.getMaintenanceStats = async function (tenantId) {
+    const reportingCurrency = await ExchangeRate.getReportingCurrency(tenantId);
+    const digits = exponentOf(reportingCurrency);
+
     return this.aggregate([
         {
             $match: {
-                tenant: mongoose.Types.ObjectId(tenantId),
+                tenant: new mongoose.Types.ObjectId(tenantId),
                 isActive: true
             }
         },
+        {
+            $addFields: {
+                reportingCost: {
+                    $cond: [
+                        { $eq: ['$cost.exchangeRate.currency', reportingCurrency] },
+                        { $multiply: ['$cost.actual', '$cost.exchangeRate.rate'] },
+                        null
+                    ]
+                }
+            }
+        },
         {
             $group: {
                 _id: null,
@@ -193,10 +253,20 @@ maintenanceSchema.statics.getMaintenanceStats = async function (tenantId) {
                     }
                 },
                 totalCost: {
-                    $sum: '$cost.actual'
+                    $sum: '$reportingCost'
                 },
                 averageCost: {
-                    $avg: '$cost.actual'
+                    $avg: '$reportingCost'
+                },
+                // Biaya aktual yang belum memiliki kurs ke mata uang pelaporan
+                unconvertedCosts: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $gt: ['$cost.actual', null] }, { $eq: [{ $ifNull: ['$reportingCost', null] }, null] }] },
+                            1,
+                            0
+                        ]
+                    }
                 },
                 overdueMaintenance: {
                     $sum: {
@@ -219,8 +289,10 @@ maintenanceSchema.statics.getMaintenanceStats = async function (tenantId) {
                 _id: 0,
                 totalMaintenance: 1,
                 completedMaintenance: 1,
-                totalCost: 1,
-                averageCost: 1,
+                reportingCurrency: { $literal: reportingCurrency },
+                totalCost: { $round: ['$totalCost', digits] },
+                averageCost: { $round: ['$averageCost', digits] },
+                unconvertedCosts: 1,
                 overdueMaintenance: 1,
                 typeDistribution: {
                     $reduce: {
@@ -1 +1,864 @@
- 
\ No newline at end of file
+const mongoose = require('mongoose');
+const { assignVirtualAccount } = require('../reconciliation/virtualAccount');
+const Deposit = require('./Deposit');
+const { syncPaymentEntries } = require('../accounting/ledger');
+const { CURRENCY_CODES, exchangeRateSnapshotSchema, exponentOf, isSnapshotStale } = require('../accounting/money');
+const ExchangeRate = require('./ExchangeRate');
+const { logger } = require('../config/logger');
+
+// Status tagihan yang masih memiliki sisa untuk dibayar
+const OPEN_STATUSES = ['pending', 'partial', 'pending_verification', 'overdue', 'failed'];
+
+const lineItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['rent', 'service_charge', 'utility', 'penalty', 'deposit', 'maintenance', 'other'],
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amount: {
+        type: Number,
+        min: 0
+    },
+    period: {
+        start: Date,
+        end: Date
+    }
+});
+
+const transactionSchema = new mongoose.Schema({
+    // Jumlah negatif adalah refund (lihat recordRefund)
+    amount: {
+        type: Number,
+        required: true
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['bank_transfer', 'credit_card', 'e_wallet', 'cash'],
+        required: true
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+    notes: String,
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Baris mutasi bank sumber transaksi (rekonsiliasi); mencegah satu baris dicatat dua kali
+    statementLine: mongoose.Schema.Types.ObjectId,
+    // Kurs ke mata uang pelaporan pada tanggal pembayaran
+    exchangeRate: exchangeRateSnapshotSchema
+});
+
+const proofSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    caption: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    transferDate: Date,
+    bankName: String,
+    reference: String,
+    notes: String,
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    rejectionReason: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date
+});
+
+// Satu checkout di payment gateway; semua charge disimpan agar webhook charge lama tetap dapat diterapkan
+const gatewayChargeSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    reference: {
+        type: String,
+        required: true
+    },
+    amount: Number,
+    checkoutUrl: String,
+    status: {
+        type: String,
+        default: 'created'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Status charge yang masih dapat dibayar
+const OPEN_CHARGE_STATUSES = ['created', 'pending'];
+
+const paymentSchema = new mongoose.Schema({
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    unit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Unit',
+        required: true
+    },
+    resident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['rent', 'deposit', 'maintenance', 'utility', 'other'],
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    lineItems: [lineItemSchema],
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amountPaid: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    balance: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        enum: CURRENCY_CODES,
+        default: 'IDR'
+    },
+    // Kurs ke mata uang pelaporan tenant pada tanggal tagihan diterbitkan
+    exchangeRate: exchangeRateSnapshotSchema,
+    status: {
+        type: String,
+        enum: ['pending', 'partial', 'pending_verification', 'completed', 'overdue', 'failed', 'cancelled', 'refunded'],
+        default: 'pending'
+    },
+    // Status sebelum bukti transfer diajukan, dipulihkan setelah verifikasi
+    statusBeforeVerification: String,
+    paymentMethod: {
+        type: String,
+        enum: ['bank_transfer', 'credit_card', 'e_wallet', 'cash'],
+        required: true
+    },
+    paymentDetails: {
+        bankName: String,
+        accountNumber: String,
+        accountName: String,
+        cardNumber: String,
+        cardType: {
+            type: String,
+            enum: ['visa', 'mastercard', 'amex']
+        },
+        eWalletProvider: {
+            type: String,
+            enum: ['gopay', 'ovo', 'dana', 'linkaja']
+        },
+        eWalletNumber: String
+    },
+    transactions: [transactionSchema],
+    proofs: [proofSchema],
+    // Nomor invoice dan kuitansi berurutan per tenant, mis. INV/ABCD1F2E/2024/000001
+    invoiceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    receiptNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    receiptIssuedAt: Date,
+    // Nomor virtual account tujuan transfer (per tagihan atau per resident sesuai pengaturan tenant)
+    virtualAccountNumber: {
+        type: String,
+        trim: true
+    },
+    // provider, reference, checkoutUrl, dan status mengikuti charge terakhir; riwayat lengkap ada di charges
+    gateway: {
+        provider: String,
+        reference: String,
+        checkoutUrl: String,
+        status: String,
+        lastEventAt: Date,
+        charges: [gatewayChargeSchema]
+    },
+    billingPeriod: {
+        start: Date,
+        end: Date
+    },
+    // Kunci idempotensi untuk tagihan yang dibuat otomatis, mis. rent:<unitId>:2024-01
+    billingReference: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    lateFee: {
+        overdueAt: Date,
+        penaltyAmount: {
+            type: Number,
+            default: 0
+        },
+        lineItem: mongoose.Schema.Types.ObjectId,
+        escalationsSent: [Number]
+    },
+    paidAt: Date,
+    attachments: [{
+        url: String,
+        caption: String,
+        uploadedAt: Date
+    }],
+    notes: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+paymentSchema.index({ tenant: 1 });
+paymentSchema.index({ property: 1 });
+paymentSchema.index({ unit: 1 });
+paymentSchema.index({ resident: 1 });
+paymentSchema.index({ type: 1 });
+paymentSchema.index({ status: 1 });
+paymentSchema.index({ paymentMethod: 1 });
+paymentSchema.index({ dueDate: 1 });
+paymentSchema.index({ 'gateway.provider': 1, 'gateway.reference': 1 });
+// Referensi charge unik per provider di semua tagihan
+paymentSchema.index(
+    { 'gateway.charges.provider': 1, 'gateway.charges.reference': 1 },
+    { unique: true, partialFilterExpression: { 'gateway.charges.reference': { $exists: true } } }
+);
+paymentSchema.index({ tenant: 1, virtualAccountNumber: 1 });
+paymentSchema.index({ createdAt: -1 });
+
+// Lengkapi property dari unit, virtual account, susun line item default, dan hitung ulang saldo
+paymentSchema.pre('validate', async function (next) {
+    try {
+        if (!this.property && this.unit) {
+            const unit = await mongoose.model('Unit').findById(this.unit).select('property');
+            if (unit) {
+                this.property = unit.property;
+            }
+        }
+
+        if (this.paymentMethod === 'bank_transfer' && !this.virtualAccountNumber && this.tenant && this.resident) {
+            this.virtualAccountNumber = await assignVirtualAccount(this);
+        }
+
+        // Pembayaran tanpa rincian dianggap satu line item sesuai tipenya
+        if (this.lineItems.length === 0 && this.amount > 0) {
+            this.lineItems.push({
+                type: this.type,
+                description: this.description,
+                unitPrice: this.amount
+            });
+        }
+
+        this.lineItems.forEach(item => {
+            item.amount = item.quantity * item.unitPrice;
+        });
+        if (this.lineItems.length > 0) {
+            this.amount = this.lineItems.reduce((sum, item) => sum + item.amount, 0);
+        }
+
+        // Status completed yang diset manual berarti sisa tagihan dilunasi sekaligus
+        const paid = () => this.transactions.reduce((sum, trx) => sum + trx.amount, 0);
+        if (this.isModified('status') && this.status === 'completed' && paid() < this.amount) {
+            this.transactions.push({
+                amount: this.amount - paid(),
+                paymentMethod: this.paymentMethod
+            });
+        }
+
+        this.amountPaid = paid();
+        this.balance = this.amount - this.amountPaid;
+
+        // Tagihan yang lunas lewat jalur lain (gateway, rekonsiliasi, pencatatan manual) selama bukti transfer
+        // menunggu verifikasi langsung selesai; bukti yang tertunda tidak lagi diperlukan
+        if (this.status === 'pending_verification' && this.balance <= 0 && this.amount > 0) {
+            this.status = 'completed';
+            this.statusBeforeVerification = undefined;
+            this.proofs.filter(proof => proof.status === 'pending').forEach(proof => {
+                proof.status = 'rejected';
+                proof.rejectionReason = 'Tagihan sudah lunas melalui pembayaran lain.';
+                proof.reviewedAt = new Date();
+            });
+        }
+
+        if (['pending', 'partial', 'overdue', 'completed', 'failed'].includes(this.status)) {
+            if (this.balance <= 0 && this.amount > 0) {
+                this.status = 'completed';
+                this.paidAt = this.paidAt || this.transactions[this.transactions.length - 1].paidAt;
+            } else if (this.status === 'completed') {
+                this.status = this.amountPaid > 0 ? 'partial' : 'pending';
+                this.paidAt = undefined;
+            } else if (['pending', 'failed'].includes(this.status) && this.amountPaid > 0) {
+                this.status = 'partial';
+            }
+        }
+
+        await this.snapshotExchangeRates();
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Nomor invoice, dan nomor kuitansi saat tagihan pertama kali lunas, diambil setelah tagihan tersimpan
+// sehingga penyimpanan yang gagal tidak menghabiskan nomor urut. Jika gagal, nomor diambil pada penyimpanan berikutnya.
+paymentSchema.post('save', async function () {
+    try {
+        const Tenant = mongoose.model('Tenant');
+        const numbers = {};
+        if (!this.invoiceNumber) {
+            numbers.invoiceNumber = await Tenant.nextDocumentNumber(this.tenant, 'invoice', 'INV');
+        }
+        if (this.status === 'completed' && !this.receiptNumber) {
+            numbers.receiptNumber = await Tenant.nextDocumentNumber(this.tenant, 'receipt', 'KWT');
+            numbers.receiptIssuedAt = new Date();
+        }
+        if (!Object.keys(numbers).length) {
+            return;
+        }
+
+        await this.constructor.updateOne({ _id: this._id }, numbers);
+        Object.keys(numbers).forEach(path => {
+            this.set(path, numbers[path]);
+            this.unmarkModified(path);
+        });
+    } catch (error) {
+        logger.error(`Error assigning document numbers for payment ${this._id}:`, error);
+    }
+});
+
+// Sinkronkan deposit jaminan dengan pembayaran tagihan depositnya.
+// Kegagalan sinkronisasi tidak membatalkan penyimpanan dan diulang pada penyimpanan tagihan berikutnya.
+paymentSchema.post('save', async function () {
+    if (this.type !== 'deposit') {
+        return;
+    }
+
+    try {
+        const deposit = await Deposit.findOne({ payment: this._id, status: { $in: ['pending', 'held'] } });
+        if (!deposit) {
+            return;
+        }
+
+        deposit.amountHeld = this.amountPaid;
+        if (['cancelled', 'refunded'].includes(this.status)) {
+            deposit.status = 'cancelled';
+        } else if (this.status === 'completed') {
+            deposit.status = 'held';
+            deposit.heldAt = deposit.heldAt || this.paidAt || new Date();
+        } else {
+            deposit.status = 'pending';
+            deposit.heldAt = undefined;
+        }
+        await deposit.save();
+    } catch (error) {
+        logger.error(`Error syncing deposit for payment ${this._id}:`, error);
+    }
+});
+
+// Posting tagihan, pembayaran, denda, dan refund ke ledger properti.
+// Kegagalan posting tidak membatalkan penyimpanan dan dapat diperbaiki lewat sinkronisasi ledger.
+paymentSchema.post('save', async function () {
+    try {
+        await syncPaymentEntries(this);
+    } catch (error) {
+        logger.error(`Error posting payment ${this._id} to ledger:`, error);
+    }
+});
+
+// Method untuk mengambil snapshot kurs tagihan (tanggal terbit) dan setiap transaksi (tanggal bayar)
+paymentSchema.methods.snapshotExchangeRates = async function () {
+    if (!this.tenant) {
+        return;
+    }
+
+    const reportingCurrency = await ExchangeRate.getReportingCurrency(this.tenant);
+    const tenantId = this.tenant._id || this.tenant;
+
+    if (this.isModified('currency') || isSnapshotStale(this.exchangeRate, reportingCurrency)) {
+        this.exchangeRate = await ExchangeRate.snapshot(tenantId, this.currency, this.createdAt || new Date(), reportingCurrency);
+    }
+    for (const trx of this.transactions) {
+        if (this.isModified('currency') || isSnapshotStale(trx.exchangeRate, reportingCurrency)) {
+            trx.exchangeRate = await ExchangeRate.snapshot(tenantId, this.currency, trx.paidAt, reportingCurrency);
+        }
+    }
+};
+
+// Method untuk mencatat pembayaran (sebagian atau penuh) terhadap tagihan
+paymentSchema.methods.recordTransaction = function (transaction) {
+    if (['cancelled', 'refunded'].includes(this.status)) {
+        throw new Error(`Tidak dapat mencatat pembayaran untuk tagihan dengan status ${this.status}.`);
+    }
+    if (transaction.amount > this.amount - this.amountPaid) {
+        throw new Error('Jumlah pembayaran melebihi sisa tagihan.');
+    }
+
+    this.transactions.push({
+        paymentMethod: this.paymentMethod,
+        ...transaction
+    });
+    return this;
+};
+
+// Method untuk mencatat refund (sebagian atau penuh) sebagai transaksi negatif.
+// Tagihan berstatus refunded hanya jika seluruh jumlah yang sudah dibayar dikembalikan.
+paymentSchema.methods.recordRefund = function (refund) {
+    const amountPaid = this.transactions.reduce((sum, trx) => sum + trx.amount, 0);
+    if (refund.amount <= 0 || refund.amount > amountPaid) {
+        throw new Error('Jumlah refund melebihi jumlah yang sudah dibayar.');
+    }
+
+    this.transactions.push({
+        paymentMethod: this.paymentMethod,
+        ...refund,
+        amount: -refund.amount
+    });
+    if (refund.amount >= amountPaid) {
+        this.status = 'refunded';
+    }
+    return this;
+};
+
+// Method untuk mengajukan bukti transfer dari resident; tagihan menunggu verifikasi
+paymentSchema.methods.submitProof = function (proof) {
+    if (!OPEN_STATUSES.includes(this.status) || this.status === 'pending_verification') {
+        throw new Error(`Bukti transfer tidak dapat diajukan untuk tagihan dengan status ${this.status}.`);
+    }
+    if (proof.amount > this.balance) {
+        throw new Error('Jumlah transfer melebihi sisa tagihan.');
+    }
+
+    this.proofs.push(proof);
+    this.statusBeforeVerification = this.status;
+    this.status = 'pending_verification';
+    return this.proofs[this.proofs.length - 1];
+};
+
+// Method untuk menyetujui atau menolak bukti transfer yang menunggu verifikasi
+paymentSchema.methods.reviewProof = function (action, reviewerId, reason) {
+    const proof = this.proofs.find(item => item.status === 'pending');
+    if (this.status !== 'pending_verification' || !proof) {
+        throw new Error('Tidak ada bukti transfer yang menunggu verifikasi.');
+    }
+
+    // Status dikembalikan dulu agar saldo dan status dihitung ulang saat validasi
+    this.status = this.statusBeforeVerification || 'pending';
+    this.statusBeforeVerification = undefined;
+
+    proof.reviewedBy = reviewerId;
+    proof.reviewedAt = new Date();
+
+    if (action === 'approve') {
+        proof.status = 'approved';
+        this.recordTransaction({
+            amount: proof.amount,
+            paymentMethod: 'bank_transfer',
+            reference: proof.reference,
+            paidAt: proof.transferDate || proof.uploadedAt,
+            notes: 'Bukti transfer diverifikasi',
+            recordedBy: reviewerId
+        });
+    } else {
+        proof.status = 'rejected';
+        proof.rejectionReason = reason;
+    }
+    return proof;
+};
+
+// Method untuk menambahkan line item (mis. denda) ke tagihan
+paymentSchema.methods.addLineItem = function (item) {
+    this.lineItems.push(item);
+    return this;
+};
+
+// Method untuk menetapkan denda keterlambatan sebagai satu line item penalty
+paymentSchema.methods.applyLateFee = function (penaltyAmount, description) {
+    let item = this.lateFee.lineItem && this.lineItems.id(this.lateFee.lineItem);
+    if (!item) {
+        this.lineItems.push({ type: 'penalty', description, unitPrice: 0 });
+        item = this.lineItems[this.lineItems.length - 1];
+        this.lateFee.lineItem = item._id;
+    }
+
+    item.description = description;
+    item.unitPrice = penaltyAmount;
+    this.lateFee.penaltyAmount = penaltyAmount;
+    return this;
+};
+
+// Method untuk mencatat checkout baru di payment gateway; charge sebelumnya tetap disimpan
+paymentSchema.methods.addGatewayCharge = function (provider, charge) {
+    this.gateway.charges.push({
+        provider,
+        reference: charge.reference,
+        amount: charge.amount,
+        checkoutUrl: charge.checkoutUrl
+    });
+    this.gateway.provider = provider;
+    this.gateway.reference = charge.reference;
+    this.gateway.checkoutUrl = charge.checkoutUrl;
+    this.gateway.status = 'created';
+    return this;
+};
+
+// Method untuk mencari charge gateway berdasarkan provider dan referensi
+paymentSchema.methods.findGatewayCharge = function (provider, reference) {
+    return this.gateway.charges.find(charge => charge.provider === provider && charge.reference === reference);
+};
+
+// Method untuk mengecek apakah masih ada charge gateway yang dapat dibayar
+paymentSchema.methods.hasOpenGatewayCharge = function () {
+    return this.gateway.charges.some(charge => OPEN_CHARGE_STATUSES.includes(charge.status));
+};
+
+// Method untuk mencari tagihan dari referensi charge mana pun, termasuk tagihan lama yang hanya menyimpan charge terakhir
+paymentSchema.statics.findByGatewayReference = function (provider, reference) {
+    return this.findOne({
+        $or: [
+            { 'gateway.charges': { $elemMatch: { provider, reference } } },
+            { 'gateway.provider': provider, 'gateway.reference': reference }
+        ]
+    });
+};
+
+// Method untuk mendapatkan pembayaran lengkap untuk dokumen PDF
+paymentSchema.statics.findForDocument = function (id) {
+    return this.findById(id)
+        .populate('tenant', 'name code logo address contactInfo')
+        .populate('property', 'name address contactInfo')
+        .populate('unit', 'unitNumber floor type')
+        .populate('resident', 'name email phone');
+};
+
+// Method untuk mendapatkan pembayaran berdasarkan filter
+paymentSchema.statics.findWithFilter = async function (query, options = {}) {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt',
+        fields,
+        ...filters
+    } = options;
+
+    // Build query
+    const queryObj = { ...filters };
+    if (query) {
+        queryObj.$or = [
+            { invoiceNumber: { $regex: query, $options: 'i' } },
+            { description: { $regex: query, $options: 'i' } },
+            { notes: { $regex: query, $options: 'i' } },
+            { 'lineItems.description': { $regex: query, $options: 'i' } },
+            { 'transactions.reference': { $regex: query, $options: 'i' } }
+        ];
+    }
+
+    // Select fields
+    let selectFields = fields ? fields.split(',').join(' ') : '';
+
+    // Execute query
+    const payments = await this.find(queryObj)
+        .select(selectFields)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('tenant', 'name code')
+        .populate('property', 'name')
+        .populate('unit', 'unitNumber')
+        .populate('resident', 'name email');
+
+    // Get total count
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        payments,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Method untuk mendapatkan ringkasan saldo tagihan resident per mata uang
+paymentSchema.statics.getResidentBalance = async function (tenantId, residentId) {
+    return this.aggregate([
+        {
+            $match: {
+                tenant: new mongoose.Types.ObjectId(tenantId),
+                resident: new mongoose.Types.ObjectId(residentId),
+                isActive: true,
+                status: { $in: OPEN_STATUSES }
+            }
+        },
+        {
+            $group: {
+                _id: '$currency',
+                openInvoices: { $sum: 1 },
+                totalOutstanding: { $sum: '$balance' },
+                overdueAmount: {
+                    $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, '$balance', 0] }
+                },
+                pendingVerificationAmount: {
+                    $sum: { $cond: [{ $eq: ['$status', 'pending_verification'] }, '$balance', 0] }
+                },
+                nextDueDate: { $min: '$dueDate' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                currency: '$_id',
+                openInvoices: 1,
+                totalOutstanding: 1,
+                overdueAmount: 1,
+                pendingVerificationAmount: 1,
+                nextDueDate: 1
+            }
+        },
+        { $sort: { currency: 1 } }
+    ]);
+};
+
+// Method untuk mendapatkan riwayat transaksi pembayaran resident
+paymentSchema.statics.getResidentHistory = async function (tenantId, residentId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+
+    const [result] = await this.aggregate([
+        {
+            $match: {
+                tenant: new mongoose.Types.ObjectId(tenantId),
+                resident: new mongoose.Types.ObjectId(residentId),
+                isActive: true
+            }
+        },
+        { $unwind: '$transactions' },
+        { $sort: { 'transactions.paidAt': -1 } },
+        {
+            $facet: {
+                items: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: Number(limit) },
+                    {
+                        $project: {
+                            _id: '$transactions._id',
+                            payment: '$_id',
+                            invoiceNumber: 1,
+                            receiptNumber: 1,
+                            type: 1,
+                            description: 1,
+                            currency: 1,
+                            status: 1,
+                            amount: '$transactions.amount',
+                            paymentMethod: '$transactions.paymentMethod',
+                            reference: '$transactions.reference',
+                            paidAt: '$transactions.paidAt'
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+
+    return {
+        transactions: result.items,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Method untuk mendapatkan statistik pembayaran dalam mata uang pelaporan tenant.
+// Nominal dikonversi dengan snapshot kurs saat transaksi; tagihan tanpa kurs tidak ikut
+// dijumlahkan dan dihitung pada unconvertedPayments
+paymentSchema.statics.getPaymentStats = async function (tenantId) {
+    const reportingCurrency = await ExchangeRate.getReportingCurrency(tenantId);
+    const digits = exponentOf(reportingCurrency);
+    const rateFor = (snapshot) => ({
+        $cond: [{ $eq: [`${snapshot}.currency`, reportingCurrency] }, `${snapshot}.rate`, null]
+    });
+    // Ubah array nilai menjadi objek { nilai: jumlah kemunculan }
+    const countDistribution = (values) => ({
+        $arrayToObject: {
+            $map: {
+                input: { $setUnion: [values, []] },
+                as: 'key',
+                in: {
+                    k: '$$key',
+                    v: { $size: { $filter: { input: values, cond: { $eq: ['$$this', '$$key'] } } } }
+                }
+            }
+        }
+    });
+
+    return this.aggregate([
+        {
+            $match: {
+                tenant: new mongoose.Types.ObjectId(tenantId),
+                isActive: true
+            }
+        },
+        {
+            $addFields: {
+                reportingRate: rateFor('$exchangeRate')
+            }
+        },
+        {
+            $addFields: {
+                reportingAmount: { $multiply: ['$amount', '$reportingRate'] },
+                reportingBalance: { $multiply: ['$balance', '$reportingRate'] },
+                // Pembayaran dikonversi dengan kurs pada tanggal bayar masing-masing
+                reportingPaid: {
+                    $reduce: {
+                        input: '$transactions',
+                        initialValue: 0,
+                        in: {
+                            $add: ['$$value', {
+                                $multiply: ['$$this.amount', { $ifNull: [rateFor('$$this.exchangeRate'), '$reportingRate'] }]
+                            }]
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalPayments: { $sum: 1 },
+                unconvertedPayments: {
+                    $sum: { $cond: [{ $eq: [{ $ifNull: ['$reportingRate', null] }, null] }, 1, 0] }
+                },
+                totalAmount: { $sum: '$reportingAmount' },
+                totalPaidAmount: { $sum: '$reportingPaid' },
+                totalOutstandingAmount: {
+                    $sum: {
+                        $cond: [{ $in: ['$status', OPEN_STATUSES] }, '$reportingBalance', 0]
+                    }
+                },
+                completedPayments: {
+                    $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+                },
+                totalCompletedAmount: {
+                    $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$reportingAmount', 0] }
+                },
+                partialPayments: {
+                    $sum: { $cond: [{ $eq: ['$status', 'partial'] }, 1, 0] }
+                },
+                overduePayments: {
+                    $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, 1, 0] }
+                },
+                totalOverdueAmount: {
+                    $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, '$reportingBalance', 0] }
+                },
+                types: {
+                    $push: '$type'
+                },
+                statuses: {
+                    $push: '$status'
+                },
+                paymentMethods: {
+                    $push: '$paymentMethod'
+                }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                reportingCurrency: { $literal: reportingCurrency },
+                totalPayments: 1,
+                unconvertedPayments: 1,
+                totalAmount: { $round: ['$totalAmount', digits] },
+                totalPaidAmount: { $round: ['$totalPaidAmount', digits] },
+                totalOutstandingAmount: { $round: ['$totalOutstandingAmount', digits] },
+                completedPayments: 1,
+                totalCompletedAmount: { $round: ['$totalCompletedAmount', digits] },
+                partialPayments: 1,
+                overduePayments: 1,
+                totalOverdueAmount: { $round: ['$totalOverdueAmount', digits] },
+                typeDistribution: countDistribution('$types'),
+                statusDistribution: countDistribution('$statuses'),
+                paymentMethodDistribution: countDistribution('$paymentMethods')
+            }
+        }
+    ]);
+};
+
+paymentSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
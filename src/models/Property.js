@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { textIndexPlugin } = require('../search/textIndex');
+
+// Ubah koordinat latitude/longitude menjadi GeoJSON Point; urutan GeoJSON adalah [longitude, latitude]
+const toGeoPoint = (coordinates) => {
+    if (!coordinates || coordinates.latitude === undefined || coordinates.longitude === undefined ||
+        coordinates.latitude === '' || coordinates.longitude === '') {
+        return undefined;
+    }
+    return {
+        type: 'Point',
+        coordinates: [Number(coordinates.longitude), Number(coordinates.latitude)]
+    };
+};
 
 const propertySchema = new mongoose.Schema({
     tenant: {
@@ -32,9 +45,21 @@ const propertySchema = new mongoose.Schema({
             type: String,
             required: true
         },
-        coordinates: {
-            latitude: Number,
-            longitude: Number
+        // GeoJSON Point untuk pencarian berbasis lokasi
+        location: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined,
+                validate: {
+                    validator: coords => coords.length === 2 &&
+                        coords[0] >= -180 && coords[0] <= 180 && coords[1] >= -90 && coords[1] <= 90,
+                    message: 'Koordinat harus berupa [longitude, latitude] yang valid.'
+                }
+            }
         }
     },
     totalUnits: {
@@ -69,6 +94,54 @@ const propertySchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    billing: {
+        billingDay: {
+            type: Number,
+            min: 1,
+            max: 28,
+            default: 1
+        },
+        dueDays: {
+            type: Number,
+            min: 0,
+            default: 7
+        },
+        autoGenerate: {
+            type: Boolean,
+            default: true
+        },
+        defaultPaymentMethod: {
+            type: String,
+            enum: ['bank_transfer', 'credit_card', 'e_wallet', 'cash'],
+            default: 'bank_transfer'
+        }
+    },
+    lateFee: {
+        // flat: nominal sekali, percentage: persen dari tagihan, daily: nominal per hari keterlambatan
+        type: {
+            type: String,
+            enum: ['none', 'flat', 'percentage', 'daily'],
+            default: 'none'
+        },
+        amount: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        cap: {
+            type: Number,
+            min: 0
+        },
+        graceDays: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        escalationDays: {
+            type: [Number],
+            default: [1, 7, 14, 30]
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -77,6 +150,16 @@ const propertySchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Index teks berbobot untuk pencarian (lihat src/search)
+propertySchema.plugin(textIndexPlugin, {
+    fields: {
+        name: 10,
+        'address.city': 5,
+        'address.street': 3,
+        description: 2
+    }
+});
+
 // Index untuk optimasi query
 propertySchema.index({ tenant: 1 });
 propertySchema.index({ name: 1 });
@@ -84,25 +167,24 @@ propertySchema.index({ 'address.city': 1 });
 propertySchema.index({ propertyType: 1 });
 propertySchema.index({ price: 1 });
 propertySchema.index({ isActive: 1 });
+propertySchema.index({ 'address.location': '2dsphere' });
 
 // Method untuk mendapatkan properti berdasarkan filter
 propertySchema.statics.findWithFilter = async function (query, options = {}) {
     const {
         page = 1,
         limit = 10,
-        sort = '-createdAt',
+        sort,
         fields,
+        language,
         ...filters
     } = options;
 
     // Build query
     const queryObj = { ...filters };
-    if (query) {
-        queryObj.$or = [
-            { name: { $regex: query, $options: 'i' } },
-            { description: { $regex: query, $options: 'i' } },
-            { 'address.street': { $regex: query, $options: 'i' } }
-        ];
+    const textFilter = query ? this.textSearchFilter(query, language) : null;
+    if (textFilter) {
+        Object.assign(queryObj, textFilter);
     }
 
     // Select fields
@@ -111,7 +193,7 @@ propertySchema.statics.findWithFilter = async function (query, options = {}) {
     // Execute query
     const properties = await this.find(queryObj)
         .select(selectFields)
-        .sort(sort)
+        .sort(sort || (textFilter ? { score: { $meta: 'textScore' } } : '-createdAt'))
         .skip((page - 1) * limit)
         .limit(limit)
         .populate('tenant', 'name code')
@@ -131,6 +213,82 @@ propertySchema.statics.findWithFilter = async function (query, options = {}) {
     };
 };
 
+// Method untuk mencari properti di sekitar titik, diurutkan berdasarkan jarak (km) kecuali sort lain diberikan
+propertySchema.statics.findNear = async function ({ latitude, longitude }, options = {}) {
+    const {
+        radius,
+        filters = {},
+        sort,
+        page = 1,
+        limit = 10
+    } = options;
+
+    const geoNear = {
+        near: { type: 'Point', coordinates: [Number(longitude), Number(latitude)] },
+        key: 'address.location',
+        distanceField: 'distance',
+        distanceMultiplier: 0.001, // meter ke kilometer
+        spherical: true,
+        query: filters
+    };
+    if (radius) {
+        geoNear.maxDistance = Number(radius) * 1000;
+    }
+
+    const pipeline = [{ $geoNear: geoNear }];
+    if (sort) {
+        pipeline.push({ $sort: sort });
+    }
+    pipeline.push({
+        $facet: {
+            properties: [
+                { $skip: (page - 1) * Number(limit) },
+                { $limit: Number(limit) }
+            ],
+            total: [{ $count: 'count' }]
+        }
+    });
+
+    const [result] = await this.aggregate(pipeline);
+    const properties = await this.populate(result.properties, { path: 'owner', select: 'name' });
+
+    return {
+        properties: properties.map(property => ({
+            ...property,
+            distance: Math.round(property.distance * 100) / 100
+        })),
+        total: result.total.length > 0 ? result.total[0].count : 0
+    };
+};
+
+// Method untuk memindahkan koordinat lama (address.coordinates latitude/longitude) ke GeoJSON address.location.
+// Koordinat di luar rentang valid tidak dimigrasikan (index 2dsphere menolaknya) dan dihitung sebagai skipped.
+propertySchema.statics.migrateLegacyCoordinates = async function () {
+    const result = await this.collection.updateMany(
+        {
+            'address.coordinates.latitude': { $type: 'number', $gte: -90, $lte: 90 },
+            'address.coordinates.longitude': { $type: 'number', $gte: -180, $lte: 180 },
+            'address.location': { $exists: false }
+        },
+        [
+            {
+                $set: {
+                    'address.location': {
+                        type: 'Point',
+                        coordinates: ['$address.coordinates.longitude', '$address.coordinates.latitude']
+                    }
+                }
+            },
+            { $unset: 'address.coordinates' }
+        ]
+    );
+    const skipped = await this.collection.countDocuments({
+        'address.coordinates': { $exists: true },
+        'address.location': { $exists: false }
+    });
+    return { migrated: result.modifiedCount, skipped };
+};
+
 // Method untuk mendapatkan statistik properti
 propertySchema.statics.getPropertyStats = async function (tenantId) {
     return this.aggregate([
@@ -189,6 +347,8 @@ propertySchema.statics.getPropertyStats = async function (tenantId) {
     ]);
 };
 
+propertySchema.statics.toGeoPoint = toGeoPoint;
+
 const Property = mongoose.model('Property', propertySchema);
 
 module.exports = Property; 
\ No newline at end of file
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Masa berlaku refresh token (hari)
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS || 30);
+
+const REVOKE_REASONS = ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', 'deactivated'];
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Error refresh token; code dipakai controller untuk membedakan token tidak valid dan penggunaan ulang
+class RefreshTokenError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'RefreshTokenError';
+        this.code = code;
+    }
+}
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Hanya hash token yang disimpan; token asli hanya diketahui klien
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Seluruh token hasil rotasi dari satu login berbagi family yang sama
+    family: {
+        type: String,
+        required: true
+    },
+    // Versi token user saat token dibuat; token tidak berlaku jika versi user sudah berubah
+    tokenVersion: {
+        type: Number,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: REVOKE_REASONS
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken'
+    },
+    createdByIp: String,
+    userAgent: String,
+    // Waktu login awal sesi; dibawa ke setiap token hasil rotasi
+    sessionStartedAt: Date
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Token kadaluarsa dihapus otomatis oleh MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method untuk membuat refresh token baru; mengembalikan token asli dan dokumennya
+refreshTokenSchema.statics.issue = async function (user, { family, ip, userAgent, sessionStartedAt } = {}) {
+    const token = crypto.randomBytes(40).toString('hex');
+    const doc = await this.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        family: family || crypto.randomUUID(),
+        tokenVersion: user.tokenVersion,
+        expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+        createdByIp: ip,
+        userAgent,
+        sessionStartedAt: sessionStartedAt || new Date()
+    });
+    return { token, doc };
+};
+
+// Method untuk menukar refresh token dengan token baru (rotasi). Token yang sudah dirotasi lalu dipakai lagi
+// dianggap dicuri: seluruh family dicabut sehingga pemegang token curian maupun pemilik asli harus login ulang.
+refreshTokenSchema.statics.rotate = async function (token, { ip, userAgent } = {}) {
+    const current = await this.findOne({ tokenHash: hashToken(String(token)) });
+    if (!current) {
+        throw new RefreshTokenError('Refresh token tidak valid.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (current.revokedAt) {
+        if (current.revokedReason === 'rotated') {
+            await this.revokeFamily(current.family, 'reuse_detected');
+            throw new RefreshTokenError('Refresh token sudah pernah digunakan. Semua sesi terkait telah dicabut.', 'REFRESH_TOKEN_REUSED');
+        }
+        throw new RefreshTokenError('Refresh token sudah dicabut.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (current.expiresAt <= new Date()) {
+        throw new RefreshTokenError('Refresh token sudah kadaluarsa.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await mongoose.model('User').findById(current.user);
+    if (!user || !user.isActive || user.tokenVersion !== current.tokenVersion) {
+        await this.revokeFamily(current.family, user && !user.isActive ? 'deactivated' : 'logout_all');
+        throw new RefreshTokenError('Sesi telah berakhir. Silakan login kembali.', 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Tandai token lama secara atomik agar dua request bersamaan tidak sama-sama berhasil
+    const rotated = await this.findOneAndUpdate(
+        { _id: current._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'rotated' },
+        { new: true }
+    );
+    if (!rotated) {
+        await this.revokeFamily(current.family, 'reuse_detected');
+        throw new RefreshTokenError('Refresh token sudah pernah digunakan. Semua sesi terkait telah dicabut.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const next = await this.issue(user, {
+        family: current.family,
+        ip,
+        userAgent,
+        sessionStartedAt: current.sessionStartedAt || current.createdAt
+    });
+    rotated.replacedBy = next.doc._id;
+    await rotated.save();
+
+    return { user, token: next.token, doc: next.doc };
+};
+
+// Method untuk mencabut semua token aktif dalam satu family (satu sesi login)
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+// Method untuk mengecek apakah sesi (family) sudah dicabut. Token yang dirotasi tidak dihitung agar access token
+// tetap berlaku selama rotasi berlangsung; pencabutan sesi selalu menandai token aktif dengan alasan lain.
+refreshTokenSchema.statics.isFamilyRevoked = async function (family) {
+    const revoked = await this.exists({
+        family,
+        revokedAt: { $ne: null },
+        revokedReason: { $ne: 'rotated' }
+    });
+    return Boolean(revoked);
+};
+
+// Method untuk mencabut semua sesi milik user
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+// Method untuk mendapatkan sesi aktif user: token terbaru yang belum dicabut dan belum kadaluarsa di setiap family
+refreshTokenSchema.statics.findActiveSessions = function (userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort('-createdAt');
+};
+
+// Method untuk mencari token berdasarkan token asli
+refreshTokenSchema.statics.findByToken = function (token) {
+    return this.findOne({ tokenHash: hashToken(String(token)) });
+};
+
+refreshTokenSchema.statics.RefreshTokenError = RefreshTokenError;
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
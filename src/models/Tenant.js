@@ -1 +1,429 @@
- 
\ No newline at end of file
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { CURRENCY_CODES } = require('../accounting/money');
+
+// Paket langganan beserta batas penggunaannya (null = tanpa batas)
+const PLANS = {
+    basic: {
+        maxProperties: 1,
+        maxUnits: 50,
+        maxUsers: 100,
+        maxStorageMB: 1024
+    },
+    professional: {
+        maxProperties: 5,
+        maxUnits: 500,
+        maxUsers: 1000,
+        maxStorageMB: 10240
+    },
+    enterprise: {
+        maxProperties: null,
+        maxUnits: null,
+        maxUsers: null,
+        maxStorageMB: 102400
+    }
+};
+
+// Transisi status langganan yang diizinkan
+const SUBSCRIPTION_TRANSITIONS = {
+    trial: ['active', 'past_due', 'cancelled'],
+    active: ['past_due', 'suspended', 'cancelled'],
+    past_due: ['active', 'suspended', 'cancelled'],
+    suspended: ['active', 'cancelled'],
+    cancelled: ['active']
+};
+
+// Pemetaan resource kuota ke field batas paket
+const PLAN_RESOURCES = {
+    properties: 'maxProperties',
+    units: 'maxUnits',
+    users: 'maxUsers',
+    storage: 'maxStorageMB'
+};
+
+const TRIAL_DAYS = 14;
+
+// Role yang dapat diwajibkan memakai 2FA oleh tenant
+const TWO_FACTOR_ROLES = ['admin', 'manager'];
+
+const tenantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    address: {
+        street: String,
+        city: String,
+        state: String,
+        postalCode: String
+    },
+    contactInfo: {
+        email: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true
+        },
+        phone: String,
+        website: String
+    },
+    logo: {
+        url: String,
+        caption: String
+    },
+    subscription: {
+        plan: {
+            type: String,
+            enum: Object.keys(PLANS),
+            default: 'basic'
+        },
+        status: {
+            type: String,
+            enum: Object.keys(SUBSCRIPTION_TRANSITIONS),
+            default: 'trial'
+        },
+        startDate: {
+            type: Date,
+            default: Date.now
+        },
+        endDate: Date,
+        pastDueAt: Date,
+        suspendedAt: Date,
+        cancelledAt: Date,
+        remindersSent: [Number],
+        limits: {
+            maxProperties: Number,
+            maxUnits: Number,
+            maxUsers: Number,
+            maxStorageMB: Number
+        }
+    },
+    usage: {
+        storageBytes: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    // Nomor urut per tenant. Dokumen memakai kunci per tahun (mis. invoice:2026) sehingga penomoran
+    // dimulai lagi dari 1 setiap tahun; virtualAccount tidak pernah direset
+    sequences: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    settings: {
+        // Mata uang pelaporan untuk statistik dan laporan keuangan
+        currency: {
+            type: String,
+            enum: CURRENCY_CODES,
+            default: 'IDR'
+        },
+        timezone: {
+            type: String,
+            default: 'Asia/Jakarta'
+        },
+        // Virtual account untuk pembayaran transfer bank; tanpa prefix, prefix diturunkan dari id tenant
+        virtualAccount: {
+            mode: {
+                type: String,
+                enum: ['invoice', 'resident'],
+                default: 'invoice'
+            },
+            bankName: String,
+            prefix: {
+                type: String,
+                match: /^\d{3,6}$/
+            }
+        },
+        // Pengguna dengan role di bawah ini harus memverifikasi email sebelum membuat keluhan atau membayar
+        emailVerification: {
+            required: {
+                type: Boolean,
+                default: true
+            },
+            roles: {
+                type: [String],
+                enum: ['admin', 'manager', 'staff', 'resident'],
+                default: ['resident']
+            }
+        },
+        // Wajibkan autentikasi dua faktor untuk admin dan manager
+        twoFactor: {
+            enforced: {
+                type: Boolean,
+                default: false
+            }
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index untuk optimasi query
+tenantSchema.index({ name: 1 });
+tenantSchema.index({ 'subscription.plan': 1 });
+tenantSchema.index({ 'subscription.status': 1 });
+tenantSchema.index({ 'subscription.endDate': 1 });
+tenantSchema.index({ isActive: 1 });
+
+// Generate kode unik, tanggal akhir trial, dan batas paket jika belum diisi
+tenantSchema.pre('validate', function (next) {
+    if (!this.code && this.name) {
+        const prefix = this.name.replace(/[^a-zA-Z0-9]/g, '').substring(0, 4).toUpperCase();
+        this.code = `${prefix}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    }
+
+    if (!this.subscription.endDate) {
+        const endDate = new Date(this.subscription.startDate);
+        endDate.setDate(endDate.getDate() + TRIAL_DAYS);
+        this.subscription.endDate = endDate;
+    }
+
+    // Pengingat dikirim ulang untuk periode langganan yang baru; langganan past_due yang diperpanjang aktif kembali
+    if (!this.isNew && this.isModified('subscription.endDate')) {
+        this.subscription.remindersSent = [];
+        if (!this.isModified('subscription.status')) {
+            this.reactivateIfRenewed();
+        }
+    }
+
+    // Batas mengikuti paket; override manual hanya dipertahankan saat tenant dibuat
+    if (this.isNew || this.isModified('subscription.plan')) {
+        Object.entries(PLANS[this.subscription.plan]).forEach(([resource, limit]) => {
+            if (!this.isNew || this.subscription.limits[resource] === undefined) {
+                this.subscription.limits[resource] = limit;
+            }
+        });
+    }
+
+    next();
+});
+
+// Method untuk mengecek apakah status langganan boleh diubah
+tenantSchema.methods.canTransitionTo = function (status) {
+    return this.subscription.status === status ||
+        SUBSCRIPTION_TRANSITIONS[this.subscription.status].includes(status);
+};
+
+// Method untuk mengaktifkan kembali langganan past_due yang endDate-nya sudah diperpanjang ke masa depan
+tenantSchema.methods.reactivateIfRenewed = function (now = new Date()) {
+    const { status, endDate } = this.subscription;
+    if (status !== 'past_due' || !endDate || endDate <= now) {
+        return false;
+    }
+
+    this.subscription.status = 'active';
+    this.subscription.pastDueAt = undefined;
+    return true;
+};
+
+// Method untuk mengecek apakah langganan masih dapat digunakan
+tenantSchema.methods.hasActiveSubscription = function () {
+    return this.isActive && ['trial', 'active', 'past_due'].includes(this.subscription.status);
+};
+
+// Method untuk mengecek apakah role wajib memverifikasi email sesuai kebijakan tenant
+tenantSchema.methods.requiresEmailVerification = function (role) {
+    const policy = this.settings && this.settings.emailVerification;
+    return Boolean(policy && policy.required && policy.roles.includes(role));
+};
+
+// Method untuk mengecek apakah role wajib memakai 2FA sesuai kebijakan tenant
+tenantSchema.methods.requiresTwoFactor = function (role) {
+    const policy = this.settings && this.settings.twoFactor;
+    return Boolean(policy && policy.enforced && TWO_FACTOR_ROLES.includes(role));
+};
+
+// Method untuk mendapatkan batas paket (override per tenant diutamakan)
+tenantSchema.methods.getLimit = function (resource) {
+    const limit = this.subscription.limits && this.subscription.limits[resource];
+    return limit === undefined ? PLANS[this.subscription.plan][resource] : limit;
+};
+
+// Method untuk menghitung penggunaan satu resource kuota (storage dalam MB)
+tenantSchema.methods.getResourceUsage = async function (resource) {
+    switch (resource) {
+        case 'properties':
+            return mongoose.model('Property').countDocuments({ tenant: this._id, isActive: true });
+        case 'units': {
+            const properties = await mongoose.model('Property').find({ tenant: this._id, isActive: true }).select('_id');
+            return mongoose.model('Unit').countDocuments({
+                property: { $in: properties.map(property => property._id) },
+                isActive: true
+            });
+        }
+        case 'users':
+            return mongoose.model('User').countDocuments({ tenant: this._id, isActive: true });
+        case 'storage':
+            return Math.round((this.usage.storageBytes / (1024 * 1024)) * 100) / 100;
+        default:
+            throw new Error(`Resource kuota ${resource} tidak dikenal.`);
+    }
+};
+
+// Method untuk mendapatkan ringkasan penggunaan seluruh kuota paket
+tenantSchema.methods.getUsage = async function () {
+    const resources = {};
+    for (const [resource, limitField] of Object.entries(PLAN_RESOURCES)) {
+        const usage = await this.getResourceUsage(resource);
+        const limit = this.getLimit(limitField);
+        resources[resource] = {
+            usage,
+            limit,
+            remaining: limit === null ? null : Math.max(limit - usage, 0)
+        };
+    }
+
+    return {
+        plan: this.subscription.plan,
+        status: this.subscription.status,
+        resources
+    };
+};
+
+// Method untuk mengambil nomor urut dokumen berikutnya secara atomik
+tenantSchema.statics.nextSequence = async function (tenantId, name) {
+    const tenant = await this.findByIdAndUpdate(
+        tenantId,
+        { $inc: { [`sequences.${name}`]: 1 } },
+        { new: true }
+    ).select('code sequences');
+
+    if (!tenant) {
+        throw new Error('Tenant tidak ditemukan.');
+    }
+    return { code: tenant.code, value: tenant.sequences.get(name) };
+};
+
+// Method untuk menyusun nomor dokumen berikutnya, mis. INV/ABCD1F2E/2024/000001
+tenantSchema.statics.nextDocumentNumber = async function (tenantId, name, prefix) {
+    const year = new Date().getFullYear();
+    const sequence = await this.nextSequence(tenantId, `${name}:${year}`);
+    return `${prefix}/${sequence.code}/${year}/${String(sequence.value).padStart(6, '0')}`;
+};
+
+// Method untuk mendapatkan tenant berdasarkan filter
+tenantSchema.statics.findWithFilter = async function (query, options = {}) {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt',
+        fields,
+        ...filters
+    } = options;
+
+    // Build query
+    const queryObj = { ...filters };
+    if (query) {
+        queryObj.$or = [
+            { name: { $regex: query, $options: 'i' } },
+            { code: { $regex: query, $options: 'i' } },
+            { 'contactInfo.email': { $regex: query, $options: 'i' } }
+        ];
+    }
+
+    // Select fields
+    let selectFields = fields ? fields.split(',').join(' ') : '';
+
+    // Execute query
+    const tenants = await this.find(queryObj)
+        .select(selectFields)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    // Get total count
+    const total = await this.countDocuments(queryObj);
+
+    return {
+        tenants,
+        pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Method untuk mendapatkan statistik tenant
+tenantSchema.statics.getTenantStats = async function () {
+    // Ubah array nilai menjadi objek { nilai: jumlah kemunculan }
+    const countDistribution = (values) => ({
+        $arrayToObject: {
+            $map: {
+                input: { $setUnion: [values, []] },
+                as: 'key',
+                in: {
+                    k: '$$key',
+                    v: { $size: { $filter: { input: values, cond: { $eq: ['$$this', '$$key'] } } } }
+                }
+            }
+        }
+    });
+
+    return this.aggregate([
+        {
+            $group: {
+                _id: null,
+                totalTenants: { $sum: 1 },
+                activeTenants: {
+                    $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] }
+                },
+                trialTenants: {
+                    $sum: { $cond: [{ $eq: ['$subscription.status', 'trial'] }, 1, 0] }
+                },
+                pastDueTenants: {
+                    $sum: { $cond: [{ $eq: ['$subscription.status', 'past_due'] }, 1, 0] }
+                },
+                suspendedTenants: {
+                    $sum: { $cond: [{ $eq: ['$subscription.status', 'suspended'] }, 1, 0] }
+                },
+                plans: {
+                    $push: '$subscription.plan'
+                },
+                statuses: {
+                    $push: '$subscription.status'
+                }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                totalTenants: 1,
+                activeTenants: 1,
+                trialTenants: 1,
+                pastDueTenants: 1,
+                suspendedTenants: 1,
+                planDistribution: countDistribution('$plans'),
+                statusDistribution: countDistribution('$statuses')
+            }
+        }
+    ]);
+};
+
+tenantSchema.statics.PLANS = PLANS;
+tenantSchema.statics.PLAN_RESOURCES = PLAN_RESOURCES;
+tenantSchema.statics.TWO_FACTOR_ROLES = TWO_FACTOR_ROLES;
+tenantSchema.statics.SUBSCRIPTION_TRANSITIONS = SUBSCRIPTION_TRANSITIONS;
+
+const Tenant = mongoose.model('Tenant', tenantSchema);
+
+module.exports = Tenant;
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { textIndexPlugin } = require('../search/textIndex');
+
+// Transisi status unit yang diizinkan
+const STATUS_TRANSITIONS = {
+    available: ['reserved', 'occupied', 'maintenance'],
+    reserved: ['occupied', 'available'],
+    occupied: ['available', 'maintenance'],
+    maintenance: ['available', 'occupied']
+};
+
+const UNIT_TYPES = ['studio', '1BR', '2BR', '3BR', 'penthouse'];
 
 const unitSchema = new mongoose.Schema({
     property: {
@@ -17,7 +28,7 @@ const unitSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['studio', '1BR', '2BR', '3BR', 'penthouse'],
+        enum: UNIT_TYPES,
         required: true
     },
     size: {
@@ -32,7 +43,7 @@ const unitSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['available', 'occupied', 'maintenance', 'reserved'],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: 'available'
     },
     amenities: [{
@@ -47,6 +58,10 @@ const unitSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    occupancy: {
+        startDate: Date,
+        endDate: Date
+    },
     maintenanceHistory: [{
         date: Date,
         description: String,
@@ -67,12 +82,26 @@ const unitSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Index teks berbobot untuk pencarian (lihat src/search)
+unitSchema.plugin(textIndexPlugin, {
+    fields: {
+        unitNumber: 10,
+        type: 5,
+        amenities: 1
+    }
+});
+
 // Index untuk optimasi query
 unitSchema.index({ property: 1, unitNumber: 1 }, { unique: true });
 unitSchema.index({ status: 1 });
 unitSchema.index({ type: 1 });
 unitSchema.index({ price: 1 });
 
+// Method untuk mengecek apakah status unit boleh diubah
+unitSchema.methods.canTransitionTo = function (status) {
+    return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
 // Method untuk mendapatkan unit berdasarkan filter
 unitSchema.statics.findWithFilter = async function (query, options = {}) {
     const {
@@ -123,7 +152,7 @@ unitSchema.statics.getUnitStats = async function (propertyId) {
     return this.aggregate([
         {
             $match: {
-                property: mongoose.Types.ObjectId(propertyId),
+                property: new mongoose.Types.ObjectId(propertyId),
                 isActive: true
             }
         },
@@ -140,6 +169,9 @@ unitSchema.statics.getUnitStats = async function (propertyId) {
                 maintenanceUnits: {
                     $sum: { $cond: [{ $eq: ['$status', 'maintenance'] }, 1, 0] }
                 },
+                reservedUnits: {
+                    $sum: { $cond: [{ $eq: ['$status', 'reserved'] }, 1, 0] }
+                },
                 averagePrice: { $avg: '$price' },
                 unitTypes: {
                     $push: '$type'
@@ -153,6 +185,7 @@ unitSchema.statics.getUnitStats = async function (propertyId) {
                 availableUnits: 1,
                 occupiedUnits: 1,
                 maintenanceUnits: 1,
+                reservedUnits: 1,
                 averagePrice: 1,
                 unitTypeDistribution: {
                     $reduce: {
@@ -171,6 +204,9 @@ unitSchema.statics.getUnitStats = async function (propertyId) {
     ]);
 };
 
+unitSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+unitSchema.statics.TYPES = UNIT_TYPES;
+
 const Unit = mongoose.model('Unit', unitSchema);
 
 module.exports = Unit; 
\ No newline at end of file
@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const RefreshToken = require('./RefreshToken');
+const { logger } = require('../config/logger');
+const { verifyCode, hashBackupCode, generateBackupCodes } = require('../auth/totp');
+
+// Jumlah maksimal entri loginHistory yang disimpan per user
+const LOGIN_HISTORY_LIMIT = 50;
 
 const userSchema = new mongoose.Schema({
     tenant: {
@@ -70,16 +77,44 @@ const userSchema = new mongoose.Schema({
             default: 'system'
         }
     },
+    // Nomor virtual account tetap untuk resident (mode virtual account per resident)
+    virtualAccountNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     lastLogin: Date,
+    // Riwayat percobaan login terbaru (berhasil maupun gagal), dibatasi LOGIN_HISTORY_LIMIT entri
     loginHistory: [{
         date: Date,
         ip: String,
-        device: String
+        device: String,
+        deviceId: String,
+        userAgent: String,
+        success: {
+            type: Boolean,
+            default: true
+        },
+        failureReason: {
+            type: String,
+            enum: ['invalid_password', 'invalid_two_factor', 'account_locked', 'inactive']
+        }
     }],
+    // Percobaan login gagal berturut-turut sejak login berhasil atau penguncian terakhir
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: Date,
     isActive: {
         type: Boolean,
         default: true
     },
+    // Versi token; dinaikkan untuk membatalkan semua access token dan refresh token milik user
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
     emailVerified: {
@@ -87,7 +122,39 @@ const userSchema = new mongoose.Schema({
         default: false
     },
     verificationToken: String,
-    verificationExpire: Date
+    verificationExpire: Date,
+    // Waktu email verifikasi terakhir dikirim, untuk membatasi kirim ulang
+    verificationSentAt: Date,
+    // Autentikasi dua faktor (TOTP). Secret dan kode cadangan tidak ikut terambil pada query biasa
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret yang sedang didaftarkan, aktif setelah dikonfirmasi dengan kode pertama
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Time step TOTP terakhir yang dipakai, untuk menolak kode yang sama dipakai ulang
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        backupCodes: {
+            type: [{
+                _id: false,
+                codeHash: String,
+                usedAt: Date
+            }],
+            select: false
+        },
+        enabledAt: Date
+    }
 }, {
     timestamps: true
 });
@@ -98,13 +165,45 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 
+// Cabut semua sesi saat password diganti atau user dinonaktifkan
+userSchema.pre('save', function (next) {
+    if (this.isNew) {
+        return next();
+    }
+    let reason = null;
+    if (this.isModified('password')) {
+        reason = 'password_changed';
+    } else if (this.isModified('isActive') && !this.isActive) {
+        reason = 'deactivated';
+    }
+    if (reason) {
+        this.tokenVersion = (this.tokenVersion || 0) + 1;
+        this.$locals.revokeSessions = reason;
+    }
+    next();
+});
+
 // Hash password sebelum disimpan
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+userSchema.post('save', async function (doc) {
+    const reason = doc.$locals.revokeSessions;
+    if (!reason) {
+        return;
+    }
+    delete doc.$locals.revokeSessions;
+    try {
+        await RefreshToken.revokeAllForUser(doc._id, reason);
+    } catch (error) {
+        logger.error(`Error revoking refresh tokens for user ${doc._id}:`, error);
+    }
 });
 
 // Method untuk membandingkan password
@@ -112,6 +211,127 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Method untuk membuat token reset password; hanya hash yang disimpan, token asli dikirim lewat email
+userSchema.methods.createPasswordResetToken = function (expiresInMs = 10 * 60 * 1000) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    this.resetPasswordToken = crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex');
+    this.resetPasswordExpire = Date.now() + expiresInMs;
+    return resetToken;
+};
+
+// Method untuk membuat token verifikasi email (berlaku 24 jam)
+userSchema.methods.createVerificationToken = function () {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    this.verificationToken = crypto
+        .createHash('sha256')
+        .update(verificationToken)
+        .digest('hex');
+    this.verificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+    this.verificationSentAt = new Date();
+    return verificationToken;
+};
+
+// Method untuk mencari user berdasarkan token verifikasi email yang belum kadaluarsa
+userSchema.statics.findByVerificationToken = function (verificationToken) {
+    return this.findOne({
+        verificationToken: crypto.createHash('sha256').update(String(verificationToken)).digest('hex'),
+        verificationExpire: { $gt: Date.now() }
+    });
+};
+
+// Method untuk mencari user aktif berdasarkan token reset password yang belum kadaluarsa
+userSchema.statics.findByResetToken = function (resetToken) {
+    return this.findOne({
+        resetPasswordToken: crypto.createHash('sha256').update(String(resetToken)).digest('hex'),
+        resetPasswordExpire: { $gt: Date.now() },
+        isActive: true
+    });
+};
+
+// Method untuk memverifikasi kode TOTP atau kode cadangan 2FA. Field twoFactor yang tersembunyi harus sudah
+// diambil (select '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.backupCodes').
+// Mengembalikan 'totp', 'backup_code', atau null; pemanggil menyimpan user setelahnya.
+userSchema.methods.verifyTwoFactor = function ({ code, backupCode }) {
+    if (!this.twoFactor.enabled) {
+        return null;
+    }
+
+    if (code) {
+        const step = verifyCode(this.twoFactor.secret, code, { lastUsedStep: this.twoFactor.lastUsedStep });
+        if (step === null) {
+            return null;
+        }
+        this.twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    if (backupCode) {
+        const codeHash = hashBackupCode(backupCode);
+        const entry = this.twoFactor.backupCodes.find(item => item.codeHash === codeHash && !item.usedAt);
+        if (!entry) {
+            return null;
+        }
+        entry.usedAt = new Date();
+        return 'backup_code';
+    }
+
+    return null;
+};
+
+// Method untuk membuat kode cadangan 2FA baru; mengembalikan kode asli yang hanya ditampilkan sekali
+userSchema.methods.regenerateBackupCodes = function () {
+    const codes = generateBackupCodes();
+    this.twoFactor.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+    return codes;
+};
+
+// Method untuk menghapus seluruh konfigurasi 2FA
+userSchema.methods.clearTwoFactor = function () {
+    this.twoFactor = { enabled: false };
+};
+
+// Method untuk mengecek apakah akun sedang dikunci karena terlalu banyak login gagal
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method untuk mencatat login gagal; akun dikunci setelah LOGIN_MAX_ATTEMPTS kali berturut-turut.
+// Mengembalikan true jika akun baru saja dikunci.
+userSchema.methods.registerFailedLogin = function () {
+    const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+    const lockMinutes = Number(process.env.LOGIN_LOCK_MINUTES || 15);
+
+    this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+    if (this.failedLoginAttempts < maxAttempts) {
+        return false;
+    }
+    this.failedLoginAttempts = 0;
+    this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    return true;
+};
+
+// Method untuk membuka kunci akun dan mengosongkan hitungan login gagal
+userSchema.methods.resetFailedLogins = function () {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+};
+
+// Method untuk menambah riwayat login; entri tertua dibuang jika melebihi batas
+userSchema.methods.addLoginHistory = function (entry) {
+    this.loginHistory.push({ date: new Date(), ...entry });
+    if (this.loginHistory.length > LOGIN_HISTORY_LIMIT) {
+        this.loginHistory.splice(0, this.loginHistory.length - LOGIN_HISTORY_LIMIT);
+    }
+};
+
+// Method untuk mengecek apakah perangkat pernah dipakai login dengan berhasil
+userSchema.methods.isKnownDevice = function (deviceId) {
+    return this.loginHistory.some(entry => entry.success && entry.deviceId === deviceId);
+};
+
 // Method untuk mendapatkan user berdasarkan filter
 userSchema.statics.findWithFilter = async function (query, options = {}) {
     const {
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    error: String,
+    processedAt: Date
+}, {
+    timestamps: true
+});
+
+// Satu event provider hanya diproses sekali
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ payment: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -0,0 +1,113 @@
+const Payment = require('../models/Payment');
+const { virtualAccountPattern } = require('./virtualAccount');
+
+// Tagihan yang menunggu verifikasi bukti transfer diselesaikan lewat verifikasi, bukan mutasi
+const OPEN_STATUSES = Payment.OPEN_STATUSES.filter(status => status !== 'pending_verification');
+const MAX_CANDIDATES = 5;
+
+// Cari nomor virtual account tenant pada referensi dan keterangan mutasi
+const extractVirtualAccounts = (line, prefix) => {
+    const text = `${line.reference || ''} ${line.description || ''}`;
+    return [...new Set(text.match(virtualAccountPattern(prefix)) || [])];
+};
+
+// Sisa tagihan setelah dikurangi baris lain pada mutasi yang sama yang sudah dicocokkan ke tagihan tersebut
+const getOpenBalance = (payment, allocated) => payment.balance - (allocated.get(payment._id.toString()) || 0);
+
+// Pilih tagihan dari kandidat virtual account berdasarkan jumlah transfer.
+// Mengembalikan { status, payment, candidates, note }
+const matchVirtualAccountCandidates = (line, payments, allocated = new Map()) => {
+    const candidates = payments.filter(payment => getOpenBalance(payment, allocated) > 0);
+
+    // Uang tetap diterima sehingga baris direview, bukan dianggap tidak cocok
+    if (!candidates.length) {
+        return {
+            status: 'ambiguous',
+            candidates: payments.slice(0, MAX_CANDIDATES).map(payment => payment._id),
+            note: 'Tagihan virtual account sudah dilunasi baris lain pada mutasi ini.'
+        };
+    }
+
+    const exact = candidates.filter(payment => getOpenBalance(payment, allocated) === line.amount);
+    if (exact.length === 1) {
+        return { status: 'matched', payment: exact[0], candidates: [] };
+    }
+
+    // Satu tagihan dengan jumlah lebih kecil dari sisa tagihan dicatat sebagai pembayaran sebagian
+    if (candidates.length === 1 && line.amount < getOpenBalance(candidates[0], allocated)) {
+        return {
+            status: 'matched',
+            payment: candidates[0],
+            candidates: [],
+            note: 'Pembayaran sebagian.'
+        };
+    }
+
+    return {
+        status: 'ambiguous',
+        candidates: candidates.slice(0, MAX_CANDIDATES).map(payment => payment._id),
+        note: candidates.length === 1
+            ? 'Jumlah transfer melebihi sisa tagihan.'
+            : 'Virtual account memiliki beberapa tagihan terbuka dengan jumlah yang tidak cocok.'
+    };
+};
+
+// Cocokkan satu baris kredit ke tagihan terbuka berdasarkan nomor virtual account dan jumlah.
+// allocated berisi jumlah per tagihan (id -> jumlah) dari baris sebelumnya pada mutasi yang sama.
+// Mengembalikan { status, payment, candidates, note }
+const matchLine = async (line, { tenant, property, prefix, allocated = new Map() }) => {
+    const baseQuery = {
+        tenant,
+        isActive: true,
+        status: { $in: OPEN_STATUSES },
+        balance: { $gt: 0 }
+    };
+    if (property) {
+        baseQuery.property = property;
+    }
+
+    const virtualAccounts = extractVirtualAccounts(line, prefix);
+
+    if (virtualAccounts.length) {
+        const candidates = await Payment.find({
+            ...baseQuery,
+            virtualAccountNumber: { $in: virtualAccounts }
+        }).sort('dueDate');
+
+        if (!candidates.length) {
+            return {
+                status: 'unmatched',
+                candidates: [],
+                note: `Tidak ada tagihan terbuka untuk virtual account ${virtualAccounts.join(', ')}.`
+            };
+        }
+
+        return matchVirtualAccountCandidates(line, candidates, allocated);
+    }
+
+    // Tanpa referensi, kecocokan jumlah saja tidak cukup kuat sehingga selalu direview
+    const candidates = (await Payment.find({ ...baseQuery, balance: line.amount })
+        .sort('dueDate')
+        .limit(MAX_CANDIDATES))
+        .filter(payment => getOpenBalance(payment, allocated) === line.amount);
+
+    if (candidates.length) {
+        return {
+            status: 'ambiguous',
+            candidates: candidates.map(payment => payment._id),
+            note: 'Tidak ada referensi virtual account; kandidat berdasarkan jumlah saja.'
+        };
+    }
+
+    return {
+        status: 'unmatched',
+        candidates: [],
+        note: 'Tidak ada referensi virtual account maupun tagihan dengan jumlah yang sama.'
+    };
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    matchLine,
+    matchVirtualAccountCandidates
+};
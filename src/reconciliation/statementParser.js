@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+
+// Nama kolom CSV yang dikenali (bahasa Indonesia dan Inggris)
+const CSV_COLUMNS = {
+    date: ['date', 'tanggal', 'tgl', 'transaction date', 'tanggal transaksi'],
+    description: ['description', 'keterangan', 'deskripsi', 'remark', 'remarks'],
+    reference: ['reference', 'referensi', 'ref', 'no referensi'],
+    amount: ['amount', 'jumlah', 'nominal', 'mutasi'],
+    credit: ['credit', 'kredit', 'cr'],
+    debit: ['debit', 'db'],
+    type: ['type', 'tipe', 'jenis', 'cr/db', 'db/cr']
+};
+
+// Parse angka dengan pemisah ribuan/desimal format Indonesia maupun internasional
+const parseAmount = (value) => {
+    if (value === undefined || value === null) {
+        return NaN;
+    }
+    let text = String(value).replace(/[^\d.,-]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma > -1 && lastDot > -1) {
+        // Pemisah yang muncul terakhir adalah pemisah desimal
+        const decimal = lastComma > lastDot ? ',' : '.';
+        const thousands = decimal === ',' ? '.' : ',';
+        text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma > -1) {
+        text = /,\d{1,2}$/.test(text) ? text.replace(/,/g, '.') : text.replace(/,/g, '');
+    } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+        text = text.replace(/\./g, '');
+    }
+
+    return parseFloat(text);
+};
+
+// Parse tanggal YYYY-MM-DD, DD/MM/YYYY atau DD-MM-YYYY
+const parseDate = (value) => {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+        return new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    }
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return new Date(Date.UTC(year, match[2] - 1, match[1]));
+    }
+    return null;
+};
+
+// Pecah satu baris CSV dengan dukungan tanda kutip
+const splitCsvLine = (line, delimiter) => {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === delimiter && !quoted) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+};
+
+const parseCsv = (content) => {
+    const rows = content.split(/\r?\n/).filter(line => line.trim());
+    if (rows.length < 2) {
+        throw new Error('File CSV tidak memiliki data mutasi.');
+    }
+
+    const delimiter = rows[0].split(';').length > rows[0].split(',').length ? ';' : ',';
+    const header = splitCsvLine(rows[0], delimiter).map(cell => cell.toLowerCase());
+    const column = (key) => header.findIndex(cell => CSV_COLUMNS[key].includes(cell));
+    const columns = Object.keys(CSV_COLUMNS).reduce((acc, key) => ({ ...acc, [key]: column(key) }), {});
+
+    if (columns.date === -1 || (columns.amount === -1 && columns.credit === -1)) {
+        throw new Error('Kolom tanggal dan jumlah/kredit tidak ditemukan pada header CSV.');
+    }
+
+    return rows.slice(1).map((row, index) => {
+        const cells = splitCsvLine(row, delimiter);
+        const cell = (key) => (columns[key] > -1 ? cells[columns[key]] : undefined);
+
+        let amount;
+        if (columns.credit > -1 && cell('credit')) {
+            amount = parseAmount(cell('credit'));
+        } else if (columns.debit > -1 && cell('debit')) {
+            amount = -parseAmount(cell('debit'));
+        } else {
+            amount = parseAmount(cell('amount'));
+            if (/^(d|db|debit)$/i.test(cell('type') || '')) {
+                amount = -Math.abs(amount);
+            }
+        }
+
+        return {
+            lineNumber: index + 2,
+            date: parseDate(cell('date')),
+            amount,
+            description: cell('description') || '',
+            reference: cell('reference') || ''
+        };
+    });
+};
+
+// Parse mutasi SWIFT MT940: baris :61: (transaksi) dan :86: (keterangan)
+const parseMt940 = (content) => {
+    const lines = [];
+    const fields = content.replace(/\r/g, '').split(/\n(?=:\d{2}[A-Z]?:)/);
+
+    fields.forEach((field, index) => {
+        const tag = field.match(/^:(\d{2}[A-Z]?):([\s\S]*)$/);
+        if (!tag) {
+            return;
+        }
+        const value = tag[2].trim();
+
+        if (tag[1] === '61') {
+            const match = value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+(?:,\d*)?)([\s\S]*)$/);
+            if (!match) {
+                throw new Error(`Baris :61: tidak valid: ${value}`);
+            }
+            const amount = parseFloat(match[6].replace(',', '.'));
+            // Kredit (C) dan pembatalan debit (RD) menambah saldo
+            const isCredit = match[5] === 'C' || match[5] === 'RD';
+            const rest = match[7].split('\n')[0];
+            const referenceMatch = rest.match(/^[A-Z]\w{3}(.*?)(?:\/\/(.*))?$/);
+
+            lines.push({
+                lineNumber: index + 1,
+                date: new Date(Date.UTC(2000 + Number(match[1]), match[2] - 1, match[3])),
+                amount: isCredit ? amount : -amount,
+                description: '',
+                reference: referenceMatch ? (referenceMatch[1] || '').replace(/^NONREF$/, '').trim() : ''
+            });
+        } else if (tag[1] === '86' && lines.length) {
+            lines[lines.length - 1].description = value.replace(/\n/g, ' ');
+        }
+    });
+
+    if (!lines.length) {
+        throw new Error('File MT940 tidak memiliki transaksi (:61:).');
+    }
+    return lines;
+};
+
+// Sidik jari baris mutasi untuk mendeteksi baris yang sudah pernah diimport;
+// occurrence membedakan transaksi identik yang muncul lebih dari sekali dalam satu file
+const fingerprintLine = (line, occurrence) => crypto
+    .createHash('sha256')
+    .update([line.date.toISOString().slice(0, 10), line.amount, line.reference, line.description, occurrence].join('|'))
+    .digest('hex')
+    .substring(0, 32);
+
+// Deteksi format dari ekstensi/isi file lalu parse menjadi baris mutasi
+const parseStatement = (buffer, fileName = '') => {
+    const content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const format = /\.(sta|mt940|940)$/i.test(fileName) || /^:20:/m.test(content) ? 'mt940' : 'csv';
+    const lines = format === 'mt940' ? parseMt940(content) : parseCsv(content);
+
+    const occurrences = {};
+    lines.forEach(line => {
+        if (!line.date || Number.isNaN(line.amount)) {
+            throw new Error(`Baris ${line.lineNumber} memiliki tanggal atau jumlah yang tidak valid.`);
+        }
+        const key = fingerprintLine(line, 0);
+        occurrences[key] = (occurrences[key] || 0) + 1;
+        line.fingerprint = occurrences[key] === 1 ? key : fingerprintLine(line, occurrences[key] - 1);
+    });
+
+    return { format, lines };
+};
+
+module.exports = {
+    parseStatement
+};
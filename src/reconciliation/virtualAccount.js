@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const VA_DIGITS = 11;
+
+// Ubah ObjectId menjadi deret angka dengan panjang tetap
+const idToDigits = (id, length) => {
+    const value = BigInt(`0x${id.toString()}`) % (10n ** BigInt(length));
+    return value.toString().padStart(length, '0');
+};
+
+// Prefix virtual account tenant; jika tidak dikonfigurasi diturunkan dari id tenant
+const getTenantPrefix = (tenant) => {
+    const settings = tenant.settings && tenant.settings.virtualAccount;
+    return (settings && settings.prefix) || `8${idToDigits(tenant._id, 4)}`;
+};
+
+// Nomor virtual account berikutnya dari sequence tenant sehingga tidak ada dua tagihan/resident dengan nomor sama.
+// Nomor yang sudah dipakai (nomor lama turunan ObjectId, atau tenant lain dengan prefix sama) dilewati.
+const nextVirtualAccountNumber = async (tenantId, prefix) => {
+    for (;;) {
+        const sequence = await mongoose.model('Tenant').nextSequence(tenantId, 'virtualAccount');
+        const number = `${prefix}${String(sequence.value).padStart(VA_DIGITS, '0')}`;
+        const taken = await mongoose.model('Payment').exists({ virtualAccountNumber: number }) ||
+            await mongoose.model('User').exists({ virtualAccountNumber: number });
+        if (!taken) {
+            return number;
+        }
+    }
+};
+
+// Regex untuk mengenali nomor virtual account tenant di keterangan mutasi
+const virtualAccountPattern = (prefix) => new RegExp(`${prefix}\\d{${VA_DIGITS}}`, 'g');
+
+// Tentukan nomor virtual account untuk tagihan transfer bank sesuai mode tenant
+const assignVirtualAccount = async (payment) => {
+    const tenant = await mongoose.model('Tenant')
+        .findById(payment.tenant)
+        .select('settings.virtualAccount');
+    if (!tenant) {
+        return null;
+    }
+
+    const prefix = getTenantPrefix(tenant);
+    if (tenant.settings.virtualAccount.mode !== 'resident') {
+        return nextVirtualAccountNumber(tenant._id, prefix);
+    }
+
+    const User = mongoose.model('User');
+    const residentId = payment.resident._id || payment.resident;
+    const resident = await User.findById(residentId).select('virtualAccountNumber');
+    if (!resident) {
+        return null;
+    }
+    if (resident.virtualAccountNumber) {
+        return resident.virtualAccountNumber;
+    }
+
+    // Hanya isi jika resident belum punya nomor; request bersamaan memakai nomor yang tersimpan lebih dulu
+    await User.updateOne(
+        { _id: resident._id, virtualAccountNumber: null },
+        { virtualAccountNumber: await nextVirtualAccountNumber(tenant._id, prefix) }
+    );
+    const assigned = await User.findById(resident._id).select('virtualAccountNumber');
+    return assigned.virtualAccountNumber;
+};
+
+module.exports = {
+    getTenantPrefix,
+    nextVirtualAccountNumber,
+    virtualAccountPattern,
+    assignVirtualAccount
+};
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit } = require('../middleware/auth');
 const {
     getAnnouncements,
     getAnnouncement,
@@ -52,6 +52,7 @@ router.get('/:id', getAnnouncement);
 router.post('/',
     authorize('admin', 'manager'),
     upload.array('attachments', 5),
+    checkPlanLimit('storage'),
     validateAnnouncement,
     createAnnouncement
 );
@@ -59,6 +60,7 @@ router.post('/',
 router.put('/:id',
     authorize('admin', 'manager'),
     upload.array('attachments', 5),
+    checkPlanLimit('storage'),
     validateAnnouncement,
     updateAnnouncement
 );
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { protect, authorize } = require('../middleware/auth');
+const { applicationLimiter } = require('../middleware/rateLimiter');
+const { getApplicationUploadDir } = require('../config/storage');
+const {
+    submitApplication,
+    getApplications,
+    getApplication,
+    getApplicationDocument,
+    reviewApplication,
+    convertApplication
+} = require('../controllers/applicationController');
+const {
+    validateApplication,
+    validateApplicationReview,
+    validateApplicationConversion
+} = require('../middleware/validators');
+
+// Konfigurasi multer untuk upload dokumen pemohon (disimpan di luar folder uploads publik)
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const dir = getApplicationUploadDir();
+        fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+    },
+    filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'application-' + uniqueSuffix + path.extname(file.originalname));
+    }
+});
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const filetypes = /jpeg|jpg|png|pdf/;
+        const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = filetypes.test(file.mimetype);
+
+        if (extname && mimetype) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Hanya file gambar dan PDF yang diperbolehkan!'));
+        }
+    }
+});
+
+// Route publik untuk calon penghuni
+router.post('/',
+    applicationLimiter,
+    upload.array('documents', 5),
+    validateApplication,
+    submitApplication
+);
+
+// Routes yang memerlukan autentikasi
+router.use(protect);
+
+// Routes untuk admin dan manager
+router.get('/',
+    authorize('admin', 'manager'),
+    getApplications
+);
+
+router.get('/:id',
+    authorize('admin', 'manager'),
+    getApplication
+);
+
+router.get('/:id/documents/:documentId',
+    authorize('admin', 'manager'),
+    getApplicationDocument
+);
+
+router.post('/:id/review',
+    authorize('admin', 'manager'),
+    validateApplicationReview,
+    reviewApplication
+);
+
+router.post('/:id/convert',
+    authorize('admin', 'manager'),
+    validateApplicationConversion,
+    convertApplication
+);
+
+module.exports = router;
@@ -1,10 +1,57 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile } = require('../controllers/authController');
+const {
+    register,
+    login,
+    verifyTwoFactorLogin,
+    getProfile,
+    refreshToken,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    verifyEmail,
+    resendVerification,
+    getSessions,
+    revokeSession
+} = require('../controllers/authController');
+const {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes
+} = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/auth');
+const {
+    validateRegister,
+    validateRefreshToken,
+    validateForgotPassword,
+    validateResetPassword,
+    validateChangePassword,
+    validateTwoFactorLogin,
+    validateTwoFactorCode,
+    validateTwoFactorDisable
+} = require('../middleware/validators');
 
-router.post('/register', register);
+router.post('/register', validateRegister, register);
 router.post('/login', login);
+router.post('/2fa/verify', validateTwoFactorLogin, verifyTwoFactorLogin);
+router.post('/refresh', validateRefreshToken, refreshToken);
+router.post('/logout', validateRefreshToken, logout);
+router.post('/logout-all', protect, logoutAll);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', validateResetPassword, resetPassword);
+router.post('/change-password', protect, validateChangePassword, changePassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, validateTwoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', protect, validateTwoFactorDisable, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, validateTwoFactorCode, regenerateBackupCodes);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.get('/profile', protect, getProfile);
 
 module.exports = router; 
\ No newline at end of file
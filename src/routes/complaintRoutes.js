@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit, requireVerifiedEmail } = require('../middleware/auth');
 const {
     getComplaints,
     getComplaint,
@@ -52,7 +52,9 @@ router.get('/:id', getComplaint);
 // Routes untuk resident
 router.post('/',
     authorize('resident'),
+    requireVerifiedEmail,
     upload.array('attachments', 5),
+    checkPlanLimit('storage'),
     validateComplaint,
     createComplaint
 );
@@ -71,6 +73,7 @@ router.patch('/:id/status',
 // Routes untuk semua pengguna terautentikasi
 router.post('/:id/comments',
     upload.array('attachments', 3),
+    checkPlanLimit('storage'),
     addComment
 );
 
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+    validateDeposit,
+    validateDepositSettlement,
+    validateDepositRefund
+} = require('../middleware/validators');
+const {
+    getDeposits,
+    getDeposit,
+    createDeposit,
+    settleDeposit,
+    refundDeposit,
+    getDepositSettlementPdf,
+    getDepositLiability
+} = require('../controllers/depositController');
+
+// Routes yang memerlukan autentikasi
+router.use(protect);
+
+// Liability didaftarkan sebelum /:id agar tidak tertangkap sebagai id
+router.get('/liability',
+    authorize('admin', 'manager'),
+    getDepositLiability
+);
+
+// Routes untuk semua pengguna terautentikasi
+router.get('/', getDeposits);
+router.get('/:id', getDeposit);
+router.get('/:id/settlement.pdf', getDepositSettlementPdf);
+
+// Routes untuk admin dan manager
+router.post('/',
+    authorize('admin', 'manager'),
+    validateDeposit,
+    createDeposit
+);
+
+router.post('/:id/settlement',
+    authorize('admin', 'manager'),
+    validateDepositSettlement,
+    settleDeposit
+);
+
+router.post('/:id/refund',
+    authorize('admin', 'manager'),
+    validateDepositRefund,
+    refundDeposit
+);
+
+module.exports = router;
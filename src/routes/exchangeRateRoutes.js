@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { validateExchangeRate } = require('../middleware/validators');
+const {
+    getExchangeRates,
+    convertAmount,
+    createExchangeRate,
+    deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+
+// Routes yang memerlukan autentikasi
+router.use(protect);
+
+// Routes untuk semua pengguna terautentikasi
+router.get('/convert', convertAmount);
+
+// Routes untuk admin dan manager
+router.get('/',
+    authorize('admin', 'manager'),
+    getExchangeRates
+);
+
+router.post('/',
+    authorize('admin', 'manager'),
+    validateExchangeRate,
+    createExchangeRate
+);
+
+router.delete('/:id',
+    authorize('admin'),
+    deleteExchangeRate
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../config/upload');
+const { protect, authorize, checkPlanLimit } = require('../middleware/auth');
+const {
+    validateInspection,
+    validateInspectionTemplate,
+    validateInspectionItems,
+    validateInspectionSignOff
+} = require('../middleware/validators');
+const {
+    getInspectionTemplates,
+    updateInspectionTemplate,
+    getInspections,
+    getInspection,
+    createInspection,
+    updateInspectionItems,
+    uploadInspectionPhotos,
+    completeInspection,
+    signInspection,
+    getInspectionComparison
+} = require('../controllers/inspectionController');
+
+// Routes yang memerlukan autentikasi
+router.use(protect);
+
+// Template didaftarkan sebelum /:id agar tidak tertangkap sebagai id
+router.get('/templates',
+    authorize('admin', 'manager', 'staff'),
+    getInspectionTemplates
+);
+
+router.put('/templates/:unitType',
+    authorize('admin', 'manager'),
+    validateInspectionTemplate,
+    updateInspectionTemplate
+);
+
+// Routes untuk semua pengguna terautentikasi
+router.get('/', getInspections);
+router.get('/:id', getInspection);
+router.get('/:id/comparison', getInspectionComparison);
+
+// Routes untuk petugas inspeksi
+router.post('/',
+    authorize('admin', 'manager', 'staff'),
+    validateInspection,
+    createInspection
+);
+
+router.patch('/:id/items',
+    authorize('admin', 'manager', 'staff'),
+    validateInspectionItems,
+    updateInspectionItems
+);
+
+router.post('/:id/items/:itemId/photos',
+    authorize('admin', 'manager', 'staff'),
+    upload.array('photos', 5),
+    checkPlanLimit('storage'),
+    uploadInspectionPhotos
+);
+
+router.post('/:id/complete',
+    authorize('admin', 'manager', 'staff'),
+    completeInspection
+);
+
+// Routes untuk resident
+router.post('/:id/sign',
+    authorize('resident'),
+    validateInspectionSignOff,
+    signInspection
+);
+
+module.exports = router;
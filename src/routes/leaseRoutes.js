@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+    validateLease,
+    validateLeaseRenewal,
+    validateLeaseTermination,
+    validateRenewalResponse
+} = require('../middleware/validators');
+const {
+    getLeases,
+    getLease,
+    createLease,
+    activateLease,
+    renewLease,
+    terminateLease,
+    getRenewalPipeline,
+    respondToRenewalOffer
+} = require('../controllers/leaseController');
+
+// Routes yang memerlukan autentikasi
+router.use(protect);
+
+// Pipeline perpanjangan didaftarkan sebelum /:id agar tidak tertangkap sebagai id
+router.get('/renewals',
+    authorize('admin', 'manager'),
+    getRenewalPipeline
+);
+
+// Routes untuk semua pengguna terautentikasi
+router.get('/', getLeases);
+router.get('/:id', getLease);
+
+// Routes untuk resident
+router.post('/:id/renewal-response',
+    authorize('resident'),
+    validateRenewalResponse,
+    respondToRenewalOffer
+);
+
+// Routes untuk admin dan manager
+router.post('/',
+    authorize('admin', 'manager'),
+    validateLease,
+    createLease
+);
+
+router.post('/:id/activate',
+    authorize('admin', 'manager'),
+    activateLease
+);
+
+router.post('/:id/renew',
+    authorize('admin', 'manager'),
+    validateLeaseRenewal,
+    renewLease
+);
+
+router.post('/:id/terminate',
+    authorize('admin', 'manager'),
+    validateLeaseTermination,
+    terminateLease
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+    getAccounts,
+    getEntries,
+    getTrialBalance,
+    getIncomeStatement,
+    getReceivableAging,
+    getUnitProfitability,
+    syncLedger
+} = require('../controllers/ledgerController');
+
+// Routes yang memerlukan autentikasi admin dan manager
+router.use(protect);
+router.use(authorize('admin', 'manager'));
+
+router.get('/accounts', getAccounts);
+router.get('/entries', getEntries);
+
+// Laporan keuangan (filter opsional: property, from, to)
+router.get('/reports/trial-balance', getTrialBalance);
+router.get('/reports/income-statement', getIncomeStatement);
+router.get('/reports/ar-aging', getReceivableAging);
+router.get('/reports/unit-profitability', getUnitProfitability);
+
+router.post('/sync',
+    authorize('admin'),
+    syncLedger
+);
+
+module.exports = router;
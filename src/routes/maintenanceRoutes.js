@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit } = require('../middleware/auth');
 const {
     getMaintenanceTasks,
     getMaintenanceTask,
@@ -51,6 +51,7 @@ router.get('/:id', getMaintenanceTask);
 router.post('/',
     authorize('admin', 'manager'),
     upload.array('attachments', 5),
+    checkPlanLimit('storage'),
     validateMaintenance,
     createMaintenanceTask
 );
@@ -2,15 +2,30 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit, requireVerifiedEmail } = require('../middleware/auth');
 const {
     getPayments,
     getPayment,
     createPayment,
     updatePaymentStatus,
+    addPaymentTransaction,
+    getPaymentInvoicePdf,
+    getPaymentReceiptPdf,
+    getMyInvoices,
+    getMyBalance,
+    getMyPaymentHistory,
+    uploadPaymentProof,
+    verifyPaymentProof,
+    createCheckout,
+    generateRentInvoices,
     getPaymentStats
 } = require('../controllers/paymentController');
-const { validatePayment } = require('../middleware/validators');
+const {
+    validatePayment,
+    validatePaymentProof,
+    validatePaymentVerification,
+    validatePaymentTransaction
+} = require('../middleware/validators');
 
 // Konfigurasi multer untuk upload file
 const storage = multer.diskStorage({
@@ -43,14 +58,38 @@ const upload = multer({
 // Routes yang memerlukan autentikasi
 router.use(protect);
 
+// Statistik didaftarkan sebelum /:id agar tidak tertangkap sebagai id
+router.get('/stats',
+    authorize('admin', 'manager'),
+    getPaymentStats
+);
+
+// Routes self-service resident; didaftarkan sebelum /:id
+router.get('/my/invoices', authorize('resident'), getMyInvoices);
+router.get('/my/balance', authorize('resident'), getMyBalance);
+router.get('/my/history', authorize('resident'), getMyPaymentHistory);
+
+router.post('/:id/proof',
+    authorize('resident'),
+    requireVerifiedEmail,
+    upload.single('proof'),
+    checkPlanLimit('storage'),
+    validatePaymentProof,
+    uploadPaymentProof
+);
+
 // Routes untuk semua pengguna terautentikasi
 router.get('/', getPayments);
 router.get('/:id', getPayment);
+router.get('/:id/invoice.pdf', getPaymentInvoicePdf);
+router.get('/:id/receipt.pdf', getPaymentReceiptPdf);
+router.post('/:id/checkout', requireVerifiedEmail, createCheckout);
 
 // Routes untuk admin dan manager
 router.post('/',
     authorize('admin', 'manager'),
     upload.array('attachments', 5),
+    checkPlanLimit('storage'),
     validatePayment,
     createPayment
 );
@@ -60,9 +99,21 @@ router.patch('/:id/status',
     updatePaymentStatus
 );
 
-router.get('/stats',
+router.post('/billing/run',
     authorize('admin', 'manager'),
-    getPaymentStats
+    generateRentInvoices
+);
+
+router.patch('/:id/verification',
+    authorize('admin', 'manager'),
+    validatePaymentVerification,
+    verifyPaymentProof
+);
+
+router.post('/:id/transactions',
+    authorize('admin', 'manager'),
+    validatePaymentTransaction,
+    addPaymentTransaction
 );
 
 module.exports = router; 
\ No newline at end of file
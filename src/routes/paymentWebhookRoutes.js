@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+    handleWebhook,
+    simulateMockWebhook
+} = require('../controllers/paymentWebhookController');
+
+// Routes publik; keaslian request diverifikasi lewat signature HMAC provider
+router.post('/mock/simulate', simulateMockWebhook);
+router.post('/:provider', handleWebhook);
+
+module.exports = router;
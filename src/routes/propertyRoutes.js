@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit } = require('../middleware/auth');
 const {
     getProperties,
     getProperty,
@@ -12,7 +12,7 @@ const {
     searchProperties,
     getPropertyStats
 } = require('../controllers/propertyController');
-const { validateProperty } = require('../middleware/validators');
+const { validateProperty, validatePropertySearch } = require('../middleware/validators');
 
 // Konfigurasi multer untuk upload file
 const storage = multer.diskStorage({
@@ -43,9 +43,7 @@ const upload = multer({
 });
 
 // Public routes
-router.get('/', getProperties);
-router.get('/search', searchProperties);
-router.get('/:id', getProperty);
+router.get('/search', validatePropertySearch, searchProperties);
 
 // Protected routes
 router.use(protect);
@@ -53,10 +51,15 @@ router.use(protect);
 // Admin routes
 router.get('/stats', authorize('admin'), getPropertyStats);
 
+router.get('/', getProperties);
+router.get('/:id', getProperty);
+
 // Property Manager & Admin routes
 router.post('/',
     authorize('admin', 'property_manager'),
+    checkPlanLimit('properties'),
     upload.array('images', 5),
+    checkPlanLimit('storage'),
     validateProperty,
     createProperty
 );
@@ -64,6 +67,7 @@ router.post('/',
 router.put('/:id',
     authorize('admin', 'property_manager'),
     upload.array('images', 5),
+    checkPlanLimit('storage'),
     validateProperty,
     updateProperty
 );
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { protect, authorize } = require('../middleware/auth');
+const {
+    uploadStatement,
+    getStatements,
+    getStatement,
+    getReviewQueue,
+    resolveStatementLine
+} = require('../controllers/reconciliationController');
+
+// File mutasi hanya diparse, tidak disimpan ke disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const filetypes = /csv|txt|sta|mt940|940/;
+        const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+
+        if (extname) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Hanya file mutasi CSV atau MT940 yang diperbolehkan!'));
+        }
+    }
+});
+
+// Routes yang memerlukan autentikasi admin dan manager
+router.use(protect);
+router.use(authorize('admin', 'manager'));
+
+router.get('/queue', getReviewQueue);
+router.get('/statements', getStatements);
+router.post('/statements',
+    upload.single('statement'),
+    uploadStatement
+);
+router.get('/statements/:id', getStatement);
+router.post('/statements/:id/lines/:lineId/resolve', resolveStatementLine);
+
+module.exports = router;
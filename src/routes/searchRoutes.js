@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { search } = require('../controllers/searchController');
+const { validateSearch } = require('../middleware/validators');
+
+// Routes yang memerlukan autentikasi
+router.use(protect);
+
+router.get('/', validateSearch, search);
+
+module.exports = router;
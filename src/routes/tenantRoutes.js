@@ -10,9 +10,10 @@ const {
     updateTenant,
     deleteTenant,
     getTenantStats,
-    updateTenantSubscription
+    updateTenantSubscription,
+    getTenantUsage
 } = require('../controllers/tenantController');
-const { validateTenant } = require('../middleware/validators');
+const { validateTenant, validateTenantUpdate } = require('../middleware/validators');
 
 // Konfigurasi multer untuk upload file
 const storage = multer.diskStorage({
@@ -50,6 +51,7 @@ router.use(authorize('admin'));
 router.get('/', getTenants);
 router.get('/stats', getTenantStats);
 router.get('/:id', getTenant);
+router.get('/:id/usage', getTenantUsage);
 
 router.post('/',
     upload.single('logo'),
@@ -59,7 +61,7 @@ router.post('/',
 
 router.put('/:id',
     upload.single('logo'),
-    validateTenant,
+    validateTenantUpdate,
     updateTenant
 );
 
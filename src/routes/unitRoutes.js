@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit } = require('../middleware/auth');
 const {
     getUnits,
     getUnit,
@@ -55,7 +55,9 @@ router.get('/stats/:propertyId', authorize('admin', 'property_manager'), getUnit
 // Property Manager & Admin routes
 router.post('/',
     authorize('admin', 'property_manager'),
+    checkPlanLimit('units'),
     upload.array('images', 5),
+    checkPlanLimit('storage'),
     validateUnit,
     createUnit
 );
@@ -63,6 +65,7 @@ router.post('/',
 router.put('/:id',
     authorize('admin', 'property_manager'),
     upload.array('images', 5),
+    checkPlanLimit('storage'),
     validateUnit,
     updateUnit
 );
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, checkPlanLimit } = require('../middleware/auth');
 const {
     getUsers,
     getUser,
@@ -11,9 +11,9 @@ const {
     deleteUser,
     getUserStats,
     updateUserPreferences,
-    resetPassword
+    resetUserTwoFactor
 } = require('../controllers/userController');
-const { validateUser } = require('../middleware/validators');
+const { validateUser, validateTwoFactorReset } = require('../middleware/validators');
 
 // Konfigurasi multer untuk upload file
 const storage = multer.diskStorage({
@@ -53,7 +53,9 @@ router.get('/:id', authorize('admin', 'manager'), getUser);
 
 router.post('/',
     authorize('admin', 'manager'),
+    checkPlanLimit('users'),
     upload.single('avatar'),
+    checkPlanLimit('storage'),
     validateUser,
     createUser
 );
@@ -61,16 +63,20 @@ router.post('/',
 router.put('/:id',
     authorize('admin', 'manager'),
     upload.single('avatar'),
+    checkPlanLimit('storage'),
     validateUser,
     updateUser
 );
 
 router.delete('/:id', authorize('admin', 'manager'), deleteUser);
 
+router.post('/:id/2fa/reset',
+    authorize('admin'),
+    validateTwoFactorReset,
+    resetUserTwoFactor
+);
+
 // Routes untuk pengguna
 router.patch('/:id/preferences', updateUserPreferences);
 
-// Route publik untuk reset password
-router.post('/reset-password', resetPassword);
-
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Complaint = require('../models/Complaint');
+const Announcement = require('../models/Announcement');
+const Maintenance = require('../models/Maintenance');
+
+// Model yang memiliki index teks (textIndexPlugin)
+const SEARCHABLE_MODELS = [Property, Unit, Complaint, Announcement, Maintenance];
+
+// Isi searchIndex dokumen lama; dokumen baru dan yang diupdate diindeks otomatis oleh plugin
+const rebuildSearchIndexes = async () => {
+    const summary = {};
+    for (const model of SEARCHABLE_MODELS) {
+        summary[model.modelName] = await model.rebuildSearchIndex();
+    }
+    return summary;
+};
+
+module.exports = {
+    SEARCHABLE_MODELS,
+    rebuildSearchIndexes
+};
@@ -0,0 +1,60 @@
+const { SEARCH_LANGUAGES, tokenize, stem } = require('./stemmer');
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Kata cocok jika salah satu stem-nya (Indonesia/Inggris, sama seperti saat diindeks) ada di term query
+const matchesTerms = (word, terms) => {
+    const [token] = tokenize(word);
+    return Boolean(token) && SEARCH_LANGUAGES.some(language => terms.has(stem(token, language)));
+};
+
+// Potong teks di sekitar kata pertama yang cocok dan tandai kata yang cocok dengan <mark>.
+// Teks lain di-escape agar snippet aman ditampilkan sebagai HTML. Mengembalikan null jika tidak ada yang cocok.
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+    if (!text) {
+        return null;
+    }
+    const source = String(text);
+    const termSet = terms instanceof Set ? terms : new Set(terms);
+    const words = [...source.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        matched: matchesTerms(match[0], termSet)
+    }));
+
+    const first = words.find(word => word.matched);
+    if (!first) {
+        return null;
+    }
+
+    // Mulai sekitar sepertiga panjang snippet sebelum kata yang cocok, di awal sebuah kata
+    const startWord = words.find(word => word.start >= first.start - Math.floor(length / 3)) || first;
+    const start = startWord.start;
+    const limit = Math.max(start + length, first.end);
+    const visible = words.filter(word => word.start >= start && word.end <= limit);
+    const end = visible[visible.length - 1].end;
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    visible.forEach(word => {
+        snippet += escapeHtml(source.slice(cursor, word.start));
+        snippet += word.matched ? `<mark>${escapeHtml(word.text)}</mark>` : escapeHtml(word.text);
+        cursor = word.end;
+    });
+    // Sisa teks tanpa kata (mis. tanda baca penutup) tetap ditampilkan
+    const rest = source.slice(end);
+    snippet += /[\p{L}\p{N}]/u.test(rest) ? '…' : escapeHtml(rest);
+    return snippet;
+};
+
+module.exports = {
+    buildSnippet,
+    escapeHtml
+};
@@ -0,0 +1,261 @@
+// Stemming untuk pencarian teks. MongoDB tidak mendukung stemming bahasa Indonesia, sehingga token
+// distem di aplikasi lalu disimpan di index teks dengan bahasa 'none'.
+
+const SEARCH_LANGUAGES = ['id', 'en'];
+
+const STOP_WORDS = {
+    id: new Set([
+        'dan', 'atau', 'yang', 'di', 'ke', 'dari', 'untuk', 'dengan', 'pada', 'ini', 'itu', 'ada',
+        'adalah', 'akan', 'oleh', 'sudah', 'telah', 'juga', 'tidak', 'dalam', 'sebagai', 'karena', 'saya',
+        'kami', 'kita', 'anda', 'mereka', 'ia', 'nya', 'bisa', 'agar', 'jika', 'sangat', 'masih', 'belum'
+    ]),
+    en: new Set([
+        'a', 'an', 'and', 'or', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'from', 'by', 'is',
+        'are', 'was', 'were', 'be', 'been', 'it', 'this', 'that', 'these', 'those', 'as', 'not', 'no',
+        'we', 'you', 'they', 'he', 'she', 'i', 'my', 'our', 'your', 'has', 'have', 'had', 'will', 'can'
+    ])
+};
+
+// Pecah teks menjadi token huruf kecil tanpa diakritik
+const tokenize = (text) => {
+    if (text === undefined || text === null) {
+        return [];
+    }
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .match(/[a-z0-9]+/g) || [];
+};
+
+// Stemmer bahasa Indonesia berbasis aturan (varian ringan Nazief-Adriani tanpa kamus kata dasar).
+// Kata dasar minimal 3 huruf agar kata pendek tidak terpotong berlebihan.
+const MIN_ID_ROOT = 3;
+
+const stripIndonesianSuffixes = (word) => {
+    let stem = word;
+    // Partikel lalu kata ganti kepunyaan
+    for (const pattern of [/(lah|kah|tah|pun)$/, /(ku|mu|nya)$/]) {
+        const stripped = stem.replace(pattern, '');
+        if (stripped !== stem && stripped.length >= MIN_ID_ROOT + 1) {
+            stem = stripped;
+        }
+    }
+    // Akhiran derivasi; -kan hanya untuk kata kerja (me-/di-/ter-), selain itu konfiks kata benda -an
+    // (mis. "perbaikan", "laporan"). Kombinasi ke-i, se-i, dan be-i tidak valid.
+    let suffix;
+    if (stem.endsWith('kan') && /^(me|di|ter)/.test(stem)) {
+        suffix = 'kan';
+    } else if (stem.endsWith('an')) {
+        suffix = 'an';
+    } else if (stem.endsWith('i') && !/^(ke|se|be)/.test(stem)) {
+        suffix = 'i';
+    }
+    if (suffix && stem.length - suffix.length >= MIN_ID_ROOT + 1) {
+        stem = stem.slice(0, -suffix.length);
+    }
+    return stem;
+};
+
+const stripIndonesianPrefix = (word) => {
+    const rules = [
+        [/^di(.+)$/, '$1'],
+        [/^ke(.+)$/, '$1'],
+        [/^se(.+)$/, '$1'],
+        [/^ber(.+)$/, '$1'],
+        [/^be(r.+)$/, '$1'],
+        [/^ter(.+)$/, '$1'],
+        [/^per(.+)$/, '$1'],
+        [/^(me|pe)ny([aiueo].*)$/, 's$2'],
+        [/^(me|pe)ng(.+)$/, '$2'],
+        [/^(me|pe)m([aiueo].*)$/, 'p$2'],
+        [/^(me|pe)m([bfpv].*)$/, '$2'],
+        [/^(me|pe)n([aiueo].*)$/, 't$2'],
+        [/^(me|pe)n([cdjz].*)$/, '$2'],
+        [/^(me|pe)([lrwy].*)$/, '$2']
+    ];
+    for (const [pattern, replacement] of rules) {
+        if (pattern.test(word)) {
+            const stem = word.replace(pattern, replacement);
+            return stem.length >= MIN_ID_ROOT ? stem : word;
+        }
+    }
+    return word;
+};
+
+const stemIndonesian = (word) => {
+    if (word.length <= MIN_ID_ROOT + 1 || /\d/.test(word)) {
+        return word;
+    }
+    let stem = stripIndonesianSuffixes(word);
+    // Maksimal dua awalan, mis. "diperbaiki" -> "baik"
+    for (let i = 0; i < 2; i++) {
+        const next = stripIndonesianPrefix(stem);
+        if (next === stem) {
+            break;
+        }
+        stem = next;
+    }
+    return stem;
+};
+
+// Stemmer bahasa Inggris: algoritma Porter (1980)
+const isConsonant = (word, i) => {
+    const char = word[i];
+    if ('aeiou'.includes(char)) {
+        return false;
+    }
+    if (char === 'y') {
+        return i === 0 || !isConsonant(word, i - 1);
+    }
+    return true;
+};
+
+// Jumlah urutan VC pada stem: [C](VC){m}[V]
+const measure = (stem) => {
+    let m = 0;
+    let i = 0;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    while (i < stem.length) {
+        while (i < stem.length && !isConsonant(stem, i)) i++;
+        if (i >= stem.length) break;
+        while (i < stem.length && isConsonant(stem, i)) i++;
+        m++;
+    }
+    return m;
+};
+
+const hasVowel = (stem) => stem.split('').some((_, i) => !isConsonant(stem, i));
+
+const endsWithDoubleConsonant = (word) => {
+    const n = word.length;
+    return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+};
+
+// Pola konsonan-vokal-konsonan dengan konsonan akhir bukan w, x, atau y
+const endsWithCvc = (word) => {
+    const n = word.length;
+    return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+        !'wxy'.includes(word[n - 1]);
+};
+
+const replaceSuffix = (word, rules, condition) => {
+    for (const [suffix, replacement] of rules) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            return condition(stem, suffix) ? stem + replacement : word;
+        }
+    }
+    return word;
+};
+
+const STEP2_RULES = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+    ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'],
+    ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'],
+    ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP3_RULES = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP4_SUFFIXES = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+    'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+const stemEnglish = (word) => {
+    if (word.length <= 2 || /\d/.test(word)) {
+        return word;
+    }
+
+    // Step 1a
+    let w = word;
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = w.slice(0, -2);
+    else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1);
+
+    // Step 1b
+    if (w.endsWith('eed')) {
+        if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+    } else {
+        const suffix = ['ed', 'ing'].find(s => w.endsWith(s) && hasVowel(w.slice(0, -s.length)));
+        if (suffix) {
+            w = w.slice(0, -suffix.length);
+            if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+                w += 'e';
+            } else if (endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+                w = w.slice(0, -1);
+            } else if (measure(w) === 1 && endsWithCvc(w)) {
+                w += 'e';
+            }
+        }
+    }
+
+    // Step 1c
+    if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+        w = w.slice(0, -1) + 'i';
+    }
+
+    // Step 2 dan 3
+    w = replaceSuffix(w, STEP2_RULES, stem => measure(stem) > 0);
+    w = replaceSuffix(w, STEP3_RULES, stem => measure(stem) > 0);
+
+    // Step 4
+    const suffix = STEP4_SUFFIXES.find(s => w.endsWith(s));
+    if (suffix) {
+        const stem = w.slice(0, -suffix.length);
+        if (measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))) {
+            w = stem;
+        }
+    }
+
+    // Step 5
+    if (w.endsWith('e')) {
+        const stem = w.slice(0, -1);
+        const m = measure(stem);
+        if (m > 1 || (m === 1 && !endsWithCvc(stem))) {
+            w = stem;
+        }
+    }
+    if (measure(w) > 1 && endsWithDoubleConsonant(w) && w.endsWith('l')) {
+        w = w.slice(0, -1);
+    }
+
+    return w;
+};
+
+const STEMMERS = {
+    id: stemIndonesian,
+    en: stemEnglish
+};
+
+const stem = (word, language) => (STEMMERS[language] || stemIndonesian)(word);
+
+const isStopWord = (word, language) => STOP_WORDS[language] ? STOP_WORDS[language].has(word) : false;
+
+// Stem token query sesuai bahasa pengguna; stop word diabaikan kecuali query hanya berisi stop word
+const stemQuery = (text, language) => {
+    const tokens = tokenize(text);
+    const meaningful = tokens.filter(token => !isStopWord(token, language));
+    return [...new Set((meaningful.length > 0 ? meaningful : tokens).map(token => stem(token, language)))];
+};
+
+// Stem teks dokumen dengan semua bahasa, karena bahasa penulis konten tidak diketahui
+const stemDocument = (text) => {
+    return tokenize(text)
+        .filter(token => !SEARCH_LANGUAGES.every(language => isStopWord(token, language)))
+        .map(token => [...new Set(SEARCH_LANGUAGES.map(language => stem(token, language)))].join(' '))
+        .join(' ');
+};
+
+module.exports = {
+    SEARCH_LANGUAGES,
+    tokenize,
+    stem,
+    stemIndonesian,
+    stemEnglish,
+    stemQuery,
+    stemDocument
+};
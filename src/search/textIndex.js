@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { stemDocument, stemQuery } = require('./stemmer');
+const { logger } = require('../config/logger');
+
+// Nama index teks yang sama di setiap koleksi agar mudah dikenali saat migrasi
+const TEXT_INDEX_NAME = 'search_text';
+
+// Ambil seluruh nilai sebuah path, termasuk path di dalam array (mis. comments.content)
+const valuesAt = (value, segments) => {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap(item => valuesAt(item, segments));
+    }
+    if (segments.length === 0) {
+        return [value];
+    }
+    return valuesAt(value[segments[0]], segments.slice(1));
+};
+
+const indexKey = path => path.replace(/\./g, '_');
+const rootOf = path => path.split('.')[0];
+
+// Plugin index teks berbobot. Field sumber distem (Indonesia dan Inggris) ke searchIndex, lalu searchIndex
+// diindeks MongoDB dengan bahasa 'none' karena stemming sudah dilakukan aplikasi.
+// Opsi fields: { path: bobot }, mis. { title: 10, description: 3 }
+const textIndexPlugin = (schema, { fields }) => {
+    const paths = Object.keys(fields);
+    const indexFields = {};
+    const indexDefinition = {};
+    const weights = {};
+    paths.forEach(path => {
+        indexFields[indexKey(path)] = String;
+        indexDefinition[`searchIndex.${indexKey(path)}`] = 'text';
+        weights[`searchIndex.${indexKey(path)}`] = fields[path];
+    });
+
+    schema.add({
+        searchIndex: {
+            type: new mongoose.Schema(indexFields, { _id: false }),
+            select: false
+        }
+    });
+    schema.index(indexDefinition, { name: TEXT_INDEX_NAME, weights, default_language: 'none' });
+
+    const buildSearchIndex = (doc) => {
+        const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+        return paths.reduce((index, path) => {
+            index[indexKey(path)] = valuesAt(source, path.split('.')).map(stemDocument).join(' ');
+            return index;
+        }, {});
+    };
+
+    // Update yang mengubah field sumber, baik langsung maupun lewat operator ($set, $push, ...)
+    const touchesSource = (update) => {
+        const keys = Object.keys(update || {}).flatMap(key =>
+            key.startsWith('$') ? Object.keys(update[key] || {}) : [key]);
+        return keys.some(key => paths.some(path => rootOf(path) === rootOf(key)));
+    };
+
+    schema.pre('save', function (next) {
+        if (this.isNew || !this.searchIndex || paths.some(path => this.isModified(rootOf(path)))) {
+            this.searchIndex = buildSearchIndex(this);
+        }
+        next();
+    });
+
+    // findByIdAndUpdate tidak menjalankan hook save, sehingga searchIndex dibangun ulang dari dokumen terbaru
+    schema.post('findOneAndUpdate', async function (doc) {
+        if (!doc || !touchesSource(this.getUpdate())) {
+            return;
+        }
+        try {
+            const fresh = await this.model.findById(doc._id).lean();
+            if (fresh) {
+                await this.model.updateOne({ _id: doc._id }, { $set: { searchIndex: buildSearchIndex(fresh) } });
+            }
+        } catch (error) {
+            logger.error(`Error updating search index for ${this.model.modelName} ${doc._id}:`, error);
+        }
+    });
+
+    // Method untuk membuat filter $text dari query pengguna; null jika query tidak berisi kata
+    schema.statics.textSearchFilter = function (query, language) {
+        const terms = stemQuery(query, language);
+        if (terms.length === 0) {
+            return null;
+        }
+        return { $text: { $search: terms.join(' '), $language: 'none' } };
+    };
+
+    // Method untuk mengisi searchIndex dokumen lama yang dibuat sebelum index teks tersedia
+    schema.statics.rebuildSearchIndex = async function (filter = { searchIndex: { $exists: false } }) {
+        let updated = 0;
+        const cursor = this.find(filter).lean().cursor();
+        for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+            await this.updateOne({ _id: doc._id }, { $set: { searchIndex: buildSearchIndex(doc) } });
+            updated++;
+        }
+        return updated;
+    };
+};
+
+module.exports = {
+    textIndexPlugin,
+    TEXT_INDEX_NAME
+};
@@ -0,0 +1,14 @@
+require('dotenv').config();
+const connectDB = require('./config/database');
+const { logger } = require('./config/logger');
+const { startJobs } = require('./jobs');
+
+// Proses terpisah untuk job terjadwal. src/app.js hanya mengekspor app (serverless di Vercel)
+// sehingga tidak dapat menjalankan cron; jalankan tepat satu worker agar job tidak berjalan ganda.
+const startWorker = async () => {
+    await connectDB();
+    startJobs();
+    logger.info('Worker job terjadwal berjalan');
+};
+
+startWorker();
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const ExchangeRate = require('../../src/models/ExchangeRate');
+const { syncPaymentEntries } = require('../../src/accounting/ledger');
+const { CASH, RECEIVABLE, LINE_ITEM_ACCOUNTS } = require('../../src/accounting/chartOfAccounts');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildPayment = (overrides = {}) => ({
+    _id: id(),
+    tenant: id(),
+    property: id(),
+    unit: id(),
+    resident: id(),
+    currency: 'IDR',
+    invoiceNumber: 'INV/TEST/2024/000001',
+    status: 'pending',
+    amountPaid: 0,
+    createdAt: new Date('2024-01-01'),
+    lineItems: [{ _id: id(), type: 'rent', description: 'Sewa Januari', amount: 1000 }],
+    transactions: [],
+    ...overrides
+});
+
+// Baris hasil agregasi getPostedAmounts untuk jurnal yang sudah tercatat
+const postedRow = (kind, item, amount, count = 1) => ({ _id: { kind, item }, amount, count });
+
+describe('syncPaymentEntries', () => {
+    let posted;
+    let saved;
+
+    beforeEach(() => {
+        posted = [];
+        saved = [];
+        mock.method(LedgerEntry, 'aggregate', async () => posted);
+        mock.method(ExchangeRate, 'snapshot', async () => ({ currency: 'IDR', rate: 1 }));
+        mock.method(LedgerEntry.prototype, 'save', async function () {
+            saved.push(this);
+            return this;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('posts line items to receivable and payments to cash in minor units', async () => {
+        const payment = buildPayment({
+            transactions: [{ _id: id(), amount: 400, paidAt: new Date('2024-01-05') }]
+        });
+
+        await syncPaymentEntries(payment);
+
+        assert.equal(saved.length, 2);
+        const [invoice, received] = saved;
+        assert.equal(invoice.source.kind, 'invoice');
+        assert.equal(invoice.amount, 100000);
+        assert.equal(invoice.lines[0].account, RECEIVABLE);
+        assert.equal(invoice.lines[0].debit, 100000);
+        assert.equal(invoice.lines[1].account, LINE_ITEM_ACCOUNTS.rent);
+        assert.equal(invoice.lines[1].credit, 100000);
+
+        assert.equal(received.source.kind, 'payment');
+        assert.equal(received.amount, 40000);
+        assert.equal(received.lines[0].account, CASH);
+        assert.equal(received.lines[1].account, RECEIVABLE);
+        assert.deepEqual(received.date, new Date('2024-01-05'));
+    });
+
+    it('posts nothing again when the amounts are already posted', async () => {
+        const payment = buildPayment({
+            transactions: [{ _id: id(), amount: 400, paidAt: new Date('2024-01-05') }]
+        });
+        posted = [
+            postedRow('invoice', payment.lineItems[0]._id, 100000),
+            postedRow('payment', payment.transactions[0]._id, 40000)
+        ];
+
+        await syncPaymentEntries(payment);
+
+        assert.equal(saved.length, 0);
+    });
+
+    it('posts only the difference as an adjustment when an amount changes', async () => {
+        const payment = buildPayment();
+        payment.lineItems[0].amount = 1200;
+        posted = [postedRow('invoice', payment.lineItems[0]._id, 100000)];
+
+        await syncPaymentEntries(payment);
+
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0].amount, 20000);
+        assert.equal(saved[0].postingKey, `invoice:${payment.lineItems[0]._id}:1`);
+    });
+
+    it('reverses posted line items when the invoice is cancelled', async () => {
+        const payment = buildPayment({ status: 'cancelled' });
+        posted = [postedRow('invoice', payment.lineItems[0]._id, 100000)];
+
+        await syncPaymentEntries(payment);
+
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0].amount, -100000);
+        assert.equal(saved[0].lines[0].account, LINE_ITEM_ACCOUNTS.rent);
+        assert.equal(saved[0].lines[0].debit, 100000);
+        assert.equal(saved[0].lines[1].account, RECEIVABLE);
+        assert.equal(saved[0].lines[1].credit, 100000);
+    });
+
+    it('posts a negative transaction as a refund that reopens the receivable', async () => {
+        const payment = buildPayment({
+            status: 'partial',
+            amountPaid: 700,
+            transactions: [
+                { _id: id(), amount: 1000, paidAt: new Date('2024-01-05') },
+                { _id: id(), amount: -300, paidAt: new Date('2024-01-10') }
+            ]
+        });
+        posted = [
+            postedRow('invoice', payment.lineItems[0]._id, 100000),
+            postedRow('payment', payment.transactions[0]._id, 100000)
+        ];
+
+        await syncPaymentEntries(payment);
+
+        assert.equal(saved.length, 1);
+        const [refund] = saved;
+        assert.equal(refund.source.kind, 'refund');
+        assert.equal(refund.amount, 30000);
+        assert.equal(refund.lines[0].account, RECEIVABLE);
+        assert.equal(refund.lines[1].account, CASH);
+        assert.equal(refund.lines[1].credit, 30000);
+    });
+
+    it('ignores a posting already created by another process', async () => {
+        LedgerEntry.prototype.save.mock.mockImplementation(async () => {
+            throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        });
+
+        await assert.doesNotReject(syncPaymentEntries(buildPayment()));
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { exponentOf, toMinor, fromMinor, convertMinor, isSnapshotStale } = require('../../src/accounting/money');
+
+describe('toMinor / fromMinor', () => {
+    it('converts amounts to whole minor units by currency exponent', () => {
+        assert.equal(toMinor(1500.5, 'USD'), 150050);
+        assert.equal(toMinor(1500, 'JPY'), 1500);
+        assert.equal(fromMinor(150050, 'USD'), 1500.5);
+    });
+
+    it('rounds floating point noise instead of truncating', () => {
+        assert.equal(toMinor(0.1 + 0.2, 'IDR'), 30);
+        assert.equal(toMinor(19.99, 'USD'), 1999);
+    });
+
+    it('treats missing amounts as zero', () => {
+        assert.equal(toMinor(undefined, 'IDR'), 0);
+        assert.equal(fromMinor(null, 'IDR'), 0);
+    });
+
+    it('rejects unsupported currencies', () => {
+        assert.throws(() => exponentOf('XYZ'), /Mata uang XYZ tidak didukung/);
+    });
+});
+
+describe('convertMinor', () => {
+    it('converts between currencies with different exponents', () => {
+        // 100 USD dengan kurs 150 JPY per USD
+        assert.equal(convertMinor(10000, 'USD', 'JPY', 150), 15000);
+        // 15000 JPY dengan kurs 0.0067 USD per JPY
+        assert.equal(convertMinor(15000, 'JPY', 'USD', 0.0067), 10050);
+    });
+
+    it('returns null when no rate is available', () => {
+        assert.equal(convertMinor(10000, 'USD', 'IDR', null), null);
+        assert.equal(convertMinor(10000, 'USD', 'IDR', undefined), null);
+    });
+});
+
+describe('isSnapshotStale', () => {
+    it('flags missing snapshots, missing rates and changed reporting currencies', () => {
+        assert.equal(isSnapshotStale(undefined, 'IDR'), true);
+        assert.equal(isSnapshotStale({ currency: 'IDR', rate: null }, 'IDR'), true);
+        assert.equal(isSnapshotStale({ currency: 'USD', rate: 1 }, 'IDR'), true);
+        assert.equal(isSnapshotStale({ currency: 'IDR', rate: 1 }, 'IDR'), false);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    hashBackupCode,
+    generateBackupCodes
+} = require('../../src/auth/totp');
+
+// Secret uji RFC 6238 ("12345678901234567890") dalam base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+    it('round-trips arbitrary bytes', () => {
+        const bytes = Buffer.from('12345678901234567890');
+
+        assert.equal(base32Encode(bytes), RFC_SECRET);
+        assert.deepEqual(base32Decode(RFC_SECRET), bytes);
+    });
+
+    it('ignores case, padding and whitespace when decoding', () => {
+        assert.deepEqual(base32Decode('gezd gnbv===='), base32Decode('GEZDGNBV'));
+    });
+
+    it('generates 160-bit secrets', () => {
+        assert.equal(base32Decode(generateSecret()).length, 20);
+    });
+});
+
+describe('generateCode', () => {
+    it('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+        const vectors = [
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1234567890, '005924'],
+            [2000000000, '279037']
+        ];
+
+        vectors.forEach(([seconds, code]) => {
+            assert.equal(generateCode(RFC_SECRET, getTimeStep(seconds * 1000)), code);
+        });
+    });
+});
+
+describe('verifyCode', () => {
+    const time = 1234567890 * 1000;
+    const step = getTimeStep(time);
+
+    it('returns the matching time step for a current code', () => {
+        assert.equal(verifyCode(RFC_SECRET, '005924', { time }), step);
+    });
+
+    it('accepts codes one period off for clock drift but not further', () => {
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time }), step - 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time }), step + 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time }), null);
+    });
+
+    it('rejects a code whose step was already used', () => {
+        assert.equal(verifyCode(RFC_SECRET, '005924', { time, lastUsedStep: step }), null);
+    });
+
+    it('rejects malformed codes', () => {
+        assert.equal(verifyCode(RFC_SECRET, '12345', { time }), null);
+        assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+        assert.equal(verifyCode(RFC_SECRET, undefined, { time }), null);
+    });
+
+    it('accepts codes typed with spaces', () => {
+        assert.equal(verifyCode(RFC_SECRET, '005 924', { time }), step);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    it('includes the issuer, account and TOTP parameters', () => {
+        const uri = new URL(buildOtpauthUri(RFC_SECRET, 'admin@example.com'));
+
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/ResiSmart:admin@example.com');
+        assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(uri.searchParams.get('digits'), '6');
+        assert.equal(uri.searchParams.get('period'), '30');
+    });
+});
+
+describe('backup codes', () => {
+    it('generates unique xxxx-xxxx codes', () => {
+        const codes = generateBackupCodes();
+
+        assert.equal(codes.length, 10);
+        assert.equal(new Set(codes).size, 10);
+        codes.forEach(code => assert.match(code, /^[0-9a-f]{4}-[0-9a-f]{4}$/));
+    });
+
+    it('hashes codes regardless of case and separators', () => {
+        assert.equal(hashBackupCode('AB12-CD34'), hashBackupCode('ab12cd34'));
+        assert.notEqual(hashBackupCode('ab12-cd34'), hashBackupCode('ab12-cd35'));
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// billingJob memakai cache Redis untuk invalidasi; fungsi yang diuji di sini tidak menyentuhnya
+const cachePath = require.resolve('../../src/config/cache');
+require.cache[cachePath] = {
+    id: cachePath,
+    filename: cachePath,
+    loaded: true,
+    exports: { getCache: async () => null, setCache: async () => {}, deleteCache: async () => {} }
+};
+
+const { getBillingPeriod, calculateRent } = require('../../src/jobs/billingJob');
+
+describe('getBillingPeriod', () => {
+    it('starts the period on the billing day of the current month', () => {
+        const period = getBillingPeriod(5, new Date(2024, 2, 10, 14, 30));
+
+        assert.deepEqual(period.start, new Date(2024, 2, 5));
+        assert.deepEqual(period.end, new Date(2024, 3, 5));
+        assert.equal(period.key, '2024-03');
+    });
+
+    it('includes the billing day itself in the new period', () => {
+        const period = getBillingPeriod(5, new Date(2024, 2, 5, 23, 59));
+
+        assert.deepEqual(period.start, new Date(2024, 2, 5));
+    });
+
+    it('falls back to the previous month before the billing day, across year boundaries', () => {
+        const period = getBillingPeriod(15, new Date(2024, 0, 10));
+
+        assert.deepEqual(period.start, new Date(2023, 11, 15));
+        assert.deepEqual(period.end, new Date(2024, 0, 15));
+        assert.equal(period.key, '2023-12');
+    });
+});
+
+describe('calculateRent', () => {
+    // Periode 1 Maret - 1 April 2024 (31 hari)
+    const period = { start: new Date(2024, 2, 1), end: new Date(2024, 3, 1) };
+
+    it('charges the full price for a unit occupied the whole period', () => {
+        const rent = calculateRent({ price: 3100000, occupancy: { startDate: new Date(2023, 5, 1) } }, period);
+
+        assert.equal(rent.amount, 3100000);
+        assert.equal(rent.occupiedDays, 31);
+        assert.equal(rent.periodDays, 31);
+    });
+
+    it('prorates a move-in in the middle of the period', () => {
+        const rent = calculateRent({ price: 3100000, occupancy: { startDate: new Date(2024, 2, 17) } }, period);
+
+        assert.equal(rent.occupiedDays, 15);
+        assert.equal(rent.amount, 1500000);
+        assert.deepEqual(rent.start, new Date(2024, 2, 17));
+    });
+
+    it('counts the move-out day as occupied', () => {
+        const rent = calculateRent({
+            price: 3100000,
+            occupancy: { startDate: new Date(2024, 0, 1), endDate: new Date(2024, 2, 10) }
+        }, period);
+
+        assert.equal(rent.occupiedDays, 10);
+        assert.equal(rent.amount, 1000000);
+        assert.deepEqual(rent.end, new Date(2024, 2, 11));
+    });
+
+    it('charges nothing when the occupancy ended before the period', () => {
+        const rent = calculateRent({
+            price: 3100000,
+            occupancy: { startDate: new Date(2024, 0, 1), endDate: new Date(2024, 1, 20) }
+        }, period);
+
+        assert.equal(rent.occupiedDays, 0);
+        assert.equal(rent.amount, 0);
+    });
+});
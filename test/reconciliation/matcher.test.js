@@ -0,0 +1,111 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../../src/models/Payment');
+const { matchLine, matchVirtualAccountCandidates } = require('../../src/reconciliation/matcher');
+
+const PREFIX = '81234';
+const VA = `${PREFIX}00000000001`;
+
+const payment = (balance) => ({ _id: new mongoose.Types.ObjectId(), balance });
+
+// Payment.find(...).sort(...) mengembalikan kandidat yang sudah ditentukan
+const stubFind = (candidates) => {
+    mock.method(Payment, 'find', () => ({
+        sort: async () => candidates
+    }));
+};
+
+describe('matchVirtualAccountCandidates', () => {
+    it('matches the only candidate with the exact balance', () => {
+        const first = payment(1000);
+        const second = payment(2500);
+
+        const match = matchVirtualAccountCandidates({ amount: 2500 }, [first, second]);
+
+        assert.equal(match.status, 'matched');
+        assert.equal(match.payment, second);
+    });
+
+    it('records a smaller transfer to a single invoice as a partial payment', () => {
+        const invoice = payment(1000);
+
+        const match = matchVirtualAccountCandidates({ amount: 400 }, [invoice]);
+
+        assert.equal(match.status, 'matched');
+        assert.equal(match.payment, invoice);
+        assert.equal(match.note, 'Pembayaran sebagian.');
+    });
+
+    it('sends a transfer larger than the balance to review', () => {
+        const match = matchVirtualAccountCandidates({ amount: 1500 }, [payment(1000)]);
+
+        assert.equal(match.status, 'ambiguous');
+        assert.equal(match.note, 'Jumlah transfer melebihi sisa tagihan.');
+    });
+
+    it('reduces the balance by amounts already allocated in the same statement', () => {
+        const invoice = payment(1000);
+        const allocated = new Map([[invoice._id.toString(), 600]]);
+
+        assert.equal(matchVirtualAccountCandidates({ amount: 400 }, [invoice], allocated).status, 'matched');
+        assert.equal(matchVirtualAccountCandidates({ amount: 600 }, [invoice], allocated).status, 'ambiguous');
+    });
+
+    it('does not match an invoice already settled by an earlier line', () => {
+        const invoice = payment(1000);
+        const allocated = new Map([[invoice._id.toString(), 1000]]);
+
+        const match = matchVirtualAccountCandidates({ amount: 1000 }, [invoice], allocated);
+
+        assert.equal(match.status, 'ambiguous');
+        assert.deepEqual(match.candidates, [invoice._id]);
+    });
+});
+
+describe('matchLine', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('applies two partial lines of one statement against one invoice without overpaying it', async () => {
+        const invoice = payment(1000);
+        stubFind([invoice]);
+        const allocated = new Map();
+        const options = { tenant: new mongoose.Types.ObjectId(), prefix: PREFIX, allocated };
+
+        // Alokasi dicatat seperti uploadStatement setelah setiap baris yang cocok
+        const first = await matchLine({ amount: 600, reference: VA }, options);
+        assert.equal(first.status, 'matched');
+        allocated.set(invoice._id.toString(), 600);
+
+        const second = await matchLine({ amount: 600, reference: VA }, options);
+        assert.equal(second.status, 'ambiguous');
+        assert.equal(second.note, 'Jumlah transfer melebihi sisa tagihan.');
+
+        const remainder = await matchLine({ amount: 400, reference: VA }, options);
+        assert.equal(remainder.status, 'matched');
+        assert.equal(remainder.payment, invoice);
+    });
+
+    it('moves the second exact line of a resident virtual account to the next invoice', async () => {
+        const older = payment(1000);
+        const newer = payment(1000);
+        stubFind([older, newer]);
+        const allocated = new Map([[older._id.toString(), 1000]]);
+
+        const match = await matchLine(
+            { amount: 1000, description: `TRF ${VA}` },
+            { tenant: new mongoose.Types.ObjectId(), prefix: PREFIX, allocated }
+        );
+
+        assert.equal(match.status, 'matched');
+        assert.equal(match.payment, newer);
+    });
+
+    it('reports an unknown virtual account as unmatched', async () => {
+        stubFind([]);
+
+        const match = await matchLine({ amount: 1000, reference: VA }, { tenant: new mongoose.Types.ObjectId(), prefix: PREFIX });
+
+        assert.equal(match.status, 'unmatched');
+    });
+});
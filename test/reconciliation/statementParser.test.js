@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStatement } = require('../../src/reconciliation/statementParser');
+
+describe('parseStatement', () => {
+    it('parses an Indonesian CSV with credit and debit columns', () => {
+        const csv = [
+            'Tanggal;Keterangan;Referensi;Debit;Kredit',
+            '05/03/2024;TRF 8123400000000001;REF1;;1.500.000,00',
+            '06/03/2024;Biaya admin;;6.500,00;'
+        ].join('\n');
+
+        const { format, lines } = parseStatement(Buffer.from(csv), 'mutasi.csv');
+
+        assert.equal(format, 'csv');
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].lineNumber, 2);
+        assert.equal(lines[0].amount, 1500000);
+        assert.equal(lines[0].reference, 'REF1');
+        assert.equal(lines[0].date.toISOString().slice(0, 10), '2024-03-05');
+        assert.equal(lines[1].amount, -6500);
+    });
+
+    it('reads the sign from a type column', () => {
+        const csv = 'date,description,amount,type\n2024-03-05,Transfer,"1,250.50",CR\n2024-03-06,Fee,"2,000",DB';
+
+        const { lines } = parseStatement(Buffer.from(csv), 'statement.csv');
+
+        assert.equal(lines[0].amount, 1250.5);
+        assert.equal(lines[1].amount, -2000);
+    });
+
+    it('parses MT940 transactions and their descriptions', () => {
+        const mt940 = [
+            ':20:STATEMENT',
+            ':25:1234567890',
+            ':61:2403050305C1500000,00NTRFREF123//BANKREF',
+            ':86:TRANSFER VA 8123400000000001',
+            ':61:240306D6500,00NCHGNONREF',
+            ':86:BIAYA ADMIN'
+        ].join('\n');
+
+        const { format, lines } = parseStatement(Buffer.from(mt940), 'mutasi.sta');
+
+        assert.equal(format, 'mt940');
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].amount, 1500000);
+        assert.equal(lines[0].reference, 'REF123');
+        assert.equal(lines[0].description, 'TRANSFER VA 8123400000000001');
+        assert.equal(lines[1].amount, -6500);
+        assert.equal(lines[1].reference, '');
+    });
+
+    it('gives identical lines in one file distinct fingerprints', () => {
+        const csv = 'date,description,amount\n2024-03-05,Transfer,500000\n2024-03-05,Transfer,500000';
+
+        const { lines } = parseStatement(Buffer.from(csv), 'statement.csv');
+
+        assert.notEqual(lines[0].fingerprint, lines[1].fingerprint);
+        assert.equal(parseStatement(Buffer.from(csv), 'statement.csv').lines[1].fingerprint, lines[1].fingerprint);
+    });
+
+    it('rejects files without a date or amount column', () => {
+        assert.throws(
+            () => parseStatement(Buffer.from('description,reference\nTransfer,REF1'), 'statement.csv'),
+            /Kolom tanggal dan jumlah/
+        );
+    });
+
+    it('rejects lines with an invalid amount', () => {
+        assert.throws(
+            () => parseStatement(Buffer.from('date,amount\n2024-03-05,abc'), 'statement.csv'),
+            /Baris 2/
+        );
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, stem, stemIndonesian, stemEnglish, stemQuery, stemDocument } = require('../../src/search/stemmer');
+
+describe('tokenize', () => {
+    it('lowercases, strips diacritics and splits on non-alphanumerics', () => {
+        assert.deepEqual(tokenize('Kebocoran Pipa di Kamar-Mandi, Café 2B!'),
+            ['kebocoran', 'pipa', 'di', 'kamar', 'mandi', 'cafe', '2b']);
+    });
+
+    it('returns no tokens for empty input', () => {
+        assert.deepEqual(tokenize(undefined), []);
+        assert.deepEqual(tokenize(null), []);
+        assert.deepEqual(tokenize('  --  '), []);
+    });
+});
+
+describe('stemIndonesian', () => {
+    it('reduces affixed forms to the same root', () => {
+        ['perbaikan', 'diperbaiki', 'memperbaiki'].forEach(word => {
+            assert.equal(stemIndonesian(word), 'baik');
+        });
+        assert.equal(stemIndonesian('pembayaran'), 'bayar');
+        assert.equal(stemIndonesian('membayar'), 'bayar');
+    });
+
+    it('applies nasal prefix substitutions', () => {
+        assert.equal(stemIndonesian('menyapu'), 'sapu');
+    });
+
+    it('strips possessives and noun confixes', () => {
+        assert.equal(stemIndonesian('bocornya'), 'bocor');
+        assert.equal(stemIndonesian('kebocoran'), 'bocor');
+        assert.equal(stemIndonesian('laporan'), 'lapor');
+    });
+
+    it('leaves short words and words with digits unchanged', () => {
+        assert.equal(stemIndonesian('lift'), 'lift');
+        assert.equal(stemIndonesian('rumah'), 'rumah');
+        assert.equal(stemIndonesian('lantai2'), 'lantai2');
+    });
+});
+
+describe('stemEnglish', () => {
+    it('follows the Porter algorithm', () => {
+        const expected = {
+            caresses: 'caress',
+            ponies: 'poni',
+            agreed: 'agre',
+            running: 'run',
+            hopping: 'hop',
+            relational: 'relat',
+            happy: 'happi',
+            generalization: 'gener'
+        };
+
+        Object.entries(expected).forEach(([word, root]) => {
+            assert.equal(stemEnglish(word), root, word);
+        });
+    });
+
+    it('matches inflections used in search queries', () => {
+        assert.equal(stemEnglish('repairs'), stemEnglish('repair'));
+        assert.equal(stemEnglish('leaking'), stemEnglish('leaks'));
+    });
+});
+
+describe('stem', () => {
+    it('falls back to Indonesian for unknown languages', () => {
+        assert.equal(stem('perbaikan', 'fr'), 'baik');
+    });
+});
+
+describe('stemQuery', () => {
+    it('drops stop words and duplicate stems', () => {
+        assert.deepEqual(stemQuery('perbaikan dan diperbaiki', 'id'), ['baik']);
+        assert.deepEqual(stemQuery('the leaking pipes', 'en'), ['leak', 'pipe']);
+    });
+
+    it('keeps stop words when the query has nothing else', () => {
+        assert.deepEqual(stemQuery('dan atau', 'id'), ['dan', 'atau']);
+    });
+});
+
+describe('stemDocument', () => {
+    it('indexes each token with the stems of every search language', () => {
+        assert.equal(stemDocument('Perbaikan pipa'), 'baik perbaikan pipa');
+    });
+
+    it('keeps words that are stop words in only one language', () => {
+        assert.equal(stemDocument('the pipa'), 'the pipa');
+        assert.equal(stemDocument('pipa yang bocor'), 'pipa yang bocor');
+    });
+});